@@ -0,0 +1,9 @@
+// Allows staff members who have been granted the permission (see User.PERMISSIONS).
+// Permissions are granted individually, so being an admin is not enough on its own.
+module.exports = permission => function(req, res, next) {
+    const isStaff = req.user && ['admin', 'employee'].includes(req.user.role);
+    if (isStaff && Array.isArray(req.user.permissions) && req.user.permissions.includes(permission)) {
+        return next();
+    }
+    return res.status(403).json({ message: 'Access denied. You do not have permission to do this.' });
+};
@@ -0,0 +1,595 @@
+const mongoose = require('mongoose');
+const Loan = require('./Loan');
+const { appraiseItem } = require('../utils/goldValuation');
+
+// Reserve price, when not given, as a share of the gold's value on the day the lot is made up
+const DEFAULT_RESERVE_PERCENT = 90;
+
+// Raised when an auction step is taken out of turn (bidding on a sold lot, selling below
+// reserve, ...) so routes can answer 400 rather than 500
+class AuctionRuleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuctionRuleError';
+    }
+}
+
+const roundAmount = value => Math.round((Number(value) || 0) * 100) / 100;
+
+const actorSchema = {
+    id: { type: String },
+    name: { type: String }
+};
+
+const bidderSchema = new mongoose.Schema({
+    // Number the bidder bids under at this auction
+    paddleNumber: {
+        type: Number,
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Please provide the bidder name'],
+        trim: true
+    },
+    mobile: {
+        type: String,
+        required: [true, 'Please provide the bidder mobile number'],
+        trim: true
+    },
+    address: {
+        type: String,
+        trim: true
+    },
+    idProof: {
+        type: { type: String, trim: true },
+        number: { type: String, trim: true }
+    },
+    // Earnest money deposited to take part
+    earnestMoney: {
+        type: Number,
+        default: 0,
+        min: [0, 'Earnest money cannot be negative']
+    },
+    registeredBy: actorSchema,
+    registeredAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const bidSchema = new mongoose.Schema({
+    bidder: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    paddleNumber: Number,
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Bid must be greater than zero']
+    },
+    placedAt: {
+        type: Date,
+        default: Date.now
+    },
+    recordedBy: actorSchema
+});
+
+// A loan whose pledged gold is part of a lot, as it stood when the lot was made up
+const lotLoanSchema = new mongoose.Schema({
+    loan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Loan',
+        required: true
+    },
+    loanId: String,
+    customerName: String,
+    items: [{
+        itemId: mongoose.Schema.Types.ObjectId,
+        description: String,
+        netWeight: Number,
+        value: Number
+    }],
+    netWeight: Number,
+    appraisedValue: Number,
+    outstanding: Number
+}, { _id: false });
+
+// How a loan's share of the sale price settled its dues
+const lotAllocationSchema = new mongoose.Schema({
+    loan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Loan'
+    },
+    loanId: String,
+    share: Number,
+    charges: Number,
+    penal: Number,
+    interest: Number,
+    principal: Number,
+    surplus: Number,
+    shortfall: Number,
+    paymentId: mongoose.Schema.Types.ObjectId
+}, { _id: false });
+
+const lotSchema = new mongoose.Schema({
+    lotNumber: {
+        type: Number,
+        required: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    loans: {
+        type: [lotLoanSchema],
+        validate: {
+            validator: loans => loans.length > 0,
+            message: 'A lot must contain the gold of at least one loan'
+        }
+    },
+    netWeight: Number,
+    appraisedValue: Number,
+    reservePrice: {
+        type: Number,
+        required: true,
+        min: [0, 'Reserve price cannot be negative']
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sold', 'unsold', 'withdrawn'],
+        default: 'pending'
+    },
+    bids: [bidSchema],
+    sale: {
+        bidder: mongoose.Schema.Types.ObjectId,
+        bidderName: String,
+        paddleNumber: Number,
+        price: Number,
+        soldAt: Date,
+        soldBy: actorSchema
+    },
+    allocations: [lotAllocationSchema],
+    closedAt: Date,
+    closedBy: actorSchema,
+    notes: {
+        type: String,
+        trim: true
+    }
+});
+
+// An auction sitting: the lots on offer, who registered to bid, and how each lot sold
+const auctionEventSchema = new mongoose.Schema({
+    auctionNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    title: {
+        type: String,
+        required: [true, 'Please provide a title for the auction'],
+        trim: true
+    },
+    auctionDate: {
+        type: Date,
+        required: [true, 'Please provide the auction date']
+    },
+    venue: {
+        type: String,
+        trim: true
+    },
+    branch: {
+        type: String,
+        trim: true
+    },
+    auctioneer: {
+        type: String,
+        trim: true
+    },
+    // scheduled: lots and bidders being added; open: bidding under way
+    status: {
+        type: String,
+        enum: ['scheduled', 'open', 'completed', 'cancelled'],
+        default: 'scheduled'
+    },
+    bidders: [bidderSchema],
+    lots: [lotSchema],
+    notes: {
+        type: String,
+        trim: true
+    },
+    createdBy: actorSchema,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    openedAt: Date,
+    openedBy: actorSchema,
+    completedAt: Date,
+    completedBy: actorSchema,
+    cancelledAt: Date,
+    cancelledBy: actorSchema,
+    cancellationReason: {
+        type: String,
+        trim: true
+    }
+});
+
+auctionEventSchema.index({ status: 1, auctionDate: 1 });
+auctionEventSchema.index({ 'lots.loans.loan': 1 });
+
+// Static method to generate the next auction number (AUC-YYYYMMDD-NN)
+auctionEventSchema.statics.generateAuctionNumber = async function(auctionDate = new Date()) {
+    const date = new Date(auctionDate);
+    const prefix = `AUC-${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+    const count = await this.countDocuments({ auctionNumber: new RegExp(`^${prefix}-`) });
+    return `${prefix}-${String(count + 1).padStart(2, '0')}`;
+};
+
+// Static method to find the auction (other than a closed one) with an unsold lot holding a loan's gold
+auctionEventSchema.statics.findPendingLotFor = function(loanId) {
+    return this.findOne({
+        status: { $in: ['scheduled', 'open'] },
+        lots: { $elemMatch: { status: 'pending', 'loans.loan': loanId } }
+    });
+};
+
+auctionEventSchema.methods.getLot = function(lotId) {
+    const lot = this.lots.id(lotId);
+    if (!lot) {
+        throw new AuctionRuleError('Lot not found');
+    }
+    return lot;
+};
+
+// Method to get the highest bid on a lot
+auctionEventSchema.methods.getHighestBid = function(lotId) {
+    const lot = this.getLot(lotId);
+    return lot.bids.reduce((highest, bid) => (!highest || bid.amount > highest.amount ? bid : highest), null);
+};
+
+// Method to register a bidder
+auctionEventSchema.methods.registerBidder = function({ name, mobile, address, idProof, earnestMoney }, registeredBy) {
+    if (!['scheduled', 'open'].includes(this.status)) {
+        throw new AuctionRuleError(`Bidders cannot register for a ${this.status} auction`);
+    }
+    if (this.bidders.some(bidder => bidder.mobile === String(mobile).trim())) {
+        throw new AuctionRuleError('A bidder with this mobile number is already registered');
+    }
+
+    this.bidders.push({
+        paddleNumber: this.bidders.reduce((max, bidder) => Math.max(max, bidder.paddleNumber), 0) + 1,
+        name,
+        mobile,
+        address,
+        idProof,
+        earnestMoney,
+        registeredBy
+    });
+    return this.bidders[this.bidders.length - 1];
+};
+
+// Method to make up a lot from the pledged gold of one or more loans. Loans only marked
+// ready for auction are scheduled for this auction's date.
+auctionEventSchema.methods.addLot = async function(loans, { reservePrice, description } = {}, addedBy) {
+    if (this.status !== 'scheduled') {
+        throw new AuctionRuleError('Lots can only be added before bidding opens');
+    }
+    if (!loans || loans.length === 0) {
+        throw new AuctionRuleError('Select at least one loan for the lot');
+    }
+
+    for (const loan of loans) {
+        if (loan.status !== 'active' || !['ready_for_auction', 'auction_scheduled'].includes(loan.auctionStatus)) {
+            throw new AuctionRuleError(`Loan ${loan.loanId} is not ready for auction`);
+        }
+        if (loan.getPledgedGoldItems().length === 0) {
+            throw new AuctionRuleError(`Loan ${loan.loanId} has no gold pledged`);
+        }
+        const inLot = this.lots.some(lot => lot.status === 'pending' &&
+            lot.loans.some(entry => entry.loan.equals(loan._id)));
+        if (inLot || await this.constructor.findPendingLotFor(loan._id)) {
+            throw new AuctionRuleError(`Loan ${loan.loanId} is already in an auction lot`);
+        }
+        if (loan.auctionStatus === 'ready_for_auction') {
+            const compliance = await loan.getAuctionNoticeCompliance(this.auctionDate);
+            if (!compliance.compliant) {
+                throw new AuctionRuleError(`Loan ${loan.loanId} cannot be auctioned yet: ${compliance.problems.join('; ')}`);
+            }
+        }
+    }
+
+    const lotNumber = this.lots.reduce((max, lot) => Math.max(max, lot.lotNumber), 0) + 1;
+    const lotLoans = [];
+    for (const loan of loans) {
+        const valuation = await loan.getValuationTerms();
+        const items = loan.getPledgedGoldItems().map(item => ({
+            itemId: item._id,
+            description: item.description,
+            netWeight: item.netWeight,
+            value: appraiseItem(item, valuation.rates || valuation.goldRate).value
+        }));
+        lotLoans.push({
+            loan: loan._id,
+            loanId: loan.loanId,
+            customerName: loan.name,
+            items,
+            netWeight: roundAmount(items.reduce((sum, item) => sum + (item.netWeight || 0), 0)),
+            appraisedValue: roundAmount(items.reduce((sum, item) => sum + item.value, 0)),
+            outstanding: roundAmount(Math.max(0, loan.calculateEarlyRepaymentAmount().totalDue - loan.totalPaid))
+        });
+    }
+
+    const appraisedValue = roundAmount(lotLoans.reduce((sum, entry) => sum + entry.appraisedValue, 0));
+    this.lots.push({
+        lotNumber,
+        description,
+        loans: lotLoans,
+        netWeight: roundAmount(lotLoans.reduce((sum, entry) => sum + entry.netWeight, 0)),
+        appraisedValue,
+        reservePrice: reservePrice !== undefined && reservePrice !== null
+            ? roundAmount(reservePrice)
+            : Math.ceil(appraisedValue * DEFAULT_RESERVE_PERCENT / 100)
+    });
+
+    for (const loan of loans) {
+        if (loan.auctionStatus === 'ready_for_auction') {
+            await loan.scheduleAuction(this.auctionDate, `Lot ${lotNumber} of auction ${this.auctionNumber}`, addedBy);
+        }
+    }
+
+    return this.lots[this.lots.length - 1];
+};
+
+// Method to take a lot out of the auction before it is sold
+auctionEventSchema.methods.withdrawLot = function(lotId, notes, withdrawnBy) {
+    const lot = this.getLot(lotId);
+    if (lot.status !== 'pending') {
+        throw new AuctionRuleError(`Lot ${lot.lotNumber} has already been ${lot.status}`);
+    }
+    lot.status = 'withdrawn';
+    lot.closedAt = new Date();
+    lot.closedBy = withdrawnBy;
+    lot.notes = notes || lot.notes;
+    return lot;
+};
+
+// Method to open bidding
+auctionEventSchema.methods.open = function(openedBy) {
+    if (this.status !== 'scheduled') {
+        throw new AuctionRuleError(`Only a scheduled auction can be opened; this one is ${this.status}`);
+    }
+    if (!this.lots.some(lot => lot.status === 'pending')) {
+        throw new AuctionRuleError('Add at least one lot before opening the auction');
+    }
+    if (this.bidders.length === 0) {
+        throw new AuctionRuleError('Register at least one bidder before opening the auction');
+    }
+    this.status = 'open';
+    this.openedAt = new Date();
+    this.openedBy = openedBy;
+};
+
+// Method to record a bid; each bid must beat the highest so far
+auctionEventSchema.methods.recordBid = function(lotId, bidderId, amount, recordedBy) {
+    if (this.status !== 'open') {
+        throw new AuctionRuleError('Bids can only be recorded while the auction is open');
+    }
+    const lot = this.getLot(lotId);
+    if (lot.status !== 'pending') {
+        throw new AuctionRuleError(`Lot ${lot.lotNumber} is no longer taking bids`);
+    }
+    const bidder = this.bidders.id(bidderId);
+    if (!bidder) {
+        throw new AuctionRuleError('Bidder is not registered for this auction');
+    }
+    const bid = roundAmount(amount);
+    const highest = this.getHighestBid(lotId);
+    if (highest && bid <= highest.amount) {
+        throw new AuctionRuleError(`Bid must be above the highest bid of ₹${highest.amount}`);
+    }
+
+    lot.bids.push({
+        bidder: bidder._id,
+        paddleNumber: bidder.paddleNumber,
+        amount: bid,
+        recordedBy
+    });
+    return lot.bids[lot.bids.length - 1];
+};
+
+// Method to split a sale price across the loans in a lot by the value of their gold
+auctionEventSchema.methods.getLotShares = function(lotId, price) {
+    const lot = this.getLot(lotId);
+    const total = lot.appraisedValue || 0;
+    let allocated = 0;
+
+    return lot.loans.map((entry, index) => {
+        // The last loan takes whatever rounding leaves over
+        const share = index === lot.loans.length - 1
+            ? roundAmount(price - allocated)
+            : roundAmount(total > 0 ? price * entry.appraisedValue / total : price / lot.loans.length);
+        allocated = roundAmount(allocated + share);
+        return { loan: entry.loan, loanId: entry.loanId, share };
+    });
+};
+
+// Method to sell a lot to its highest bidder and settle each loan in it from its share of the price
+auctionEventSchema.methods.sellLot = async function(lotId, soldBy) {
+    if (this.status !== 'open') {
+        throw new AuctionRuleError('Lots can only be sold while the auction is open');
+    }
+    const lot = this.getLot(lotId);
+    if (lot.status !== 'pending') {
+        throw new AuctionRuleError(`Lot ${lot.lotNumber} has already been ${lot.status}`);
+    }
+    const highest = this.getHighestBid(lotId);
+    if (!highest) {
+        throw new AuctionRuleError(`Lot ${lot.lotNumber} has no bids`);
+    }
+    if (highest.amount < lot.reservePrice) {
+        throw new AuctionRuleError(`Highest bid of ₹${highest.amount} is below the reserve price of ₹${lot.reservePrice}`);
+    }
+
+    // Check every loan can still be sold before settling any of them
+    const loans = await Loan.find({ _id: { $in: lot.loans.map(entry => entry.loan) } });
+    lot.loans.forEach(entry => {
+        const loan = loans.find(candidate => candidate._id.equals(entry.loan));
+        if (!loan || loan.status !== 'active' || !['ready_for_auction', 'auction_scheduled'].includes(loan.auctionStatus)) {
+            throw new AuctionRuleError(`Loan ${entry.loanId} can no longer be auctioned; withdraw lot ${lot.lotNumber}`);
+        }
+    });
+
+    const soldAt = new Date();
+    const bidder = this.bidders.id(highest.bidder);
+    lot.sale = {
+        bidder: highest.bidder,
+        bidderName: bidder ? bidder.name : undefined,
+        paddleNumber: highest.paddleNumber,
+        price: highest.amount,
+        soldAt,
+        soldBy
+    };
+    lot.status = 'sold';
+    lot.closedAt = soldAt;
+    lot.closedBy = soldBy;
+
+    // The sale stands before any loan is touched, so a settlement cut short can be resumed
+    await this.save();
+
+    return this.settleLot(lotId, soldBy);
+};
+
+// Method to settle each loan in a sold lot from its share of the price. Loans already settled
+// are skipped and the auction is saved after each one, so it can be run again after a failure.
+auctionEventSchema.methods.settleLot = async function(lotId, settledBy) {
+    const lot = this.getLot(lotId);
+    if (lot.status !== 'sold') {
+        throw new AuctionRuleError(`Lot ${lot.lotNumber} has not been sold`);
+    }
+
+    const loans = await Loan.find({ _id: { $in: lot.loans.map(entry => entry.loan) } });
+    for (const { loan: loanRef, loanId, share } of this.getLotShares(lotId, lot.sale.price)) {
+        if (lot.allocations.some(allocation => allocation.loan.equals(loanRef))) {
+            continue;
+        }
+        const loan = loans.find(candidate => candidate._id.equals(loanRef));
+        if (!loan) {
+            throw new AuctionRuleError(`Loan ${loanId} in lot ${lot.lotNumber} was not found`);
+        }
+
+        const sale = await loan.settleAuctionProceeds(share, {
+            auctionEventId: this._id,
+            lotNumber: lot.lotNumber,
+            saleDate: lot.sale.soldAt,
+            notes: `Sold in lot ${lot.lotNumber} of auction ${this.auctionNumber} for ₹${share.toLocaleString()}`
+        }, settledBy);
+
+        lot.allocations.push({
+            loan: loan._id,
+            loanId,
+            share,
+            charges: sale.allocation.charges,
+            penal: sale.allocation.penal,
+            interest: sale.allocation.interest,
+            principal: sale.allocation.principal,
+            surplus: sale.surplus,
+            shortfall: sale.shortfall,
+            paymentId: sale.paymentId
+        });
+        await this.save();
+    }
+
+    return lot;
+};
+
+// Method to check whether every loan in a sold lot has been settled from the sale
+auctionEventSchema.methods.isLotSettled = function(lotId) {
+    const lot = this.getLot(lotId);
+    return lot.status === 'sold' && lot.loans.every(entry =>
+        lot.allocations.some(allocation => allocation.loan.equals(entry.loan))
+    );
+};
+
+// Method to close a lot that found no buyer at or above its reserve
+auctionEventSchema.methods.markLotUnsold = function(lotId, notes, closedBy) {
+    if (this.status !== 'open') {
+        throw new AuctionRuleError('Lots can only be closed while the auction is open');
+    }
+    const lot = this.getLot(lotId);
+    if (lot.status !== 'pending') {
+        throw new AuctionRuleError(`Lot ${lot.lotNumber} has already been ${lot.status}`);
+    }
+    lot.status = 'unsold';
+    lot.closedAt = new Date();
+    lot.closedBy = closedBy;
+    lot.notes = notes || lot.notes;
+    return lot;
+};
+
+// Method to close the auction once every lot is sold, unsold or withdrawn
+auctionEventSchema.methods.complete = function(completedBy) {
+    if (this.status !== 'open') {
+        throw new AuctionRuleError('Only an open auction can be completed');
+    }
+    const pending = this.lots.filter(lot => lot.status === 'pending');
+    if (pending.length > 0) {
+        throw new AuctionRuleError(`Lots ${pending.map(lot => lot.lotNumber).join(', ')} are still open`);
+    }
+    const unsettled = this.lots.filter(lot => lot.status === 'sold' && !this.isLotSettled(lot._id));
+    if (unsettled.length > 0) {
+        throw new AuctionRuleError(`Lots ${unsettled.map(lot => lot.lotNumber).join(', ')} are sold but not yet settled`);
+    }
+    this.status = 'completed';
+    this.completedAt = new Date();
+    this.completedBy = completedBy;
+};
+
+// Method to call off the auction; lots not yet sold are withdrawn and their loans stay scheduled
+auctionEventSchema.methods.cancel = function(reason, cancelledBy) {
+    if (['completed', 'cancelled'].includes(this.status)) {
+        throw new AuctionRuleError(`A ${this.status} auction cannot be cancelled`);
+    }
+    if (this.lots.some(lot => lot.status === 'sold')) {
+        throw new AuctionRuleError('Lots have already been sold; complete the auction instead');
+    }
+    this.lots
+        .filter(lot => lot.status === 'pending')
+        .forEach(lot => this.withdrawLot(lot._id, 'Auction cancelled', cancelledBy));
+    this.status = 'cancelled';
+    this.cancelledAt = new Date();
+    this.cancelledBy = cancelledBy;
+    this.cancellationReason = reason;
+};
+
+// Method to total the auction's results
+auctionEventSchema.methods.getSummary = function() {
+    const count = status => this.lots.filter(lot => lot.status === status).length;
+    const sold = this.lots.filter(lot => lot.status === 'sold');
+    const sum = (lots, field) => roundAmount(lots.reduce((total, lot) =>
+        total + lot.allocations.reduce((lotTotal, allocation) => lotTotal + (allocation[field] || 0), 0), 0));
+
+    return {
+        auctionNumber: this.auctionNumber,
+        title: this.title,
+        auctionDate: this.auctionDate,
+        status: this.status,
+        bidders: this.bidders.length,
+        lots: this.lots.length,
+        pendingLots: count('pending'),
+        soldLots: sold.length,
+        unsoldLots: count('unsold'),
+        withdrawnLots: count('withdrawn'),
+        totalReserve: roundAmount(this.lots.reduce((total, lot) => total + lot.reservePrice, 0)),
+        totalProceeds: roundAmount(sold.reduce((total, lot) => total + lot.sale.price, 0)),
+        totalSurplus: sum(sold, 'surplus'),
+        totalShortfall: sum(sold, 'shortfall')
+    };
+};
+
+const AuctionEvent = mongoose.model('AuctionEvent', auctionEventSchema);
+AuctionEvent.DEFAULT_RESERVE_PERCENT = DEFAULT_RESERVE_PERCENT;
+AuctionEvent.AuctionRuleError = AuctionRuleError;
+
+module.exports = AuctionEvent;
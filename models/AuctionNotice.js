@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+const { renderAuctionNotice } = require('../utils/auctionNoticePdf');
+
+// Formal notices sent before pledged gold is auctioned, in the order they are sent
+const NOTICE_TYPES = ['intimation', 'reminder', 'final'];
+
+const DISPATCH_CHANNELS = ['registered_post', 'speed_post', 'courier', 'hand_delivery', 'email', 'sms'];
+
+// Dispatches in these states never reached the customer and do not count as service
+const UNSERVED_STATUSES = ['failed', 'returned'];
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// One attempt to get a notice to the customer
+const dispatchSchema = new mongoose.Schema({
+    channel: {
+        type: String,
+        enum: DISPATCH_CHANNELS,
+        required: true
+    },
+    // Address, email or mobile number the notice went to
+    sentTo: {
+        type: String,
+        trim: true
+    },
+    // Postal or courier tracking number, email message id, ...
+    reference: {
+        type: String,
+        trim: true
+    },
+    sentAt: {
+        type: Date,
+        default: Date.now
+    },
+    status: {
+        type: String,
+        enum: ['sent', 'delivered', 'failed', 'returned'],
+        default: 'sent'
+    },
+    deliveredAt: Date,
+    notes: {
+        type: String,
+        trim: true
+    },
+    recordedBy: {
+        id: { type: String },
+        name: { type: String }
+    }
+});
+
+const auctionNoticeSchema = new mongoose.Schema({
+    loan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Loan',
+        required: true,
+        index: true
+    },
+    loanId: String,
+    customerName: String,
+    noticeNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    noticeType: {
+        type: String,
+        enum: NOTICE_TYPES,
+        required: true
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Date the customer is told the gold will be auctioned on or after
+    proposedAuctionDate: Date,
+    // Dues as stated in the notice
+    dues: {
+        principal: Number,
+        interest: Number,
+        penal: Number,
+        charges: Number,
+        total: Number
+    },
+    goldWeight: Number,
+    // Generated notice document
+    document: {
+        filename: String,
+        mimeType: { type: String, default: 'application/pdf' },
+        size: Number,
+        data: Buffer
+    },
+    dispatches: [dispatchSchema],
+    // Withdrawn notices (e.g. issued in error) no longer count towards the requirements
+    status: {
+        type: String,
+        enum: ['issued', 'withdrawn'],
+        default: 'issued'
+    },
+    withdrawnReason: {
+        type: String,
+        trim: true
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    issuedBy: {
+        id: { type: String },
+        name: { type: String }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Method to get when the notice was served: its first dispatch that did not fail
+auctionNoticeSchema.methods.getServedAt = function() {
+    const served = this.dispatches
+        .filter(dispatch => !UNSERVED_STATUSES.includes(dispatch.status))
+        .map(dispatch => dispatch.sentAt);
+    return served.length > 0 ? new Date(Math.min(...served)) : null;
+};
+
+// Static method to generate the next notice number for a loan
+auctionNoticeSchema.statics.generateNoticeNumber = async function(loan) {
+    const count = await this.countDocuments({ loan: loan._id });
+    return `AN-${loan.loanId}-${String(count + 1).padStart(2, '0')}`;
+};
+
+// Static method to issue a notice for a loan: states the dues as of today, renders the
+// PDF and logs the notice on the loan. Dispatches are recorded separately as they go out.
+auctionNoticeSchema.statics.issue = async function(loan, { noticeType, proposedAuctionDate, notes }, issuedBy) {
+    const issuedAt = new Date();
+    const outstanding = loan.getOutstandingByComponent(issuedAt);
+    const round = value => Math.round(value * 100) / 100;
+
+    const notice = new this({
+        loan: loan._id,
+        loanId: loan.loanId,
+        customerName: loan.name,
+        noticeNumber: await this.generateNoticeNumber(loan),
+        noticeType,
+        issuedAt,
+        proposedAuctionDate,
+        dues: {
+            ...outstanding,
+            total: round(outstanding.principal + outstanding.interest + outstanding.penal + outstanding.charges)
+        },
+        goldWeight: round(loan.getPledgedGoldWeight()),
+        notes,
+        issuedBy
+    });
+
+    const pdf = await renderAuctionNotice(notice, loan);
+    notice.document = {
+        filename: `${notice.noticeNumber}.pdf`,
+        mimeType: 'application/pdf',
+        size: pdf.length,
+        data: pdf
+    };
+    await notice.save();
+
+    loan.auctionNotifications.push({
+        type: noticeType === 'final' ? 'final_warning' : 'auction_warning',
+        sentTo: 'customer',
+        message: `${noticeType.charAt(0).toUpperCase() + noticeType.slice(1)} notice ${notice.noticeNumber} issued`,
+        sentBy: issuedBy
+    });
+    await loan.save();
+
+    return notice;
+};
+
+/**
+ * Static method to check a loan's notices against the notice policy for an auction date
+ * @param {ObjectId} loanId
+ * @param {Date} auctionDate
+ * @param {{ minimumNotices, minGapDays, finalNoticeDays }} policy
+ * @returns {{ compliant, problems, notices, finalNoticeServedAt, earliestAuctionDate }}
+ */
+auctionNoticeSchema.statics.checkCompliance = async function(loanId, auctionDate, policy) {
+    const notices = await this.find({ loan: loanId, status: 'issued' }).select('-document.data');
+    const served = notices
+        .map(notice => ({ notice, servedAt: notice.getServedAt() }))
+        .filter(entry => entry.servedAt)
+        .sort((a, b) => a.servedAt - b.servedAt);
+
+    const problems = [];
+    if (served.length < policy.minimumNotices) {
+        problems.push(`${policy.minimumNotices} notices must be served before auction; ${served.length} served so far`);
+    }
+
+    for (let i = 1; i < served.length; i++) {
+        const gapDays = (served[i].servedAt - served[i - 1].servedAt) / MS_PER_DAY;
+        if (gapDays < policy.minGapDays) {
+            problems.push(`Notices ${served[i - 1].notice.noticeNumber} and ${served[i].notice.noticeNumber} were served less than ${policy.minGapDays} days apart`);
+        }
+    }
+
+    const last = served[served.length - 1];
+    const finalNoticeServedAt = last && last.notice.noticeType === 'final' ? last.servedAt : null;
+    let earliestAuctionDate = null;
+    if (!finalNoticeServedAt) {
+        problems.push('A final notice must be served after the other notices');
+    } else {
+        earliestAuctionDate = new Date(finalNoticeServedAt.getTime() + policy.finalNoticeDays * MS_PER_DAY);
+        if (auctionDate && new Date(auctionDate) < earliestAuctionDate) {
+            problems.push(`Auction must be at least ${policy.finalNoticeDays} days after the final notice was served (on or after ${earliestAuctionDate.toDateString()})`);
+        }
+    }
+
+    return {
+        compliant: problems.length === 0,
+        problems,
+        notices: served.map(({ notice, servedAt }) => ({
+            noticeNumber: notice.noticeNumber,
+            noticeType: notice.noticeType,
+            servedAt
+        })),
+        finalNoticeServedAt,
+        earliestAuctionDate
+    };
+};
+
+const AuctionNotice = mongoose.model('AuctionNotice', auctionNoticeSchema);
+AuctionNotice.NOTICE_TYPES = NOTICE_TYPES;
+AuctionNotice.DISPATCH_CHANNELS = DISPATCH_CHANNELS;
+
+module.exports = AuctionNotice;
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Sensitive actions that are recorded every time they happen
+const AUDIT_ACTIONS = ['aadhaar_revealed', 'permissions_changed', 'customers_merged', 'blacklist_override'];
+
+const auditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: AUDIT_ACTIONS,
+        required: true
+    },
+    actor: {
+        id: { type: String },
+        name: { type: String },
+        role: { type: String }
+    },
+    // Record the action was taken on, e.g. { entityType: 'Customer', entityId: <customer _id> }
+    entityType: {
+        type: String,
+        required: true
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    // Anything else worth keeping about the action, e.g. the permissions granted
+    details: mongoose.Schema.Types.Mixed,
+    ip: String,
+    userAgent: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// The log is append-only
+auditLogSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('Audit log entries cannot be changed'));
+    }
+    next();
+});
+
+const blockMutation = function(next) {
+    next(new Error('Audit log entries cannot be changed'));
+};
+
+auditLogSchema.pre(['updateOne', 'deleteOne'], { document: true, query: true }, blockMutation);
+auditLogSchema.pre([
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'deleteMany',
+    'findOneAndDelete',
+    'findOneAndReplace',
+    'findOneAndRemove'
+], blockMutation);
+
+// Static method to record an action taken by the user making the request
+auditLogSchema.statics.record = function(req, action, { entityType, entityId, reason, details }) {
+    return this.create({
+        action,
+        actor: {
+            id: req.user.id,
+            name: req.user.name,
+            role: req.user.role
+        },
+        entityType,
+        entityId,
+        reason,
+        details,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+AuditLog.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+module.exports = AuditLog;
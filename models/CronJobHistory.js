@@ -8,7 +8,9 @@ const cronJobHistorySchema = new mongoose.Schema({
             'gold_return_reminders',
             'admin_notifications',
             'interest_rate_upgrades',
-            'payment_reminders'
+            'payment_reminders',
+            'margin_calls',
+            'gold_rate_feed'
         ]
     },
     executionType: {
@@ -1,18 +1,180 @@
 const mongoose = require('mongoose');
+const { aadhaarPlugin } = require('../utils/aadhaar');
 
-const customerSchema = new mongoose.Schema({
-    aadharNumber: {
-        type: String,
-        required: [true, 'Please provide Aadhar number'],
-        validate: {
-            validator: function(v) {
-                return /^\d{12}$/.test(v);
-            },
-            message: props => `${props.value} is not a valid Aadhar number! It should be 12 digits.`
-        },
-        unique: true,
-        index: true
+const roundAmount = value => Math.round((Number(value) || 0) * 100) / 100;
+
+// Money received against a recoverable balance
+const recoverySchema = new mongoose.Schema({
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Recovery must be greater than zero']
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    },
+    method: {
+        type: String,
+        enum: ['cash', 'upi', 'bank_transfer', 'cheque'],
+        default: 'cash'
+    },
+    reference: {
+        type: String,
+        trim: true
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    recordedBy: {
+        id: { type: String },
+        name: { type: String }
+    }
+});
+
+// Dues still owed on a closed loan, e.g. when the auction of its gold fell short
+const recoverableBalanceSchema = new mongoose.Schema({
+    loan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Loan',
+        required: true
+    },
+    loanId: String,
+    source: {
+        type: String,
+        enum: ['auction_shortfall'],
+        default: 'auction_shortfall'
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Amount cannot be negative']
+    },
+    recovered: {
+        type: Number,
+        default: 0
+    },
+    writtenOff: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['open', 'recovered', 'written_off'],
+        default: 'open'
+    },
+    recoveries: [recoverySchema],
+    writeOffReason: {
+        type: String,
+        trim: true
+    },
+    writtenOffBy: {
+        id: { type: String },
+        name: { type: String }
+    },
+    writtenOffAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Method to get what is still owed on the balance
+recoverableBalanceSchema.methods.getOutstanding = function() {
+    return roundAmount(Math.max(0, this.amount - this.recovered - this.writtenOff));
+};
+
+const RISK_CATEGORIES = ['auction_default', 'suspect_gold', 'fraud', 'other'];
+
+// A warning raised against the customer. Blacklist flags stop new loans being created for
+// them unless an admin overrides the block. Flags lapse at expiresAt, or when lifted.
+const riskFlagSchema = new mongoose.Schema({
+    category: {
+        type: String,
+        enum: RISK_CATEGORIES,
+        required: true
+    },
+    reason: {
+        type: String,
+        required: [true, 'Reason for the flag is required'],
+        trim: true
+    },
+    blacklist: {
+        type: Boolean,
+        default: false
+    },
+    // Loan the flag relates to, e.g. the one that defaulted to auction
+    loanId: String,
+    expiresAt: Date,
+    raisedBy: {
+        id: { type: String },
+        name: { type: String }
+    },
+    raisedAt: {
+        type: Date,
+        default: Date.now
+    },
+    liftedBy: {
+        id: { type: String },
+        name: { type: String }
     },
+    liftedAt: Date,
+    liftReason: {
+        type: String,
+        trim: true
+    }
+});
+
+// Method to check whether the flag is still in force
+riskFlagSchema.methods.isActive = function(asOf = new Date()) {
+    return !this.liftedAt && (!this.expiresAt || this.expiresAt > asOf);
+};
+
+// A duplicate record folded into this customer (see utils/customerMerge). Keeps the
+// duplicate's details as they were, since the record itself is removed.
+const mergeRecordSchema = new mongoose.Schema({
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    name: String,
+    email: String,
+    primaryMobile: String,
+    secondaryMobile: String,
+    presentAddress: String,
+    permanentAddress: String,
+    aadharLast4: String,
+    customerCreatedAt: Date,
+    // Why the two were judged to be the same person, e.g. "Same mobile number"
+    matchReasons: [String],
+    reason: {
+        type: String,
+        trim: true
+    },
+    // Number of records moved over to this customer
+    moved: {
+        loans: { type: Number, default: 0 },
+        otps: { type: Number, default: 0 },
+        photos: { type: Number, default: 0 },
+        kycDocuments: { type: Number, default: 0 },
+        surplusRefunds: { type: Number, default: 0 },
+        recoverableBalances: { type: Number, default: 0 },
+        riskFlags: { type: Number, default: 0 }
+    },
+    mergedBy: {
+        id: { type: String },
+        name: { type: String }
+    },
+    mergedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Set once everything has moved and the duplicate is removed; until then the merge can be run again
+    completedAt: Date
+});
+
+const customerSchema = new mongoose.Schema({
     name: {
         type: String,
         required: true
@@ -43,6 +205,9 @@ const customerSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    recoverableBalances: [recoverableBalanceSchema],
+    riskFlags: [riskFlagSchema],
+    mergeHistory: [mergeRecordSchema],
     createdAt: {
         type: Date,
         default: Date.now
@@ -59,4 +224,133 @@ customerSchema.pre('save', function(next) {
     next();
 });
 
-module.exports = mongoose.model('Customer', customerSchema); 
\ No newline at end of file
+// Method to get the dues the customer still owes on closed loans
+customerSchema.methods.getRecoverableDues = function() {
+    const balances = (this.recoverableBalances || [])
+        .filter(balance => balance.status === 'open')
+        .map(balance => ({
+            _id: balance._id,
+            loan: balance.loan,
+            loanId: balance.loanId,
+            source: balance.source,
+            amount: balance.amount,
+            recovered: balance.recovered,
+            outstanding: balance.getOutstanding(),
+            createdAt: balance.createdAt
+        }));
+
+    return {
+        total: roundAmount(balances.reduce((total, balance) => total + balance.outstanding, 0)),
+        balances
+    };
+};
+
+// Method to get the recoverable balance carried from a loan
+customerSchema.methods.getRecoverableBalance = function(loanId) {
+    return (this.recoverableBalances || []).find(balance => balance.loan.toString() === loanId.toString()) || null;
+};
+
+// Method to carry the shortfall left after a loan's gold was auctioned (once per loan)
+customerSchema.methods.addAuctionShortfall = function(loan) {
+    const shortfall = roundAmount(loan.auctionSale && loan.auctionSale.shortfall);
+    if (shortfall <= 0 || this.getRecoverableBalance(loan._id)) {
+        return null;
+    }
+
+    this.recoverableBalances.push({
+        loan: loan._id,
+        loanId: loan.loanId,
+        source: 'auction_shortfall',
+        amount: shortfall,
+        createdAt: loan.auctionSale.saleDate || new Date()
+    });
+    return this.recoverableBalances[this.recoverableBalances.length - 1];
+};
+
+// Method to record money received against the balance carried from a loan
+customerSchema.methods.recordRecovery = function(loanId, { amount, date = new Date(), method, reference, notes }, recordedBy) {
+    const balance = this.getRecoverableBalance(loanId);
+    if (!balance || balance.status !== 'open') {
+        throw new Error('No recoverable balance is open for this loan');
+    }
+    const received = roundAmount(amount);
+    if (!(received > 0)) {
+        throw new Error('Recovery must be greater than zero');
+    }
+    if (received > balance.getOutstanding()) {
+        throw new Error(`Recovery cannot exceed the ₹${balance.getOutstanding()} still owed`);
+    }
+
+    balance.recoveries.push({ amount: received, date, method, reference, notes, recordedBy });
+    balance.recovered = roundAmount(balance.recovered + received);
+    if (balance.getOutstanding() === 0) {
+        balance.status = 'recovered';
+    }
+    return balance.recoveries[balance.recoveries.length - 1];
+};
+
+// Method to give up on what is left of the balance carried from a loan
+customerSchema.methods.writeOffRecoverable = function(loanId, reason, writtenOffBy) {
+    const balance = this.getRecoverableBalance(loanId);
+    if (!balance || balance.status !== 'open') {
+        throw new Error('No recoverable balance is open for this loan');
+    }
+
+    balance.writtenOff = balance.getOutstanding();
+    balance.status = 'written_off';
+    balance.writeOffReason = reason;
+    balance.writtenOffBy = writtenOffBy;
+    balance.writtenOffAt = new Date();
+    return balance;
+};
+
+// Method to get the risk flags still in force
+customerSchema.methods.getActiveRiskFlags = function(asOf = new Date()) {
+    return (this.riskFlags || []).filter(flag => flag.isActive(asOf));
+};
+
+// Method to get the blacklist flags in force; any one of them blocks new loans
+customerSchema.methods.getBlacklistFlags = function(asOf = new Date()) {
+    return this.getActiveRiskFlags(asOf).filter(flag => flag.blacklist);
+};
+
+// Method to raise a risk flag (the caller saves)
+customerSchema.methods.addRiskFlag = function({ category, reason, blacklist = false, loanId, expiresAt }, raisedBy) {
+    if (!RISK_CATEGORIES.includes(category)) {
+        throw new Error(`Risk category must be one of ${RISK_CATEGORIES.join(', ')}`);
+    }
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+        throw new Error('Expiry must be in the future');
+    }
+
+    this.riskFlags.push({ category, reason, blacklist, loanId, expiresAt, raisedBy });
+    return this.riskFlags[this.riskFlags.length - 1];
+};
+
+// Method to lift a flag before it expires (the caller saves)
+customerSchema.methods.liftRiskFlag = function(flagId, reason, liftedBy) {
+    const flag = this.riskFlags.id(flagId);
+    if (!flag) {
+        throw new Error('Risk flag not found');
+    }
+    if (!flag.isActive()) {
+        throw new Error('Risk flag is no longer in force');
+    }
+
+    flag.liftedBy = liftedBy;
+    flag.liftedAt = new Date();
+    flag.liftReason = reason;
+    return flag;
+};
+
+// aadharNumber is stored encrypted, with a blind index for lookups (see utils/aadhaar)
+customerSchema.plugin(aadhaarPlugin, {
+    required: true,
+    unique: true,
+    message: 'Please provide a valid 12 digit Aadhar number'
+});
+
+const Customer = mongoose.model('Customer', customerSchema);
+Customer.RISK_CATEGORIES = RISK_CATEGORIES;
+
+module.exports = Customer;
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const { QUOTED_PURITIES } = require('../utils/goldValuation');
+
+const rateField = {
+    type: Number,
+    min: [1, 'Gold rate must be greater than zero']
+};
+
+// One entry per rate change; the latest entry effective on a date is the rate on that date
+const goldRateSchema = new mongoose.Schema({
+    effectiveFrom: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    // Per-gram rates for each quoted purity
+    rates: {
+        k24: rateField,
+        k22: { ...rateField, required: [true, 'Please provide the 22K gold rate'] },
+        k18: rateField
+    },
+    source: {
+        type: String,
+        enum: ['manual', 'feed', 'migrated'],
+        default: 'manual'
+    },
+    // Feed quotes that moved too far are held until an admin confirms them; only applied
+    // rates are ever in force
+    status: {
+        type: String,
+        enum: ['applied', 'pending_confirmation', 'rejected'],
+        default: 'applied'
+    },
+    // Where a feed quote came from and how far it moved from the rate then in force
+    feed: {
+        source: { type: String },
+        quotedAt: { type: Date },
+        fetchedAt: { type: Date },
+        previousRates: {
+            k24: { type: Number },
+            k22: { type: Number },
+            k18: { type: Number }
+        },
+        changePercent: { type: Number },
+        maxChangePercent: { type: Number }
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    reviewedBy: {
+        id: { type: String },
+        name: { type: String }
+    },
+    reviewedAt: {
+        type: Date
+    },
+    setBy: {
+        id: { type: String },
+        name: { type: String }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+goldRateSchema.index({ effectiveFrom: -1, createdAt: -1 });
+goldRateSchema.index({ status: 1, createdAt: -1 });
+
+// Entries saved before feed confirmation existed have no status and count as applied
+const IN_FORCE = { status: { $nin: ['pending_confirmation', 'rejected'] } };
+
+// Purities not quoted are filled in pro rata from the 22K rate
+goldRateSchema.pre('validate', function(next) {
+    const base = QUOTED_PURITIES.find(purity => purity.key === 'k22');
+    if (this.rates && this.rates.k22) {
+        QUOTED_PURITIES.forEach(purity => {
+            if (!this.rates[purity.key]) {
+                this.rates[purity.key] = Math.round(this.rates.k22 * purity.fineness / base.fineness * 100) / 100;
+            }
+        });
+    }
+    next();
+});
+
+// Static method to get the rate in force on a date (null if none had been set yet)
+goldRateSchema.statics.getRateAt = function(date = new Date()) {
+    return this.findOne({ ...IN_FORCE, effectiveFrom: { $lte: new Date(date) } })
+        .sort({ effectiveFrom: -1, createdAt: -1 });
+};
+
+// Static method to get the current rate
+goldRateSchema.statics.getCurrent = function() {
+    return this.getRateAt(new Date());
+};
+
+// Static method to get feed quotes waiting for an admin, newest first
+goldRateSchema.statics.getPending = function() {
+    return this.find({ status: 'pending_confirmation' }).sort({ createdAt: -1 });
+};
+
+// Method to put a held feed quote in force from now
+goldRateSchema.methods.confirm = function(reviewedBy, notes) {
+    if (this.status !== 'pending_confirmation') {
+        throw new Error('Only rates awaiting confirmation can be confirmed');
+    }
+    this.status = 'applied';
+    this.effectiveFrom = new Date();
+    this.reviewedBy = reviewedBy;
+    this.reviewedAt = new Date();
+    if (notes) {
+        this.notes = notes;
+    }
+};
+
+// Method to discard a held feed quote
+goldRateSchema.methods.reject = function(reviewedBy, notes) {
+    if (this.status !== 'pending_confirmation') {
+        throw new Error('Only rates awaiting confirmation can be rejected');
+    }
+    this.status = 'rejected';
+    this.reviewedBy = reviewedBy;
+    this.reviewedAt = new Date();
+    if (notes) {
+        this.notes = notes;
+    }
+};
+
+module.exports = mongoose.model('GoldRate', goldRateSchema);
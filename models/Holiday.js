@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const holidaySchema = new mongoose.Schema({
+    // Calendar date as YYYY-MM-DD so it means the same day regardless of timezone
+    date: {
+        type: String,
+        required: [true, 'Please provide the holiday date'],
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Holiday date must be in YYYY-MM-DD format']
+    },
+    name: {
+        type: String,
+        required: [true, 'Please provide the holiday name'],
+        trim: true
+    },
+    // Branch the holiday applies to; empty means every branch
+    branch: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    type: {
+        type: String,
+        enum: ['national', 'regional', 'company'],
+        default: 'national'
+    },
+    source: {
+        type: String,
+        enum: ['manual', 'csv', 'ics'],
+        default: 'manual'
+    },
+    createdBy: {
+        id: { type: String },
+        name: { type: String }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+holidaySchema.index({ date: 1, branch: 1 }, { unique: true });
+
+// Holidays tied to a branch are regional unless stated otherwise
+holidaySchema.pre('validate', function(next) {
+    if (this.branch === '') {
+        this.branch = null;
+    }
+    if (this.branch && this.isNew && !this.isModified('type')) {
+        this.type = 'regional';
+    }
+    next();
+});
+
+module.exports = mongoose.model('Holiday', holidaySchema);
@@ -74,6 +74,11 @@ const itemPhotoSchema = new mongoose.Schema({
     description: {
         type: String,
         trim: true
+    },
+    // Original photo when this one was carried over to a renewed loan
+    copiedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ItemPhoto'
     }
 });
 
@@ -140,6 +145,20 @@ itemPhotoSchema.statics.getPhotosForGoldItem = async function(loanId, goldItemIn
     return photos.map(photo => photo.toObject());
 };
 
+// Static method to copy all photos of a loan to another loan (used on renewal)
+itemPhotoSchema.statics.copyToLoan = async function(fromLoanId, toLoanId) {
+    const photos = await this.find({ loanId: fromLoanId }).lean();
+    if (photos.length === 0) {
+        return [];
+    }
+
+    return this.insertMany(photos.map(({ _id, __v, ...photo }) => ({
+        ...photo,
+        loanId: toLoanId,
+        copiedFrom: _id
+    })));
+};
+
 // Static method to delete all photos for a loan
 itemPhotoSchema.statics.deleteByLoanId = function(loanId) {
     return this.deleteMany({ loanId });
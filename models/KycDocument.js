@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+const { isValidAadhaar, isMaskedAadhaar, maskAadhaar, encryptAadhaar } = require('../utils/aadhaar');
+
+// ID proofs collected at the counter. `pattern` checks the document number (after
+// upper-casing and removing spaces), `hasBack` marks cards printed on both sides and
+// `expires` marks documents that carry an expiry date.
+const DOCUMENT_TYPES = {
+    aadhaar: { label: 'Aadhaar', pattern: /^\d{12}$/, hasBack: true, expires: false },
+    pan: { label: 'PAN card', pattern: /^[A-Z]{5}\d{4}[A-Z]$/, hasBack: false, expires: false },
+    voter_id: { label: 'Voter ID', pattern: /^[A-Z]{3}\d{7}$/, hasBack: true, expires: false },
+    passport: { label: 'Passport', pattern: /^[A-Z]\d{7}$/, hasBack: true, expires: true },
+    driving_licence: { label: 'Driving licence', pattern: /^[A-Z]{2}[0-9A-Z-]{11,16}$/, hasBack: true, expires: true },
+    ration_card: { label: 'Ration card', pattern: /^[0-9A-Z/-]{6,20}$/, hasBack: false, expires: false }
+};
+
+const VERIFICATION_STATUSES = ['pending', 'verified', 'rejected'];
+
+// Processed image of one side of a document (see utils/imageProcessing)
+const imageSchema = new mongoose.Schema({
+    originalName: String,
+    mimeType: {
+        type: String,
+        default: 'image/jpeg'
+    },
+    size: Number,
+    width: Number,
+    height: Number,
+    imageData: Buffer,
+    thumbnailData: Buffer
+}, { _id: false });
+
+const kycDocumentSchema = new mongoose.Schema({
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true,
+        index: true
+    },
+    documentType: {
+        type: String,
+        enum: Object.keys(DOCUMENT_TYPES),
+        required: true
+    },
+    documentNumber: {
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true,
+        validate: {
+            validator: function(value) {
+                const type = DOCUMENT_TYPES[this.documentType];
+                // Aadhaar numbers are kept masked once encrypted (see pre-validate)
+                if (this.documentType === 'aadhaar' && this.documentNumberEncrypted && isMaskedAadhaar(value)) {
+                    return true;
+                }
+                return !type || type.pattern.test(String(value).replace(/\s/g, ''));
+            },
+            message: props => `${props.value} is not a valid document number for this document type`
+        }
+    },
+    // Full Aadhaar number, encrypted (see utils/aadhaar); documentNumber holds the masked form
+    documentNumberEncrypted: {
+        type: String,
+        select: false
+    },
+    issueDate: Date,
+    expiryDate: {
+        type: Date,
+        validate: {
+            validator: function(value) {
+                return !value || !this.issueDate || value > this.issueDate;
+            },
+            message: 'Expiry date must be after the issue date'
+        }
+    },
+    front: {
+        type: imageSchema,
+        required: true
+    },
+    back: imageSchema,
+    verificationStatus: {
+        type: String,
+        enum: VERIFICATION_STATUSES,
+        default: 'pending'
+    },
+    verifiedBy: {
+        id: { type: String },
+        name: { type: String }
+    },
+    verifiedAt: Date,
+    rejectionReason: {
+        type: String,
+        trim: true
+    },
+    // A newer upload of the same document type replaces this one
+    supersededBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'KycDocument'
+    },
+    uploadedBy: {
+        id: { type: String },
+        name: { type: String }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+kycDocumentSchema.index({ customer: 1, documentType: 1, createdAt: -1 });
+
+kycDocumentSchema.pre('validate', function(next) {
+    if (this.documentNumber) {
+        this.documentNumber = String(this.documentNumber).replace(/\s/g, '').toUpperCase();
+    }
+    if (this.documentType === 'aadhaar' && isValidAadhaar(this.documentNumber)) {
+        this.documentNumberEncrypted = encryptAadhaar(this.documentNumber);
+        this.documentNumber = maskAadhaar(this.documentNumber);
+    }
+    const type = DOCUMENT_TYPES[this.documentType];
+    if (type && type.expires && !this.expiryDate) {
+        this.invalidate('expiryDate', `Expiry date is required for a ${type.label.toLowerCase()}`);
+    }
+    next();
+});
+
+// Method to check whether the document has expired
+kycDocumentSchema.methods.isExpired = function(asOf = new Date()) {
+    return Boolean(this.expiryDate) && this.expiryDate < asOf;
+};
+
+// Method to get the document without its images
+kycDocumentSchema.methods.getMetadata = function() {
+    const imageInfo = side => (this[side] ? {
+        originalName: this[side].originalName,
+        size: this[side].size,
+        width: this[side].width,
+        height: this[side].height,
+        imageUrl: `/customers/${this.customer}/kyc/${this._id}/${side}`,
+        thumbnailUrl: `/customers/${this.customer}/kyc/${this._id}/${side}?thumbnail=true`
+    } : null);
+
+    return {
+        _id: this._id,
+        customer: this.customer,
+        documentType: this.documentType,
+        documentLabel: DOCUMENT_TYPES[this.documentType].label,
+        documentNumber: this.documentNumber,
+        issueDate: this.issueDate,
+        expiryDate: this.expiryDate,
+        expired: this.isExpired(),
+        verificationStatus: this.verificationStatus,
+        verifiedBy: this.verifiedBy,
+        verifiedAt: this.verifiedAt,
+        rejectionReason: this.rejectionReason,
+        superseded: Boolean(this.supersededBy),
+        uploadedBy: this.uploadedBy,
+        createdAt: this.createdAt,
+        front: imageInfo('front'),
+        back: imageInfo('back')
+    };
+};
+
+// Method to record the outcome of checking the document against the original
+kycDocumentSchema.methods.verify = function(status, reason, verifiedBy) {
+    if (!['verified', 'rejected'].includes(status)) {
+        throw new Error('Verification status must be verified or rejected');
+    }
+    if (this.supersededBy) {
+        throw new Error('Document has been replaced by a newer upload');
+    }
+
+    this.verificationStatus = status;
+    this.rejectionReason = status === 'rejected' ? reason : undefined;
+    this.verifiedBy = verifiedBy;
+    this.verifiedAt = new Date();
+    return this;
+};
+
+// Static method to get a customer's current documents (latest upload of each type), without images
+kycDocumentSchema.statics.getCurrentForCustomer = function(customerId) {
+    return this.find({ customer: customerId, supersededBy: { $exists: false } })
+        .select('-front.imageData -front.thumbnailData -back.imageData -back.thumbnailData')
+        .sort({ createdAt: -1 });
+};
+
+// Static method to save a new upload, superseding the customer's earlier document of the same type
+kycDocumentSchema.statics.addForCustomer = async function(customerId, fields) {
+    const document = new this({ ...fields, customer: customerId });
+    await document.save();
+
+    await this.updateMany(
+        {
+            customer: customerId,
+            documentType: document.documentType,
+            _id: { $ne: document._id },
+            supersededBy: { $exists: false }
+        },
+        { $set: { supersededBy: document._id } }
+    );
+    return document;
+};
+
+// Static method to leave only the latest document of each type current, e.g. after
+// another customer's documents were moved onto this one
+kycDocumentSchema.statics.supersedeOlderDocuments = async function(customerId) {
+    const documents = await this.getCurrentForCustomer(customerId);
+    const latest = {};
+    documents.forEach(document => {
+        // Sorted newest first
+        latest[document.documentType] = latest[document.documentType] || document;
+    });
+
+    await Promise.all(Object.values(latest).map(document => this.updateMany(
+        {
+            customer: customerId,
+            documentType: document.documentType,
+            _id: { $ne: document._id },
+            supersededBy: { $exists: false }
+        },
+        { $set: { supersededBy: document._id } }
+    )));
+};
+
+/**
+ * Static method to check a customer's documents against the KYC policy
+ * @param {ObjectId} customerId
+ * @param {{ mandatoryDocuments: string[], requireVerified: boolean }} policy
+ * @param {Date} [asOf]
+ * @returns {{ compliant, missing, expired, unverified, rejected, documents }}
+ */
+kycDocumentSchema.statics.checkCompliance = async function(customerId, policy, asOf = new Date()) {
+    const documents = await this.getCurrentForCustomer(customerId);
+    const byType = {};
+    documents.forEach(document => {
+        byType[document.documentType] = document;
+    });
+
+    const missing = [];
+    const expired = [];
+    const unverified = [];
+    const rejected = [];
+    policy.mandatoryDocuments.forEach(type => {
+        const document = byType[type];
+        if (!document) {
+            missing.push(type);
+        } else if (document.verificationStatus === 'rejected') {
+            rejected.push(type);
+        } else if (document.isExpired(asOf)) {
+            expired.push(type);
+        } else if (policy.requireVerified && document.verificationStatus !== 'verified') {
+            unverified.push(type);
+        }
+    });
+
+    const problems = [
+        ...missing.map(type => `${DOCUMENT_TYPES[type].label} has not been collected`),
+        ...rejected.map(type => `${DOCUMENT_TYPES[type].label} was rejected and must be collected again`),
+        ...expired.map(type => `${DOCUMENT_TYPES[type].label} has expired`),
+        ...unverified.map(type => `${DOCUMENT_TYPES[type].label} is awaiting verification`)
+    ];
+
+    return {
+        compliant: problems.length === 0,
+        problems,
+        missing,
+        rejected,
+        expired,
+        unverified,
+        documents: documents.map(document => document.getMetadata())
+    };
+};
+
+const KycDocument = mongoose.model('KycDocument', kycDocumentSchema);
+KycDocument.DOCUMENT_TYPES = DOCUMENT_TYPES;
+KycDocument.VERIFICATION_STATUSES = VERIFICATION_STATUSES;
+
+module.exports = KycDocument;
@@ -0,0 +1,405 @@
+const mongoose = require('mongoose');
+
+// Chart of accounts used by the loan ledger.
+// Asset accounts (cash, loan_principal and the *_receivable accounts) carry debit
+// balances, income/liability accounts carry credit balances.
+const ACCOUNTS = [
+    'cash',
+    'loan_principal',
+    'interest_receivable',
+    'interest_income',
+    'penal_receivable',
+    'penal_income',
+    'charges_receivable',
+    'fee_income',
+    'rebate_expense',
+    'waiver_expense',
+    'write_off_expense',
+    'customer_advance'
+];
+
+const ENTRY_TYPES = ['disbursement', 'interest_accrual', 'penal_accrual', 'charge', 'payment', 'rebate', 'waiver', 'write_off', 'refund', 'reversal'];
+
+const roundAmount = value => Math.round((Number(value) || 0) * 100) / 100;
+
+const legSchema = new mongoose.Schema({
+    account: {
+        type: String,
+        enum: ACCOUNTS,
+        required: true
+    },
+    debit: {
+        type: Number,
+        default: 0,
+        min: [0, 'Debit cannot be negative']
+    },
+    credit: {
+        type: Number,
+        default: 0,
+        min: [0, 'Credit cannot be negative']
+    }
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+    loan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Loan',
+        required: true,
+        index: true
+    },
+    // Human readable loan number (Loan.loanId) kept for reporting
+    loanNumber: {
+        type: String
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer'
+    },
+    entryType: {
+        type: String,
+        enum: ENTRY_TYPES,
+        required: true
+    },
+    // Date the entry takes economic effect (used for as-of balances)
+    effectiveDate: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    legs: {
+        type: [legSchema],
+        validate: {
+            validator: function(legs) {
+                if (!legs || legs.length < 2) return false;
+                const debits = legs.reduce((sum, leg) => sum + (leg.debit || 0), 0);
+                const credits = legs.reduce((sum, leg) => sum + (leg.credit || 0), 0);
+                return Math.abs(debits - credits) < 0.01;
+            },
+            message: 'Ledger entry must have at least two legs and debits must equal credits'
+        }
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    // Reference to the payment sub-document on the loan, when applicable
+    paymentId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // For top-up disbursements: the tranche on the loan
+    trancheId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // For penal interest waivers: the waiver on the loan
+    waiverId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // For surplus refund payouts: the SurplusRefund being paid
+    refundId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SurplusRefund'
+    },
+    // For reversal entries: the entry being cancelled out
+    reverses: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LedgerEntry'
+    },
+    narration: {
+        type: String,
+        trim: true
+    },
+    postedBy: {
+        id: { type: String },
+        name: { type: String }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+ledgerEntrySchema.index({ loan: 1, effectiveDate: 1, createdAt: 1 });
+ledgerEntrySchema.index({ entryType: 1, effectiveDate: -1 });
+
+// Entries are append-only: corrections must be posted as new entries
+ledgerEntrySchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('Ledger entries are immutable; post a correcting entry instead'));
+    }
+    next();
+});
+
+const blockMutation = function(next) {
+    next(new Error('Ledger entries are immutable; post a correcting entry instead'));
+};
+
+ledgerEntrySchema.pre(['updateOne', 'deleteOne'], { document: true, query: true }, blockMutation);
+ledgerEntrySchema.pre([
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'deleteMany',
+    'findOneAndDelete',
+    'findOneAndReplace',
+    'findOneAndRemove'
+], blockMutation);
+
+// Static method to post a balanced entry for a loan
+ledgerEntrySchema.statics.postEntry = function(loan, entryType, legs, options = {}) {
+    const roundedLegs = legs
+        .map(leg => ({
+            account: leg.account,
+            debit: roundAmount(leg.debit),
+            credit: roundAmount(leg.credit)
+        }))
+        .filter(leg => leg.debit > 0 || leg.credit > 0);
+
+    return this.create({
+        loan: loan._id,
+        loanNumber: loan.loanId,
+        customerId: loan.customerId && loan.customerId._id ? loan.customerId._id : loan.customerId,
+        entryType,
+        effectiveDate: options.effectiveDate || new Date(),
+        legs: roundedLegs,
+        amount: roundAmount(roundedLegs.reduce((sum, leg) => sum + leg.debit, 0)),
+        paymentId: options.paymentId,
+        trancheId: options.trancheId,
+        waiverId: options.waiverId,
+        refundId: options.refundId,
+        reverses: options.reverses,
+        narration: options.narration,
+        postedBy: options.postedBy || { id: 'system', name: 'System' }
+    });
+};
+
+// Static method to record principal paid out to the customer
+ledgerEntrySchema.statics.recordDisbursement = function(loan, amount, options = {}) {
+    return this.postEntry(loan, 'disbursement', [
+        { account: 'loan_principal', debit: amount },
+        { account: 'cash', credit: amount }
+    ], {
+        narration: 'Loan disbursement',
+        effectiveDate: loan.createdAt,
+        ...options
+    });
+};
+
+// Static method to recognise interest earned up to a date
+ledgerEntrySchema.statics.recordInterestAccrual = function(loan, amount, options = {}) {
+    return this.postEntry(loan, 'interest_accrual', [
+        { account: 'interest_receivable', debit: amount },
+        { account: 'interest_income', credit: amount }
+    ], {
+        narration: 'Interest accrued',
+        ...options
+    });
+};
+
+// Static method to recognise penal interest charged on overdue installments
+ledgerEntrySchema.statics.recordPenalAccrual = function(loan, amount, options = {}) {
+    return this.postEntry(loan, 'penal_accrual', [
+        { account: 'penal_receivable', debit: amount },
+        { account: 'penal_income', credit: amount }
+    ], {
+        narration: 'Penal interest charged',
+        ...options
+    });
+};
+
+// Static method to recognise a fee charged to the customer
+ledgerEntrySchema.statics.recordCharge = function(loan, amount, options = {}) {
+    return this.postEntry(loan, 'charge', [
+        { account: 'charges_receivable', debit: amount },
+        { account: 'fee_income', credit: amount }
+    ], {
+        narration: 'Charge added',
+        ...options
+    });
+};
+
+// Static method to reduce interest already recognised (early repayment rebate etc.)
+ledgerEntrySchema.statics.recordRebate = function(loan, amount, options = {}) {
+    return this.postEntry(loan, 'rebate', [
+        { account: 'rebate_expense', debit: amount },
+        { account: 'interest_receivable', credit: amount }
+    ], {
+        narration: 'Interest rebate',
+        ...options
+    });
+};
+
+// Static method to record money received against a loan.
+// split: { charges, penal, interest, principal, advance }
+ledgerEntrySchema.statics.recordPayment = function(loan, amount, split, options = {}) {
+    return this.postEntry(loan, 'payment', [
+        { account: 'cash', debit: amount },
+        { account: 'charges_receivable', credit: split.charges },
+        { account: 'penal_receivable', credit: split.penal },
+        { account: 'interest_receivable', credit: split.interest },
+        { account: 'loan_principal', credit: split.principal },
+        { account: 'customer_advance', credit: split.advance }
+    ], {
+        narration: 'Payment received',
+        ...options
+    });
+};
+
+// Static method to forgive part of the outstanding dues.
+// amounts: { charges, penal, interest, principal }
+ledgerEntrySchema.statics.recordWaiver = function(loan, amounts, options = {}) {
+    const total = (amounts.charges || 0) + (amounts.penal || 0) + (amounts.interest || 0) + (amounts.principal || 0);
+    return this.postEntry(loan, 'waiver', [
+        { account: 'waiver_expense', debit: total },
+        { account: 'charges_receivable', credit: amounts.charges },
+        { account: 'penal_receivable', credit: amounts.penal },
+        { account: 'interest_receivable', credit: amounts.interest },
+        { account: 'loan_principal', credit: amounts.principal }
+    ], {
+        narration: 'Balance waived',
+        ...options
+    });
+};
+
+// Static method to write off unrecoverable dues.
+// amounts: { charges, penal, interest, principal }
+ledgerEntrySchema.statics.recordWriteOff = function(loan, amounts, options = {}) {
+    const total = (amounts.charges || 0) + (amounts.penal || 0) + (amounts.interest || 0) + (amounts.principal || 0);
+    return this.postEntry(loan, 'write_off', [
+        { account: 'write_off_expense', debit: total },
+        { account: 'charges_receivable', credit: amounts.charges },
+        { account: 'penal_receivable', credit: amounts.penal },
+        { account: 'interest_receivable', credit: amounts.interest },
+        { account: 'loan_principal', credit: amounts.principal }
+    ], {
+        narration: 'Balance written off',
+        ...options
+    });
+};
+
+// Static method to record money paid back to the customer out of their advance
+// (e.g. the surplus from an auction)
+ledgerEntrySchema.statics.recordRefund = function(loan, amount, options = {}) {
+    return this.postEntry(loan, 'refund', [
+        { account: 'customer_advance', debit: amount },
+        { account: 'cash', credit: amount }
+    ], {
+        narration: 'Refund paid',
+        ...options
+    });
+};
+
+// Static method to cancel out an earlier entry by posting its legs in the opposite direction
+ledgerEntrySchema.statics.recordReversal = async function(loan, entry, options = {}) {
+    const alreadyReversed = await this.exists({ reverses: entry._id });
+    if (alreadyReversed) {
+        throw new Error('Ledger entry has already been reversed');
+    }
+
+    return this.postEntry(loan, 'reversal', entry.legs.map(leg => ({
+        account: leg.account,
+        debit: leg.credit,
+        credit: leg.debit
+    })), {
+        narration: `Reversal of ${entry.entryType}`,
+        ...options,
+        reverses: entry._id
+    });
+};
+
+// Static method to derive loan balances from the ledger, optionally as of a date.
+// `since` limits the balances to entries from the start of the current loan cycle.
+ledgerEntrySchema.statics.getBalances = async function(loanId, asOf = null, since = null) {
+    const query = { loan: loanId };
+    if (asOf || since) {
+        query.effectiveDate = {};
+        if (asOf) query.effectiveDate.$lte = asOf;
+        if (since) query.effectiveDate.$gte = since;
+    }
+
+    const entries = await this.find(query).lean();
+
+    const accounts = {};
+    ACCOUNTS.forEach(account => {
+        accounts[account] = { debit: 0, credit: 0, balance: 0 };
+    });
+
+    let disbursed = 0;
+    let received = 0;
+    let refunded = 0;
+
+    entries.forEach(entry => {
+        entry.legs.forEach(leg => {
+            accounts[leg.account].debit += leg.debit || 0;
+            accounts[leg.account].credit += leg.credit || 0;
+
+            if (leg.account === 'cash') {
+                if (entry.entryType === 'disbursement') {
+                    disbursed += (leg.credit || 0) - (leg.debit || 0);
+                } else if (entry.entryType === 'refund') {
+                    refunded += (leg.credit || 0) - (leg.debit || 0);
+                } else {
+                    received += (leg.debit || 0) - (leg.credit || 0);
+                }
+            }
+        });
+    });
+
+    Object.keys(accounts).forEach(account => {
+        accounts[account].debit = roundAmount(accounts[account].debit);
+        accounts[account].credit = roundAmount(accounts[account].credit);
+        accounts[account].balance = roundAmount(accounts[account].debit - accounts[account].credit);
+    });
+
+    const principalOutstanding = accounts.loan_principal.balance;
+    const interestOutstanding = accounts.interest_receivable.balance;
+    const penalOutstanding = accounts.penal_receivable.balance;
+    const chargesOutstanding = accounts.charges_receivable.balance;
+    const customerAdvance = -accounts.customer_advance.balance;
+
+    return {
+        asOf: asOf || new Date(),
+        entryCount: entries.length,
+        principalDisbursed: roundAmount(disbursed),
+        totalReceived: roundAmount(received),
+        totalRefunded: roundAmount(refunded),
+        // Interest recognised net of rebates (waivers do not reduce interest charged)
+        interestCharged: roundAmount(-accounts.interest_income.balance - accounts.rebate_expense.balance),
+        penalCharged: roundAmount(-accounts.penal_income.balance),
+        chargesCharged: roundAmount(-accounts.fee_income.balance),
+        principalOutstanding,
+        interestOutstanding,
+        penalOutstanding,
+        chargesOutstanding,
+        customerAdvance: roundAmount(customerAdvance),
+        totalOutstanding: roundAmount(principalOutstanding + interestOutstanding + penalOutstanding + chargesOutstanding - customerAdvance),
+        waived: accounts.waiver_expense.balance,
+        writtenOff: accounts.write_off_expense.balance,
+        accounts
+    };
+};
+
+// Static method to get a loan statement with running outstanding balance
+ledgerEntrySchema.statics.getStatement = async function(loanId, { from = null, to = null } = {}) {
+    const entries = await this.find({ loan: loanId })
+        .sort({ effectiveDate: 1, createdAt: 1 })
+        .lean();
+
+    const receivableAccounts = ['loan_principal', 'interest_receivable', 'penal_receivable', 'charges_receivable', 'customer_advance'];
+    let runningBalance = 0;
+
+    return entries
+        .map(entry => {
+            const change = entry.legs
+                .filter(leg => receivableAccounts.includes(leg.account))
+                .reduce((sum, leg) => sum + (leg.debit || 0) - (leg.credit || 0), 0);
+            runningBalance = roundAmount(runningBalance + change);
+            return { ...entry, outstandingAfter: runningBalance };
+        })
+        .filter(entry => {
+            if (from && entry.effectiveDate < from) return false;
+            if (to && entry.effectiveDate > to) return false;
+            return true;
+        });
+};
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
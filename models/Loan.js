@@ -1,24 +1,166 @@
 const mongoose = require('mongoose');
 const Notification = require('./Notification');
-const { calculateMuthootGoldLoanInterest } = require('./Notification');
-const { calculateMuthootGoldLoanInterest: calcMuthoot, calculateClientInterestMethod } = require('../utils/interestCalculator');
+const LedgerEntry = require('./LedgerEntry');
+const Scheme = require('./Scheme');
+const Settings = require('./Settings');
+const AuctionNotice = require('./AuctionNotice');
+const Customer = require('./Customer');
+const SurplusRefund = require('./SurplusRefund');
+const { calculateInterest, calculatePenalAccrual, optionsFromTerms } = require('../utils/interestEngine');
+const holidayCalendar = require('../utils/holidayCalendar');
+const { aadhaarPlugin, aadhaarFieldsOf } = require('../utils/aadhaar');
+const { GOLD_CATEGORIES, HUID_PATTERN, finenessOf, karatOf, netWeightOf, appraiseItem, loanEligibility, ltvPercentOf } = require('../utils/goldValuation');
+
+// Narration used for the waiver posted when a loan auto-closes with a small residual
+const CLOSURE_WAIVER_NARRATION = 'Residual balance waived on closure';
+// Most that can be left unpaid (once the principal is repaid) for a loan to close
+const SETTLEMENT_TOLERANCE = 50;
+
+// Raised when a change breaks a rule of the loan's lifecycle (reversing a reversal,
+// prepaying a closed loan, ...) so routes can answer 400 rather than 500
+class LoanRuleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LoanRuleError';
+    }
+}
+
+const roundAmount = value => Math.round((Number(value) || 0) * 100) / 100;
+
+const CHARGE_TYPES = ['processing_fee', 'valuation_fee', 'notice_charge', 'auction_charge', 'legal_charge', 'other'];
+
+// Penal interest charged on an installment (or brought forward) that is still unpaid
+const penalOutstandingOf = holder => roundAmount(Math.max(0,
+    (holder.penalAccrued || 0) - (holder.penalWaived || 0) - (holder.penalPaid || 0)
+));
 
 const goldItemSchema = new mongoose.Schema({
     description: String,
+    category: {
+        type: String,
+        enum: GOLD_CATEGORIES,
+        default: 'other'
+    },
     grossWeight: Number,
+    // Deductions from the gross weight (grams)
+    stoneWeight: {
+        type: Number,
+        default: 0,
+        min: [0, 'Stone weight cannot be negative']
+    },
+    wastageWeight: {
+        type: Number,
+        default: 0,
+        min: [0, 'Wastage cannot be negative']
+    },
     netWeight: Number,
+    // Purity: karat and fineness (parts per 1000); either one fills in the other
+    karat: {
+        type: Number,
+        min: [1, 'Karat must be between 1 and 24'],
+        max: [24, 'Karat must be between 1 and 24']
+    },
+    fineness: {
+        type: Number,
+        min: [1, 'Fineness must be between 1 and 999'],
+        max: [999, 'Fineness must be between 1 and 999']
+    },
+    // BIS Hallmark Unique ID
+    hallmarkNumber: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [HUID_PATTERN, 'Hallmark (HUID) number must be 6 letters or digits']
+    },
+    // Valuation when the item was pledged
+    appraisedRate: Number,
+    appraisedValue: Number,
+    appraisedAt: Date,
     // Reference to photos for this gold item
     photos: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'ItemPhoto'
-    }]
+    }],
+    // Set when the item is handed back to the customer before the loan closes
+    released: {
+        type: Boolean,
+        default: false
+    },
+    releasedAt: Date
 });
 
+// Fill in net weight from the deductions, and whichever of karat/fineness is missing
+goldItemSchema.pre('validate', function(next) {
+    if (this.netWeight === undefined || this.netWeight === null) {
+        this.netWeight = netWeightOf(this);
+    }
+    if (this.karat || this.fineness) {
+        this.fineness = finenessOf(this);
+        if (!this.karat) {
+            this.karat = karatOf(this.fineness);
+        }
+    }
+    next();
+});
+
+// Method to stamp the item with its value at the given gold rate
+goldItemSchema.methods.appraise = function(goldRate, appraisedAt = new Date()) {
+    const appraisal = appraiseItem(this, goldRate);
+    this.appraisedRate = appraisal.ratePerGram;
+    this.appraisedValue = appraisal.value;
+    this.appraisedAt = appraisedAt;
+    return appraisal;
+};
+
 const emergencyContactSchema = new mongoose.Schema({
     mobile: String,
     relation: String
 });
 
+// How a payment was split across the loan's dues. Money left after everything due
+// has been settled is held as an advance.
+const allocationSchema = new mongoose.Schema({
+    charges: { type: Number, default: 0 },
+    penal: { type: Number, default: 0 },
+    interest: { type: Number, default: 0 },
+    principal: { type: Number, default: 0 },
+    advance: { type: Number, default: 0 }
+}, { _id: false });
+
+// Fees added to a loan on top of interest (processing, valuation, notices, ...)
+const chargeSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: CHARGE_TYPES,
+        default: 'other'
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Charge amount must be greater than zero']
+    },
+    paid: {
+        type: Number,
+        default: 0
+    },
+    waived: {
+        type: Number,
+        default: 0
+    },
+    chargedAt: {
+        type: Date,
+        default: Date.now
+    },
+    addedBy: {
+        id: { type: String },
+        name: { type: String }
+    }
+});
+
 const paymentSchema = new mongoose.Schema({
     amount: {
         type: Number,
@@ -30,7 +172,8 @@ const paymentSchema = new mongoose.Schema({
     },
     method: {
         type: String,
-        enum: ['handcash', 'online'],
+        // auction: sale proceeds of the pledged gold
+        enum: ['handcash', 'online', 'auction'],
         required: true
     },
     transactionId: String,
@@ -53,9 +196,74 @@ const paymentSchema = new mongoose.Schema({
         type: String,
         enum: ['pending', 'success'],
         default: 'pending'
+    },
+    // Split of the payment; missing on payments recorded before allocation was tracked
+    allocation: {
+        type: allocationSchema
+    },
+    // 'reversal' records are compensating entries with a negative amount
+    type: {
+        type: String,
+        enum: ['payment', 'reversal'],
+        default: 'payment'
+    },
+    reversed: {
+        type: Boolean,
+        default: false
+    },
+    reversedAt: Date,
+    reversalOf: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    reversalReason: {
+        type: String,
+        trim: true
+    },
+    // Part-prepayment of principal; one paid online only reduces the principal once approved
+    principalPrepayment: {
+        type: Boolean,
+        default: false
+    },
+    approvedBy: {
+        id: { type: String },
+        name: { type: String }
     }
 });
 
+// An online principal prepayment waiting for approval has not touched the loan yet
+paymentSchema.methods.isAwaitingPrepaymentApproval = function() {
+    return this.principalPrepayment && this.status !== 'success';
+};
+
+// Copy of the scheme version's terms taken when the loan is created
+const schemeTermsSchema = new mongoose.Schema({
+    code: String,
+    version: Number,
+    name: String,
+    baseRate: Number,
+    stepUpLadder: [Number],
+    stepIntervalDays: Number,
+    minimumDays: Number,
+    minimumInterest: Number,
+    rebateRules: [{
+        _id: false,
+        maxDays: Number,
+        percentOfInterest: Number
+    }],
+    allowedTerms: [Number],
+    interestMode: String,
+    dayCount: String,
+    monthRounding: Boolean,
+    stepUpApplication: String,
+    penalInterest: {
+        method: String,
+        rate: Number,
+        flatFee: Number,
+        graceDays: Number,
+        cap: Number
+    }
+}, { _id: false });
+
 const loanSchema = new mongoose.Schema({
     customerId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -63,17 +271,6 @@ const loanSchema = new mongoose.Schema({
         required: true,
         index: true
     },
-    aadharNumber: {
-        type: String,
-        required: [true, 'Please provide Aadhar number'],
-        validate: {
-            validator: function(v) {
-                return /^\d{12}$/.test(v);
-            },
-            message: props => `${props.value} is not a valid Aadhar number! It should be 12 digits.`
-        },
-        index: true
-    },
     name: {
         type: String,
         required: true
@@ -96,6 +293,11 @@ const loanSchema = new mongoose.Schema({
         required: true
     },
     emergencyContact: emergencyContactSchema,
+    // Branch that disbursed the loan; its regional holidays apply to due dates
+    branch: {
+        type: String,
+        trim: true
+    },
     goldItems: [goldItemSchema],
     // Reference to photos showing all gold items together
     allItemsTogetherPhotos: [{
@@ -164,6 +366,216 @@ const loanSchema = new mongoose.Schema({
         amountPaid: {
             type: Number,
             default: 0
+        },
+        // Penal interest charged on this installment while overdue
+        penalAccrued: {
+            type: Number,
+            default: 0
+        },
+        // Date penal interest has been charged up to
+        penalAccruedUntil: Date,
+        penalPaid: {
+            type: Number,
+            default: 0
+        },
+        penalWaived: {
+            type: Number,
+            default: 0
+        }
+    }],
+    charges: [chargeSchema],
+    // Penal interest from installments replaced when the schedule was rebuilt
+    penalBroughtForward: {
+        penalAccrued: { type: Number, default: 0 },
+        penalPaid: { type: Number, default: 0 },
+        penalWaived: { type: Number, default: 0 }
+    },
+    // Extra principal disbursed against the same gold; each tranche earns interest from its own date
+    topUps: [{
+        date: {
+            type: Date,
+            default: Date.now
+        },
+        amount: Number,
+        principalBefore: Number,
+        principalAfter: Number,
+        // Valuation the headroom was worked out on
+        goldRate: Number,
+        ltvPercent: Number,
+        securityValue: Number,
+        outstandingBefore: Number,
+        headroom: Number,
+        disbursedBy: {
+            id: { type: String },
+            name: { type: String }
+        },
+        notes: {
+            type: String,
+            trim: true
+        }
+    }],
+    // Part-payments of principal; interest runs on the reduced principal from each date
+    principalPrepayments: [{
+        date: {
+            type: Date,
+            default: Date.now
+        },
+        amount: Number,
+        principalBefore: Number,
+        principalAfter: Number,
+        // The payment record the money came in on
+        paymentId: {
+            type: mongoose.Schema.Types.ObjectId
+        },
+        recordedBy: {
+            id: { type: String },
+            name: { type: String }
+        }
+    }],
+    // Gold items handed back to the customer while the loan is still running
+    goldReleases: [{
+        items: [{
+            itemId: mongoose.Schema.Types.ObjectId,
+            description: String,
+            netWeight: Number,
+            value: Number
+        }],
+        releasedValue: Number,
+        // Valuation the minimum payment was worked out on
+        goldRate: Number,
+        ltvPercent: Number,
+        outstandingBefore: Number,
+        requiredPayment: Number,
+        amountPaid: Number,
+        // The payment record collected for the release, if any
+        paymentId: {
+            type: mongoose.Schema.Types.ObjectId
+        },
+        releasedBy: {
+            id: { type: String },
+            name: { type: String }
+        },
+        releasedAt: {
+            type: Date,
+            default: Date.now
+        },
+        notes: {
+            type: String,
+            trim: true
+        }
+    }],
+    // Value of the gold still pledged, as of the last appraisal, release or top-up
+    securityValue: Number,
+    // Gold rates in force at disbursement, from the rate history
+    valuationSnapshot: {
+        goldRate: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'GoldRate'
+        },
+        rates: {
+            k24: Number,
+            k22: Number,
+            k18: Number
+        },
+        appraisedValue: Number,
+        valuedAt: Date
+    },
+    // Latest daily re-valuation of the gold against the dues
+    marginCall: {
+        status: {
+            type: String,
+            enum: ['ok', 'breached'],
+            default: 'ok'
+        },
+        ltvPercent: Number,
+        maxLtvPercent: Number,
+        securityValue: Number,
+        outstanding: Number,
+        // Payment needed to bring the loan back within its LTV limit
+        shortfall: {
+            type: Number,
+            default: 0
+        },
+        goldRate: Number,
+        checkedAt: Date,
+        // When the current breach started
+        breachedAt: Date,
+        notifiedAt: Date
+    },
+    // Loan-to-value when the loan was created
+    ltv: {
+        percent: Number,
+        // Most allowed for the pledged gold's purities under the scheme
+        maxPercent: Number,
+        appraisedValue: Number,
+        eligibleAmount: Number,
+        goldRate: Number,
+        overridden: {
+            type: Boolean,
+            default: false
+        },
+        overrideReason: {
+            type: String,
+            trim: true
+        },
+        overriddenBy: {
+            id: { type: String },
+            name: { type: String }
+        },
+        overriddenAt: Date
+    },
+    // Dues the customer still owed on earlier loans (auction shortfalls) when this loan was taken
+    priorRecoverableDues: {
+        total: {
+            type: Number,
+            default: 0
+        },
+        loans: [{
+            _id: false,
+            loan: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Loan'
+            },
+            loanId: String,
+            outstanding: Number
+        }]
+    },
+    // Set while a saved change to the loan is still to be posted to the ledger. Stays set
+    // when posting fails, until a later sync (or a ledger rebuild) catches up.
+    ledgerSyncPending: {
+        type: Boolean,
+        default: false
+    },
+    // Set when an admin created the loan despite the customer being blacklisted
+    blacklistOverride: {
+        reason: {
+            type: String,
+            trim: true
+        },
+        // Reasons of the blacklist flags in force at the time
+        flags: [String],
+        overriddenBy: {
+            id: { type: String },
+            name: { type: String }
+        },
+        overriddenAt: Date
+    },
+    // Penal interest forgiven by an admin
+    penalWaivers: [{
+        // Empty when the waiver was against penal interest brought forward
+        installmentNumber: Number,
+        amount: Number,
+        reason: {
+            type: String,
+            trim: true
+        },
+        waivedBy: {
+            id: { type: String },
+            name: { type: String }
+        },
+        waivedAt: {
+            type: Date,
+            default: Date.now
         }
     }],
     actualRepaymentDate: {
@@ -222,10 +634,28 @@ const loanSchema = new mongoose.Schema({
         unique: true,
         required: true
     },
+    // Renewal chain: each renewal is a new loan linked to the cycle it replaced
+    previousLoan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Loan',
+        index: true
+    },
+    renewedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Loan'
+    },
+    renewedAt: {
+        type: Date
+    },
+    renewalCycle: {
+        type: Number,
+        default: 1
+    },
     // Gold Return Tracking
     goldReturnStatus: {
         type: String,
-        enum: ['pending', 'scheduled', 'returned', 'overdue'],
+        // carried_forward: gold stayed in the vault as security for the renewed loan
+        enum: ['pending', 'scheduled', 'returned', 'overdue', 'carried_forward'],
         default: 'pending'
     },
     goldReturnDate: {
@@ -259,6 +689,14 @@ const loanSchema = new mongoose.Schema({
         id: { type: String },
         name: { type: String }
     },
+    // Interest scheme version the loan is pinned to
+    scheme: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Scheme'
+    },
+    schemeTerms: {
+        type: schemeTermsSchema
+    },
     // Interest rate upgrade tracking
     originalInterestRate: {
         type: Number,
@@ -304,7 +742,7 @@ const loanSchema = new mongoose.Schema({
     }],
     currentUpgradeLevel: {
         type: Number,
-        default: 0 // 0 = original, 1 = first upgrade (18%→24%), 2 = second upgrade (24%→30%), 3 = third upgrade (30%→36%)
+        default: 0 // 0 = original rate, n = n-th step of the scheme's step-up ladder
     },
     // Auction management
     auctionStatus: {
@@ -325,6 +763,28 @@ const loanSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // How the sale of this loan's gold at an auction event settled its dues
+    auctionSale: {
+        auctionEvent: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'AuctionEvent'
+        },
+        lotNumber: Number,
+        saleDate: Date,
+        proceeds: Number,
+        allocation: {
+            type: allocationSchema
+        },
+        // Proceeds beyond the dues, owed back to the customer
+        surplus: Number,
+        // Dues the proceeds did not cover
+        shortfall: Number,
+        paymentId: mongoose.Schema.Types.ObjectId,
+        settledBy: {
+            id: { type: String },
+            name: { type: String }
+        }
+    },
     auctionNotifications: [{
         sentDate: {
             type: Date,
@@ -348,27 +808,30 @@ const loanSchema = new mongoose.Schema({
     }]
 });
 
-// Add index explicitly
-loanSchema.index({ aadharNumber: 1 }, { unique: false });
+// aadharNumber is stored encrypted, with a blind index for lookups (see utils/aadhaar)
+loanSchema.plugin(aadhaarPlugin, {
+    required: true,
+    message: 'Please provide a valid 12 digit Aadhar number'
+});
+// At-risk loans report
+loanSchema.index({ 'marginCall.status': 1, 'marginCall.shortfall': -1 });
+// Loans whose ledger has fallen behind
+loanSchema.index({ ledgerSyncPending: 1 });
 
 // Calculate daily interest payment and set up installments before saving
 loanSchema.pre('save', function(next) {
+    // isNew is already false in post hooks, remember it for the ledger
+    this.$locals.wasNew = this.isNew;
+    if (this.isNew) {
+        this.ledgerSyncPending = true;
+    }
+
     if (this.isNew) {
         // Store original interest rate
         this.originalInterestRate = this.interestRate;
         
-        // Use client's interest calculation method
-        const disbursementDate = this.createdAt || new Date();
-        const closureDate = new Date(disbursementDate);
-        closureDate.setMonth(closureDate.getMonth() + this.term);
-        
-        const muthootResult = calculateClientInterestMethod({
-            principal: this.amount,
-            annualRate: this.interestRate,
-            disbursementDate: disbursementDate,
-            closureDate: closureDate,
-            termMonths: this.term
-        });
+        // Interest for the full term under the loan's scheme
+        const termResult = this.calculateInterest({ termMonths: this.term });
         
         // Calculate daily interest amount for tracking
         const dailyRate = (this.interestRate / 100) / 365;
@@ -378,28 +841,12 @@ loanSchema.pre('save', function(next) {
         this.totalDays = totalDays;
         this.dailyInterestAmount = this.amount * dailyRate;
         
-        // Use client's calculation results
-        this.monthlyPayment = muthootResult.monthlyPayment;
-        this.totalPayment = muthootResult.totalAmount;
+        this.monthlyPayment = termResult.monthlyPayment;
+        this.totalPayment = termResult.totalAmount;
         this.remainingBalance = this.totalPayment;
 
         // Create installment schedule
-        this.installments = [];
-        let currentDate = new Date(this.createdAt);
-        
-        for (let i = 1; i <= this.term; i++) {
-            // Add one month to the date
-            currentDate = new Date(currentDate);
-            currentDate.setMonth(currentDate.getMonth() + 1);
-            
-            this.installments.push({
-                number: i,
-                dueDate: new Date(currentDate),
-                amount: this.monthlyPayment,
-                status: 'pending',
-                amountPaid: 0
-            });
-        }
+        this.buildInstallments(this.createdAt, this.term);
     }
     next();
 });
@@ -415,8 +862,33 @@ loanSchema.post('save', async function(doc) {
     }
 });
 
-// Method to record a payment
-loanSchema.methods.recordPayment = async function(paymentAmount, paymentMethod, transactionId = null, enteredBy, bankName = null) {
+// Post the disbursement to the ledger for newly created loans
+loanSchema.post('save', async function(doc) {
+    if (doc.$locals.wasNew) {
+        try {
+            await LedgerEntry.recordDisbursement(doc, doc.amount, {
+                postedBy: { id: doc.createdBy ? doc.createdBy.toString() : 'system' }
+            });
+            await doc.constructor.updateOne({ _id: doc._id }, { ledgerSyncPending: false });
+            doc.ledgerSyncPending = false;
+        } catch (error) {
+            // The loan stays flagged; the next sync backfills the disbursement
+            console.error('Error posting loan disbursement to ledger:', error);
+        }
+    }
+});
+
+// Method to check whether paying `totalPaid` against `totalDue` settles the loan: paid in
+// full, or short by no more than SETTLEMENT_TOLERANCE once the principal has been repaid
+loanSchema.methods.isSettledBy = function(totalPaid, totalDue) {
+    const remaining = Math.max(0, totalDue - totalPaid);
+    return Math.round(totalPaid) >= Math.round(totalDue) || remaining <= 0 ||
+        (remaining <= SETTLEMENT_TOLERANCE && totalPaid >= this.getTotalDisbursed());
+};
+
+// Method to record a payment (paymentId fixes the payment's _id, for callers that
+// reference the payment before it is saved)
+loanSchema.methods.recordPayment = async function(paymentAmount, paymentMethod, transactionId = null, enteredBy, bankName = null, paymentId = null) {
     // Find the first unpaid or partially paid installment
     const currentInstallment = this.installments.find(inst => 
         inst.status === 'pending' || inst.status === 'partial'
@@ -428,18 +900,16 @@ loanSchema.methods.recordPayment = async function(paymentAmount, paymentMethod,
 
     // --- DYNAMIC REPAYMENT LOGIC ---
     const today = new Date();
+    // Charge penal interest on overdue installments up to today, then split the
+    // payment across the dues in the configured order
+    this.accruePenalInterest(today);
+    const allocationOrder = await Settings.getPaymentAllocationOrder();
+    const allocation = this.allocatePayment(paymentAmount, today, allocationOrder);
+    this.applyAllocation(allocation);
+
     // Always recalculate due up to today
     const earlyRepayment = this.calculateEarlyRepaymentAmount(today);
-    this.totalPayment = earlyRepayment.totalAmount;
-    this.remainingBalance = Math.max(0, earlyRepayment.totalAmount - (this.totalPaid + paymentAmount));
-
-    // Calculate how much can be applied to current installment
-    const remainingForInstallment = currentInstallment.amount - currentInstallment.amountPaid;
-    const appliedToInstallment = Math.min(paymentAmount, remainingForInstallment);
-
-    // Update installment
-    currentInstallment.amountPaid += appliedToInstallment;
-    currentInstallment.status = currentInstallment.amountPaid >= currentInstallment.amount ? 'paid' : 'partial';
+    this.totalPayment = earlyRepayment.totalDue;
 
     // Update loan totals
     this.totalPaid += paymentAmount;
@@ -447,11 +917,13 @@ loanSchema.methods.recordPayment = async function(paymentAmount, paymentMethod,
 
     // Create payment record (after updating remainingBalance)
     const payment = {
+        ...(paymentId ? { _id: paymentId } : {}),
         amount: paymentAmount,
         method: paymentMethod,
         transactionId,
         bankName,
         installmentNumber: currentInstallment.number,
+        allocation,
         remainingBalance: this.remainingBalance,
         enteredBy: enteredBy,
         status: paymentMethod === 'handcash' ? 'success' : 'pending' // Auto-approve handcash payments
@@ -461,11 +933,8 @@ loanSchema.methods.recordPayment = async function(paymentAmount, paymentMethod,
 
     // Check if loan is fully paid (bullet repayment logic)
     const wasActive = this.status === 'active';
-    const roundedPaid = Math.round(this.totalPaid);
-    const roundedDue = Math.round(this.totalPayment);
     // Close loan if fully paid OR if remaining balance is very small (≤ ₹50) and customer has paid principal
-    if (roundedPaid >= roundedDue || this.remainingBalance <= 0 || 
-        (this.remainingBalance <= 50 && this.totalPaid >= this.amount)) {
+    if (this.isSettledBy(this.totalPaid, this.totalPayment)) {
         this.status = 'closed';
         this.closedDate = today;
         this.actualRepaymentDate = today;
@@ -477,10 +946,9 @@ loanSchema.methods.recordPayment = async function(paymentAmount, paymentMethod,
             inst.amountPaid = inst.amount;
         });
         
-        // Set gold return status based on gold items
-        const hasGoldItems = this.goldItems && this.goldItems.length > 0;
-        const totalGoldWeight = hasGoldItems ? 
-            this.goldItems.reduce((total, item) => total + (item.netWeight || 0), 0) : 0;
+        // Set gold return status based on the gold still pledged
+        const hasGoldItems = this.getPledgedGoldItems().length > 0;
+        const totalGoldWeight = this.getPledgedGoldWeight();
         
         if (hasGoldItems && totalGoldWeight > 0) {
             this.goldReturnStatus = 'pending';
@@ -494,7 +962,10 @@ loanSchema.methods.recordPayment = async function(paymentAmount, paymentMethod,
         }
     }
 
+    // Mirror the payment (and any closing waiver) in the ledger
+    this.ledgerSyncPending = true;
     await this.save();
+    await this.postToLedger();
     
         /* Messaging disabled temporarily (only OTPs allowed)
         try {
@@ -529,127 +1000,1530 @@ loanSchema.methods.recordPayment = async function(paymentAmount, paymentMethod,
     return payment;
 };
 
-// Example static holiday list (YYYY-MM-DD)
-const HOLIDAYS = [
-  '2024-01-01', '2024-08-15', '2024-10-02', '2024-12-25' // Add more as needed
-];
-
-function isHolidayOrSunday(date) {
-  const d = new Date(date);
-  const yyyyMMdd = d.toISOString().slice(0, 10);
-  return d.getDay() === 0 || HOLIDAYS.includes(yyyyMMdd);
-}
-
-// Updated early repayment calculation
-loanSchema.methods.calculateEarlyRepaymentAmount = function(repaymentDate = new Date()) {
-  const disbursementDate = this.createdAt;
-  const principal = this.amount;
-  const annualRate = this.interestRate;
+// Bring recognised interest in the ledger up to what is due on the given date.
+// Posts an accrual when more interest is due, or a rebate when less is due
+// (e.g. early repayment rebate applied after interest was already accrued).
+loanSchema.methods.accrueInterestToLedger = async function(asOf = new Date(), postedBy) {
+    const due = this.calculateEarlyRepaymentAmount(asOf);
+    const balances = await LedgerEntry.getBalances(this._id, null, this.createdAt);
+    const difference = Math.round((due.totalInterest - balances.interestCharged) * 100) / 100;
 
-  // Grace period: if repaymentDate is a holiday/Sunday, allow next working day
-  let effectiveRepaymentDate = new Date(repaymentDate);
-  while (isHolidayOrSunday(effectiveRepaymentDate)) {
-    effectiveRepaymentDate.setDate(effectiveRepaymentDate.getDate() + 1);
-  }
+    if (difference > 0) {
+        return LedgerEntry.recordInterestAccrual(this, difference, { effectiveDate: asOf, postedBy });
+    }
+    if (difference < 0) {
+        return LedgerEntry.recordRebate(this, -difference, {
+            effectiveDate: asOf,
+            narration: 'Interest adjusted to amount due',
+            postedBy
+        });
+    }
+    return null;
+};
 
-  // For upgraded loans, calculate based on repayment date and current interest rate
-  if (this.interestRateUpgraded && this.upgradeHistory && this.upgradeHistory.length > 0) {
-    // Use clean simple interest calculator with exact days
-    const { calculateSimpleInterest } = require('../utils/cleanInterestCalculator');
-    const result = calculateSimpleInterest(
-      this.amount, // Principal
-      this.interestRate, // Current interest rate
-      disbursementDate, // Start from original loan date
-      effectiveRepaymentDate // End at repayment date (exact days)
+// Bring penal interest in the ledger up to what has been charged on the loan's installments
+loanSchema.methods.accruePenalToLedger = async function(asOf = new Date(), postedBy) {
+    const charged = this.installments.reduce(
+        (sum, inst) => sum + (inst.penalAccrued || 0),
+        (this.penalBroughtForward && this.penalBroughtForward.penalAccrued) || 0
     );
-    
-    // Calculate months for display purposes
-    const monthsFromStart = Math.round(result.timeInDays / 30);
-    
-    return {
-      totalInterest: result.interest,
-      totalAmount: result.totalAmount,
-      rebate: 0,
-      principal: result.principal,
-      // Aliases for frontend compatibility
-      interest: result.interest,
-      minimumDays: 0,
-      minimumInterest: 50,
-      gracePeriodDays: 0,
-      totalDue: result.totalAmount,
-      effectiveDays: result.timeInDays,
-      months: monthsFromStart,
-      gracePeriodApplied: false,
-      minInterestApplied: false,
-      minDaysApplied: false,
-      monthlyPayment: result.totalAmount / monthsFromStart
-    };
-  }
+    const balances = await LedgerEntry.getBalances(this._id, null, this.createdAt);
+    const difference = roundAmount(charged - balances.penalCharged);
 
-  // For non-upgraded loans, calculate normally
-  const daysDiff = Math.ceil((effectiveRepaymentDate - disbursementDate) / (1000 * 60 * 60 * 24));
-  const termMonths = Math.ceil(daysDiff / 30);
-  
-  const result = calculateClientInterestMethod({
-    principal,
-    annualRate,
-    disbursementDate,
-    closureDate: effectiveRepaymentDate,
-    termMonths: termMonths
-  });
+    if (difference > 0) {
+        return LedgerEntry.recordPenalAccrual(this, difference, { effectiveDate: asOf, postedBy });
+    }
+    return null;
+};
 
-  // Example rebate: 2% off interest if repaid within 30 days
-  let rebate = 0;
-  const days = Math.ceil((effectiveRepaymentDate - disbursementDate) / (1000 * 60 * 60 * 24));
-  if (days <= 30) {
-    rebate = Math.round(result.totalInterest * 0.02);
-    result.totalInterest -= rebate;
-    result.totalAmount -= rebate;
-  }
+// Bring charges in the ledger up to the charges added to the loan
+loanSchema.methods.accrueChargesToLedger = async function(asOf = new Date(), postedBy) {
+    const charged = this.charges.reduce((sum, charge) => sum + charge.amount, 0);
+    const balances = await LedgerEntry.getBalances(this._id, null, this.createdAt);
+    const difference = roundAmount(charged - balances.chargesCharged);
 
-  // Ensure all monetary values are rounded to the nearest rupee
-  return {
-    ...result,
-    totalInterest: Math.round(result.totalInterest),
-    totalAmount: Math.round(result.totalAmount),
-    rebate: Math.round(rebate),
-    principal: Math.round(principal),
-    // Aliases for frontend compatibility
-    interest: Math.round(result.totalInterest),
-    minimumDays: result.effectiveDays || 0,
-    minimumInterest: result.minInterestAmount || 50,
-    gracePeriodDays: result.effectiveDays ? Math.max(0, result.effectiveDays - days) : 0,
-    totalDue: Math.round(result.totalAmount),
-    // Add rounding for any other monetary fields as needed
-    effectiveDays: result.effectiveDays,
-    months: result.months,
-    gracePeriodApplied: effectiveRepaymentDate.getTime() !== new Date(repaymentDate).getTime(),
-    minInterestApplied: result.totalInterest === 50,
-    minDaysApplied: result.effectiveDays === 7 || result.effectiveDays === 15
-  };
+    if (difference > 0) {
+        return LedgerEntry.recordCharge(this, difference, { effectiveDate: asOf, postedBy });
+    }
+    return null;
 };
 
-// Add a method to approve a payment by ID
-loanSchema.methods.approvePayment = async function(paymentId) {
-    const payment = this.payments.id(paymentId);
-    if (!payment) throw new Error('Payment not found');
-    payment.status = 'success';
-    await this.save();
-    return payment;
-};
+// Post a payment to the ledger using the split stored on the payment. Payments recorded
+// before splits were stored are split against the ledger balances, oldest dues first.
+loanSchema.methods.postPaymentToLedger = async function(payment, narration) {
+    const paymentDate = payment.date || new Date();
+    await this.accrueInterestToLedger(paymentDate, payment.enteredBy);
+    await this.accruePenalToLedger(paymentDate, payment.enteredBy);
+    await this.accrueChargesToLedger(paymentDate, payment.enteredBy);
 
-// Gold Return Management Methods
-loanSchema.methods.scheduleGoldReturn = async function(scheduledDate, notes = '') {
-    if (this.status !== 'closed') {
-        throw new Error('Gold return can only be scheduled for closed loans');
+    const amount = roundAmount(payment.amount);
+    let split;
+    if (payment.allocation) {
+        const { charges, penal, interest, principal, advance } = payment.allocation;
+        split = { charges, penal, interest, principal, advance };
+    } else {
+        const balances = await LedgerEntry.getBalances(this._id);
+        let available = amount;
+        const take = outstanding => {
+            const applied = roundAmount(Math.min(available, Math.max(0, outstanding)));
+            available = roundAmount(available - applied);
+            return applied;
+        };
+        split = {
+            charges: take(balances.chargesOutstanding),
+            penal: take(balances.penalOutstanding),
+            interest: take(balances.interestOutstanding),
+            principal: take(balances.principalOutstanding)
+        };
+        split.advance = available;
     }
-    
-    this.goldReturnStatus = 'scheduled';
-    this.goldReturnScheduledDate = scheduledDate;
-    this.goldReturnNotes = notes;
-    
-    await this.save();
-    return this;
+
+    return LedgerEntry.recordPayment(this, amount, split, {
+        effectiveDate: paymentDate,
+        paymentId: payment._id,
+        postedBy: payment.enteredBy,
+        narration
+    });
+};
+
+// Waive the small residual left in the ledger once the loan has been closed, up to the
+// settlement tolerance. Anything larger is a gap between the loan and its ledger (a missed
+// posting, say) and is left outstanding for the accountants to reconcile. A shortfall left
+// by an auction is not waived either: it stays receivable until recovered or written off.
+loanSchema.methods.settleLedgerResidual = async function(date = new Date(), postedBy) {
+    if (this.auctionSale && this.auctionSale.shortfall > 0) {
+        return null;
+    }
+
+    const balances = await LedgerEntry.getBalances(this._id);
+    const charges = Math.max(0, balances.chargesOutstanding);
+    const penal = Math.max(0, balances.penalOutstanding);
+    const interest = Math.max(0, balances.interestOutstanding);
+    const principal = Math.max(0, balances.principalOutstanding);
+
+    const residual = roundAmount(charges + penal + interest + principal);
+    if (residual <= 0) {
+        return null;
+    }
+    if (residual > SETTLEMENT_TOLERANCE) {
+        console.warn(`Loan ${this.loanId} closed with ₹${residual} still outstanding in the ledger; left for reconciliation`);
+        return null;
+    }
+
+    return LedgerEntry.recordWaiver(this, { charges, penal, interest, principal }, {
+        effectiveDate: date,
+        narration: CLOSURE_WAIVER_NARRATION,
+        postedBy
+    });
+};
+
+// Make sure every disbursement and payment on this loan has a ledger entry.
+// Loans created before the ledger existed are backfilled from their payment history.
+loanSchema.methods.syncLedger = async function() {
+    const entries = await LedgerEntry.find({ loan: this._id }).select('entryType paymentId trancheId waiverId').lean();
+    const backfilling = entries.length === 0;
+
+    if (!entries.some(entry => entry.entryType === 'disbursement' && !entry.trancheId)) {
+        await LedgerEntry.recordDisbursement(this, this.amount, {
+            narration: 'Loan disbursement (backfilled)'
+        });
+    }
+
+    const postedTranches = new Set(
+        entries.filter(entry => entry.trancheId).map(entry => entry.trancheId.toString())
+    );
+    for (const topUp of this.topUps || []) {
+        if (!postedTranches.has(topUp._id.toString())) {
+            await LedgerEntry.recordDisbursement(this, topUp.amount, {
+                effectiveDate: topUp.date,
+                trancheId: topUp._id,
+                narration: 'Top-up disbursement',
+                postedBy: topUp.disbursedBy
+            });
+        }
+    }
+
+    const postedPayments = new Set(
+        entries.filter(entry => entry.paymentId).map(entry => entry.paymentId.toString())
+    );
+    const unpostedPayments = this.payments
+        .filter(payment => !postedPayments.has(payment._id.toString()) && !payment.isAwaitingPrepaymentApproval())
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    for (const payment of unpostedPayments) {
+        if (payment.type === 'reversal') {
+            await this.postReversalToLedger(payment);
+        } else {
+            const narration = payment.method === 'auction' ? 'Auction sale proceeds' : 'Payment received';
+            await this.postPaymentToLedger(payment, backfilling ? `${narration} (backfilled)` : narration);
+        }
+    }
+
+    // Charges added since the last payment
+    const lastCharge = this.charges[this.charges.length - 1];
+    if (lastCharge) {
+        await this.accrueChargesToLedger(lastCharge.chargedAt || new Date(), lastCharge.addedBy);
+    }
+
+    const postedWaivers = new Set(
+        entries.filter(entry => entry.waiverId).map(entry => entry.waiverId.toString())
+    );
+    const unpostedWaivers = (this.penalWaivers || []).filter(waiver => !postedWaivers.has(waiver._id.toString()));
+    if (unpostedWaivers.length > 0) {
+        // The penal interest has to be in the ledger before it can be waived
+        await this.accruePenalToLedger(new Date());
+        for (const waiver of unpostedWaivers) {
+            await LedgerEntry.recordWaiver(this, { penal: waiver.amount }, {
+                effectiveDate: waiver.waivedAt,
+                waiverId: waiver._id,
+                narration: `Penal interest waived: ${waiver.reason}`,
+                postedBy: waiver.waivedBy
+            });
+        }
+    }
+
+    if (this.auctionStatus === 'auctioned' && this.auctionSale && this.auctionSale.shortfall > 0) {
+        await this.postAuctionShortfallToLedger(postedPayments, entries);
+    }
+
+    if (this.status === 'closed') {
+        await this.settleLedgerResidual(this.closedDate || new Date());
+    } else {
+        await this.reverseClosureWaivers();
+    }
+
+    if (this.ledgerSyncPending) {
+        await this.constructor.updateOne({ _id: this._id }, { ledgerSyncPending: false });
+        this.ledgerSyncPending = false;
+    }
+};
+
+// Post the recoveries and write-off of an auction shortfall that are not in the ledger yet.
+// Both are recorded on the customer, who carries the shortfall once the loan is closed.
+loanSchema.methods.postAuctionShortfallToLedger = async function(postedPayments, entries) {
+    const customer = await Customer.findById(this.customerId);
+    const balance = customer && customer.getRecoverableBalance(this._id);
+    if (!balance) {
+        return;
+    }
+
+    const unpostedRecoveries = balance.recoveries
+        .filter(recovery => !postedPayments.has(recovery._id.toString()))
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    for (const recovery of unpostedRecoveries) {
+        // Clear the oldest-ranking dues first, as a payment would
+        const balances = await LedgerEntry.getBalances(this._id);
+        let available = recovery.amount;
+        const take = outstanding => {
+            const applied = roundAmount(Math.min(available, Math.max(0, outstanding)));
+            available = roundAmount(available - applied);
+            return applied;
+        };
+        const split = {
+            charges: take(balances.chargesOutstanding),
+            penal: take(balances.penalOutstanding),
+            interest: take(balances.interestOutstanding),
+            principal: take(balances.principalOutstanding)
+        };
+        split.advance = available;
+
+        await LedgerEntry.recordPayment(this, recovery.amount, split, {
+            effectiveDate: recovery.date,
+            paymentId: recovery._id,
+            postedBy: recovery.recordedBy,
+            narration: `Auction shortfall recovered${recovery.reference ? ` (${recovery.reference})` : ''}`
+        });
+    }
+
+    if (balance.status === 'written_off' && !entries.some(entry => entry.entryType === 'write_off')) {
+        const balances = await LedgerEntry.getBalances(this._id);
+        const amounts = {
+            charges: Math.max(0, balances.chargesOutstanding),
+            penal: Math.max(0, balances.penalOutstanding),
+            interest: Math.max(0, balances.interestOutstanding),
+            principal: Math.max(0, balances.principalOutstanding)
+        };
+        if (amounts.charges + amounts.penal + amounts.interest + amounts.principal > 0) {
+            await LedgerEntry.recordWriteOff(this, amounts, {
+                effectiveDate: balance.writtenOffAt,
+                narration: `Auction shortfall written off: ${balance.writeOffReason}`,
+                postedBy: balance.writtenOffBy
+            });
+        }
+    }
+};
+
+// Method to post a change that has just been saved to the ledger. Callers set
+// ledgerSyncPending before saving, so if posting fails the loan stays flagged for the
+// next sync and the error reaches the caller instead of the change passing as complete.
+loanSchema.methods.postToLedger = async function() {
+    try {
+        await this.syncLedger();
+    } catch (error) {
+        throw new Error(`Saved, but posting to the ledger failed and is pending a ledger sync: ${error.message}`, { cause: error });
+    }
+};
+
+// Post the ledger reversal for a compensating payment record
+loanSchema.methods.postReversalToLedger = async function(reversal) {
+    const originalEntry = await LedgerEntry.findOne({
+        loan: this._id,
+        entryType: 'payment',
+        paymentId: reversal.reversalOf
+    });
+
+    if (!originalEntry) {
+        throw new Error('Ledger entry for the reversed payment not found');
+    }
+
+    return LedgerEntry.recordReversal(this, originalEntry, {
+        effectiveDate: reversal.date,
+        paymentId: reversal._id,
+        postedBy: reversal.approvedBy,
+        narration: `Payment reversed: ${reversal.reversalReason}`
+    });
+};
+
+// Undo closure waivers for a loan that has been re-opened
+loanSchema.methods.reverseClosureWaivers = async function(postedBy) {
+    const waivers = await LedgerEntry.find({
+        loan: this._id,
+        entryType: 'waiver',
+        narration: CLOSURE_WAIVER_NARRATION
+    });
+
+    for (const waiver of waivers) {
+        if (await LedgerEntry.exists({ reverses: waiver._id })) continue;
+        await LedgerEntry.recordReversal(this, waiver, {
+            narration: 'Closure waiver reversed on re-opening',
+            postedBy
+        });
+    }
+};
+
+// Reverse a payment by adding a compensating record. Re-opens the loan if the
+// payment had closed it, and puts the gold back on hold if it is still in the vault.
+loanSchema.methods.reversePayment = async function(paymentId, reason, approvedBy) {
+    const payment = this.payments.id(paymentId);
+    if (!payment) {
+        throw new Error('Payment not found');
+    }
+    if (payment.type === 'reversal') {
+        throw new LoanRuleError('A reversal record cannot itself be reversed');
+    }
+    if (payment.reversed) {
+        throw new LoanRuleError('Payment has already been reversed');
+    }
+    // It has not been applied, so there is nothing to undo
+    if (payment.isAwaitingPrepaymentApproval()) {
+        throw new LoanRuleError('Principal prepayments awaiting approval cannot be reversed');
+    }
+    if (this.auctionStatus === 'auctioned') {
+        throw new LoanRuleError('Payments on auctioned loans cannot be reversed');
+    }
+    // The gold now secures the renewed loan, so this cycle cannot be re-opened
+    if (this.renewedTo || this.goldReturnStatus === 'carried_forward') {
+        throw new LoanRuleError('Payments on renewed loans cannot be reversed');
+    }
+    // The gold released against it has already left the vault
+    if ((this.goldReleases || []).some(release => release.paymentId && release.paymentId.equals(payment._id))) {
+        throw new LoanRuleError('Payments collected for a gold release cannot be reversed');
+    }
+
+    // Reversing a part-prepayment puts the principal back, so interest is charged on it again
+    const prepaymentIndex = this.principalPrepayments.findIndex(prepayment =>
+        prepayment.paymentId && prepayment.paymentId.equals(payment._id)
+    );
+    if (prepaymentIndex !== -1 && prepaymentIndex !== this.principalPrepayments.length - 1) {
+        throw new LoanRuleError('Later principal prepayments must be reversed first');
+    }
+
+    // Make sure the original payment is in the ledger before cancelling it out
+    await this.syncLedger();
+
+    if (prepaymentIndex !== -1) {
+        this.principalPrepayments.splice(prepaymentIndex, 1);
+    }
+
+    const today = new Date();
+    const wasClosed = this.status === 'closed';
+    let goldReturnRestored = false;
+
+    payment.reversed = true;
+    payment.reversedAt = today;
+    this.totalPaid -= payment.amount;
+
+    if (wasClosed) {
+        this.status = 'active';
+        this.closedDate = undefined;
+        this.actualRepaymentDate = undefined;
+        this.actualAmountPaid = 0;
+
+        // Gold still in the vault for this loan goes back to being held as security
+        if (['pending', 'scheduled', 'overdue'].includes(this.goldReturnStatus)) {
+            this.goldReturnStatus = 'pending';
+            this.goldReturnScheduledDate = undefined;
+            goldReturnRestored = true;
+        }
+    }
+
+    if (this.status !== 'closed') {
+        this.totalPayment = this.calculateEarlyRepaymentAmount(today).totalDue;
+        this.remainingBalance = Math.max(0, this.totalPayment - this.totalPaid);
+    }
+
+    this.payments.push({
+        type: 'reversal',
+        amount: -payment.amount,
+        date: today,
+        method: payment.method,
+        transactionId: payment.transactionId,
+        bankName: payment.bankName,
+        installmentNumber: payment.installmentNumber,
+        allocation: payment.allocation ? {
+            charges: -payment.allocation.charges,
+            penal: -payment.allocation.penal,
+            interest: -payment.allocation.interest,
+            principal: -payment.allocation.principal,
+            advance: -payment.allocation.advance
+        } : undefined,
+        remainingBalance: this.remainingBalance,
+        enteredBy: approvedBy,
+        approvedBy,
+        status: 'success',
+        reversalOf: payment._id,
+        reversalReason: reason
+    });
+
+    this.reapplyPaymentsToInstallments();
+
+    this.ledgerSyncPending = true;
+    await this.save();
+    await this.postToLedger();
+
+    return {
+        reversal: this.payments[this.payments.length - 1],
+        reopened: wasClosed,
+        goldReturnRestored,
+        goldAlreadyReturned: wasClosed && this.goldReturnStatus === 'returned'
+    };
+};
+
+// Re-apply recorded payments to the installment schedule in order
+loanSchema.methods.reapplyPaymentsToInstallments = function() {
+    if (this.status === 'closed') {
+        this.installments.forEach(inst => {
+            inst.status = 'paid';
+            inst.amountPaid = inst.amount;
+        });
+        return;
+    }
+
+    // Start again from nothing paid and apply the net of every payment's split
+    this.charges.forEach(charge => {
+        charge.paid = 0;
+    });
+    this.penalBroughtForward.penalPaid = 0;
+    this.installments.forEach(inst => {
+        inst.penalPaid = 0;
+        inst.amountPaid = 0;
+    });
+
+    const totals = this.getAllocatedTotals();
+    this.applyAllocation({
+        charges: totals.charges,
+        penal: totals.penal,
+        // Payments without a stored split count towards the installments
+        interest: totals.interest + totals.unallocated,
+        principal: totals.principal,
+        advance: totals.advance
+    });
+};
+
+// Method to total what payments have settled so far, by component. Reversals carry a
+// negative split so they net off. `unallocated` is money from payments with no stored split.
+loanSchema.methods.getAllocatedTotals = function() {
+    const totals = { charges: 0, penal: 0, interest: 0, principal: 0, advance: 0, unallocated: 0 };
+
+    this.payments.forEach(payment => {
+        if (payment.isAwaitingPrepaymentApproval()) {
+            return;
+        }
+        if (!payment.allocation) {
+            totals.unallocated += payment.amount;
+            return;
+        }
+        ['charges', 'penal', 'interest', 'principal', 'advance'].forEach(component => {
+            totals[component] += payment.allocation[component] || 0;
+        });
+    });
+
+    Object.keys(totals).forEach(component => {
+        totals[component] = roundAmount(totals[component]);
+    });
+    return totals;
+};
+
+// Method to get what is still owed on each component as of a date
+loanSchema.methods.getOutstandingByComponent = function(asOf = new Date()) {
+    const totals = this.getAllocatedTotals();
+    const interestDue = this.calculateEarlyRepaymentAmount(asOf).totalInterest;
+
+    // Money from payments with no stored split is treated as having paid interest first
+    const unallocatedInterest = Math.min(Math.max(0, totals.unallocated), Math.max(0, interestDue - totals.interest));
+    const unallocatedPrincipal = Math.max(0, totals.unallocated - unallocatedInterest);
+
+    return {
+        charges: this.getChargesSummary().outstanding,
+        penal: this.getPenalInterest(asOf).outstanding,
+        interest: roundAmount(Math.max(0, interestDue - totals.interest - unallocatedInterest)),
+        principal: roundAmount(Math.max(0, this.getTotalDisbursed() - totals.principal - unallocatedPrincipal))
+    };
+};
+
+// Method to split a payment across the dues in the given order, e.g.
+// ['charges', 'penal', 'interest', 'principal']. Anything left over is an advance.
+loanSchema.methods.allocatePayment = function(amount, asOf = new Date(), order = Settings.ALLOCATION_COMPONENTS) {
+    const outstanding = this.getOutstandingByComponent(asOf);
+    const allocation = { charges: 0, penal: 0, interest: 0, principal: 0, advance: 0 };
+    let available = roundAmount(amount);
+
+    order.forEach(component => {
+        const applied = roundAmount(Math.min(available, outstanding[component]));
+        allocation[component] = applied;
+        available = roundAmount(available - applied);
+    });
+    allocation.advance = available;
+
+    return allocation;
+};
+
+// Method to mark a payment split as paid: charges and penal interest oldest first, and
+// the interest, principal and any advance against the installments in order
+loanSchema.methods.applyAllocation = function(allocation) {
+    let charges = allocation.charges || 0;
+    [...this.charges]
+        .sort((a, b) => a.chargedAt - b.chargedAt)
+        .forEach(charge => {
+            const applied = roundAmount(Math.min(charges, Math.max(0, charge.amount - charge.paid - charge.waived)));
+            charge.paid = roundAmount(charge.paid + applied);
+            charges -= applied;
+        });
+
+    this.applyPaymentToPenal(allocation.penal || 0);
+
+    let available = roundAmount((allocation.interest || 0) + (allocation.principal || 0) + (allocation.advance || 0));
+    [...this.installments]
+        .sort((a, b) => a.number - b.number)
+        .forEach(inst => {
+            const applied = Math.max(0, Math.min(inst.amount - inst.amountPaid, available));
+            available = roundAmount(available - applied);
+            inst.amountPaid = roundAmount(inst.amountPaid + applied);
+            inst.status = inst.amountPaid >= inst.amount ? 'paid' : (inst.amountPaid > 0 ? 'partial' : 'pending');
+        });
+};
+
+// Method to total the charges on the loan
+loanSchema.methods.getChargesSummary = function() {
+    const sum = field => roundAmount(this.charges.reduce((total, charge) => total + (charge[field] || 0), 0));
+    const total = sum('amount');
+    const paid = sum('paid');
+    const waived = sum('waived');
+
+    return {
+        total,
+        paid,
+        waived,
+        // Amount less waivers: what the customer owes in charges, paid or not
+        charged: roundAmount(total - waived),
+        outstanding: roundAmount(Math.max(0, total - paid - waived))
+    };
+};
+
+// Method to add a charge to the loan
+loanSchema.methods.addCharge = async function({ type, amount, description }, addedBy) {
+    if (this.status !== 'active') {
+        throw new Error('Charges can only be added to active loans');
+    }
+
+    const today = new Date();
+    this.charges.push({
+        type,
+        amount: roundAmount(amount),
+        description,
+        chargedAt: today,
+        addedBy
+    });
+
+    this.totalPayment = this.calculateEarlyRepaymentAmount(today).totalDue;
+    this.remainingBalance = Math.max(0, this.totalPayment - this.totalPaid);
+
+    this.ledgerSyncPending = true;
+    await this.save();
+    await this.postToLedger();
+
+    return this.charges[this.charges.length - 1];
+};
+
+// Rebuild the denormalised balance fields on the loan from its ledger
+loanSchema.methods.rebuildBalancesFromLedger = async function() {
+    await this.syncLedger();
+
+    if (this.status !== 'closed') {
+        await this.accrueInterestToLedger(new Date());
+    }
+
+    const balances = await LedgerEntry.getBalances(this._id, null, this.createdAt);
+    const previous = {
+        totalPaid: this.totalPaid,
+        remainingBalance: this.remainingBalance
+    };
+
+    this.totalPaid = balances.totalReceived;
+    if (this.status === 'closed') {
+        this.remainingBalance = 0;
+    } else {
+        this.remainingBalance = Math.max(0, Math.round(balances.totalOutstanding));
+        this.totalPayment = Math.round(this.totalPaid + this.remainingBalance);
+    }
+    this.reapplyPaymentsToInstallments();
+
+    await this.save();
+
+    return {
+        previous,
+        current: {
+            totalPaid: this.totalPaid,
+            remainingBalance: this.remainingBalance
+        },
+        balances
+    };
+};
+
+// Static method to generate a unique human readable loan number
+loanSchema.statics.generateLoanId = async function() {
+    const maxAttempts = 5;
+
+    for (let attempts = 0; attempts < maxAttempts; attempts++) {
+        const now = new Date();
+        const year = now.getFullYear() % 1000; // last 3 digits
+        const month = (now.getMonth() + 1).toString().padStart(2, '0');
+        const day = now.getDate().toString().padStart(2, '0');
+        const hour = now.getHours().toString().padStart(2, '0');
+        const minute = now.getMinutes().toString().padStart(2, '0');
+        const second = now.getSeconds().toString().padStart(2, '0');
+        const random = Math.floor(Math.random() * 100).toString().padStart(2, '0');
+
+        // Create a more unique ID with timestamp and random component
+        const loanId = `CY${year}${month}${day}${hour}${minute}${second}${random}`;
+
+        const existingLoan = await this.findOne({ loanId });
+        if (!existingLoan) {
+            return loanId;
+        }
+    }
+
+    throw new Error('Unable to generate unique loan ID after multiple attempts');
+};
+
+// Method to get the scheme a renewal is created under: the current version of
+// this loan's scheme, or the default scheme if that one has been withdrawn
+loanSchema.methods.getRenewalScheme = async function() {
+    const code = this.schemeTerms && this.schemeTerms.code;
+    return (code && await Scheme.findForNewLoan(code)) || Scheme.findForNewLoan();
+};
+
+// Method to value the gold still pledged for a renewal, under the LTV limits of the
+// scheme the renewal is created under (the loan's own limits when there is none)
+loanSchema.methods.getRenewalEligibility = async function(scheme, asOf = new Date()) {
+    const valuation = scheme ? await scheme.getValuationTerms(asOf) : await this.getValuationTerms(asOf);
+    return {
+        valuation,
+        eligibility: loanEligibility(this.getPledgedGoldItems(), valuation)
+    };
+};
+
+// Method to renew a closed loan. The closed cycle is left untouched and a new
+// loan is created against the same gold items (and their photos). The amount is
+// held to the LTV limits on today's value of that gold unless an override reason is given.
+// Callers check the customer's blacklist and pass any admin override to record on the renewal.
+loanSchema.methods.renew = async function({ amount, interestRate, term, ltvOverrideReason, blacklistOverride }, renewedBy) {
+    if (this.status !== 'closed') {
+        throw new Error('Only closed loans can be renewed');
+    }
+    if (this.renewedTo) {
+        throw new Error('Loan has already been renewed');
+    }
+    if (this.auctionStatus === 'auctioned') {
+        throw new Error('Auctioned loans cannot be renewed');
+    }
+    if (this.goldReturnStatus === 'returned') {
+        throw new Error('Gold for this loan has already been returned to the customer');
+    }
+
+    const Loan = this.constructor;
+    const ItemPhoto = require('./ItemPhoto');
+
+    const scheme = await this.getRenewalScheme();
+    if (scheme && !scheme.allowsTerm(term)) {
+        throw new Error(`Term must be one of ${scheme.allowedTerms.join(', ')} months under scheme ${scheme.code}`);
+    }
+    if (interestRate === undefined || interestRate === null || interestRate === '') {
+        interestRate = scheme ? scheme.baseRate : this.originalInterestRate;
+    }
+
+    const disbursementDate = new Date();
+    const { valuation, eligibility } = await this.getRenewalEligibility(scheme, disbursementDate);
+    const overrideReason = typeof ltvOverrideReason === 'string' ? ltvOverrideReason.trim() : '';
+    const exceedsLtv = Number(amount) > eligibility.eligibleAmount;
+    if (exceedsLtv && !overrideReason) {
+        throw new Error(`Renewal amount exceeds the eligible amount of ₹${eligibility.eligibleAmount} (${eligibility.maxLtvPercent}% of ₹${eligibility.appraisedValue} appraised gold value)`);
+    }
+    // Items still pledged are re-appraised at today's rates
+    const appraisals = new Map(this.getPledgedGoldItems().map((item, index) => [item._id.toString(), eligibility.items[index]]));
+
+    // Settle the closing cycle in the ledger before moving on
+    await this.syncLedger();
+
+    const result = calculateInterest({
+        ...optionsFromTerms(scheme ? scheme : this.getSchemeTerms()),
+        principal: Number(amount),
+        annualRate: Number(interestRate),
+        startDate: disbursementDate,
+        termMonths: Number(term)
+    });
+    const dailyInterestRate = (Number(interestRate) / 100) / 365;
+
+    const renewal = new Loan({
+        customerId: this.customerId,
+        ...aadhaarFieldsOf(this),
+        name: this.name,
+        email: this.email,
+        primaryMobile: this.primaryMobile,
+        secondaryMobile: this.secondaryMobile,
+        presentAddress: this.presentAddress,
+        permanentAddress: this.permanentAddress,
+        emergencyContact: this.emergencyContact ? this.emergencyContact.toObject() : undefined,
+        branch: this.branch,
+        // Released items stay on the list (as released) so photo indexes still line up
+        goldItems: this.goldItems.map(item => {
+            const appraisal = appraisals.get(item._id.toString());
+            return {
+                description: item.description,
+                category: item.category,
+                grossWeight: item.grossWeight,
+                stoneWeight: item.stoneWeight,
+                wastageWeight: item.wastageWeight,
+                netWeight: item.netWeight,
+                karat: item.karat,
+                fineness: item.fineness,
+                hallmarkNumber: item.hallmarkNumber,
+                appraisedRate: appraisal ? appraisal.ratePerGram : item.appraisedRate,
+                appraisedValue: appraisal ? appraisal.value : item.appraisedValue,
+                appraisedAt: appraisal ? disbursementDate : item.appraisedAt,
+                released: item.released,
+                releasedAt: item.releasedAt,
+                photos: []
+            };
+        }),
+        securityValue: eligibility.appraisedValue,
+        valuationSnapshot: {
+            goldRate: valuation.goldRateId,
+            rates: valuation.rates || { k22: valuation.goldRate },
+            appraisedValue: eligibility.appraisedValue,
+            valuedAt: disbursementDate
+        },
+        ltv: {
+            percent: ltvPercentOf(amount, eligibility.appraisedValue),
+            maxPercent: eligibility.maxLtvPercent,
+            appraisedValue: eligibility.appraisedValue,
+            eligibleAmount: eligibility.eligibleAmount,
+            goldRate: eligibility.goldRate,
+            overridden: exceedsLtv,
+            overrideReason: exceedsLtv ? overrideReason : undefined,
+            overriddenBy: exceedsLtv ? { id: String(renewedBy.id || renewedBy._id), name: renewedBy.name } : undefined,
+            overriddenAt: exceedsLtv ? disbursementDate : undefined
+        },
+        blacklistOverride,
+        amount: Number(amount),
+        term: Number(term),
+        interestRate: Number(interestRate),
+        originalInterestRate: Number(interestRate),
+        monthlyPayment: result.monthlyPayment,
+        totalPayment: result.totalAmount,
+        remainingBalance: result.totalAmount,
+        dailyInterestRate,
+        totalDays: Number(term) * 30,
+        dailyInterestAmount: Number(amount) * dailyInterestRate,
+        depositedBank: this.depositedBank,
+        bankMobileNumber: this.bankMobileNumber,
+        bankLoanAmount: this.bankLoanAmount,
+        status: 'active',
+        createdBy: renewedBy._id || renewedBy.id,
+        createdAt: disbursementDate,
+        loanId: await Loan.generateLoanId(),
+        previousLoan: this._id,
+        renewalCycle: (this.renewalCycle || 1) + 1
+    });
+    if (scheme) {
+        renewal.applyScheme(scheme);
+    }
+    await renewal.save();
+
+    // Carry the photos over so the new cycle has its own copies
+    const photos = await ItemPhoto.copyToLoan(this._id, renewal._id);
+    photos.forEach(photo => {
+        if (photo.goldItemIndex === -2) {
+            renewal.bankReceiptPhotos.push(photo._id);
+        } else if (photo.goldItemIndex === -1) {
+            renewal.allItemsTogetherPhotos.push(photo._id);
+        } else if (renewal.goldItems[photo.goldItemIndex]) {
+            renewal.goldItems[photo.goldItemIndex].photos.push(photo._id);
+        }
+    });
+    if (photos.length > 0) {
+        await renewal.save();
+    }
+
+    this.renewedTo = renewal._id;
+    this.renewedAt = disbursementDate;
+    this.goldReturnStatus = 'carried_forward';
+    this.goldReturnNotes = `Gold carried forward to renewed loan ${renewal.loanId}`;
+    await this.save();
+
+    return renewal;
+};
+
+// Static method to get every cycle in a loan's renewal chain, oldest first
+loanSchema.statics.getRenewalChain = async function(loanId) {
+    const fields = 'loanId amount interestRate term status createdAt closedDate totalPaid remainingBalance previousLoan renewedTo renewedAt renewalCycle goldReturnStatus';
+    const loan = await this.findById(loanId).select(fields);
+    if (!loan) {
+        return null;
+    }
+
+    // Walk back to the first cycle, then forward to the latest one
+    let first = loan;
+    while (first.previousLoan) {
+        const previous = await this.findById(first.previousLoan).select(fields);
+        if (!previous) break;
+        first = previous;
+    }
+
+    const chain = [first];
+    let current = first;
+    while (current.renewedTo) {
+        const next = await this.findById(current.renewedTo).select(fields);
+        if (!next) break;
+        chain.push(next);
+        current = next;
+    }
+
+    return chain;
+};
+
+// Method to (re)create the monthly installment schedule. Due dates step one month at a
+// time from startDate; a due date falling on a Sunday or holiday for the loan's branch
+// moves to the next working day without shifting the months after it.
+loanSchema.methods.buildInstallments = function(startDate, months) {
+  // Penal interest on the installments being replaced stays on the loan
+  const carried = this.penalBroughtForward;
+  (this.installments || []).forEach(inst => {
+    carried.penalAccrued = roundAmount(carried.penalAccrued + (inst.penalAccrued || 0));
+    carried.penalPaid = roundAmount(carried.penalPaid + (inst.penalPaid || 0));
+    carried.penalWaived = roundAmount(carried.penalWaived + (inst.penalWaived || 0));
+  });
+
+  this.installments = [];
+  const monthDate = new Date(startDate);
+
+  for (let i = 1; i <= months; i++) {
+    monthDate.setMonth(monthDate.getMonth() + 1);
+
+    this.installments.push({
+      number: i,
+      dueDate: holidayCalendar.nextWorkingDay(monthDate, this.branch),
+      amount: this.monthlyPayment,
+      status: 'pending',
+      amountPaid: 0
+    });
+  }
+
+  return this.installments;
+};
+
+// Method to get the rates the loan has been charged, for the interest engine.
+// Retrospective schemes re-price the whole loan at the current rate; prospective
+// schemes apply each stepped-up rate only from the date of its upgrade.
+loanSchema.methods.getRateSchedule = function() {
+  const history = this.upgradeHistory || [];
+  if (this.getSchemeTerms().stepUpApplication !== 'prospective' || history.length === 0) {
+    return [{ from: this.createdAt, rate: this.interestRate }];
+  }
+
+  return [
+    { from: this.createdAt, rate: this.originalInterestRate || history[0].fromRate },
+    ...history.map(upgrade => ({ from: upgrade.upgradeDate, rate: upgrade.toRate }))
+  ];
+};
+
+// Method to get the principal disbursed: the original amount plus any top-up tranches
+loanSchema.methods.getTotalDisbursed = function() {
+  return roundAmount((this.topUps || []).reduce((sum, topUp) => sum + topUp.amount, this.amount));
+};
+
+// Method to get the principal outstanding over time, for the interest engine.
+// Top-ups add to it and prepayments reduce it from their own dates.
+loanSchema.methods.getPrincipalSchedule = function() {
+  const changes = [
+    ...(this.topUps || []).map(topUp => ({ from: topUp.date, change: topUp.amount })),
+    ...(this.principalPrepayments || []).map(prepayment => ({ from: prepayment.date, change: -prepayment.amount }))
+  ].sort((a, b) => new Date(a.from) - new Date(b.from));
+
+  let principal = this.amount;
+  return [
+    { from: this.createdAt, principal },
+    ...changes.map(({ from, change }) => {
+      principal = roundAmount(principal + change);
+      return { from, principal };
+    })
+  ];
+};
+
+// Method to get the principal still owed (disbursed less prepayments)
+loanSchema.methods.getOutstandingPrincipal = function() {
+  const prepaid = (this.principalPrepayments || []).reduce((sum, prepayment) => sum + prepayment.amount, 0);
+  return roundAmount(this.getTotalDisbursed() - prepaid);
+};
+
+// Method to run the interest engine with the loan's scheme conventions and rates
+loanSchema.methods.calculateInterest = function(options = {}) {
+  return calculateInterest({
+    ...optionsFromTerms(this.getSchemeTerms()),
+    principal: this.getTotalDisbursed(),
+    startDate: this.createdAt,
+    rateSchedule: this.getRateSchedule(),
+    principalSchedule: this.getPrincipalSchedule(),
+    ...options
+  });
+};
+
+// Method to pay down part of the principal. The whole amount goes to principal, interest
+// accrues on the reduced principal from today, and installments not yet due are
+// regenerated so the schedule adds up to the new total.
+loanSchema.methods.prepayPrincipal = async function(amount, paymentMethod, transactionId = null, enteredBy, bankName = null) {
+  if (this.status !== 'active') {
+    throw new LoanRuleError('Principal can only be prepaid on active loans');
+  }
+
+  const prepaid = roundAmount(amount);
+  const principalBefore = this.getOutstandingPrincipal();
+  if (prepaid >= principalBefore) {
+    throw new LoanRuleError(`A part-prepayment must be less than the outstanding principal of ₹${principalBefore}; record a full repayment instead`);
+  }
+
+  const today = new Date();
+  this.accruePenalInterest(today);
+  const currentInstallment = this.installments.find(inst => inst.status !== 'paid');
+
+  this.payments.push({
+    amount: prepaid,
+    method: paymentMethod,
+    transactionId,
+    bankName,
+    installmentNumber: currentInstallment ? currentInstallment.number : this.installments.length,
+    allocation: { charges: 0, penal: 0, interest: 0, principal: prepaid, advance: 0 },
+    remainingBalance: 0,
+    enteredBy,
+    principalPrepayment: true,
+    status: paymentMethod === 'handcash' ? 'success' : 'pending'
+  });
+  const payment = this.payments[this.payments.length - 1];
+
+  // Money received online is not in hand until the payment is approved
+  if (payment.status !== 'success') {
+    payment.remainingBalance = this.remainingBalance;
+    await this.save();
+    return { payment, prepayment: null, outstandingPrincipal: principalBefore };
+  }
+
+  const prepayment = this.applyPrincipalPrepayment(payment, today, principalBefore);
+
+  this.ledgerSyncPending = true;
+  await this.save();
+  await this.postToLedger();
+
+  return { payment, prepayment, outstandingPrincipal: this.getOutstandingPrincipal() };
+};
+
+// Method to take a received principal prepayment off the principal and re-spread the
+// installments not yet due
+loanSchema.methods.applyPrincipalPrepayment = function(payment, date, principalBefore = this.getOutstandingPrincipal()) {
+  this.totalPaid += payment.amount;
+  this.principalPrepayments.push({
+    date,
+    amount: payment.amount,
+    principalBefore,
+    principalAfter: roundAmount(principalBefore - payment.amount),
+    paymentId: payment._id,
+    recordedBy: payment.enteredBy
+  });
+
+  this.respreadFutureInstallments(date);
+
+  this.totalPayment = this.calculateEarlyRepaymentAmount(date).totalDue;
+  this.remainingBalance = Math.max(0, this.totalPayment - this.totalPaid);
+  payment.remainingBalance = this.remainingBalance;
+
+  return this.principalPrepayments[this.principalPrepayments.length - 1];
+};
+
+// Method to re-work installments not yet due after the principal changes mid-term. Installments
+// already due are kept; what is left of the term's total, with interest on the principal as it
+// now stands, is spread over the ones still to come.
+loanSchema.methods.respreadFutureInstallments = function(asOf = new Date()) {
+  const dueInstallments = this.installments.filter(inst => inst.dueDate <= asOf);
+  const futureInstallments = this.installments.filter(inst => inst.dueDate > asOf);
+  if (futureInstallments.length > 0) {
+    // The schedule runs `term` months from disbursement, or from the last rate upgrade
+    const termEnd = new Date(this.interestRateUpgraded && this.interestRateUpgradeDate ? this.interestRateUpgradeDate : this.createdAt);
+    termEnd.setMonth(termEnd.getMonth() + this.term);
+    const termResult = this.calculateInterest({ endDate: termEnd });
+    const scheduled = dueInstallments.reduce((sum, inst) => sum + inst.amount, 0);
+    const remaining = Math.max(0, termResult.totalAmount - scheduled);
+    const installmentAmount = Math.round(remaining / futureInstallments.length);
+
+    futureInstallments.forEach((inst, index) => {
+      // The last installment absorbs rounding
+      inst.amount = index === futureInstallments.length - 1
+        ? Math.max(0, Math.round(remaining - installmentAmount * (futureInstallments.length - 1)))
+        : installmentAmount;
+    });
+    this.monthlyPayment = installmentAmount;
+  }
+  this.reapplyPaymentsToInstallments();
+};
+
+// Method to work out how much more can be lent against the gold still pledged: its value
+// at the current rate and LTV, less everything owed on the loan today
+loanSchema.methods.getTopUpHeadroom = function(valuation, asOf = new Date()) {
+  const eligibility = loanEligibility(this.getPledgedGoldItems(), valuation);
+  const eligibleAmount = eligibility.eligibleAmount;
+  const outstanding = roundAmount(Math.max(0, this.calculateEarlyRepaymentAmount(asOf).totalDue - this.totalPaid));
+
+  return {
+    goldRate: valuation.goldRate,
+    ltvPercent: eligibility.maxLtvPercent,
+    pledgedWeight: this.getPledgedGoldWeight(),
+    securityValue: eligibility.appraisedValue,
+    eligibleAmount,
+    outstanding,
+    outstandingPrincipal: this.getOutstandingPrincipal(),
+    headroom: Math.floor(Math.max(0, eligibleAmount - outstanding))
+  };
+};
+
+// Method to value the gold still pledged against everything owed today. The loan is in
+// breach when the dues exceed what its LTV limits allow on that value.
+loanSchema.methods.assessMargin = function(valuation, asOf = new Date()) {
+  const eligibility = loanEligibility(this.getPledgedGoldItems(), valuation);
+  const outstanding = roundAmount(Math.max(0, this.calculateEarlyRepaymentAmount(asOf).totalDue - this.totalPaid));
+  const shortfall = Math.ceil(Math.max(0, outstanding - eligibility.eligibleAmount));
+
+  return {
+    goldRate: valuation.goldRate,
+    securityValue: eligibility.appraisedValue,
+    eligibleAmount: eligibility.eligibleAmount,
+    outstanding,
+    ltvPercent: ltvPercentOf(outstanding, eligibility.appraisedValue),
+    maxLtvPercent: eligibility.maxLtvPercent,
+    shortfall,
+    breached: shortfall > 0
+  };
+};
+
+// Method to store a margin assessment. Returns true when it starts a new breach.
+loanSchema.methods.recordMarginCheck = function(assessment, checkedAt = new Date()) {
+  const previous = this.marginCall || {};
+  const newBreach = assessment.breached && previous.status !== 'breached';
+
+  this.marginCall = {
+    status: assessment.breached ? 'breached' : 'ok',
+    ltvPercent: assessment.ltvPercent,
+    maxLtvPercent: assessment.maxLtvPercent,
+    securityValue: assessment.securityValue,
+    outstanding: assessment.outstanding,
+    shortfall: assessment.shortfall,
+    goldRate: assessment.goldRate,
+    checkedAt,
+    breachedAt: assessment.breached ? (newBreach ? checkedAt : previous.breachedAt) : undefined,
+    notifiedAt: assessment.breached && !newBreach ? previous.notifiedAt : undefined
+  };
+  this.securityValue = assessment.securityValue;
+  return newBreach;
+};
+
+// Method to disburse extra principal against the same gold. The tranche earns interest
+// from today, and the installments still to come are re-worked to include it.
+loanSchema.methods.topUp = async function(amount, valuation, disbursedBy, notes = '') {
+  if (this.status !== 'active') {
+    throw new Error('Only active loans can be topped up');
+  }
+  if (!['not_ready', 'cancelled'].includes(this.auctionStatus || 'not_ready')) {
+    throw new Error('Loans marked for auction cannot be topped up');
+  }
+
+  const today = new Date();
+  const disbursed = roundAmount(amount);
+  const headroom = this.getTopUpHeadroom(valuation, today);
+  if (disbursed <= 0 || disbursed > headroom.headroom) {
+    throw new Error(`Top-up must be between ₹1 and the available headroom of ₹${headroom.headroom}`);
+  }
+
+  this.accruePenalInterest(today);
+  const principalBefore = this.getOutstandingPrincipal();
+  this.topUps.push({
+    date: today,
+    amount: disbursed,
+    principalBefore,
+    principalAfter: roundAmount(principalBefore + disbursed),
+    goldRate: headroom.goldRate,
+    ltvPercent: headroom.ltvPercent,
+    securityValue: headroom.securityValue,
+    outstandingBefore: headroom.outstanding,
+    headroom: headroom.headroom,
+    disbursedBy,
+    notes
+  });
+  const topUp = this.topUps[this.topUps.length - 1];
+
+  this.respreadFutureInstallments(today);
+  this.totalPayment = this.calculateEarlyRepaymentAmount(today).totalDue;
+  this.remainingBalance = Math.max(0, this.totalPayment - this.totalPaid);
+  this.securityValue = headroom.securityValue;
+
+  this.ledgerSyncPending = true;
+  await this.save();
+  await this.postToLedger();
+
+  return {
+    topUp,
+    totalDisbursed: this.getTotalDisbursed(),
+    outstandingPrincipal: this.getOutstandingPrincipal()
+  };
+};
+
+// Method to get the penal interest terms the loan was created under
+loanSchema.methods.getPenalTerms = function() {
+  return this.getSchemeTerms().penalInterest || { method: 'none' };
+};
+
+// Method to get penal interest that has built up on an installment since it was last charged
+loanSchema.methods.getPenalAccrual = function(installment, asOf = new Date()) {
+  if (this.status !== 'active') {
+    return 0;
+  }
+
+  return calculatePenalAccrual({
+    overdueAmount: Math.max(0, installment.amount - installment.amountPaid),
+    dueDate: installment.dueDate,
+    from: installment.penalAccruedUntil,
+    to: asOf,
+    alreadyAccrued: installment.penalAccrued || 0,
+    penal: this.getPenalTerms()
+  });
+};
+
+// Method to get penal interest as of a date without charging it: what is stored on
+// each installment plus what has built up since
+loanSchema.methods.getPenalInterest = function(asOf = new Date()) {
+  const carried = this.penalBroughtForward || {};
+  const broughtForward = {
+    accrued: carried.penalAccrued || 0,
+    waived: carried.penalWaived || 0,
+    paid: carried.penalPaid || 0,
+    outstanding: penalOutstandingOf(carried)
+  };
+
+  const installments = this.installments
+    .map(inst => {
+      const overdueAmount = Math.max(0, inst.amount - inst.amountPaid);
+      const accrued = roundAmount((inst.penalAccrued || 0) + this.getPenalAccrual(inst, asOf));
+      return {
+        number: inst.number,
+        dueDate: inst.dueDate,
+        overdueAmount,
+        overdueDays: overdueAmount > 0 ? Math.max(0, Math.floor((new Date(asOf) - inst.dueDate) / (1000 * 60 * 60 * 24))) : 0,
+        accrued,
+        waived: inst.penalWaived || 0,
+        paid: inst.penalPaid || 0,
+        outstanding: penalOutstandingOf({ ...inst.toObject(), penalAccrued: accrued })
+      };
+    })
+    .filter(inst => inst.accrued > 0);
+
+  const total = field => roundAmount(installments.reduce((sum, inst) => sum + inst[field], broughtForward[field]));
+  const accrued = total('accrued');
+  const waived = total('waived');
+
+  return {
+    method: this.getPenalTerms().method,
+    asOf,
+    accrued,
+    waived,
+    paid: total('paid'),
+    // Accrued less waived: what the customer owes in penal interest, paid or not
+    charged: roundAmount(accrued - waived),
+    outstanding: total('outstanding'),
+    broughtForward,
+    installments
+  };
+};
+
+// Method to get how promptly the customer has paid the installments due so far. Payments
+// are matched to installments in order; an installment counts as paid on the date the
+// customer's payments first covered it, and on time if that was within the penal grace
+// period. Auction proceeds are not the customer's payments and are left out.
+loanSchema.methods.getPaymentPunctuality = function(asOf = new Date()) {
+  const graceDays = this.getPenalTerms().graceDays || 0;
+  // Only live installment payments count: reversed ones (and their reversal records) never
+  // settled anything, and principal prepayments are not paid against the schedule
+  const payments = this.payments
+    .filter(payment => payment.status === 'success' && payment.method !== 'auction' &&
+      payment.type !== 'reversal' && !payment.reversed && !payment.principalPrepayment)
+    .sort((a, b) => a.date - b.date);
+
+  let paymentIndex = 0;
+  let paid = 0;
+  let due = 0;
+  const installments = this.installments
+    .filter(inst => inst.dueDate && inst.dueDate <= asOf)
+    .sort((a, b) => a.number - b.number)
+    .map(inst => {
+      due += inst.amount;
+      while (paid < due - 0.01 && paymentIndex < payments.length) {
+        paid += payments[paymentIndex].amount;
+        paymentIndex++;
+      }
+      const paidOn = paid >= due - 0.01 && paymentIndex > 0 ? payments[paymentIndex - 1].date : null;
+      const daysLate = Math.max(0, Math.floor(((paidOn || asOf) - inst.dueDate) / (1000 * 60 * 60 * 24)));
+      return {
+        number: inst.number,
+        dueDate: inst.dueDate,
+        paidOn,
+        daysLate,
+        status: !paidOn ? 'unpaid' : daysLate <= graceDays ? 'on_time' : 'late'
+      };
+    });
+
+  const count = status => installments.filter(inst => inst.status === status).length;
+  const late = installments.filter(inst => inst.status === 'late');
+  const settled = count('on_time') + late.length;
+
+  return {
+    installmentsDue: installments.length,
+    onTime: count('on_time'),
+    late: late.length,
+    unpaid: count('unpaid'),
+    onTimePercent: settled > 0 ? roundAmount((count('on_time') / settled) * 100) : null,
+    averageDaysLate: late.length > 0 ? roundAmount(late.reduce((sum, inst) => sum + inst.daysLate, 0) / late.length) : 0,
+    maxDaysLate: installments.reduce((max, inst) => Math.max(max, inst.daysLate), 0),
+    installments
+  };
+};
+
+// Method to charge penal interest on overdue installments up to a date (the caller saves)
+loanSchema.methods.accruePenalInterest = function(asOf = new Date()) {
+  let charged = 0;
+
+  this.installments.forEach(inst => {
+    const accrual = this.getPenalAccrual(inst, asOf);
+    if (accrual > 0) {
+      inst.penalAccrued = roundAmount((inst.penalAccrued || 0) + accrual);
+      charged += accrual;
+    }
+    // Once penal interest has started, later charges run on from this date
+    if ((accrual > 0 || inst.penalAccruedUntil) && (!inst.penalAccruedUntil || asOf > inst.penalAccruedUntil)) {
+      inst.penalAccruedUntil = asOf;
+    }
+  });
+
+  return roundAmount(charged);
+};
+
+// Method to settle outstanding penal interest from a payment, oldest first.
+// Returns the part of the amount used.
+loanSchema.methods.applyPaymentToPenal = function(amount) {
+  let available = Math.max(0, amount);
+  const holders = [this.penalBroughtForward, ...[...this.installments].sort((a, b) => a.number - b.number)];
+
+  holders.forEach(holder => {
+    const applied = Math.min(available, penalOutstandingOf(holder));
+    if (applied > 0) {
+      holder.penalPaid = roundAmount((holder.penalPaid || 0) + applied);
+      available -= applied;
+    }
+  });
+
+  return roundAmount(Math.max(0, amount) - available);
+};
+
+// Method to waive outstanding penal interest, for one installment or oldest first across
+// the loan. Waives everything outstanding when no amount is given.
+loanSchema.methods.waivePenalInterest = async function({ installmentNumber, amount } = {}, reason, waivedBy) {
+  const today = new Date();
+  this.accruePenalInterest(today);
+
+  let holders;
+  if (installmentNumber !== undefined && installmentNumber !== null) {
+    holders = this.installments.filter(inst => inst.number === Number(installmentNumber));
+    if (holders.length === 0) {
+      throw new Error('Installment not found');
+    }
+  } else {
+    holders = [this.penalBroughtForward, ...[...this.installments].sort((a, b) => a.number - b.number)];
+  }
+
+  const outstanding = roundAmount(holders.reduce((sum, holder) => sum + penalOutstandingOf(holder), 0));
+  if (outstanding <= 0) {
+    throw new Error('No penal interest outstanding to waive');
+  }
+  const toWaive = amount === undefined || amount === null ? outstanding : roundAmount(amount);
+  if (toWaive > outstanding) {
+    throw new Error(`Cannot waive more than the outstanding penal interest of ₹${outstanding}`);
+  }
+
+  const waivers = [];
+  let remaining = toWaive;
+  holders.forEach(holder => {
+    const waived = roundAmount(Math.min(remaining, penalOutstandingOf(holder)));
+    if (waived <= 0) return;
+    holder.penalWaived = roundAmount((holder.penalWaived || 0) + waived);
+    remaining = roundAmount(remaining - waived);
+    waivers.push({
+      installmentNumber: holder === this.penalBroughtForward ? undefined : holder.number,
+      amount: waived,
+      reason,
+      waivedBy,
+      waivedAt: today
+    });
+  });
+  this.penalWaivers.push(...waivers);
+
+  this.totalPayment = this.calculateEarlyRepaymentAmount(today).totalDue;
+  this.remainingBalance = Math.max(0, this.totalPayment - this.totalPaid);
+
+  // The ledger sync posts each waiver, after the penal interest it forgives
+  this.ledgerSyncPending = true;
+  await this.save();
+  await this.postToLedger();
+
+  return {
+    waived: toWaive,
+    waivers: this.penalWaivers.slice(-waivers.length),
+    penalInterest: this.getPenalInterest(today)
+  };
+};
+
+// Updated early repayment calculation (options are passed on to the interest engine)
+loanSchema.methods.calculateEarlyRepaymentAmount = function(repaymentDate = new Date(), options = {}) {
+  // Grace period: if repaymentDate is a holiday/Sunday for the loan's branch, allow next working day
+  const effectiveRepaymentDate = holidayCalendar.nextWorkingDay(repaymentDate, this.branch);
+  const gracePeriodDays = Math.round((effectiveRepaymentDate - new Date(repaymentDate)) / (1000 * 60 * 60 * 24));
+
+  const result = this.calculateInterest({
+    ...options,
+    endDate: effectiveRepaymentDate,
+    applyRebate: true
+  });
+  const terms = this.getSchemeTerms();
+  // Penal interest and charges are reported separately from interest
+  const penalInterest = this.getPenalInterest(repaymentDate);
+  const charges = this.getChargesSummary();
+
+  return {
+    ...result,
+    // Aliases for frontend compatibility
+    interest: result.totalInterest,
+    minimumDays: terms.minimumDays || 0,
+    minimumInterest: terms.minimumInterest || 0,
+    gracePeriodDays,
+    penalInterest,
+    charges,
+    totalDue: roundAmount(result.totalAmount + penalInterest.charged + charges.charged),
+    gracePeriodApplied: gracePeriodDays > 0
+  };
+};
+
+// Method to explain how the amount due as of a date was reached: one segment per
+// rate period (the original rate, then each upgrade), with the days, rate and interest
+// from the engine's day-by-day breakdown and the payments received in that period.
+loanSchema.methods.getInterestStatement = function(asOf = new Date()) {
+  const result = this.calculateEarlyRepaymentAmount(asOf, { includeBreakdown: true });
+  const terms = this.getSchemeTerms();
+  const history = this.upgradeHistory || [];
+
+  const periods = [
+    { from: this.createdAt, contractRate: this.originalInterestRate || this.interestRate, upgradeLevel: 0 },
+    ...history.map(upgrade => ({
+      from: upgrade.upgradeDate,
+      contractRate: upgrade.toRate,
+      upgradeLevel: upgrade.upgradeLevel,
+      reason: upgrade.reason
+    }))
+  ];
+
+  const segments = periods.map((period, index) => ({
+    ...period,
+    to: index < periods.length - 1 ? periods[index + 1].from : null,
+    days: 0,
+    appliedRates: [],
+    interest: 0,
+    payments: [],
+    paymentsApplied: 0
+  }));
+
+  const segmentFor = date => {
+    let match = segments[0];
+    segments.forEach(segment => {
+      if (new Date(segment.from) <= date) {
+        match = segment;
+      }
+    });
+    return match;
+  };
+
+  // Use the running total so the segments add up exactly to the gross interest
+  let previousCumulative = 0;
+  result.breakdown.forEach(day => {
+    const segment = segmentFor(day.date);
+    segment.days += 1;
+    segment.interest += day.cumulativeInterest - previousCumulative;
+    previousCumulative = day.cumulativeInterest;
+    if (!segment.appliedRates.includes(day.rate)) {
+      segment.appliedRates.push(day.rate);
+    }
+  });
+
+  (this.payments || [])
+    .filter(payment => payment.status === 'success' && payment.date <= asOf)
+    .forEach(payment => {
+      const segment = segmentFor(payment.date);
+      segment.payments.push({
+        _id: payment._id,
+        date: payment.date,
+        amount: payment.amount,
+        method: payment.method,
+        type: payment.type || 'payment',
+        reversed: !!payment.reversed
+      });
+      segment.paymentsApplied += payment.amount;
+    });
+
+  segments.forEach(segment => {
+    segment.interest = Math.round(segment.interest * 100) / 100;
+  });
+
+  const totalPaid = segments.reduce((sum, segment) => sum + segment.paymentsApplied, 0);
+  const roundedGrossInterest = Math.round(result.grossInterest);
+
+  return {
+    loanId: this.loanId,
+    asOf,
+    principal: result.principal,
+    outstandingPrincipal: result.outstandingPrincipal,
+    // Interest in each segment runs on the principal outstanding day by day
+    topUps: (this.topUps || [])
+      .filter(topUp => topUp.date <= asOf)
+      .map(topUp => ({
+        date: topUp.date,
+        amount: topUp.amount,
+        principalAfter: topUp.principalAfter
+      })),
+    principalPrepayments: (this.principalPrepayments || [])
+      .filter(prepayment => prepayment.date <= asOf)
+      .map(prepayment => ({
+        date: prepayment.date,
+        amount: prepayment.amount,
+        principalAfter: prepayment.principalAfter
+      })),
+    currentRate: this.interestRate,
+    scheme: {
+      code: terms.code,
+      version: terms.version,
+      interestMode: result.mode,
+      dayCount: result.dayCount,
+      monthRounding: result.monthRounding,
+      stepUpApplication: terms.stepUpApplication || 'retrospective'
+    },
+    segments,
+    totals: {
+      daysElapsed: result.days,
+      chargeableDays: result.effectiveDays,
+      grossInterest: result.grossInterest,
+      // Top-up applied when the interest falls below the scheme minimum
+      minimumInterestAdjustment: result.minInterestApplied ? result.totalInterest + result.rebate - roundedGrossInterest : 0,
+      rebatePercent: result.rebatePercent,
+      rebate: result.rebate,
+      totalInterest: result.totalInterest,
+      totalAmount: result.totalAmount,
+      penalInterest: result.penalInterest.charged,
+      charges: result.charges.charged,
+      totalDue: result.totalDue,
+      totalPaid,
+      outstanding: Math.max(0, result.totalDue - totalPaid)
+    },
+    minDaysApplied: result.minDaysApplied,
+    minInterestApplied: result.minInterestApplied,
+    gracePeriodApplied: result.gracePeriodApplied,
+    gracePeriodDays: result.gracePeriodDays
+  };
+};
+
+// Add a method to approve a payment by ID
+loanSchema.methods.approvePayment = async function(paymentId) {
+    const payment = this.payments.id(paymentId);
+    if (!payment) throw new Error('Payment not found');
+
+    if (payment.isAwaitingPrepaymentApproval()) {
+        if (this.status !== 'active') {
+            throw new LoanRuleError('Principal can only be prepaid on active loans');
+        }
+        const principalBefore = this.getOutstandingPrincipal();
+        if (payment.amount >= principalBefore) {
+            throw new LoanRuleError(`A part-prepayment must be less than the outstanding principal of ₹${principalBefore}; record a full repayment instead`);
+        }
+
+        // The principal comes down from the day the money is confirmed
+        const today = new Date();
+        this.accruePenalInterest(today);
+        payment.status = 'success';
+        this.applyPrincipalPrepayment(payment, today, principalBefore);
+
+        this.ledgerSyncPending = true;
+        await this.save();
+        await this.postToLedger();
+        return payment;
+    }
+
+    payment.status = 'success';
+    await this.save();
+    return payment;
+};
+
+// Gold Return Management Methods
+loanSchema.methods.scheduleGoldReturn = async function(scheduledDate, notes = '') {
+    if (this.status !== 'closed') {
+        throw new Error('Gold return can only be scheduled for closed loans');
+    }
+    
+    this.goldReturnStatus = 'scheduled';
+    this.goldReturnScheduledDate = scheduledDate;
+    this.goldReturnNotes = notes;
+    
+    await this.save();
+    return this;
 };
 
 loanSchema.methods.markGoldReturned = async function(returnedBy, notes = '') {
@@ -666,6 +2540,126 @@ loanSchema.methods.markGoldReturned = async function(returnedBy, notes = '') {
     return this;
 };
 
+// Method to get the valuation lending on this loan is checked against: today's gold
+// rate with the LTV limits of the loan's scheme (the company-wide limit for legacy loans)
+loanSchema.methods.getValuationTerms = async function(asOf = new Date()) {
+    const scheme = this.scheme ? await Scheme.findById(this.scheme) : null;
+    return scheme ? scheme.getValuationTerms(asOf) : Settings.getValuationTerms(asOf);
+};
+
+// Method to get the gold items still held against the loan (not released)
+loanSchema.methods.getPledgedGoldItems = function() {
+    return (this.goldItems || []).filter(item => !item.released);
+};
+
+loanSchema.methods.getPledgedGoldWeight = function() {
+    return this.getPledgedGoldItems().reduce((total, item) => total + (item.netWeight || 0), 0);
+};
+
+// Method to work out what releasing some gold items mid-loan would take. The gold left
+// behind must still cover the dues at the allowed LTV; anything above that has to be
+// paid before the items go back.
+loanSchema.methods.getGoldReleaseQuote = function(itemIds, valuation, asOf = new Date()) {
+    if (this.status !== 'active') {
+        throw new Error('Gold can only be released from active loans');
+    }
+    const ids = [...new Set((itemIds || []).map(String))];
+    if (ids.length === 0) {
+        throw new Error('Select at least one gold item to release');
+    }
+
+    const items = ids.map(id => {
+        const item = this.goldItems.id(id);
+        if (!item) {
+            throw new Error(`Gold item ${id} not found on this loan`);
+        }
+        if (item.released) {
+            throw new Error(`Gold item "${item.description || id}" has already been released`);
+        }
+        return item;
+    });
+    const remaining = this.getPledgedGoldItems().filter(item => !ids.includes(item._id.toString()));
+    if (remaining.length === 0) {
+        throw new Error('At least one gold item must remain pledged; close the loan to release all of it');
+    }
+
+    const valueOf = item => appraiseItem(item, valuation.rates || valuation.goldRate).value;
+    const releasedValue = roundAmount(items.reduce((sum, item) => sum + valueOf(item), 0));
+    const remainingEligibility = loanEligibility(remaining, valuation);
+    const remainingValue = remainingEligibility.appraisedValue;
+    const remainingLimit = remainingEligibility.eligibleAmount;
+    const outstanding = roundAmount(Math.max(0, this.calculateEarlyRepaymentAmount(asOf).totalDue - this.totalPaid));
+
+    return {
+        items: items.map(item => ({
+            itemId: item._id,
+            description: item.description,
+            netWeight: item.netWeight,
+            value: valueOf(item)
+        })),
+        releasedValue,
+        remainingWeight: remaining.reduce((total, item) => total + (item.netWeight || 0), 0),
+        remainingValue,
+        remainingLimit,
+        goldRate: valuation.goldRate,
+        ltvPercent: remainingEligibility.maxLtvPercent,
+        outstanding,
+        requiredPayment: Math.ceil(Math.max(0, outstanding - remainingLimit))
+    };
+};
+
+// Method to hand selected gold items back before the loan closes. Takes a part payment
+// of at least the quote's minimum, but never one that settles the loan (closing releases
+// all the gold). The items are marked released in the same save as the payment.
+loanSchema.methods.releaseGoldItems = async function(itemIds, valuation, { amount = 0, paymentMethod, transactionId = null, bankName = null, notes = '' } = {}, releasedBy) {
+    const quote = this.getGoldReleaseQuote(itemIds, valuation);
+    const paid = roundAmount(amount);
+    if (paid < quote.requiredPayment) {
+        throw new Error(`A payment of at least ₹${quote.requiredPayment} is required to release these items`);
+    }
+    if (paid > 0 && this.isSettledBy(this.totalPaid + paid, this.totalPaid + quote.outstanding)) {
+        throw new Error('This payment would settle the loan; close the loan to release all of the gold');
+    }
+
+    const paymentId = paid > 0 ? new mongoose.Types.ObjectId() : undefined;
+    const releasedAt = new Date();
+    quote.items.forEach(({ itemId }) => {
+        const item = this.goldItems.id(itemId);
+        item.released = true;
+        item.releasedAt = releasedAt;
+    });
+    this.goldReleases.push({
+        items: quote.items,
+        releasedValue: quote.releasedValue,
+        goldRate: quote.goldRate,
+        ltvPercent: quote.ltvPercent,
+        outstandingBefore: quote.outstanding,
+        requiredPayment: quote.requiredPayment,
+        amountPaid: paid,
+        paymentId,
+        releasedBy,
+        releasedAt,
+        notes
+    });
+    this.securityValue = quote.remainingValue;
+
+    let payment = null;
+    if (paid > 0) {
+        // recordPayment saves the loan, releases included
+        await this.recordPayment(paid, paymentMethod, transactionId, releasedBy, bankName, paymentId);
+        payment = this.payments.id(paymentId);
+    } else {
+        await this.save();
+    }
+
+    return {
+        release: this.goldReleases[this.goldReleases.length - 1],
+        payment,
+        securityValue: this.securityValue,
+        remainingBalance: this.remainingBalance
+    };
+};
+
 loanSchema.methods.addGoldReturnReminder = async function(reminderType, sentTo, message) {
     this.goldReturnReminders.push({
         type: reminderType,
@@ -678,7 +2672,7 @@ loanSchema.methods.addGoldReturnReminder = async function(reminderType, sentTo,
 };
 
 loanSchema.methods.getGoldReturnSummary = function() {
-    const totalGoldWeight = this.goldItems ? this.goldItems.reduce((total, item) => total + (item.netWeight || 0), 0) : 0;
+    const totalGoldWeight = this.getPledgedGoldWeight();
     
     // Handle case where closedDate might not be set
     let daysSinceClosed = 0;
@@ -692,7 +2686,7 @@ loanSchema.methods.getGoldReturnSummary = function() {
         customerMobile: this.primaryMobile,
         customerEmail: this.email,
         totalGoldWeight: totalGoldWeight,
-        goldItems: this.goldItems || [],
+        goldItems: this.getPledgedGoldItems(),
         closedDate: this.closedDate || null,
         daysSinceClosed: daysSinceClosed,
         goldReturnStatus: this.goldReturnStatus || 'pending',
@@ -714,9 +2708,8 @@ loanSchema.methods.initializeGoldReturnStatus = async function() {
         return this;
     }
     
-    const hasGoldItems = this.goldItems && this.goldItems.length > 0;
-    const totalGoldWeight = hasGoldItems ? 
-        this.goldItems.reduce((total, item) => total + (item.netWeight || 0), 0) : 0;
+    const hasGoldItems = this.getPledgedGoldItems().length > 0;
+    const totalGoldWeight = this.getPledgedGoldWeight();
     
     if (hasGoldItems && totalGoldWeight > 0) {
         this.goldReturnStatus = 'pending';
@@ -733,31 +2726,96 @@ loanSchema.methods.initializeGoldReturnStatus = async function() {
     return this;
 };
 
-// Method to upgrade interest rate for overdue loans (Progressive System)
+// Method to pin the loan to a scheme version (terms are copied so later versions never affect it)
+loanSchema.methods.applyScheme = function(scheme) {
+    this.scheme = scheme._id;
+    this.schemeTerms = scheme.toLoanTerms();
+    return this;
+};
+
+// Method to get the interest terms of the loan.
+// Loans created before schemes existed fall back to the legacy 18% ladder.
+loanSchema.methods.getSchemeTerms = function() {
+    if (this.schemeTerms && this.schemeTerms.code) {
+        return this.schemeTerms;
+    }
+    return Scheme.legacyTerms(this);
+};
+
+// Method to get the rate the loan moves to at its next step-up (null when none is left)
+loanSchema.methods.getNextUpgradeRate = function() {
+    const rate = this.getSchemeTerms().stepUpLadder[this.currentUpgradeLevel || 0];
+    return rate === undefined ? null : rate;
+};
+
+// Method to check whether the loan has used up every step of its ladder
+loanSchema.methods.isAtFinalUpgradeLevel = function() {
+    const ladder = this.getSchemeTerms().stepUpLadder;
+    return ladder.length > 0 && (this.currentUpgradeLevel || 0) >= ladder.length;
+};
+
+// Date one step interval after the last upgrade
+loanSchema.methods.getStepIntervalEndDate = function() {
+    const lastUpgradeDate = this.upgradeHistory && this.upgradeHistory.length > 0
+        ? this.upgradeHistory[this.upgradeHistory.length - 1].upgradeDate
+        : this.interestRateUpgradeDate;
+    if (!lastUpgradeDate) {
+        return null;
+    }
+
+    const date = new Date(lastUpgradeDate);
+    date.setDate(date.getDate() + this.getSchemeTerms().stepIntervalDays);
+    return date;
+};
+
+// Method to get when the next step-up is due: the first one when the term ends,
+// later ones one step interval after the previous upgrade
+loanSchema.methods.getNextUpgradeDate = function() {
+    if (this.getNextUpgradeRate() === null) {
+        return null;
+    }
+
+    if (!this.currentUpgradeLevel) {
+        const date = new Date(this.createdAt);
+        date.setDate(date.getDate() + (this.term * 30));
+        return date;
+    }
+
+    return this.getStepIntervalEndDate();
+};
+
+// Method to get when a loan on the final step becomes due for auction
+loanSchema.methods.getAuctionDueDate = function() {
+    return this.isAtFinalUpgradeLevel() ? this.getStepIntervalEndDate() : null;
+};
+
+loanSchema.methods.isDueForUpgrade = function(asOf = new Date()) {
+    const nextUpgradeDate = this.getNextUpgradeDate();
+    return this.status === 'active' && nextUpgradeDate !== null && nextUpgradeDate <= asOf;
+};
+
+loanSchema.methods.isDueForAuction = function(asOf = new Date()) {
+    const auctionDueDate = this.getAuctionDueDate();
+    return this.status === 'active' &&
+        this.auctionStatus === 'not_ready' &&
+        auctionDueDate !== null &&
+        auctionDueDate <= asOf;
+};
+
+// Method to upgrade interest rate for overdue loans to the next step of the scheme's ladder
 loanSchema.methods.upgradeInterestRate = async function(reason = 'overdue_upgrade') {
     if (this.status === 'closed') {
         throw new Error('Cannot upgrade interest rate for closed loans');
     }
     
-    // Determine the next upgrade level
-    let newRate;
-    let newUpgradeLevel;
-    
-    if (this.currentUpgradeLevel === 0 && this.originalInterestRate === 18) {
-        // First upgrade: 18% → 24%
-        newRate = 24;
-        newUpgradeLevel = 1;
-    } else if (this.currentUpgradeLevel === 1 && this.interestRate === 24) {
-        // Second upgrade: 24% → 30%
-        newRate = 30;
-        newUpgradeLevel = 2;
-    } else if (this.currentUpgradeLevel === 2 && this.interestRate === 30) {
-        // Third upgrade: 30% → 36%
-        newRate = 36;
-        newUpgradeLevel = 3;
-    } else {
+    const terms = this.getSchemeTerms();
+    const newRate = this.getNextUpgradeRate();
+    if (newRate === null) {
         throw new Error('No further upgrades available for this loan');
     }
+    const newUpgradeLevel = (this.currentUpgradeLevel || 0) + 1;
+    // The upgraded loan runs for one step interval
+    const monthsRemaining = Math.max(1, Math.round(terms.stepIntervalDays / 30));
     
     const oldRate = this.interestRate;
     const oldTotalPayment = this.totalPayment;
@@ -766,23 +2824,18 @@ loanSchema.methods.upgradeInterestRate = async function(reason = 'overdue_upgrad
     const today = new Date();
     const loanStartDate = this.createdAt;
     
-    // Calculate new term end date (3 months from upgrade date)
+    // Calculate new term end date (one step interval from upgrade date)
     const newTermEndDate = new Date(today);
-    newTermEndDate.setMonth(newTermEndDate.getMonth() + 3); // 3 months from upgrade date
+    newTermEndDate.setMonth(newTermEndDate.getMonth() + monthsRemaining);
     
-    // Calculate total payment from original loan date to upgrade date
-    // Interest is calculated from the original loan start date for the entire period
-    const { calculateSimpleInterest } = require('../utils/cleanInterestCalculator');
-    
-    const result = calculateSimpleInterest(
-      this.amount, // Principal
-      newRate, // New interest rate
-      loanStartDate, // Start from original loan date
-      today // End at upgrade date (exact days)
-    );
+    // Calculate total payment from original loan date to upgrade date.
+    // How the new rate applies to the days already elapsed depends on the scheme.
+    const rateSchedule = terms.stepUpApplication === 'prospective'
+        ? [...this.getRateSchedule(), { from: today, rate: newRate }]
+        : [{ from: loanStartDate, rate: newRate }];
+    const result = this.calculateInterest({ endDate: today, rateSchedule });
     
     const newTotalPayment = result.totalAmount;
-    const newTotalInterest = result.interest;
     
     const totalDaysFromStart = Math.floor((newTermEndDate - loanStartDate) / (1000 * 60 * 60 * 24));
     const newDailyRate = (newRate / 100) / 365;
@@ -798,48 +2851,30 @@ loanSchema.methods.upgradeInterestRate = async function(reason = 'overdue_upgrad
     this.dailyInterestRate = newDailyRate;
     this.dailyInterestAmount = this.amount * newDailyRate;
     
-    // Update total payment and remaining balance
-    this.totalPayment = newTotalPayment;
-    this.remainingBalance = Math.max(0, newTotalPayment - this.totalPaid);
+    // Update total payment and remaining balance. Penal interest on the old installments
+    // is charged up to today first; it is carried forward when the schedule is rebuilt.
+    this.accruePenalInterest(today);
+    this.totalPayment = roundAmount(newTotalPayment + this.getPenalInterest(today).charged);
+    this.remainingBalance = Math.max(0, this.totalPayment - this.totalPaid);
     
-    // Calculate new monthly payment for the remaining 3 months
-    const monthsRemaining = 3; // Always 3 months from upgrade date
+    // Calculate new monthly payment for the remaining months
     this.monthlyPayment = Math.round(newTotalPayment / monthsRemaining);
     
-    // Update term to reflect remaining months (3 months from upgrade date)
+    // Update term to reflect remaining months
     this.term = monthsRemaining;
     
-    // Create new installment schedule from today to new end date (3 months)
-    this.installments = [];
-    let currentDate = new Date(today);
-    
-    for (let i = 1; i <= monthsRemaining; i++) {
-        currentDate = new Date(currentDate);
-        currentDate.setMonth(currentDate.getMonth() + 1);
-        
-        this.installments.push({
-            number: i,
-            dueDate: new Date(currentDate),
-            amount: this.monthlyPayment,
-            status: 'pending',
-            amountPaid: 0
-        });
-    }
+    // Create new installment schedule from today to new end date
+    this.buildInstallments(today, monthsRemaining);
     
     // Calculate days since loan start
     const daysSinceLoanStart = Math.floor((today - loanStartDate) / (1000 * 60 * 60 * 24));
     
-    // Calculate next upgrade information (3 months from this upgrade date)
+    // Calculate next upgrade information (one step interval from this upgrade date)
     let nextUpgradeDate = null;
-    let nextUpgradeRate = null;
-    if (newUpgradeLevel < 3) {
+    const nextUpgradeRate = terms.stepUpLadder[newUpgradeLevel] === undefined ? null : terms.stepUpLadder[newUpgradeLevel];
+    if (nextUpgradeRate !== null) {
         nextUpgradeDate = new Date(today);
-        nextUpgradeDate.setMonth(nextUpgradeDate.getMonth() + 3); // Next upgrade in 3 months
-        if (newUpgradeLevel === 1) {
-            nextUpgradeRate = 30; // 24% → 30%
-        } else if (newUpgradeLevel === 2) {
-            nextUpgradeRate = 36; // 30% → 36%
-        }
+        nextUpgradeDate.setDate(nextUpgradeDate.getDate() + terms.stepIntervalDays);
     }
     
     // Add to upgrade history with detailed information
@@ -879,7 +2914,9 @@ loanSchema.methods.upgradeInterestRate = async function(reason = 'overdue_upgrad
         newTermEndDate: newTermEndDate,
         upgradeLevel: newUpgradeLevel,
         monthsRemaining: monthsRemaining,
-        totalDaysFromStart: totalDaysFromStart
+        totalDaysFromStart: totalDaysFromStart,
+        nextUpgradeDate: nextUpgradeDate,
+        nextUpgradeRate: nextUpgradeRate
     };
 };
 
@@ -909,7 +2946,8 @@ loanSchema.methods.markReadyForAuction = async function(notes = '', markedBy) {
     return this;
 };
 
-// Method to mark loan as ready for auction after reaching 36% interest rate
+// Method to mark loan as ready for auction after reaching the final rate of its scheme
+// (36% on the standard ladder)
 loanSchema.methods.markReadyForAuctionAfter36Percent = async function(notes = '', markedBy) {
     if (this.status === 'closed') {
         throw new Error('Cannot mark closed loans for auction');
@@ -919,23 +2957,20 @@ loanSchema.methods.markReadyForAuctionAfter36Percent = async function(notes = ''
         throw new Error('Loan has already been auctioned');
     }
     
-    if (this.interestRate !== 36) {
-        throw new Error('Loan must be at 36% interest rate to mark for auction');
-    }
-    
-    if (this.currentUpgradeLevel !== 3) {
-        throw new Error('Loan must be at final upgrade level (3) to mark for auction');
+    if (!this.isAtFinalUpgradeLevel()) {
+        const finalLevel = this.getSchemeTerms().stepUpLadder.length;
+        throw new Error(`Loan must be at final upgrade level (${finalLevel}) to mark for auction`);
     }
     
     this.auctionStatus = 'ready_for_auction';
     this.auctionReadyDate = new Date();
-    this.auctionNotes = notes || 'Marked for auction after reaching final interest rate upgrade (36%)';
+    this.auctionNotes = notes || `Marked for auction after reaching final interest rate upgrade (${this.interestRate}%)`;
     
     // Add notification record
     this.auctionNotifications.push({
         type: 'auction_warning',
         sentTo: 'customer',
-        message: `Loan ${this.loanId} has reached the final interest rate (36%) and has been marked as ready for auction. Please pay the full amount immediately to avoid auction of your gold items.`,
+        message: `Loan ${this.loanId} has reached the final interest rate (${this.interestRate}%) and has been marked as ready for auction. Please pay the full amount immediately to avoid auction of your gold items.`,
         sentBy: markedBy
     });
     
@@ -943,11 +2978,23 @@ loanSchema.methods.markReadyForAuctionAfter36Percent = async function(notes = ''
     return this;
 };
 
+// Method to check the notices served on this loan allow an auction on a date
+loanSchema.methods.getAuctionNoticeCompliance = async function(auctionDate) {
+    const policy = await Settings.getAuctionNoticePolicy();
+    const compliance = await AuctionNotice.checkCompliance(this._id, auctionDate, policy);
+    return { ...compliance, policy };
+};
+
 // Method to schedule auction
 loanSchema.methods.scheduleAuction = async function(auctionDate, notes = '', scheduledBy) {
     if (this.auctionStatus !== 'ready_for_auction') {
         throw new Error('Loan must be marked as ready for auction before scheduling');
     }
+
+    const compliance = await this.getAuctionNoticeCompliance(auctionDate);
+    if (!compliance.compliant) {
+        throw new Error(`Auction notice requirements not met: ${compliance.problems.join('; ')}`);
+    }
     
     this.auctionStatus = 'auction_scheduled';
     this.auctionScheduledDate = auctionDate;
@@ -971,6 +3018,14 @@ loanSchema.methods.markAsAuctioned = async function(auctionDate, notes = '', auc
         throw new Error('Loan must be scheduled or ready for auction before marking as auctioned');
     }
     
+    // Loans never scheduled have not had their notices checked yet
+    if (this.auctionStatus === 'ready_for_auction') {
+        const compliance = await this.getAuctionNoticeCompliance(auctionDate || new Date());
+        if (!compliance.compliant) {
+            throw new Error(`Auction notice requirements not met: ${compliance.problems.join('; ')}`);
+        }
+    }
+    
     this.auctionStatus = 'auctioned';
     this.auctionDate = auctionDate || new Date();
     this.auctionNotes = notes || this.auctionNotes;
@@ -1005,6 +3060,135 @@ loanSchema.methods.markAsAuctioned = async function(auctionDate, notes = '', auc
     return this;
 };
 
+// Method to apply this loan's share of an auction sale to its dues, in the usual allocation
+// order, and close the loan as auctioned. Proceeds left after every due is settled are
+// surplus owed to the customer; dues the sale did not cover are the shortfall.
+loanSchema.methods.settleAuctionProceeds = async function(amount, { auctionEventId, lotNumber, saleDate = new Date(), notes = '' } = {}, settledBy) {
+    // Already closed by this sale when a settlement is picked up again; only the follow-up is left
+    if (this.auctionStatus === 'auctioned' && this.auctionSale && auctionEventId &&
+        String(this.auctionSale.auctionEvent) === String(auctionEventId) && this.auctionSale.lotNumber === lotNumber) {
+        await this.completeAuctionSettlement();
+        return this.auctionSale;
+    }
+    if (this.status !== 'active') {
+        throw new Error('Only active loans can be settled from an auction');
+    }
+    if (this.auctionStatus !== 'auction_scheduled' && this.auctionStatus !== 'ready_for_auction') {
+        throw new Error('Loan must be scheduled or ready for auction before its gold is sold');
+    }
+    const proceeds = roundAmount(amount);
+    if (!(proceeds > 0)) {
+        throw new Error('Sale proceeds must be greater than zero');
+    }
+
+    this.accruePenalInterest(saleDate);
+    const allocationOrder = await Settings.getPaymentAllocationOrder();
+    const allocation = this.allocatePayment(proceeds, saleDate, allocationOrder);
+    this.applyAllocation(allocation);
+
+    this.totalPayment = this.calculateEarlyRepaymentAmount(saleDate).totalDue;
+    this.totalPaid += proceeds;
+
+    const installment = this.installments.find(inst => inst.status === 'pending' || inst.status === 'partial') ||
+        this.installments[this.installments.length - 1];
+    this.payments.push({
+        amount: proceeds,
+        date: saleDate,
+        method: 'auction',
+        installmentNumber: installment ? installment.number : 1,
+        allocation,
+        remainingBalance: 0,
+        enteredBy: settledBy,
+        status: 'success'
+    });
+    const payment = this.payments[this.payments.length - 1];
+
+    const outstanding = this.getOutstandingByComponent(saleDate);
+    const shortfall = roundAmount(outstanding.charges + outstanding.penal + outstanding.interest + outstanding.principal);
+    payment.remainingBalance = shortfall;
+
+    this.auctionSale = {
+        auctionEvent: auctionEventId,
+        lotNumber,
+        saleDate,
+        proceeds,
+        allocation,
+        surplus: allocation.advance,
+        shortfall,
+        paymentId: payment._id,
+        settledBy
+    };
+    this.remainingBalance = 0;
+    this.ledgerSyncPending = true;
+
+    await this.markAsAuctioned(saleDate, notes, settledBy);
+    await this.completeAuctionSettlement();
+
+    return this.auctionSale;
+};
+
+// Method to finish what follows an auction sale once the loan is saved as auctioned. Each step
+// can be run again, so a settlement cut short can be completed later.
+loanSchema.methods.completeAuctionSettlement = async function() {
+    // Post the proceeds; any surplus lands in customer_advance and any shortfall stays receivable
+    if (this.ledgerSyncPending) {
+        await this.postToLedger();
+    }
+
+    // The surplus is owed back to the customer and the shortfall is carried on the customer
+    if (this.auctionSale.surplus > 0) {
+        await SurplusRefund.raiseForAuction(this);
+    }
+    if (this.auctionSale.shortfall > 0) {
+        const customer = await Customer.findById(this.customerId);
+        if (customer && customer.addAuctionShortfall(this)) {
+            await customer.save();
+        }
+    }
+};
+
+// Method to take a payment towards the shortfall left after the gold was auctioned.
+// The loan stays closed; the money clears the receivables still on its ledger.
+loanSchema.methods.recoverAuctionShortfall = async function({ amount, date = new Date(), method = 'cash', reference, notes }, recordedBy) {
+    if (this.auctionStatus !== 'auctioned') {
+        throw new Error('Only auctioned loans have a shortfall to recover');
+    }
+    const customer = await Customer.findById(this.customerId);
+    if (!customer) {
+        throw new Error('Customer not found');
+    }
+
+    const recovery = customer.recordRecovery(this._id, { amount, date, method, reference, notes }, recordedBy);
+
+    // The ledger picks the recovery up from the customer's balance
+    this.ledgerSyncPending = true;
+    await this.save();
+    await customer.save();
+    await this.postToLedger();
+
+    return {
+        recovery,
+        balance: customer.getRecoverableBalance(this._id)
+    };
+};
+
+// Method to write off what is left of the shortfall after the gold was auctioned
+loanSchema.methods.writeOffAuctionShortfall = async function(reason, writtenOffBy) {
+    const customer = await Customer.findById(this.customerId);
+    if (!customer) {
+        throw new Error('Customer not found');
+    }
+
+    const balance = customer.writeOffRecoverable(this._id, reason, writtenOffBy);
+
+    this.ledgerSyncPending = true;
+    await this.save();
+    await customer.save();
+    await this.postToLedger();
+
+    return balance;
+};
+
 // Method to cancel auction
 loanSchema.methods.cancelAuction = async function(notes = '', cancelledBy) {
     if (this.auctionStatus === 'auctioned') {
@@ -1041,10 +3225,11 @@ loanSchema.methods.getAuctionSummary = function() {
         auctionScheduledDate: this.auctionScheduledDate,
         auctionDate: this.auctionDate,
         daysSinceReady: daysSinceReady,
-        totalGoldWeight: this.goldItems ? this.goldItems.reduce((total, item) => total + (item.netWeight || 0), 0) : 0,
+        totalGoldWeight: this.getPledgedGoldWeight(),
         outstandingAmount: this.remainingBalance,
         notificationsSent: this.auctionNotifications ? this.auctionNotifications.length : 0,
-        notes: this.auctionNotes
+        notes: this.auctionNotes,
+        sale: this.auctionSale && this.auctionSale.saleDate ? this.auctionSale : null
     };
 };
 
@@ -1056,34 +3241,12 @@ loanSchema.methods.getUpgradeHistory = function() {
     
     // Calculate next upgrade information
     let nextUpgradeInfo = null;
-    if (this.currentUpgradeLevel < 3 && this.originalInterestRate === 18) {
-        const nextUpgradeDate = new Date();
-        
-        // Use 3-month intervals from last upgrade date
-        if (this.upgradeHistory && this.upgradeHistory.length > 0) {
-            // Get the last upgrade date
-            const lastUpgradeDate = this.upgradeHistory[this.upgradeHistory.length - 1].upgradeDate;
-            nextUpgradeDate.setTime(lastUpgradeDate.getTime());
-            nextUpgradeDate.setMonth(nextUpgradeDate.getMonth() + 3); // 3 months from last upgrade
-        } else {
-            // First upgrade: 3 months from loan start
-            nextUpgradeDate.setTime(loanStartDate.getTime());
-            nextUpgradeDate.setDate(nextUpgradeDate.getDate() + (this.term * 30));
-        }
-        
-        let nextRate;
-        if (this.currentUpgradeLevel === 0) {
-            nextRate = 24; // 18% → 24%
-        } else if (this.currentUpgradeLevel === 1) {
-            nextRate = 30; // 24% → 30%
-        } else if (this.currentUpgradeLevel === 2) {
-            nextRate = 36; // 30% → 36%
-        }
-        
+    const nextUpgradeDate = this.getNextUpgradeDate();
+    if (nextUpgradeDate) {
         nextUpgradeInfo = {
             upgradeDate: nextUpgradeDate,
             fromRate: this.interestRate,
-            toRate: nextRate,
+            toRate: this.getNextUpgradeRate(),
             daysRemaining: Math.floor((nextUpgradeDate - today) / (1000 * 60 * 60 * 24)),
             upgradeLevel: this.currentUpgradeLevel + 1
         };
@@ -1099,7 +3262,8 @@ loanSchema.methods.getUpgradeHistory = function() {
         loanStartDate: loanStartDate,
         upgradeHistory: this.upgradeHistory || [],
         nextUpgradeInfo: nextUpgradeInfo,
-        isAtFinalLevel: this.currentUpgradeLevel === 3,
+        isAtFinalLevel: this.isAtFinalUpgradeLevel(),
+        stepUpLadder: this.getSchemeTerms().stepUpLadder,
         totalUpgrades: this.upgradeHistory ? this.upgradeHistory.length : 0,
         lastUpgradeDate: this.upgradeHistory && this.upgradeHistory.length > 0 ? 
             this.upgradeHistory[this.upgradeHistory.length - 1].upgradeDate : null
@@ -1147,28 +3311,9 @@ loanSchema.methods.getUpgradeTimeline = function() {
     }
     
     // Add future upgrade predictions
-    if (this.currentUpgradeLevel < 3 && this.originalInterestRate === 18) {
-        let nextUpgradeDate;
-        
-        if (this.currentUpgradeLevel === 0) {
-            // First upgrade: 3 months from loan start
-            nextUpgradeDate = new Date(loanStartDate);
-            nextUpgradeDate.setMonth(nextUpgradeDate.getMonth() + this.term);
-        } else {
-            // For subsequent upgrades: 3 months from the last upgrade date
-            const lastUpgrade = this.upgradeHistory[this.upgradeHistory.length - 1];
-            nextUpgradeDate = new Date(lastUpgrade.upgradeDate);
-            nextUpgradeDate.setMonth(nextUpgradeDate.getMonth() + 3);
-        }
-        
-        let nextRate;
-        if (this.currentUpgradeLevel === 0) {
-            nextRate = 24;
-        } else if (this.currentUpgradeLevel === 1) {
-            nextRate = 30;
-        } else if (this.currentUpgradeLevel === 2) {
-            nextRate = 36;
-        }
+    const nextUpgradeDate = this.getNextUpgradeDate();
+    if (nextUpgradeDate) {
+        const nextRate = this.getNextUpgradeRate();
         
         timeline.push({
             date: nextUpgradeDate,
@@ -1189,4 +3334,8 @@ loanSchema.methods.getUpgradeTimeline = function() {
     return timeline;
 };
 
-module.exports = mongoose.model('Loan', loanSchema); 
\ No newline at end of file
+const Loan = mongoose.model('Loan', loanSchema);
+Loan.CHARGE_TYPES = CHARGE_TYPES;
+Loan.LoanRuleError = LoanRuleError;
+
+module.exports = Loan; 
\ No newline at end of file
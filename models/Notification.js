@@ -3,7 +3,7 @@ const mongoose = require('mongoose');
 const notificationSchema = new mongoose.Schema({
     type: {
         type: String,
-        enum: ['new_loan', 'new_repayment', 'loan_closed', 'payment_due', 'payment_overdue', 'interest_rate_upgrade', 'auction_warning', 'auction_scheduled', 'auction_final_warning'],
+        enum: ['new_loan', 'new_repayment', 'loan_closed', 'payment_due', 'payment_overdue', 'interest_rate_upgrade', 'auction_warning', 'auction_scheduled', 'auction_final_warning', 'margin_call'],
         required: true
     },
     title: {
@@ -193,6 +193,19 @@ notificationSchema.statics.createAuctionFinalWarningNotification = function(loan
     });
 };
 
+// Static method to create margin call notification when dues exceed the LTV limit on the gold
+notificationSchema.statics.createMarginCallNotification = function(loan, assessment) {
+    return this.create({
+        type: 'margin_call',
+        title: 'Margin Call - Collateral Value Dropped',
+        message: `Loan ${loan.loanId} for ${loan.name} is at ${assessment.ltvPercent}% LTV against a limit of ${assessment.maxLtvPercent}% after the gold rate moved to ₹${assessment.goldRate.toLocaleString()}/g. A payment of ₹${assessment.shortfall.toLocaleString()} (or more gold) is needed to restore the margin.`,
+        loanId: loan._id,
+        customerName: loan.name,
+        customerMobile: loan.primaryMobile,
+        amount: assessment.shortfall
+    });
+};
+
 // Static method to get unread notifications count
 notificationSchema.statics.getUnreadCount = function() {
     return this.countDocuments({ isRead: false, isActive: true });
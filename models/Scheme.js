@@ -0,0 +1,413 @@
+const mongoose = require('mongoose');
+const Settings = require('./Settings');
+const { INTEREST_MODES, DAY_COUNTS, PENAL_METHODS, DEFAULT_OPTIONS } = require('../utils/interestEngine');
+
+// Fields that define how interest is charged. Once a version is saved these
+// never change; editing a scheme creates a new version instead.
+const TERM_FIELDS = [
+    'baseRate',
+    'stepUpLadder',
+    'stepIntervalDays',
+    'minimumDays',
+    'minimumInterest',
+    'rebateRules',
+    'allowedTerms',
+    'interestMode',
+    'dayCount',
+    'monthRounding',
+    'stepUpApplication',
+    'penalInterest'
+];
+
+const rebateRuleSchema = new mongoose.Schema({
+    // Rebate applies when the loan is repaid within this many days
+    maxDays: {
+        type: Number,
+        required: true,
+        min: [1, 'Rebate window must be at least 1 day']
+    },
+    // Percentage of the interest that is given back
+    percentOfInterest: {
+        type: Number,
+        required: true,
+        min: [0, 'Rebate percentage cannot be negative'],
+        max: [100, 'Rebate percentage cannot exceed 100']
+    }
+}, { _id: false });
+
+// Penalty charged on each installment left unpaid past its due date
+const penalInterestSchema = new mongoose.Schema({
+    method: {
+        type: String,
+        enum: PENAL_METHODS,
+        default: 'none'
+    },
+    // Annual % on the overdue amount (rate method)
+    rate: {
+        type: Number,
+        default: 0,
+        min: [0, 'Penal rate cannot be negative']
+    },
+    // One-off charge per overdue installment (flat method)
+    flatFee: {
+        type: Number,
+        default: 0,
+        min: [0, 'Penal fee cannot be negative']
+    },
+    // Days after the due date before any penalty is charged
+    graceDays: {
+        type: Number,
+        default: 0,
+        min: [0, 'Grace days cannot be negative']
+    },
+    // Most penal interest charged on one installment (0 for no cap)
+    cap: {
+        type: Number,
+        default: 0,
+        min: [0, 'Penal cap cannot be negative']
+    }
+}, { _id: false });
+
+// Lower LTV limit for gold at or above a fineness (parts per 1000)
+const purityLtvSchema = new mongoose.Schema({
+    minFineness: {
+        type: Number,
+        required: true,
+        min: [1, 'Fineness must be between 1 and 999'],
+        max: [999, 'Fineness must be between 1 and 999']
+    },
+    maxLtvPercent: {
+        type: Number,
+        required: true,
+        min: [1, 'LTV must be at least 1%'],
+        max: [100, 'LTV cannot exceed 100%']
+    }
+}, { _id: false });
+
+// How much can be lent against the gold under this scheme
+const ltvPolicySchema = new mongoose.Schema({
+    // Replaces the company-wide limit in Settings when set
+    maxLtvPercent: {
+        type: Number,
+        min: [1, 'LTV must be at least 1%'],
+        max: [100, 'LTV cannot exceed 100%']
+    },
+    // Gold below the lowest band gets the lowest band's limit
+    purityLimits: {
+        type: [purityLtvSchema],
+        default: []
+    }
+}, { _id: false });
+
+const schemeSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Please provide a scheme code'],
+        uppercase: true,
+        trim: true
+    },
+    version: {
+        type: Number,
+        required: true,
+        default: 1
+    },
+    name: {
+        type: String,
+        required: [true, 'Please provide a scheme name'],
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // Annual interest rate (%) the loan starts at
+    baseRate: {
+        type: Number,
+        required: [true, 'Please provide the base interest rate'],
+        min: [0, 'Interest rate cannot be negative']
+    },
+    // Annual rates (%) applied one after another when the loan stays unpaid
+    stepUpLadder: {
+        type: [Number],
+        default: []
+    },
+    // Days between step-ups (the first step-up happens when the term ends)
+    stepIntervalDays: {
+        type: Number,
+        default: 90,
+        min: [1, 'Step interval must be at least 1 day']
+    },
+    minimumDays: {
+        type: Number,
+        default: 0,
+        min: [0, 'Minimum days cannot be negative']
+    },
+    minimumInterest: {
+        type: Number,
+        default: 0,
+        min: [0, 'Minimum interest cannot be negative']
+    },
+    rebateRules: {
+        type: [rebateRuleSchema],
+        default: []
+    },
+    // Loan terms (in months) that can be chosen under this scheme
+    allowedTerms: {
+        type: [Number],
+        default: [3, 6, 12]
+    },
+    // How the interest engine computes interest for loans under this scheme
+    interestMode: {
+        type: String,
+        enum: INTEREST_MODES,
+        default: DEFAULT_OPTIONS.mode
+    },
+    dayCount: {
+        type: String,
+        enum: DAY_COUNTS,
+        default: DEFAULT_OPTIONS.dayCount
+    },
+    monthRounding: {
+        type: Boolean,
+        default: DEFAULT_OPTIONS.monthRounding
+    },
+    // retrospective: a step-up re-prices the whole loan from day one at the new rate;
+    // prospective: each rate applies only from the date of its step-up
+    stepUpApplication: {
+        type: String,
+        enum: ['retrospective', 'prospective'],
+        default: 'retrospective'
+    },
+    penalInterest: {
+        type: penalInterestSchema,
+        default: () => ({})
+    },
+    ltvPolicy: {
+        type: ltvPolicySchema,
+        default: () => ({})
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    // Only one scheme code is the default for new loans
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    // Set when a newer version of the same scheme is published
+    supersededAt: {
+        type: Date
+    },
+    createdBy: {
+        id: { type: String },
+        name: { type: String }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+schemeSchema.index({ code: 1, version: 1 }, { unique: true });
+schemeSchema.index({ code: 1, supersededAt: 1 });
+
+// Validate the ladder only ever steps up
+schemeSchema.path('stepUpLadder').validate(function(ladder) {
+    let previous = this.baseRate;
+    return ladder.every(rate => {
+        const valid = rate > previous;
+        previous = rate;
+        return valid;
+    });
+}, 'Step-up ladder rates must be increasing and above the base rate');
+
+// Scheme versions are immutable once saved
+schemeSchema.pre('save', function(next) {
+    if (!this.isNew && TERM_FIELDS.some(field => this.isModified(field))) {
+        return next(new Error('Scheme versions cannot be edited; publish a new version instead'));
+    }
+    next();
+});
+
+// Method to get the terms copied onto loans created under this version
+schemeSchema.methods.toLoanTerms = function() {
+    return {
+        code: this.code,
+        version: this.version,
+        name: this.name,
+        baseRate: this.baseRate,
+        stepUpLadder: [...this.stepUpLadder],
+        stepIntervalDays: this.stepIntervalDays,
+        minimumDays: this.minimumDays,
+        minimumInterest: this.minimumInterest,
+        rebateRules: this.rebateRules.map(rule => ({
+            maxDays: rule.maxDays,
+            percentOfInterest: rule.percentOfInterest
+        })),
+        allowedTerms: [...this.allowedTerms],
+        interestMode: this.interestMode,
+        dayCount: this.dayCount,
+        monthRounding: this.monthRounding,
+        stepUpApplication: this.stepUpApplication,
+        penalInterest: this.penalInterest ? this.penalInterest.toObject() : { method: 'none' }
+    };
+};
+
+// Method to get the maximum LTV (%) for gold of a given fineness. The scheme's limit
+// (or the company-wide default) is the ceiling; purity bands can only lower it.
+schemeSchema.methods.ltvLimitFor = function(fineness, defaultLtvPercent) {
+    const policy = this.ltvPolicy || {};
+    const ceiling = policy.maxLtvPercent || defaultLtvPercent;
+    const bands = [...(policy.purityLimits || [])].sort((a, b) => b.minFineness - a.minFineness);
+    if (bands.length === 0) {
+        return ceiling;
+    }
+    const band = bands.find(limit => fineness >= limit.minFineness) || bands[bands.length - 1];
+    return Math.min(ceiling, band.maxLtvPercent);
+};
+
+// Method to get the valuation lending under this scheme is checked against on a date
+schemeSchema.methods.getValuationTerms = async function(asOf = new Date()) {
+    const valuation = await Settings.getValuationTerms(asOf);
+    return {
+        ...valuation,
+        ltvPercent: (this.ltvPolicy && this.ltvPolicy.maxLtvPercent) || valuation.ltvPercent,
+        ltvForFineness: fineness => this.ltvLimitFor(fineness, valuation.ltvPercent)
+    };
+};
+
+// Static method to get the current (latest) version of a scheme. Sorted so that a
+// version published while its predecessor is still being retired wins.
+schemeSchema.statics.findCurrent = function(code) {
+    return this.findOne({ code: code.toUpperCase(), supersededAt: null }).sort({ version: -1 });
+};
+
+// Static method to get the current version of the default scheme
+schemeSchema.statics.findDefault = function() {
+    return this.findOne({ isDefault: true, isActive: true, supersededAt: null }).sort({ version: -1 });
+};
+
+// Static method to make the current version of a scheme the default for new loans.
+// The new default is flagged before the old one is cleared, so there is never a
+// moment without a default; if clearing fails the new flag is taken back off.
+schemeSchema.statics.makeDefault = async function(scheme) {
+    const wasDefault = scheme.isDefault;
+    await this.updateOne({ _id: scheme._id }, { isDefault: true });
+    try {
+        await this.updateMany({ isDefault: true, _id: { $ne: scheme._id } }, { isDefault: false });
+    } catch (error) {
+        if (!wasDefault) {
+            await this.updateOne({ _id: scheme._id }, { isDefault: false });
+        }
+        throw error;
+    }
+    scheme.isDefault = true;
+    return scheme;
+};
+
+// Static method to get the scheme version new loans are created under:
+// the current version of `code` when given, otherwise the default scheme
+schemeSchema.statics.findForNewLoan = async function(code) {
+    const scheme = code ? await this.findCurrent(code) : await this.findDefault();
+    return scheme && scheme.isActive ? scheme : null;
+};
+
+// Method to check a loan term (in months) is offered under this scheme
+schemeSchema.methods.allowsTerm = function(term) {
+    return this.allowedTerms.includes(Number(term));
+};
+
+// Static method to publish a new version of a scheme, superseding the current one
+schemeSchema.statics.publishVersion = async function(code, changes, createdBy) {
+    const current = await this.findCurrent(code);
+    if (!current) {
+        throw new Error('Scheme not found');
+    }
+
+    const { _id, __v, ...base } = current.toObject();
+    // Penal and LTV settings are merged so one of them can be changed on its own
+    ['penalInterest', 'ltvPolicy'].forEach(field => {
+        if (changes[field]) {
+            changes = { ...changes, [field]: { ...base[field], ...changes[field] } };
+        }
+    });
+    const next = new this({
+        ...base,
+        ...changes,
+        code: current.code,
+        version: current.version + 1,
+        supersededAt: undefined,
+        createdBy,
+        createdAt: new Date()
+    });
+    await next.validate();
+
+    // Save the new version before retiring the old one so the scheme always has a
+    // current version. If the old one cannot be retired (or another publish got
+    // there first) the new version is removed again.
+    await next.save();
+    try {
+        const retired = await this.updateOne(
+            { _id: current._id, supersededAt: null },
+            { supersededAt: new Date(), isDefault: false }
+        );
+        if (retired.modifiedCount === 0) {
+            throw new Error('Scheme was changed by someone else; reload it and try again');
+        }
+    } catch (error) {
+        await this.deleteOne({ _id: next._id });
+        throw error;
+    }
+
+    return next;
+};
+
+// Terms for loans created before schemes existed: the original 18% → 24% → 30% → 36%
+// ladder, applied only to loans that started at 18%.
+schemeSchema.statics.legacyTerms = function(loan) {
+    const baseRate = loan.originalInterestRate || loan.interestRate;
+    return {
+        code: 'LEGACY',
+        version: 0,
+        name: 'Legacy',
+        baseRate,
+        stepUpLadder: baseRate === 18 ? [24, 30, 36] : [],
+        stepIntervalDays: 90,
+        minimumDays: 0,
+        minimumInterest: 50,
+        rebateRules: [{ maxDays: 30, percentOfInterest: 2 }],
+        allowedTerms: [3, 6, 12],
+        interestMode: DEFAULT_OPTIONS.mode,
+        dayCount: DEFAULT_OPTIONS.dayCount,
+        monthRounding: DEFAULT_OPTIONS.monthRounding,
+        stepUpApplication: 'retrospective',
+        // Legacy loans were never charged penal interest
+        penalInterest: { method: 'none', rate: 0, flatFee: 0, graceDays: 0, cap: 0 }
+    };
+};
+
+// Static method to make sure a default scheme exists (matches the legacy ladder)
+schemeSchema.statics.ensureDefaultScheme = async function() {
+    const existing = await this.findOne({ isDefault: true });
+    if (existing) {
+        return existing;
+    }
+
+    return this.create({
+        code: 'STANDARD',
+        name: 'Standard Gold Loan',
+        description: 'Default scheme: 18% with 24%, 30% and 36% step-ups every 90 days after the term ends',
+        baseRate: 18,
+        stepUpLadder: [24, 30, 36],
+        stepIntervalDays: 90,
+        minimumDays: 0,
+        minimumInterest: 50,
+        rebateRules: [{ maxDays: 30, percentOfInterest: 2 }],
+        allowedTerms: [3, 6, 12],
+        isDefault: true,
+        createdBy: { id: 'system', name: 'System' }
+    });
+};
+
+module.exports = mongoose.model('Scheme', schemeSchema);
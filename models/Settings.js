@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const GoldRate = require('./GoldRate');
+
+// Parts of the dues a payment can settle, in the default order they are settled
+const ALLOCATION_COMPONENTS = ['charges', 'penal', 'interest', 'principal'];
 
 const SettingsSchema = new mongoose.Schema({
   goldRate: {
@@ -6,10 +10,180 @@ const SettingsSchema = new mongoose.Schema({
     required: true,
     default: 7000
   },
+  // Most a loan may be against the value of the gold pledged for it (%)
+  maxLtvPercent: {
+    type: Number,
+    default: 75,
+    min: [1, 'LTV must be at least 1%'],
+    max: [100, 'LTV cannot exceed 100%']
+  },
+  // Order in which each payment is applied to the loan's dues
+  paymentAllocationOrder: {
+    type: [{
+      type: String,
+      enum: ALLOCATION_COMPONENTS
+    }],
+    default: () => [...ALLOCATION_COMPONENTS],
+    validate: {
+      validator: function(order) {
+        return order.length === ALLOCATION_COMPONENTS.length &&
+          ALLOCATION_COMPONENTS.every(component => order.includes(component));
+      },
+      message: `Allocation order must list each of ${ALLOCATION_COMPONENTS.join(', ')} exactly once`
+    }
+  },
+  // Where the gold rate is read from automatically (see utils/goldRateFeed)
+  goldRateFeed: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    source: {
+      type: String,
+      default: 'csv_file'
+    },
+    filePath: {
+      type: String,
+      trim: true
+    },
+    url: {
+      type: String,
+      trim: true
+    },
+    headers: {
+      type: Map,
+      of: String
+    },
+    // Column name (CSV) or dotted path (JSON) holding each value
+    fieldMapping: {
+      k24: { type: String, trim: true },
+      k22: { type: String, trim: true },
+      k18: { type: String, trim: true },
+      date: { type: String, trim: true }
+    },
+    // Grams each quoted rate is for (10 when the source quotes per 10 grams)
+    rateUnitGrams: {
+      type: Number,
+      default: 1,
+      min: [0.001, 'Rate unit must be a positive number of grams']
+    },
+    // Larger moves (%) from the rate in force wait for an admin to confirm them
+    maxChangePercent: {
+      type: Number,
+      default: 3,
+      min: [0.1, 'Allowed change must be at least 0.1%'],
+      max: [100, 'Allowed change cannot exceed 100%']
+    },
+    lastPolledAt: { type: Date },
+    lastResult: { type: String },
+    lastError: { type: String }
+  },
+  // Notices that must be served before pledged gold can be auctioned
+  auctionNoticePolicy: {
+    // Notices served in all, the last of them a final notice
+    minimumNotices: {
+      type: Number,
+      default: 2,
+      min: [1, 'At least one notice is required']
+    },
+    // Days between one notice being served and the next
+    minGapDays: {
+      type: Number,
+      default: 7,
+      min: [0, 'Gap between notices cannot be negative']
+    },
+    // Days between the final notice being served and the auction
+    finalNoticeDays: {
+      type: Number,
+      default: 14,
+      min: [1, 'Final notice period must be at least 1 day']
+    }
+  },
+  // ID proofs a customer must have on file before a loan is created (see KycDocument).
+  // None are mandatory until an admin turns the policy on, so existing customers are not
+  // blocked before their documents have been collected.
+  kycPolicy: {
+    mandatoryDocuments: {
+      type: [String],
+      default: () => []
+    },
+    // Only documents an admin has checked against the original count
+    requireVerified: {
+      type: Boolean,
+      default: true
+    }
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
   }
 });
 
-module.exports = mongoose.model('Settings', SettingsSchema); 
\ No newline at end of file
+// Static method to get the payment allocation order (the default when not configured)
+SettingsSchema.statics.getPaymentAllocationOrder = async function() {
+  const settings = await this.findOne().select('paymentAllocationOrder').lean();
+  return settings && settings.paymentAllocationOrder && settings.paymentAllocationOrder.length
+    ? settings.paymentAllocationOrder
+    : [...ALLOCATION_COMPONENTS];
+};
+
+// Static method to get the gold rates in force on a date and the LTV used to value pledged
+// gold. Falls back to the single configured rate when no rate history exists.
+SettingsSchema.statics.getValuationTerms = async function(asOf = new Date()) {
+  const [settings, goldRate] = await Promise.all([
+    this.findOne().select('goldRate maxLtvPercent').lean(),
+    GoldRate.getRateAt(asOf).lean()
+  ]);
+  return {
+    goldRate: goldRate ? goldRate.rates.k22 : (settings && settings.goldRate) || 7000,
+    rates: goldRate ? goldRate.rates : undefined,
+    goldRateId: goldRate ? goldRate._id : undefined,
+    ltvPercent: (settings && settings.maxLtvPercent) || 75
+  };
+};
+
+// Static method to get the auction notice policy (the defaults when not configured)
+SettingsSchema.statics.getAuctionNoticePolicy = async function() {
+  const settings = await this.findOne().select('auctionNoticePolicy').lean();
+  const policy = (settings && settings.auctionNoticePolicy) || {};
+  return {
+    minimumNotices: policy.minimumNotices || 2,
+    minGapDays: policy.minGapDays !== undefined ? policy.minGapDays : 7,
+    finalNoticeDays: policy.finalNoticeDays || 14
+  };
+};
+
+// Static method to get the KYC policy (the defaults when not configured)
+SettingsSchema.statics.getKycPolicy = async function() {
+  const settings = await this.findOne().select('kycPolicy').lean();
+  const policy = (settings && settings.kycPolicy) || {};
+  return {
+    mandatoryDocuments: policy.mandatoryDocuments || [],
+    requireVerified: policy.requireVerified !== undefined ? policy.requireVerified : true
+  };
+};
+
+// Static method to bring the single configured (22K) rate in line with the rate in force now
+SettingsSchema.statics.syncGoldRate = async function() {
+  const current = await GoldRate.getCurrent();
+  if (!current) {
+    return this.findOne();
+  }
+  return this.findOneAndUpdate(
+    {},
+    {
+      goldRate: current.rates.k22,
+      lastUpdated: new Date()
+    },
+    {
+      upsert: true,
+      new: true,
+      setDefaultsOnInsert: true
+    }
+  );
+};
+
+const Settings = mongoose.model('Settings', SettingsSchema);
+Settings.ALLOCATION_COMPONENTS = ALLOCATION_COMPONENTS;
+
+module.exports = Settings;
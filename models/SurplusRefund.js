@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('./LedgerEntry');
+
+const PAYOUT_METHODS = ['cash', 'bank_transfer', 'upi', 'cheque'];
+
+const roundAmount = value => Math.round((Number(value) || 0) * 100) / 100;
+
+// Money owed back to a customer when the sale of their gold raised more than the dues.
+// A refund is raised when the loan is settled, approved with the payout details, then
+// marked paid once the money has gone out; paying it posts the refund to the loan ledger.
+const surplusRefundSchema = new mongoose.Schema({
+    loan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Loan',
+        required: true,
+        unique: true
+    },
+    loanId: String,
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        index: true
+    },
+    customerName: String,
+    auctionEvent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AuctionEvent'
+    },
+    saleDate: Date,
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Refund must be greater than zero']
+    },
+    status: {
+        type: String,
+        enum: ['pending_approval', 'approved', 'paid', 'cancelled'],
+        default: 'pending_approval',
+        index: true
+    },
+    payout: {
+        method: {
+            type: String,
+            enum: PAYOUT_METHODS
+        },
+        payeeName: {
+            type: String,
+            trim: true
+        },
+        accountNumber: {
+            type: String,
+            trim: true
+        },
+        ifsc: {
+            type: String,
+            trim: true,
+            uppercase: true
+        },
+        upiId: {
+            type: String,
+            trim: true
+        },
+        // UTR, cheque number or cash receipt number once paid
+        reference: {
+            type: String,
+            trim: true
+        }
+    },
+    approvedBy: {
+        id: { type: String },
+        name: { type: String }
+    },
+    approvedAt: Date,
+    paidBy: {
+        id: { type: String },
+        name: { type: String }
+    },
+    paidAt: Date,
+    ledgerEntry: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LedgerEntry'
+    },
+    cancelledBy: {
+        id: { type: String },
+        name: { type: String }
+    },
+    cancelledAt: Date,
+    cancelReason: {
+        type: String,
+        trim: true
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Static method to raise the refund for an auctioned loan's surplus (once per loan)
+surplusRefundSchema.statics.raiseForAuction = async function(loan) {
+    const surplus = roundAmount(loan.auctionSale && loan.auctionSale.surplus);
+    if (surplus <= 0) {
+        return null;
+    }
+
+    const existing = await this.findOne({ loan: loan._id });
+    if (existing) {
+        return existing;
+    }
+
+    return this.create({
+        loan: loan._id,
+        loanId: loan.loanId,
+        customerId: loan.customerId && loan.customerId._id ? loan.customerId._id : loan.customerId,
+        customerName: loan.name,
+        auctionEvent: loan.auctionSale.auctionEvent,
+        saleDate: loan.auctionSale.saleDate,
+        amount: surplus,
+        payout: {
+            payeeName: loan.name
+        }
+    });
+};
+
+// Method to approve the refund for payment to the given account
+surplusRefundSchema.methods.approve = function(payout, approvedBy) {
+    if (this.status !== 'pending_approval') {
+        throw new Error(`Only refunds awaiting approval can be approved; this one is ${this.status.replace('_', ' ')}`);
+    }
+    if (!PAYOUT_METHODS.includes(payout.method)) {
+        throw new Error(`Payout method must be one of ${PAYOUT_METHODS.join(', ')}`);
+    }
+    if (payout.method === 'bank_transfer' && (!payout.accountNumber || !payout.ifsc)) {
+        throw new Error('Account number and IFSC are required for a bank transfer');
+    }
+    if (payout.method === 'upi' && !payout.upiId) {
+        throw new Error('UPI ID is required for a UPI payout');
+    }
+
+    this.payout = {
+        method: payout.method,
+        payeeName: payout.payeeName || this.payout.payeeName || this.customerName,
+        accountNumber: payout.accountNumber,
+        ifsc: payout.ifsc,
+        upiId: payout.upiId
+    };
+    this.status = 'approved';
+    this.approvedBy = approvedBy;
+    this.approvedAt = new Date();
+    return this;
+};
+
+// Method to record that the approved refund has been paid out, and post it to the loan ledger
+surplusRefundSchema.methods.markPaid = async function({ reference, paidAt = new Date(), notes } = {}, paidBy) {
+    if (this.status !== 'approved') {
+        throw new Error('Refund must be approved before it is paid');
+    }
+    if (this.payout.method !== 'cash' && !reference) {
+        throw new Error('Payment reference is required for non-cash payouts');
+    }
+
+    // A retry after the save below failed finds the refund already in the append-only ledger
+    const entry = await LedgerEntry.findOne({ loan: this.loan, entryType: 'refund', refundId: this._id }) ||
+        await LedgerEntry.recordRefund(
+            { _id: this.loan, loanId: this.loanId, customerId: this.customerId },
+            this.amount,
+            {
+                effectiveDate: paidAt,
+                refundId: this._id,
+                narration: `Auction surplus refunded${reference ? ` (${reference})` : ''}`,
+                postedBy: paidBy
+            }
+        );
+
+    this.payout.reference = reference;
+    this.status = 'paid';
+    this.paidBy = paidBy;
+    this.paidAt = paidAt;
+    this.ledgerEntry = entry._id;
+    if (notes) {
+        this.notes = notes;
+    }
+    await this.save();
+    return this;
+};
+
+// Method to cancel a refund that will not be paid out (the surplus stays on the customer's advance)
+surplusRefundSchema.methods.cancel = function(reason, cancelledBy) {
+    if (this.status === 'paid' || this.status === 'cancelled') {
+        throw new Error(`Refund has already been ${this.status}`);
+    }
+
+    this.status = 'cancelled';
+    this.cancelReason = reason;
+    this.cancelledBy = cancelledBy;
+    this.cancelledAt = new Date();
+    return this;
+};
+
+const SurplusRefund = mongoose.model('SurplusRefund', surplusRefundSchema);
+SurplusRefund.PAYOUT_METHODS = PAYOUT_METHODS;
+
+module.exports = SurplusRefund;
@@ -1,6 +1,10 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { aadhaarPlugin } = require('../utils/aadhaar');
+
+// Sensitive actions granted to individual staff members, on top of their role
+const PERMISSIONS = ['reveal_aadhaar'];
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -49,26 +53,25 @@ const userSchema = new mongoose.Schema({
         mobile: { type: String, trim: true },
         relation: { type: String, trim: true }
     },
-    aadharNumber: {
+    permissions: [{
         type: String,
-        validate: {
-            validator: function(v) {
-                // If role is employee, Aadhar is required and must be 12 digits
-                if (this.role === 'employee') {
-                    return v && /^\d{12}$/.test(v);
-                }
-                // For other roles, Aadhar is optional but if provided must be 12 digits
-                return !v || /^\d{12}$/.test(v);
-            },
-            message: props => 'Aadhar number must be exactly 12 digits and is required for employees'
-        }
-    },
+        enum: PERMISSIONS
+    }],
     mustResetPassword: {
         type: Boolean,
         default: false
     }
 });
 
+// aadharNumber is stored encrypted (see utils/aadhaar). Required for employees; for other
+// roles it is optional but if provided must be 12 digits.
+userSchema.plugin(aadhaarPlugin, {
+    required: function() {
+        return this.role === 'employee';
+    },
+    message: 'Aadhar number must be exactly 12 digits and is required for employees'
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
     if (!this.isModified('password')) {
@@ -95,4 +98,13 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
-module.exports = mongoose.model('User', userSchema); 
+// Method to check whether the user has been granted a permission
+userSchema.methods.hasPermission = function(permission) {
+    return (this.permissions || []).includes(permission);
+};
+
+const User = mongoose.model('User', userSchema);
+User.PERMISSIONS = PERMISSIONS;
+
+module.exports = User;
+
@@ -2,7 +2,11 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Loan = require('../models/Loan');
+const LedgerEntry = require('../models/LedgerEntry');
+const Scheme = require('../models/Scheme');
 const Customer = require('../models/Customer');
+const KycDocument = require('../models/KycDocument');
+const Settings = require('../models/Settings');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
@@ -12,23 +16,32 @@ const crypto = require('crypto');
 const Otp = require('../models/Otp');
 const { processInterestRateUpgrades, getUpgradeStatistics } = require('../scripts/interestRateUpgradeManager');
 const Notification = require('../models/Notification');
-const { calculateMuthootGoldLoanInterest: calcMuthoot, calculateMuthootGoldLoanInterest, calculateClientInterestMethod } = require('../utils/interestCalculator');
-
-// @route   GET /api/admin/check-aadhar/:aadharNumber
-// @desc    Check if an Aadhar number exists and get customer details
-router.get('/check-aadhar/:aadharNumber', [auth, adminAuth], async (req, res) => {
+const CronJobHistory = require('../models/CronJobHistory');
+const AuctionNotice = require('../models/AuctionNotice');
+const SurplusRefund = require('../models/SurplusRefund');
+const AuditLog = require('../models/AuditLog');
+const { calculateInterest, optionsFromTerms } = require('../utils/interestEngine');
+const { validateGoldItem, loanEligibility, ltvPercentOf } = require('../utils/goldValuation');
+const { maskAadhaar, aadhaarFieldsOf } = require('../utils/aadhaar');
+
+// @route   POST /api/admin/check-aadhar
+// @desc    Check if an Aadhar number exists and get customer details ({ aadharNumber } in the
+//          body, so the number stays out of URLs and access logs)
+router.post('/check-aadhar', [auth, adminAuth, [
+    body('aadharNumber').matches(/^[0-9]{12}$/).withMessage('Aadhar number must be exactly 12 digits')
+]], async (req, res) => {
     try {
-        console.log('Checking Aadhar:', req.params.aadharNumber);
-        // Check both aadharNumber and customerId fields
-        const loan = await Loan.findOne({
-            $or: [
-                { aadharNumber: req.params.aadharNumber },
-                { customerId: req.params.aadharNumber }
-            ]
-        });
-        console.log('Found loan:', loan);
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        console.log('Checking Aadhar:', maskAadhaar(req.body.aadharNumber));
+        const loan = await Loan.findOne({ aadharNumber: req.body.aadharNumber });
+        console.log('Found loan:', loan ? loan.loanId : 'No');
         
         if (loan) {
+            const customer = await Customer.findById(loan.customerId);
             return res.json({
                 exists: true,
                 customerDetails: {
@@ -41,7 +54,10 @@ router.get('/check-aadhar/:aadharNumber', [auth, adminAuth], async (req, res) =>
                     presentAddress: loan.presentAddress,
                     permanentAddress: loan.permanentAddress,
                     emergencyContact: loan.emergencyContact || { mobile: '', relation: '' }
-                }
+                },
+                // Dues still owed on earlier loans (e.g. an auction shortfall)
+                recoverableDues: customer ? customer.getRecoverableDues() : { total: 0, balances: [] },
+                riskFlags: customer ? customer.getActiveRiskFlags() : []
             });
         }
         res.json({ exists: false });
@@ -58,11 +74,15 @@ router.post('/loans', [
     adminAuth,
     body('aadharNumber').matches(/^[0-9]{12}$/).withMessage('Aadhar number must be exactly 12 digits'),
     body('amount').isNumeric().withMessage('Loan amount must be a number').isFloat({ min: 100 }).withMessage('Loan amount must be at least 100'),
-    body('term').isIn([3, 6, 12]).withMessage('Duration must be 3, 6, or 12 months'),
+    body('term').isInt({ min: 1 }).withMessage('Duration must be a whole number of months'),
     // body('interestRate').isIn([18, 24, 30, 36]).withMessage('Interest rate must be 18%, 24%, 30% or 36%'),
+    body('schemeCode').optional().isString().withMessage('Scheme code must be a string'),
+    body('branch').optional().isString().withMessage('Branch must be a string'),
     body('monthlyPayment').isNumeric().withMessage('Monthly payment is required'),
     body('totalPayment').isNumeric().withMessage('Total payment is required'),
     body('goldItems').isArray({ min: 1 }).withMessage('At least one gold item must be provided'),
+    body('ltvOverrideReason').optional().isString().withMessage('LTV override reason must be text'),
+    body('blacklistOverrideReason').optional().isString().withMessage('Blacklist override reason must be text'),
     // Add more field checks as needed
 ], async (req, res) => {
     const errors = validationResult(req);
@@ -71,8 +91,8 @@ router.post('/loans', [
     }
 
     try {
-        console.log('Received request body:', JSON.stringify(req.body, null, 2));
-        console.log('User from token:', req.user);
+        console.log('Received request body:', JSON.stringify({ ...req.body, aadharNumber: maskAadhaar(req.body.aadharNumber) }, null, 2));
+        console.log('User from token:', req.user.id);
 
         // Extract customer fields
         const {
@@ -91,7 +111,9 @@ router.post('/loans', [
             term,
             monthlyPayment,
             totalPayment,
-            customLoanDate
+            customLoanDate,
+            schemeCode,
+            branch
         } = req.body;
 
         // Use the correct field names, falling back to alternates if needed
@@ -109,7 +131,7 @@ router.post('/loans', [
         } else {
             // Fallback to Aadhar number lookup
             customer = await Customer.findOne({ aadharNumber });
-            console.log(`[ADMIN] Found customer by Aadhar: ${aadharNumber}`, customer ? 'Yes' : 'No');
+            console.log(`[ADMIN] Found customer by Aadhar: ${maskAadhaar(aadharNumber)}`, customer ? 'Yes' : 'No');
         }
         
         if (!customer) {
@@ -171,6 +193,33 @@ router.post('/loans', [
             return res.status(400).json({ message: 'Customer not verified. Please verify customer via SMS OTP before creating a loan.' });
         }
 
+        // Blacklisted customers can only be given a loan by an admin with a reason (audited)
+        const blacklistFlags = customer.getBlacklistFlags();
+        const blacklistOverrideReason = typeof req.body.blacklistOverrideReason === 'string' ? req.body.blacklistOverrideReason.trim() : '';
+        if (blacklistFlags.length > 0 && !blacklistOverrideReason) {
+            return res.status(403).json({
+                message: `Customer is blacklisted: ${blacklistFlags.map(flag => flag.reason).join('; ')}. An admin can override this with a reason.`,
+                riskFlags: blacklistFlags
+            });
+        }
+
+        // Mandatory ID proofs must be on file and unexpired (and verified, when the policy asks)
+        const kyc = await KycDocument.checkCompliance(customer._id, await Settings.getKycPolicy());
+        if (!kyc.compliant) {
+            return res.status(400).json({
+                message: `KYC incomplete: ${kyc.problems.join('; ')}`,
+                kyc: {
+                    missing: kyc.missing,
+                    rejected: kyc.rejected,
+                    expired: kyc.expired,
+                    unverified: kyc.unverified
+                }
+            });
+        }
+
+        // Shortfalls from earlier auctions are noted on the new loan
+        const recoverableDues = customer.getRecoverableDues();
+
         // Validate goldItems array
         if (!Array.isArray(goldItems) || goldItems.length === 0) {
             return res.status(400).json({
@@ -179,68 +228,72 @@ router.post('/loans', [
         }
 
         // Validate each gold item
-        const invalidGoldItems = goldItems.filter(
-            item => !item.description || !item.grossWeight || !item.netWeight
-        );
+        const goldItemErrors = goldItems.map(validateGoldItem).filter(Boolean);
+        if (goldItemErrors.length > 0) {
+            return res.status(400).json({
+                errors: goldItemErrors.map(msg => ({ msg }))
+            });
+        }
 
-        if (invalidGoldItems.length > 0) {
+        // The loan is pinned to the current version of the chosen (or default) scheme
+        const scheme = await Scheme.findForNewLoan(schemeCode);
+        if (!scheme) {
+            return res.status(400).json({
+                errors: [{ msg: schemeCode ? `Interest scheme ${schemeCode} not found or inactive` : 'No default interest scheme is configured' }]
+            });
+        }
+        if (!scheme.allowsTerm(finalTerm)) {
             return res.status(400).json({
-                errors: [{ msg: 'Each gold item must have description, grossWeight, and netWeight' }]
+                errors: [{ msg: `Duration must be one of ${scheme.allowedTerms.join(', ')} months under scheme ${scheme.code}` }]
             });
         }
 
-        // Generate unique loanId with retry mechanism
-        let loanId;
-        let attempts = 0;
-        const maxAttempts = 5;
-        
-        do {
-            const now = new Date();
-            const year = now.getFullYear() % 1000; // last 3 digits
-            const month = (now.getMonth() + 1).toString().padStart(2, '0');
-            const day = now.getDate().toString().padStart(2, '0');
-            const hour = now.getHours().toString().padStart(2, '0');
-            const minute = now.getMinutes().toString().padStart(2, '0');
-            const second = now.getSeconds().toString().padStart(2, '0');
-            const random = Math.floor(Math.random() * 100).toString().padStart(2, '0');
-            
-            // Create a more unique ID with timestamp and random component
-            loanId = `CY${year}${month}${day}${hour}${minute}${second}${random}`;
-            
-            // Check if this ID already exists
-            const existingLoan = await Loan.findOne({ loanId });
-            if (!existingLoan) {
-                break; // Unique ID found
-            }
-            
-            attempts++;
-            if (attempts >= maxAttempts) {
-                throw new Error('Unable to generate unique loan ID after multiple attempts');
-            }
-        } while (attempts < maxAttempts);
+        // The loan cannot exceed the scheme's LTV limits on the gold's appraised value at the
+        // rates in force on the loan date
+        const loanDate = customLoanDate ? new Date(customLoanDate) : new Date();
+        const valuation = await scheme.getValuationTerms(loanDate);
+        const eligibility = loanEligibility(goldItems, valuation);
+        // Going over the limit needs an admin and a reason
+        const ltvOverrideReason = typeof req.body.ltvOverrideReason === 'string' ? req.body.ltvOverrideReason.trim() : '';
+        const exceedsLtv = Number(finalAmount) > eligibility.eligibleAmount;
+        if (exceedsLtv && !ltvOverrideReason) {
+            return res.status(400).json({
+                errors: [{ msg: `Loan amount exceeds the eligible amount of ₹${eligibility.eligibleAmount} (${eligibility.maxLtvPercent}% of ₹${eligibility.appraisedValue} appraised gold value). An admin can override this with a reason.` }],
+                eligibility
+            });
+        }
+        const appraisedAt = new Date();
+        const appraisedGoldItems = goldItems.map((item, index) => ({
+            ...item,
+            netWeight: eligibility.items[index].netWeight,
+            appraisedRate: eligibility.items[index].ratePerGram,
+            appraisedValue: eligibility.items[index].value,
+            appraisedAt
+        }));
 
-        // Calculate using client's interest method
-        const disbursementDate = new Date();
-        const closureDate = new Date(disbursementDate);
-        closureDate.setMonth(closureDate.getMonth() + Number(finalTerm));
-        
-        const muthootResult = calculateClientInterestMethod({
+        const finalInterestRate = interestRate !== undefined && interestRate !== '' ? Number(interestRate) : scheme.baseRate;
+
+        // Generate unique loanId
+        const loanId = await Loan.generateLoanId();
+
+        // Interest for the full term under the scheme's conventions
+        const interestResult = calculateInterest({
+            ...optionsFromTerms(scheme),
             principal: Number(finalAmount),
-            annualRate: Number(interestRate),
-            disbursementDate: disbursementDate,
-            closureDate: closureDate,
+            annualRate: finalInterestRate,
+            startDate: new Date(),
             termMonths: Number(finalTerm)
         });
         
         // Calculate daily interest fields for tracking
-        const dailyInterestRate = (Number(interestRate) / 100) / 365;
+        const dailyInterestRate = (finalInterestRate / 100) / 365;
         const totalDays = Number(finalTerm) * 30;
         const dailyInterestAmount = Number(finalAmount) * dailyInterestRate;
 
         // Create new loan data
         const loanData = {
             customerId: customer._id,
-            aadharNumber: customer.aadharNumber,
+            ...aadhaarFieldsOf(customer),
             name: customer.name,
             email: customer.email,
             primaryMobile: customer.primaryMobile,
@@ -248,24 +301,59 @@ router.post('/loans', [
             presentAddress: customer.presentAddress,
             permanentAddress: customer.permanentAddress,
             emergencyContact: customer.emergencyContact,
-            goldItems,
-            interestRate: Number(interestRate),
-            originalInterestRate: Number(interestRate), // Add this required field
+            branch,
+            goldItems: appraisedGoldItems,
+            securityValue: eligibility.appraisedValue,
+            valuationSnapshot: {
+                goldRate: valuation.goldRateId,
+                rates: valuation.rates || { k22: valuation.goldRate },
+                appraisedValue: eligibility.appraisedValue,
+                valuedAt: appraisedAt
+            },
+            ltv: {
+                percent: ltvPercentOf(finalAmount, eligibility.appraisedValue),
+                maxPercent: eligibility.maxLtvPercent,
+                appraisedValue: eligibility.appraisedValue,
+                eligibleAmount: eligibility.eligibleAmount,
+                goldRate: eligibility.goldRate,
+                overridden: exceedsLtv,
+                overrideReason: exceedsLtv ? ltvOverrideReason : undefined,
+                overriddenBy: exceedsLtv ? { id: req.user.id, name: req.user.name } : undefined,
+                overriddenAt: exceedsLtv ? appraisedAt : undefined
+            },
+            interestRate: finalInterestRate,
+            originalInterestRate: finalInterestRate, // Add this required field
+            scheme: scheme._id,
+            schemeTerms: scheme.toLoanTerms(),
             amount: Number(finalAmount),
             term: Number(finalTerm),
-            monthlyPayment: Math.round(muthootResult.totalAmount / Number(finalTerm)),
-            totalPayment: muthootResult.totalAmount,
+            monthlyPayment: Math.round(interestResult.totalAmount / Number(finalTerm)),
+            totalPayment: interestResult.totalAmount,
             status: 'active',
             createdBy: req.user._id,
             loanId,
-            remainingBalance: muthootResult.totalAmount,
+            remainingBalance: interestResult.totalAmount,
             // Use custom loan date if provided, otherwise use current date
-            createdAt: customLoanDate ? new Date(customLoanDate) : new Date(),
+            createdAt: loanDate,
             totalPaid: 0,
             payments: [],
             dailyInterestRate,
             totalDays,
-            dailyInterestAmount
+            dailyInterestAmount,
+            blacklistOverride: blacklistFlags.length > 0 ? {
+                reason: blacklistOverrideReason,
+                flags: blacklistFlags.map(flag => flag.reason),
+                overriddenBy: { id: req.user.id, name: req.user.name },
+                overriddenAt: new Date()
+            } : undefined,
+            priorRecoverableDues: {
+                total: recoverableDues.total,
+                loans: recoverableDues.balances.map(balance => ({
+                    loan: balance.loan,
+                    loanId: balance.loanId,
+                    outstanding: balance.outstanding
+                }))
+            }
         };
 
         console.log('Creating new loan with data:', JSON.stringify(loanData, null, 2));
@@ -275,6 +363,15 @@ router.post('/loans', [
             const loan = await Loan.create(loanData);
             console.log('Loan created successfully:', loan);
 
+            if (loan.blacklistOverride && loan.blacklistOverride.reason) {
+                await AuditLog.record(req, 'blacklist_override', {
+                    entityType: 'Loan',
+                    entityId: loan._id,
+                    reason: blacklistOverrideReason,
+                    details: { customerId: customer._id, loanId: loan.loanId, flags: loan.blacklistOverride.flags }
+                });
+            }
+
             /* Messaging disabled temporarily (only OTPs allowed)
             if (loan.email && loan.email.trim()) {
                 try {
@@ -312,6 +409,9 @@ router.post('/loans', [
 
             res.status(201).json({
                 success: true,
+                message: recoverableDues.total > 0
+                    ? `Loan created. The customer still owes ₹${recoverableDues.total.toLocaleString()} on earlier auctioned loans`
+                    : undefined,
                 data: loan
             });
         } catch (err) {
@@ -381,7 +481,7 @@ router.get('/loans', [auth, adminAuth], async (req, res) => {
         const loans = await Loan.find()
             .sort({ createdAt: -1 })
             .populate('createdBy', 'name email role')
-            .populate('customerId', 'aadharNumber name');
+            .populate('customerId', 'aadharLast4 name');
         
         // Process each loan to include accurate payment totals and remaining balance
         const processedLoans = loans.map(loan => {
@@ -430,8 +530,10 @@ router.get('/customers', [auth, adminAuth], async (req, res) => {
         const customers = await Loan.aggregate([
             {
                 $group: {
-                    _id: '$aadharNumber',
+                    _id: '$aadharHash',
                     mongoId: { $first: '$_id' },
+                    customerId: { $first: '$customerId' },
+                    aadharLast4: { $first: '$aadharLast4' },
                     name: { $first: '$name' },
                     email: { $first: '$email' },
                     primaryMobile: { $first: '$primaryMobile' },
@@ -451,7 +553,7 @@ router.get('/customers', [auth, adminAuth], async (req, res) => {
                 $lookup: {
                     from: 'users',
                     localField: '_id',
-                    foreignField: 'aadharNumber',
+                    foreignField: 'aadharHash',
                     as: 'userDoc'
                 }
             },
@@ -463,8 +565,9 @@ router.get('/customers', [auth, adminAuth], async (req, res) => {
             },
             {
                 $project: {
-                    aadharNumber: '$_id',
+                    aadharLast4: 1,
                     mongoId: 1,
+                    customerId: 1,
                     userId: 1,
                     role: 1,
                     name: 1,
@@ -482,7 +585,10 @@ router.get('/customers', [auth, adminAuth], async (req, res) => {
         ]);
         res.json({
             success: true,
-            data: customers
+            data: customers.map(({ aadharLast4, ...customer }) => ({
+                ...customer,
+                aadharNumber: maskAadhaar(aadharLast4)
+            }))
         });
     } catch (err) {
         console.error('Error fetching customers:', err);
@@ -521,9 +627,9 @@ router.put('/loans/:id', [auth, adminAuth], async (req, res) => {
   }
 });
 
-// @route   PUT /api/admin/customers/:aadharNumber
+// @route   PUT /api/admin/customers/:customerId
 // @desc    Update a customer as admin
-router.put('/customers/:aadharNumber', [auth, adminAuth], async (req, res) => {
+router.put('/customers/:customerId', [auth, adminAuth], async (req, res) => {
   try {
     const allowedFields = [
       'name', 'email', 'primaryMobile', 'secondaryMobile',
@@ -533,8 +639,8 @@ router.put('/customers/:aadharNumber', [auth, adminAuth], async (req, res) => {
     for (const field of allowedFields) {
       if (req.body[field] !== undefined) update[field] = req.body[field];
     }
-    const updated = await Customer.findOneAndUpdate(
-      { aadharNumber: req.params.aadharNumber },
+    const updated = await Customer.findByIdAndUpdate(
+      req.params.customerId,
       update,
       { new: true }
     );
@@ -542,7 +648,7 @@ router.put('/customers/:aadharNumber', [auth, adminAuth], async (req, res) => {
 
     // Also update all Loan documents for this customer
     await Loan.updateMany(
-      { aadharNumber: req.params.aadharNumber },
+      { customerId: updated._id },
       { $set: update }
     );
 
@@ -552,11 +658,12 @@ router.put('/customers/:aadharNumber', [auth, adminAuth], async (req, res) => {
   }
 });
 
-// @route   DELETE /api/admin/customers/:aadharNumber
-// @desc    Delete a customer by aadhar number (admin only)
-router.delete('/customers/:aadharNumber', [auth, adminAuth], async (req, res) => {
+// @route   DELETE /api/admin/customers/:customerId
+// @desc    Delete the user account of a customer (matched by aadhar number) (admin only)
+router.delete('/customers/:customerId', [auth, adminAuth], async (req, res) => {
   try {
-    const user = await User.findOne({ aadharNumber: req.params.aadharNumber });
+    const customer = await Customer.findById(req.params.customerId);
+    const user = customer && customer.aadharHash && await User.findOne({ aadharHash: customer.aadharHash });
     if (!user) {
       return res.status(404).json({ message: 'Customer not found' });
     }
@@ -675,20 +782,98 @@ router.put('/employees/:id', [auth, adminAuth], async (req, res) => {
   }
 });
 
+// @route   PUT /api/admin/employees/:id/permissions
+// @desc    Set the sensitive permissions granted to a staff member ({ permissions, reason }),
+//          e.g. reveal_aadhaar. Every change is recorded in the audit log.
+router.put('/employees/:id/permissions', [auth, adminAuth, [
+  body('permissions').isArray().withMessage('Permissions must be a list'),
+  body('permissions.*').isIn(User.PERMISSIONS).withMessage(`Permissions must be among ${User.PERMISSIONS.join(', ')}`),
+  body('reason').trim().notEmpty().withMessage('Reason for the change is required')
+]], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user || !['employee', 'admin'].includes(user.role)) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const previous = [...user.permissions];
+    user.permissions = [...new Set(req.body.permissions)];
+    await user.save();
+
+    await AuditLog.record(req, 'permissions_changed', {
+      entityType: 'User',
+      entityId: user._id,
+      reason: req.body.reason,
+      details: { previous, current: user.permissions }
+    });
+
+    res.json({ success: true, message: 'Permissions updated', data: user });
+  } catch (err) {
+    console.error('Error updating permissions:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/audit-logs
+// @desc    Get audit log entries, newest first (?action, entityType, entityId, actorId, from, to, page, limit)
+router.get('/audit-logs', [auth, adminAuth], async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const query = {};
+    if (req.query.action) query.action = req.query.action;
+    if (req.query.entityType) query.entityType = req.query.entityType;
+    if (req.query.entityId) query.entityId = req.query.entityId;
+    if (req.query.actorId) query['actor.id'] = req.query.actorId;
+    if (req.query.from || req.query.to) {
+      query.createdAt = {};
+      if (req.query.from) query.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) query.createdAt.$lte = new Date(req.query.to);
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalEntries: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching audit logs:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/admin/sync-customers-from-loans
 // @desc    Sync all unique customers from Loan collection to Customer collection
 router.post('/sync-customers-from-loans', [auth, adminAuth], async (req, res) => {
   try {
     const loans = await Loan.aggregate([
-      { $group: { _id: '$aadharNumber', doc: { $first: '$$ROOT' } } }
+      { $group: { _id: '$aadharHash', doc: { $first: '$$ROOT' } } }
     ]);
     let created = 0;
-    for (const { _id: aadharNumber, doc } of loans) {
-      if (!aadharNumber) continue;
-      const exists = await Customer.findOne({ aadharNumber });
+    for (const { _id: aadharHash, doc } of loans) {
+      if (!aadharHash) continue;
+      const exists = await Customer.findOne({ aadharHash });
       if (!exists) {
         await Customer.create({
-          aadharNumber,
+          ...aadhaarFieldsOf(doc),
           name: doc.name,
           email: doc.email,
           primaryMobile: doc.primaryMobile,
@@ -728,7 +913,7 @@ router.post('/customers', [
         return res.status(400).json({ errors: errors.array() });
     }
     try {
-        console.log('[ADMIN] Received customer creation request:', JSON.stringify(req.body, null, 2));
+        console.log('[ADMIN] Received customer creation request:', JSON.stringify({ ...req.body, aadharNumber: maskAadhaar(req.body.aadharNumber) }, null, 2));
         const { aadharNumber, name, email, primaryMobile, secondaryMobile, presentAddress, permanentAddress, emergencyContact } = req.body;
         
         // Convert empty email to null to avoid unique constraint issues
@@ -949,7 +1134,7 @@ router.post('/process-interest-rate-upgrades', [auth, adminAuth], async (req, re
 });
 
 // @route   POST /api/admin/fix-loan-calculation/:loanId
-// @desc    Recalculate and fix loan amounts using correct Muthoot method
+// @desc    Recalculate and fix loan amounts with the interest engine
 // @access  Private (Admin only)
 router.post('/fix-loan-calculation/:loanId', [auth, adminAuth], async (req, res) => {
     try {
@@ -962,17 +1147,10 @@ router.post('/fix-loan-calculation/:loanId', [auth, adminAuth], async (req, res)
         console.log(`🔧 Fixing calculation for loan ${loan.loanId}...`);
         console.log(`   Current values: Total ₹${loan.totalPayment}, Monthly ₹${loan.monthlyPayment}`);
         
-        // Calculate correct values using Muthoot method
-        const loanStartDate = loan.createdAt;
-        const loanEndDate = new Date(loanStartDate);
-        loanEndDate.setMonth(loanEndDate.getMonth() + loan.term);
-        
-        const { totalAmount, totalInterest } = calculateMuthootGoldLoanInterest({
-            principal: loan.amount,
-            annualRate: loan.interestRate,
-            disbursementDate: loanStartDate,
-            closureDate: loanEndDate
-        });
+        // Recalculate the full term under the loan's scheme
+        const { totalAmount, totalInterest } = loan.calculateInterest({ termMonths: loan.term });
+        const oldTotalPayment = loan.totalPayment;
+        const oldMonthlyPayment = loan.monthlyPayment;
         
         const correctMonthlyPayment = Math.round(totalAmount / loan.term);
         
@@ -991,9 +1169,9 @@ router.post('/fix-loan-calculation/:loanId', [auth, adminAuth], async (req, res)
             message: 'Loan calculation fixed successfully',
             data: {
                 loanId: loan.loanId,
-                oldTotalPayment: loan.totalPayment,
+                oldTotalPayment,
                 newTotalPayment: totalAmount,
-                oldMonthlyPayment: loan.monthlyPayment,
+                oldMonthlyPayment,
                 newMonthlyPayment: correctMonthlyPayment,
                 totalInterest: totalInterest
             }
@@ -1164,6 +1342,263 @@ router.post('/loans/:loanId/mark-ready-for-auction', [auth, adminAuth], async (r
     }
 });
 
+// @route   GET /api/admin/loans/:loanId/auction-notices
+// @desc    Get the pre-auction notices issued on a loan, their dispatches, and whether they
+//          allow an auction (on ?auctionDate, or the earliest date they allow)
+// @access  Private (Admin only)
+router.get('/loans/:loanId/auction-notices', [auth, adminAuth], async (req, res) => {
+    try {
+        const loan = await Loan.findById(req.params.loanId);
+        if (!loan) {
+            return res.status(404).json({ message: 'Loan not found' });
+        }
+
+        const auctionDate = req.query.auctionDate ? new Date(req.query.auctionDate) : loan.auctionScheduledDate;
+        const [notices, compliance] = await Promise.all([
+            AuctionNotice.find({ loan: loan._id }).select('-document.data').sort({ issuedAt: 1 }),
+            loan.getAuctionNoticeCompliance(auctionDate)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                notices,
+                compliance
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching auction notices:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching auction notices',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/admin/loans/:loanId/auction-notices
+// @desc    Issue a pre-auction notice (intimation, reminder or final) and generate its PDF
+// @access  Private (Admin only)
+router.post('/loans/:loanId/auction-notices', [auth, adminAuth, [
+    body('noticeType').isIn(AuctionNotice.NOTICE_TYPES).withMessage(`Notice type must be one of ${AuctionNotice.NOTICE_TYPES.join(', ')}`),
+    body('proposedAuctionDate').optional().isISO8601().withMessage('Proposed auction date must be a valid date')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const loan = await Loan.findById(req.params.loanId);
+        if (!loan) {
+            return res.status(404).json({ message: 'Loan not found' });
+        }
+        if (loan.status !== 'active' || loan.auctionStatus === 'auctioned') {
+            return res.status(400).json({ message: 'Notices can only be issued on active loans' });
+        }
+
+        const { noticeType, notes } = req.body;
+        const proposedAuctionDate = req.body.proposedAuctionDate ? new Date(req.body.proposedAuctionDate) : undefined;
+        if (noticeType === 'final') {
+            const { finalNoticeDays } = await Settings.getAuctionNoticePolicy();
+            const earliest = new Date(Date.now() + finalNoticeDays * 24 * 60 * 60 * 1000);
+            if (!proposedAuctionDate) {
+                return res.status(400).json({ message: 'A final notice must state the proposed auction date' });
+            }
+            if (proposedAuctionDate < earliest) {
+                return res.status(400).json({
+                    message: `The proposed auction date must be at least ${finalNoticeDays} days after the final notice`
+                });
+            }
+        }
+
+        const notice = await AuctionNotice.issue(loan, { noticeType, proposedAuctionDate, notes }, {
+            id: req.user.id,
+            name: req.user.name
+        });
+        const { document, ...issued } = notice.toObject();
+
+        res.status(201).json({
+            success: true,
+            message: `Notice ${notice.noticeNumber} issued; record its dispatch once sent`,
+            data: {
+                ...issued,
+                document: { filename: document.filename, size: document.size }
+            }
+        });
+    } catch (error) {
+        console.error('Error issuing auction notice:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while issuing auction notice',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/admin/loans/:loanId/auction-notices/:noticeId/pdf
+// @desc    Download a notice
+// @access  Private (Admin only)
+router.get('/loans/:loanId/auction-notices/:noticeId/pdf', [auth, adminAuth], async (req, res) => {
+    try {
+        const notice = await AuctionNotice.findOne({ _id: req.params.noticeId, loan: req.params.loanId });
+        if (!notice || !notice.document || !notice.document.data) {
+            return res.status(404).json({ message: 'Notice not found' });
+        }
+
+        res.set({
+            'Content-Type': notice.document.mimeType,
+            'Content-Length': notice.document.size,
+            'Content-Disposition': `attachment; filename="${notice.document.filename}"`
+        });
+        res.send(notice.document.data);
+    } catch (error) {
+        console.error('Error downloading auction notice:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while downloading auction notice',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/admin/loans/:loanId/auction-notices/:noticeId/dispatches
+// @desc    Record a notice being sent by post, courier, hand, email or SMS
+// @access  Private (Admin only)
+router.post('/loans/:loanId/auction-notices/:noticeId/dispatches', [auth, adminAuth, [
+    body('channel').isIn(AuctionNotice.DISPATCH_CHANNELS).withMessage(`Channel must be one of ${AuctionNotice.DISPATCH_CHANNELS.join(', ')}`),
+    body('sentAt').optional().isISO8601().withMessage('Sent date must be a valid date'),
+    body('status').optional().isIn(['sent', 'delivered', 'failed', 'returned']).withMessage('Invalid dispatch status')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const notice = await AuctionNotice.findOne({ _id: req.params.noticeId, loan: req.params.loanId }).select('-document.data');
+        if (!notice) {
+            return res.status(404).json({ message: 'Notice not found' });
+        }
+        if (notice.status !== 'issued') {
+            return res.status(400).json({ message: 'Dispatches cannot be recorded for a withdrawn notice' });
+        }
+
+        const sentAt = req.body.sentAt ? new Date(req.body.sentAt) : new Date();
+        if (sentAt < notice.issuedAt || sentAt > new Date()) {
+            return res.status(400).json({ message: 'Sent date must be between the notice date and today' });
+        }
+
+        const { channel, sentTo, reference, status, notes } = req.body;
+        notice.dispatches.push({
+            channel,
+            sentTo,
+            reference,
+            sentAt,
+            status: status || 'sent',
+            deliveredAt: status === 'delivered' ? sentAt : undefined,
+            notes,
+            recordedBy: { id: req.user.id, name: req.user.name }
+        });
+        await notice.save();
+
+        res.status(201).json({
+            success: true,
+            message: `Dispatch of ${notice.noticeNumber} by ${channel.replace('_', ' ')} recorded`,
+            data: notice.dispatches[notice.dispatches.length - 1]
+        });
+    } catch (error) {
+        console.error('Error recording notice dispatch:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while recording notice dispatch',
+            error: error.message
+        });
+    }
+});
+
+// @route   PATCH /api/admin/loans/:loanId/auction-notices/:noticeId/dispatches/:dispatchId
+// @desc    Update a dispatch's delivery status (delivered, failed, returned)
+// @access  Private (Admin only)
+router.patch('/loans/:loanId/auction-notices/:noticeId/dispatches/:dispatchId', [auth, adminAuth, [
+    body('status').isIn(['sent', 'delivered', 'failed', 'returned']).withMessage('Invalid dispatch status'),
+    body('deliveredAt').optional().isISO8601().withMessage('Delivery date must be a valid date')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const notice = await AuctionNotice.findOne({ _id: req.params.noticeId, loan: req.params.loanId }).select('-document.data');
+        const dispatch = notice && notice.dispatches.id(req.params.dispatchId);
+        if (!dispatch) {
+            return res.status(404).json({ message: 'Dispatch not found' });
+        }
+
+        dispatch.status = req.body.status;
+        dispatch.deliveredAt = req.body.status === 'delivered'
+            ? (req.body.deliveredAt ? new Date(req.body.deliveredAt) : new Date())
+            : undefined;
+        if (req.body.notes) {
+            dispatch.notes = req.body.notes;
+        }
+        await notice.save();
+
+        res.json({
+            success: true,
+            message: `Dispatch marked ${dispatch.status}`,
+            data: dispatch
+        });
+    } catch (error) {
+        console.error('Error updating notice dispatch:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating notice dispatch',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/admin/loans/:loanId/auction-notices/:noticeId/withdraw
+// @desc    Withdraw a notice issued in error; it no longer counts towards the notice requirements
+// @access  Private (Admin only)
+router.post('/loans/:loanId/auction-notices/:noticeId/withdraw', [auth, adminAuth, [
+    body('reason').trim().notEmpty().withMessage('Reason for withdrawing the notice is required')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const notice = await AuctionNotice.findOne({ _id: req.params.noticeId, loan: req.params.loanId }).select('-document.data');
+        if (!notice) {
+            return res.status(404).json({ message: 'Notice not found' });
+        }
+        if (notice.status === 'withdrawn') {
+            return res.status(400).json({ message: 'Notice has already been withdrawn' });
+        }
+
+        notice.status = 'withdrawn';
+        notice.withdrawnReason = req.body.reason;
+        await notice.save();
+
+        res.json({
+            success: true,
+            message: `Notice ${notice.noticeNumber} withdrawn`,
+            data: notice
+        });
+    } catch (error) {
+        console.error('Error withdrawing auction notice:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while withdrawing auction notice',
+            error: error.message
+        });
+    }
+});
+
 // @route   POST /api/admin/loans/:loanId/schedule-auction
 // @desc    Schedule auction for a loan
 // @access  Private (Admin only)
@@ -1187,6 +1622,17 @@ router.post('/loans/:loanId/schedule-auction', [auth, adminAuth], async (req, re
         };
         
         const auctionDateObj = new Date(auctionDate);
+
+        if (loan.auctionStatus !== 'ready_for_auction') {
+            return res.status(400).json({ message: 'Loan must be marked as ready for auction before scheduling' });
+        }
+        const compliance = await loan.getAuctionNoticeCompliance(auctionDateObj);
+        if (!compliance.compliant) {
+            return res.status(400).json({
+                message: 'Auction notice requirements not met',
+                data: compliance
+            });
+        }
         
         // Schedule auction
         await loan.scheduleAuction(auctionDateObj, notes || '', scheduledBy);
@@ -1262,6 +1708,11 @@ router.post('/loans/:loanId/mark-auctioned', [auth, adminAuth], async (req, res)
     try {
         const { loanId } = req.params;
         const { auctionDate, notes } = req.body;
+        const saleProceeds = Number(req.body.saleProceeds);
+
+        if (!(saleProceeds > 0)) {
+            return res.status(400).json({ message: 'Sale proceeds from the auction are required' });
+        }
         
         const loan = await Loan.findById(loanId);
         if (!loan) {
@@ -1274,9 +1725,22 @@ router.post('/loans/:loanId/mark-auctioned', [auth, adminAuth], async (req, res)
         };
         
         const auctionDateObj = auctionDate ? new Date(auctionDate) : new Date();
+
+        if (loan.auctionStatus === 'ready_for_auction') {
+            const compliance = await loan.getAuctionNoticeCompliance(auctionDateObj);
+            if (!compliance.compliant) {
+                return res.status(400).json({
+                    message: 'Auction notice requirements not met',
+                    data: compliance
+                });
+            }
+        }
         
-        // Mark loan as auctioned
-        await loan.markAsAuctioned(auctionDateObj, notes || '', auctionedBy);
+        // Apply the proceeds to the dues and close the loan as auctioned
+        const sale = await loan.settleAuctionProceeds(saleProceeds, {
+            saleDate: auctionDateObj,
+            notes: notes || ''
+        }, auctionedBy);
         
         // Create system notification
         await Notification.createAuctionFinalWarningNotification(loan, auctionDateObj);
@@ -1296,12 +1760,14 @@ router.post('/loans/:loanId/mark-auctioned', [auth, adminAuth], async (req, res)
                             <h3 style="color: #dc2626; margin-top: 0;">Auction Details:</h3>
                             <p><strong>Loan ID:</strong> ${loan.loanId}</p>
                             <p><strong>Auction Date:</strong> ${auctionDateObj.toDateString()}</p>
-                            <p><strong>Outstanding Amount:</strong> ₹${loan.remainingBalance.toLocaleString()}</p>
+                            <p><strong>Sale Proceeds:</strong> ₹${sale.proceeds.toLocaleString()}</p>
+                            ${sale.surplus > 0 ? `<p><strong>Surplus Refundable to You:</strong> ₹${sale.surplus.toLocaleString()}</p>` : ''}
+                            ${sale.shortfall > 0 ? `<p><strong>Balance Still Payable:</strong> ₹${sale.shortfall.toLocaleString()}</p>` : ''}
                             <p><strong>Total Gold Weight:</strong> ${loan.goldItems ? loan.goldItems.reduce((total, item) => total + (item.netWeight || 0), 0) : 0} grams</p>
                         </div>
                         
                         <div style="background-color: #f3f4f6; padding: 15px; border-radius: 8px; margin: 20px 0;">
-                            <p style="margin: 0; color: #374151;">Your gold items have been sold to recover the outstanding loan amount. The loan has been closed.</p>
+                            <p style="margin: 0; color: #374151;">Your gold items have been sold to recover the outstanding loan amount. The loan has been closed.${sale.surplus > 0 ? ' We will contact you to refund the surplus.' : ''}${sale.shortfall > 0 ? ' The balance still payable remains due from you.' : ''}</p>
                         </div>
                         
                         <p>If you have any questions, please contact us:</p>
@@ -1322,7 +1788,10 @@ router.post('/loans/:loanId/mark-auctioned', [auth, adminAuth], async (req, res)
         res.json({
             success: true,
             message: 'Loan marked as auctioned and notifications sent',
-            data: loan.getAuctionSummary()
+            data: {
+                ...loan.getAuctionSummary(),
+                refund: sale.surplus > 0 ? await SurplusRefund.findOne({ loan: loan._id }) : null
+            }
         });
         
     } catch (error) {
@@ -1335,29 +1804,312 @@ router.post('/loans/:loanId/mark-auctioned', [auth, adminAuth], async (req, res)
     }
 });
 
-// @route   GET /api/admin/loans-ready-for-36-percent-auction
-// @desc    Get all loans at 36% interest rate that can be marked for auction
+// @route   POST /api/admin/loans/:loanId/auction-shortfall/recoveries
+// @desc    Record money received towards the shortfall left after a loan's gold was auctioned
 // @access  Private (Admin only)
-router.get('/loans-ready-for-36-percent-auction', [auth, adminAuth], async (req, res) => {
+router.post('/loans/:loanId/auction-shortfall/recoveries', [auth, adminAuth, [
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+    body('method').optional().isIn(['cash', 'upi', 'bank_transfer', 'cheque']).withMessage('Invalid payment method'),
+    body('date').optional().isISO8601().withMessage('Date must be a valid date')
+]], async (req, res) => {
     try {
-        const loans = await Loan.find({
-            status: 'active',
-            interestRate: 36,
-            currentUpgradeLevel: 3,
-            auctionStatus: { $in: ['not_ready', 'cancelled'] }
-        }).sort({ createdAt: -1 });
-        
-        const eligibleLoans = loans.map(loan => ({
-            _id: loan._id,
-            loanId: loan.loanId,
-            name: loan.name,
-            email: loan.email,
-            primaryMobile: loan.primaryMobile,
-            amount: loan.amount,
-            interestRate: loan.interestRate,
-            currentUpgradeLevel: loan.currentUpgradeLevel,
-            totalPayment: loan.totalPayment,
-            remainingBalance: loan.remainingBalance,
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const loan = await Loan.findById(req.params.loanId);
+        if (!loan) {
+            return res.status(404).json({ message: 'Loan not found' });
+        }
+
+        const customer = await Customer.findById(loan.customerId);
+        const balance = customer && customer.getRecoverableBalance(loan._id);
+        if (!balance || balance.status !== 'open') {
+            return res.status(400).json({ message: 'No auction shortfall is outstanding on this loan' });
+        }
+        const amount = Number(req.body.amount);
+        if (amount > balance.getOutstanding()) {
+            return res.status(400).json({ message: `Amount cannot exceed the ₹${balance.getOutstanding().toLocaleString()} still owed` });
+        }
+
+        const { method, reference, notes } = req.body;
+        const result = await loan.recoverAuctionShortfall({
+            amount,
+            date: req.body.date ? new Date(req.body.date) : new Date(),
+            method,
+            reference,
+            notes
+        }, { id: req.user.id, name: req.user.name });
+
+        const outstanding = result.balance.getOutstanding();
+        res.status(201).json({
+            success: true,
+            message: outstanding > 0
+                ? `₹${result.recovery.amount.toLocaleString()} recovered; ₹${outstanding.toLocaleString()} still owed`
+                : `₹${result.recovery.amount.toLocaleString()} recovered; the shortfall is fully recovered`,
+            data: result
+        });
+    } catch (error) {
+        console.error('Error recording shortfall recovery:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while recording shortfall recovery',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/admin/loans/:loanId/auction-shortfall/write-off
+// @desc    Write off what is left of an auction shortfall
+// @access  Private (Admin only)
+router.post('/loans/:loanId/auction-shortfall/write-off', [auth, adminAuth, [
+    body('reason').trim().notEmpty().withMessage('Reason for the write-off is required')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const loan = await Loan.findById(req.params.loanId);
+        if (!loan) {
+            return res.status(404).json({ message: 'Loan not found' });
+        }
+
+        const customer = await Customer.findById(loan.customerId);
+        const outstanding = customer && customer.getRecoverableBalance(loan._id);
+        if (!outstanding || outstanding.status !== 'open') {
+            return res.status(400).json({ message: 'No auction shortfall is outstanding on this loan' });
+        }
+
+        const balance = await loan.writeOffAuctionShortfall(req.body.reason, { id: req.user.id, name: req.user.name });
+
+        res.json({
+            success: true,
+            message: `₹${balance.writtenOff.toLocaleString()} of the shortfall on ${loan.loanId} written off`,
+            data: balance
+        });
+    } catch (error) {
+        console.error('Error writing off shortfall:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while writing off shortfall',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/admin/customers/:customerId/recoverable-dues
+// @desc    Get the dues a customer still owes on closed loans, with their recovery history
+// @access  Private (Admin only)
+router.get('/customers/:customerId/recoverable-dues', [auth, adminAuth], async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.params.customerId);
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...customer.getRecoverableDues(),
+                history: customer.recoverableBalances
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching recoverable dues:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching recoverable dues',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/admin/surplus-refunds
+// @desc    List auction surplus refunds (?status), oldest first
+// @access  Private (Admin only)
+router.get('/surplus-refunds', [auth, adminAuth], async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.status) {
+            query.status = req.query.status;
+        }
+
+        const refunds = await SurplusRefund.find(query).sort({ createdAt: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                refunds,
+                totalAmount: refunds.reduce((total, refund) => total + refund.amount, 0)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching surplus refunds:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching surplus refunds',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/admin/surplus-refunds/:id/approve
+// @desc    Approve a refund for payout ({ method, payeeName, accountNumber, ifsc, upiId })
+// @access  Private (Admin only)
+router.post('/surplus-refunds/:id/approve', [auth, adminAuth, [
+    body('method').isIn(SurplusRefund.PAYOUT_METHODS).withMessage(`Payout method must be one of ${SurplusRefund.PAYOUT_METHODS.join(', ')}`)
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const refund = await SurplusRefund.findById(req.params.id);
+        if (!refund) {
+            return res.status(404).json({ message: 'Refund not found' });
+        }
+
+        if (refund.status !== 'pending_approval') {
+            return res.status(400).json({ message: `Refund is already ${refund.status.replace('_', ' ')}` });
+        }
+
+        const { method, payeeName, accountNumber, ifsc, upiId } = req.body;
+        if (method === 'bank_transfer' && (!accountNumber || !ifsc)) {
+            return res.status(400).json({ message: 'Account number and IFSC are required for a bank transfer' });
+        }
+        if (method === 'upi' && !upiId) {
+            return res.status(400).json({ message: 'UPI ID is required for a UPI payout' });
+        }
+
+        refund.approve({ method, payeeName, accountNumber, ifsc, upiId }, { id: req.user.id, name: req.user.name });
+        await refund.save();
+
+        res.json({
+            success: true,
+            message: `Refund of ₹${refund.amount.toLocaleString()} to ${refund.payout.payeeName} approved`,
+            data: refund
+        });
+    } catch (error) {
+        console.error('Error approving surplus refund:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while approving surplus refund',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/admin/surplus-refunds/:id/pay
+// @desc    Record that an approved refund has been paid out ({ reference, paidAt, notes })
+// @access  Private (Admin only)
+router.post('/surplus-refunds/:id/pay', [auth, adminAuth, [
+    body('paidAt').optional().isISO8601().withMessage('Payment date must be a valid date')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const refund = await SurplusRefund.findById(req.params.id);
+        if (!refund) {
+            return res.status(404).json({ message: 'Refund not found' });
+        }
+
+        if (refund.status !== 'approved') {
+            return res.status(400).json({ message: 'Refund must be approved before it is paid' });
+        }
+        const { reference, notes } = req.body;
+        if (refund.payout.method !== 'cash' && !reference) {
+            return res.status(400).json({ message: 'Payment reference (UTR or cheque number) is required' });
+        }
+
+        await refund.markPaid({
+            reference,
+            paidAt: req.body.paidAt ? new Date(req.body.paidAt) : new Date(),
+            notes
+        }, { id: req.user.id, name: req.user.name });
+
+        res.json({
+            success: true,
+            message: `Refund of ₹${refund.amount.toLocaleString()} on ${refund.loanId} paid`,
+            data: refund
+        });
+    } catch (error) {
+        console.error('Error paying surplus refund:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while paying surplus refund',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/admin/surplus-refunds/:id/cancel
+// @desc    Cancel a refund that will not be paid out; the surplus stays on the loan as a customer advance
+// @access  Private (Admin only)
+router.post('/surplus-refunds/:id/cancel', [auth, adminAuth, [
+    body('reason').trim().notEmpty().withMessage('Reason for cancelling is required')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const refund = await SurplusRefund.findById(req.params.id);
+        if (!refund) {
+            return res.status(404).json({ message: 'Refund not found' });
+        }
+
+        if (refund.status === 'paid' || refund.status === 'cancelled') {
+            return res.status(400).json({ message: `Refund has already been ${refund.status}` });
+        }
+
+        refund.cancel(req.body.reason, { id: req.user.id, name: req.user.name });
+        await refund.save();
+
+        res.json({
+            success: true,
+            message: `Refund on ${refund.loanId} cancelled`,
+            data: refund
+        });
+    } catch (error) {
+        console.error('Error cancelling surplus refund:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while cancelling surplus refund',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/admin/loans-ready-for-36-percent-auction
+// @desc    Get all loans at the final rate of their scheme (36% on the standard ladder) that can be marked for auction
+// @access  Private (Admin only)
+router.get('/loans-ready-for-36-percent-auction', [auth, adminAuth], async (req, res) => {
+    try {
+        const loans = await Loan.find({
+            status: 'active',
+            currentUpgradeLevel: { $gt: 0 },
+            auctionStatus: { $in: ['not_ready', 'cancelled'] }
+        }).sort({ createdAt: -1 });
+        
+        const eligibleLoans = loans.filter(loan => loan.isAtFinalUpgradeLevel()).map(loan => ({
+            _id: loan._id,
+            loanId: loan.loanId,
+            name: loan.name,
+            email: loan.email,
+            primaryMobile: loan.primaryMobile,
+            amount: loan.amount,
+            interestRate: loan.interestRate,
+            currentUpgradeLevel: loan.currentUpgradeLevel,
+            totalPayment: loan.totalPayment,
+            remainingBalance: loan.remainingBalance,
             createdAt: loan.createdAt,
             interestRateUpgradeDate: loan.interestRateUpgradeDate,
             auctionStatus: loan.auctionStatus,
@@ -1487,8 +2239,8 @@ router.get('/loans-with-upgrades', [auth, adminAuth], async (req, res) => {
                 // Highlighting information
                 isHighlighted: true,
                 highlightReason: `Upgraded ${upgradeHistory.totalUpgrades} time(s) - Current: ${loan.interestRate}%`,
-                highlightColor: loan.currentUpgradeLevel === 3 ? 'red' : 
-                              loan.currentUpgradeLevel === 2 ? 'orange' : 'yellow'
+                highlightColor: upgradeHistory.isAtFinalLevel ? 'red' : 
+                              loan.currentUpgradeLevel >= 2 ? 'orange' : 'yellow'
             };
         });
         
@@ -1591,7 +2343,9 @@ router.get('/upgrade-statistics', [auth, adminAuth], async (req, res) => {
 router.post('/loans/:loanId/renew', [auth, adminAuth, [
     body('amount').isNumeric().withMessage('Amount must be a number'),
     // body('interestRate').isIn([18, 24, 30, 36]).withMessage('Interest rate must be 18%, 24%, 30%, or 36%'),
-    body('term').isIn([3, 6, 12]).withMessage('Term must be 3, 6, or 12 months')
+    body('term').isInt({ min: 1 }).withMessage('Term must be a whole number of months'),
+    body('ltvOverrideReason').optional().isString().withMessage('LTV override reason must be text'),
+    body('blacklistOverrideReason').optional().isString().withMessage('Blacklist override reason must be text')
 ]], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -1613,69 +2367,84 @@ router.post('/loans/:loanId/renew', [auth, adminAuth, [
             return res.status(400).json({ message: 'Only closed loans can be renewed' });
         }
 
-        // Calculate new loan details using Muthoot method
-        const disbursementDate = new Date();
-        const closureDate = new Date(disbursementDate);
-        closureDate.setMonth(closureDate.getMonth() + term);
-        
-        const muthootResult = calcMuthoot({
-            principal: amount,
-            annualRate: interestRate,
-            disbursementDate: disbursementDate,
-            closureDate: closureDate
-        });
-
-        // Calculate daily interest fields
-        const dailyInterestRate = (interestRate / 100) / 365;
-        const totalDays = term * 30;
-        const dailyInterestAmount = amount * dailyInterestRate;
-
-        // Update loan with renewal details
-        loan.amount = amount;
-        loan.interestRate = interestRate;
-        loan.term = term;
-        loan.status = 'active';
-        loan.createdAt = disbursementDate; // Update to present date
-        loan.monthlyPayment = muthootResult.monthlyPayment;
-        loan.totalPayment = muthootResult.totalAmount;
-        loan.remainingBalance = muthootResult.totalAmount;
-        loan.totalPaid = 0; // Reset total paid
-        loan.dailyInterestRate = dailyInterestRate;
-        loan.totalDays = totalDays;
-        loan.dailyInterestAmount = dailyInterestAmount;
-        loan.closedDate = null; // Remove closed date
-
-        // Reset payments array
-        loan.payments = [];
-
-        // Create new installment schedule
-        loan.installments = [];
-        let currentDate = new Date(disbursementDate);
-        
-        for (let i = 1; i <= term; i++) {
-            currentDate = new Date(currentDate);
-            currentDate.setMonth(currentDate.getMonth() + 1);
-            
-            loan.installments.push({
-                number: i,
-                dueDate: new Date(currentDate),
-                amount: loan.monthlyPayment,
-                status: 'pending',
-                amountPaid: 0
+        if (loan.renewedTo) {
+            return res.status(400).json({ message: 'Loan has already been renewed' });
+        }
+
+        // Auctioning closes the loan too, but its gold has been sold
+        if (loan.auctionStatus === 'auctioned') {
+            return res.status(400).json({ message: 'Auctioned loans cannot be renewed' });
+        }
+
+        if (loan.goldReturnStatus === 'returned') {
+            return res.status(400).json({ message: 'Gold for this loan has already been returned to the customer' });
+        }
+
+        // Renewals move to the current version of the loan's scheme
+        const scheme = await loan.getRenewalScheme();
+        if (scheme && !scheme.allowsTerm(term)) {
+            return res.status(400).json({ message: `Term must be one of ${scheme.allowedTerms.join(', ')} months under scheme ${scheme.code}` });
+        }
+
+        // Renewals lend new money, so a blacklisted customer needs the same audited override as a new loan
+        const customer = await Customer.findById(loan.customerId);
+        const blacklistFlags = customer ? customer.getBlacklistFlags() : [];
+        const blacklistOverrideReason = typeof req.body.blacklistOverrideReason === 'string' ? req.body.blacklistOverrideReason.trim() : '';
+        if (blacklistFlags.length > 0 && !blacklistOverrideReason) {
+            return res.status(403).json({
+                message: `Customer is blacklisted: ${blacklistFlags.map(flag => flag.reason).join('; ')}. An admin can override this with a reason.`,
+                riskFlags: blacklistFlags
             });
         }
 
-        await loan.save();
+        const kyc = await KycDocument.checkCompliance(loan.customerId, await Settings.getKycPolicy());
+        if (!kyc.compliant) {
+            return res.status(400).json({ message: `KYC incomplete: ${kyc.problems.join('; ')}` });
+        }
+
+        // The new amount cannot exceed the LTV limits on today's value of the gold carried forward
+        const { eligibility } = await loan.getRenewalEligibility(scheme);
+        const ltvOverrideReason = typeof req.body.ltvOverrideReason === 'string' ? req.body.ltvOverrideReason.trim() : '';
+        const exceedsLtv = Number(amount) > eligibility.eligibleAmount;
+        if (exceedsLtv && !ltvOverrideReason) {
+            return res.status(400).json({
+                errors: [{ msg: `Renewal amount exceeds the eligible amount of ₹${eligibility.eligibleAmount} (${eligibility.maxLtvPercent}% of ₹${eligibility.appraisedValue} appraised gold value). An admin can override this with a reason.` }],
+                eligibility
+            });
+        }
+
+        // Renewal creates a new loan cycle; the closed loan keeps its history
+        const renewal = await loan.renew({
+            amount,
+            interestRate,
+            term,
+            ltvOverrideReason,
+            blacklistOverride: blacklistFlags.length > 0 ? {
+                reason: blacklistOverrideReason,
+                flags: blacklistFlags.map(flag => flag.reason),
+                overriddenBy: { id: req.user.id, name: req.user.name },
+                overriddenAt: new Date()
+            } : undefined
+        }, req.user);
+
+        if (renewal.blacklistOverride && renewal.blacklistOverride.reason) {
+            await AuditLog.record(req, 'blacklist_override', {
+                entityType: 'Loan',
+                entityId: renewal._id,
+                reason: blacklistOverrideReason,
+                details: { customerId: customer._id, loanId: renewal.loanId, previousLoanId: loan.loanId, flags: renewal.blacklistOverride.flags }
+            });
+        }
 
         // Create notification for loan renewal
         const notification = new Notification({
-            loanId: loan._id,
+            loanId: renewal._id,
             type: 'new_loan',
             title: 'Loan Renewed',
-            message: `Your loan ${loan.loanId} has been renewed with amount ₹${amount.toLocaleString()} for ${term} months at ${interestRate}% interest rate.`,
-            customerName: loan.name,
-            customerMobile: loan.primaryMobile,
-            amount: amount,
+            message: `Your loan ${loan.loanId} has been renewed as loan ${renewal.loanId} with amount ₹${Number(amount).toLocaleString()} for ${term} months at ${renewal.interestRate}% interest rate.`,
+            customerName: renewal.name,
+            customerMobile: renewal.primaryMobile,
+            amount: renewal.amount,
             isRead: false
         });
         await notification.save();
@@ -1684,12 +2453,15 @@ router.post('/loans/:loanId/renew', [auth, adminAuth, [
             success: true,
             message: 'Loan renewed successfully',
             data: {
-                loanId: loan.loanId,
-                amount: loan.amount,
-                interestRate: loan.interestRate,
-                term: loan.term,
-                status: loan.status,
-                renewedAt: disbursementDate
+                _id: renewal._id,
+                loanId: renewal.loanId,
+                previousLoanId: loan.loanId,
+                renewalCycle: renewal.renewalCycle,
+                amount: renewal.amount,
+                interestRate: renewal.interestRate,
+                term: renewal.term,
+                status: renewal.status,
+                renewedAt: renewal.createdAt
             }
         });
 
@@ -1703,6 +2475,536 @@ router.post('/loans/:loanId/renew', [auth, adminAuth, [
     }
 });
 
+// @route   GET /api/admin/collection-summary
+// @desc    Split of money received between charges, penal interest, interest and principal (?from=&to=)
+// @access  Private (Admin only)
+router.get('/collection-summary', [auth, adminAuth], async (req, res) => {
+    try {
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getFullYear(), to.getMonth(), 1);
+        if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+            return res.status(400).json({ message: 'Invalid from or to date' });
+        }
+
+        // Reversals carry a negative split, so the sums are net of reversed payments
+        const [summary] = await Loan.aggregate([
+            { $unwind: '$payments' },
+            {
+                $match: {
+                    'payments.status': 'success',
+                    'payments.date': { $gte: from, $lte: to }
+                }
+            },
+            {
+                $group: {
+                    _id: null,
+                    paymentCount: { $sum: { $cond: [{ $eq: ['$payments.type', 'reversal'] }, 0, 1] } },
+                    reversalCount: { $sum: { $cond: [{ $eq: ['$payments.type', 'reversal'] }, 1, 0] } },
+                    totalReceived: { $sum: '$payments.amount' },
+                    charges: { $sum: '$payments.allocation.charges' },
+                    penal: { $sum: '$payments.allocation.penal' },
+                    interest: { $sum: '$payments.allocation.interest' },
+                    principal: { $sum: '$payments.allocation.principal' },
+                    advance: { $sum: '$payments.allocation.advance' }
+                }
+            }
+        ]);
+
+        const totals = summary || {
+            paymentCount: 0,
+            reversalCount: 0,
+            totalReceived: 0,
+            charges: 0,
+            penal: 0,
+            interest: 0,
+            principal: 0,
+            advance: 0
+        };
+        const round = value => Math.round(value * 100) / 100;
+        const allocated = totals.charges + totals.penal + totals.interest + totals.principal + totals.advance;
+
+        res.json({
+            success: true,
+            data: {
+                from,
+                to,
+                paymentCount: totals.paymentCount,
+                reversalCount: totals.reversalCount,
+                totalReceived: round(totals.totalReceived),
+                feeIncome: round(totals.charges),
+                penalInterestIncome: round(totals.penal),
+                interestIncome: round(totals.interest),
+                principalRecovered: round(totals.principal),
+                advances: round(totals.advance),
+                // Payments recorded before splits were stored
+                unallocated: round(totals.totalReceived - allocated)
+            }
+        });
+    } catch (error) {
+        console.error('Error building collection summary:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while building collection summary',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/admin/margin-calls
+// @desc    Loans whose dues exceed the LTV limit on their gold, largest shortfall first (?branch=)
+//          As of the last daily margin call check
+// @access  Private (Admin only)
+router.get('/margin-calls', [auth, adminAuth], async (req, res) => {
+    try {
+        const query = { status: 'active', 'marginCall.status': 'breached' };
+        if (req.query.branch) {
+            query.branch = req.query.branch;
+        }
+
+        const loans = await Loan.find(query)
+            .select('loanId name primaryMobile branch amount totalPaid remainingBalance marginCall')
+            .sort({ 'marginCall.shortfall': -1 });
+
+        const lastCheck = await CronJobHistory.findOne({ jobName: 'margin_calls', status: 'success' })
+            .sort({ startTime: -1 })
+            .select('startTime endTime');
+
+        res.json({
+            success: true,
+            data: {
+                lastCheckedAt: lastCheck ? lastCheck.endTime || lastCheck.startTime : null,
+                count: loans.length,
+                totalShortfall: loans.reduce((sum, loan) => sum + (loan.marginCall.shortfall || 0), 0),
+                loans: loans.map(loan => ({
+                    _id: loan._id,
+                    loanId: loan.loanId,
+                    customerName: loan.name,
+                    customerMobile: loan.primaryMobile,
+                    branch: loan.branch,
+                    amount: loan.amount,
+                    ...loan.toObject().marginCall
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching margin calls:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching margin calls',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/admin/loans/:loanId/ledger
+// @desc    Get the ledger statement and derived balances for a loan
+// @access  Private (Admin only)
+router.get('/loans/:loanId/ledger', [auth, adminAuth], async (req, res) => {
+    try {
+        const loan = await Loan.findById(req.params.loanId);
+        if (!loan) {
+            return res.status(404).json({ message: 'Loan not found' });
+        }
+
+        const asOf = req.query.asOf ? new Date(req.query.asOf) : null;
+        if (asOf && isNaN(asOf.getTime())) {
+            return res.status(400).json({ message: 'Invalid asOf date' });
+        }
+
+        const entries = await LedgerEntry.getStatement(loan._id, { to: asOf });
+        const balances = await LedgerEntry.getBalances(loan._id, asOf, loan.createdAt);
+
+        res.json({
+            success: true,
+            data: {
+                loanId: loan.loanId,
+                entries,
+                balances,
+                // Compare the denormalised loan fields with what the ledger says
+                reconciliation: {
+                    loanTotalPaid: loan.totalPaid,
+                    ledgerTotalPaid: balances.totalReceived,
+                    loanRemainingBalance: loan.remainingBalance,
+                    ledgerOutstanding: balances.totalOutstanding,
+                    totalPaidMatches: Math.abs(loan.totalPaid - balances.totalReceived) < 1,
+                    // A change to the loan has not reached the ledger yet; a rebuild posts it
+                    ledgerSyncPending: loan.ledgerSyncPending
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching loan ledger:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching loan ledger',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/admin/loans/:loanId/ledger/rebuild
+// @desc    Backfill missing ledger entries and rebuild loan balances from the ledger
+// @access  Private (Admin only)
+router.post('/loans/:loanId/ledger/rebuild', [auth, adminAuth], async (req, res) => {
+    try {
+        const loan = await Loan.findById(req.params.loanId);
+        if (!loan) {
+            return res.status(404).json({ message: 'Loan not found' });
+        }
+
+        const result = await loan.rebuildBalancesFromLedger();
+
+        res.json({
+            success: true,
+            message: 'Loan balances rebuilt from ledger',
+            data: {
+                loanId: loan.loanId,
+                ...result
+            }
+        });
+    } catch (error) {
+        console.error('Error rebuilding loan balances:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while rebuilding loan balances',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/admin/loans/:loanId/charges
+// @desc    Add a fee to a loan (collected ahead of interest under the default allocation order)
+// @access  Private (Admin only)
+router.post('/loans/:loanId/charges', [auth, adminAuth, [
+    body('type').isIn(Loan.CHARGE_TYPES).withMessage(`Charge type must be one of ${Loan.CHARGE_TYPES.join(', ')}`),
+    body('amount').isFloat({ gt: 0 }).withMessage('Charge amount must be greater than zero'),
+    body('description').optional().isString().withMessage('Description must be a string')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const loan = await Loan.findById(req.params.loanId);
+        if (!loan) {
+            return res.status(404).json({ message: 'Loan not found' });
+        }
+
+        if (loan.status !== 'active') {
+            return res.status(400).json({ message: 'Charges can only be added to active loans' });
+        }
+
+        const { type, amount, description } = req.body;
+        const charge = await loan.addCharge(
+            { type, amount: Number(amount), description },
+            { id: req.user.id, name: req.user.name }
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Charge added successfully',
+            data: {
+                loanId: loan.loanId,
+                charge,
+                charges: loan.getChargesSummary(),
+                totalPayment: loan.totalPayment,
+                remainingBalance: loan.remainingBalance
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const validationErrors = Object.values(error.errors).map(err => ({
+                msg: err.message
+            }));
+            return res.status(400).json({ errors: validationErrors });
+        }
+        console.error('Error adding loan charge:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while adding loan charge',
+            error: error.message
+        });
+    }
+});
+
+// Work out the release quote for the requested items, or send the reason it is not possible
+const quoteGoldRelease = async (loan, itemIds, res) => {
+    const valuation = await loan.getValuationTerms();
+    try {
+        return loan.getGoldReleaseQuote(itemIds, valuation);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+        return null;
+    }
+};
+
+// @route   GET /api/admin/loans/:loanId/gold-release/quote
+// @desc    Minimum payment needed to release selected gold items (?itemIds=id1,id2)
+// @access  Private (Admin only)
+router.get('/loans/:loanId/gold-release/quote', [auth, adminAuth], async (req, res) => {
+    try {
+        const loan = await Loan.findById(req.params.loanId);
+        if (!loan) {
+            return res.status(404).json({ message: 'Loan not found' });
+        }
+
+        const itemIds = String(req.query.itemIds || '').split(',').map(id => id.trim()).filter(Boolean);
+        const quote = await quoteGoldRelease(loan, itemIds, res);
+        if (!quote) {
+            return;
+        }
+
+        res.json({
+            success: true,
+            data: {
+                loanId: loan.loanId,
+                ...quote
+            }
+        });
+    } catch (error) {
+        console.error('Error quoting gold release:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while quoting gold release',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/admin/loans/:loanId/gold-release
+// @desc    Release selected gold items before closure against a part payment
+//          (at least the quoted minimum; the payment goes through the normal allocation)
+// @access  Private (Admin only)
+router.post('/loans/:loanId/gold-release', [auth, adminAuth, [
+    body('itemIds').isArray({ min: 1 }).withMessage('Select at least one gold item to release'),
+    body('amount').optional().isFloat({ min: 0 }).withMessage('Amount cannot be negative'),
+    body('paymentMethod').if(body('amount').custom(value => Number(value) > 0))
+        .isIn(['handcash', 'online']).withMessage('Invalid payment method'),
+    body('transactionId').if(body('paymentMethod').equals('online')).notEmpty().withMessage('Transaction ID is required for online payments'),
+    body('bankName').if(body('paymentMethod').equals('online')).notEmpty().withMessage('Bank name is required for online payments'),
+    body('notes').optional().isString().trim()
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const loan = await Loan.findById(req.params.loanId);
+        if (!loan) {
+            return res.status(404).json({ message: 'Loan not found' });
+        }
+
+        const { itemIds, paymentMethod, transactionId, bankName, notes } = req.body;
+        const amount = Number(req.body.amount || 0);
+        const quote = await quoteGoldRelease(loan, itemIds, res);
+        if (!quote) {
+            return;
+        }
+        if (amount < quote.requiredPayment) {
+            return res.status(400).json({
+                message: `A payment of at least ₹${quote.requiredPayment} is required to release these items`,
+                data: quote
+            });
+        }
+        if (amount > 0 && loan.isSettledBy(loan.totalPaid + amount, loan.totalPaid + quote.outstanding)) {
+            return res.status(400).json({
+                message: 'This payment would settle the loan; close the loan to release all of the gold',
+                data: quote
+            });
+        }
+
+        const result = await loan.releaseGoldItems(
+            itemIds,
+            await loan.getValuationTerms(),
+            { amount, paymentMethod, transactionId, bankName, notes },
+            { id: req.user.id, name: req.user.name }
+        );
+
+        res.json({
+            success: true,
+            message: `${quote.items.length} gold item(s) released`,
+            data: {
+                loanId: loan.loanId,
+                ...result,
+                loanStatus: loan.status,
+                goldItems: loan.goldItems,
+                totalPaid: loan.totalPaid,
+                totalPayment: loan.totalPayment
+            }
+        });
+    } catch (error) {
+        console.error('Error releasing gold items:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while releasing gold items',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/admin/loans/:loanId/top-up
+// @desc    How much more can be lent against the loan's gold at today's rate and LTV
+// @access  Private (Admin only)
+router.get('/loans/:loanId/top-up', [auth, adminAuth], async (req, res) => {
+    try {
+        const loan = await Loan.findById(req.params.loanId);
+        if (!loan) {
+            return res.status(404).json({ message: 'Loan not found' });
+        }
+
+        const valuation = await loan.getValuationTerms();
+
+        res.json({
+            success: true,
+            data: {
+                loanId: loan.loanId,
+                status: loan.status,
+                totalDisbursed: loan.getTotalDisbursed(),
+                ...loan.getTopUpHeadroom(valuation),
+                topUps: loan.topUps
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching top-up headroom:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching top-up headroom',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/admin/loans/:loanId/top-up
+// @desc    Disburse extra principal on an active loan against the same gold
+// @access  Private (Admin only)
+router.post('/loans/:loanId/top-up', [auth, adminAuth, [
+    body('amount').isFloat({ gt: 0 }).withMessage('Top-up amount must be greater than zero'),
+    body('notes').optional().isString().trim()
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const loan = await Loan.findById(req.params.loanId);
+        if (!loan) {
+            return res.status(404).json({ message: 'Loan not found' });
+        }
+
+        if (loan.status !== 'active') {
+            return res.status(400).json({ message: 'Only active loans can be topped up' });
+        }
+        if (!['not_ready', 'cancelled'].includes(loan.auctionStatus || 'not_ready')) {
+            return res.status(400).json({ message: 'Loans marked for auction cannot be topped up' });
+        }
+
+        const valuation = await loan.getValuationTerms();
+        const headroom = loan.getTopUpHeadroom(valuation);
+        const amount = Number(req.body.amount);
+        if (amount > headroom.headroom) {
+            return res.status(400).json({
+                message: `Top-up exceeds the available headroom of ₹${headroom.headroom}`,
+                data: headroom
+            });
+        }
+
+        const result = await loan.topUp(amount, valuation, { id: req.user.id, name: req.user.name }, req.body.notes);
+
+        res.json({
+            success: true,
+            message: `Top-up of ₹${amount.toLocaleString()} disbursed`,
+            data: {
+                loanId: loan.loanId,
+                ...result,
+                totalPayment: loan.totalPayment,
+                remainingBalance: loan.remainingBalance,
+                monthlyPayment: loan.monthlyPayment,
+                installments: loan.installments.map(inst => ({
+                    number: inst.number,
+                    dueDate: inst.dueDate,
+                    amount: inst.amount,
+                    status: inst.status,
+                    amountPaid: inst.amountPaid
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Error disbursing top-up:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while disbursing top-up',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/admin/loans/:loanId/penal-interest/waive
+// @desc    Waive penal interest on overdue installments (all outstanding unless amount is given)
+// @access  Private (Admin only)
+router.post('/loans/:loanId/penal-interest/waive', [auth, adminAuth, [
+    body('reason').trim().notEmpty().withMessage('Reason for the waiver is required'),
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Waiver amount must be greater than zero'),
+    body('installmentNumber').optional().isInt({ min: 1 }).withMessage('Installment number must be a positive whole number')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const loan = await Loan.findById(req.params.loanId);
+        if (!loan) {
+            return res.status(404).json({ message: 'Loan not found' });
+        }
+
+        if (loan.status !== 'active') {
+            return res.status(400).json({ message: 'Penal interest can only be waived on active loans' });
+        }
+
+        const { reason, amount, installmentNumber } = req.body;
+        if (installmentNumber !== undefined && !loan.installments.some(inst => inst.number === Number(installmentNumber))) {
+            return res.status(404).json({ message: 'Installment not found' });
+        }
+
+        const outstanding = installmentNumber !== undefined
+            ? (loan.getPenalInterest().installments.find(inst => inst.number === Number(installmentNumber)) || { outstanding: 0 }).outstanding
+            : loan.getPenalInterest().outstanding;
+        if (outstanding <= 0) {
+            return res.status(400).json({ message: 'No penal interest outstanding to waive' });
+        }
+        if (amount !== undefined && Number(amount) > outstanding) {
+            return res.status(400).json({ message: `Cannot waive more than the outstanding penal interest of ₹${outstanding}` });
+        }
+
+        const result = await loan.waivePenalInterest(
+            { installmentNumber, amount: amount === undefined ? undefined : Number(amount) },
+            reason,
+            { id: req.user.id, name: req.user.name }
+        );
+
+        res.json({
+            success: true,
+            message: `Penal interest of ₹${result.waived.toLocaleString()} waived`,
+            data: {
+                loanId: loan.loanId,
+                ...result,
+                totalPayment: loan.totalPayment,
+                remainingBalance: loan.remainingBalance
+            }
+        });
+    } catch (error) {
+        console.error('Error waiving penal interest:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while waiving penal interest',
+            error: error.message
+        });
+    }
+});
+
 // @route   POST /api/admin/reset-loan-upgrade/:loanId
 // @desc    Reset loan upgrade history for testing purposes
 router.post('/reset-loan-upgrade/:loanId', [auth, adminAuth], async (req, res) => {
@@ -1734,40 +3036,16 @@ router.post('/reset-loan-upgrade/:loanId', [auth, adminAuth], async (req, res) =
         loan.auctionNotes = undefined;
         loan.auctionNotifications = [];
         
-        // Recalculate original loan details
-        const disbursementDate = loan.createdAt;
-        const closureDate = new Date(disbursementDate);
-        closureDate.setMonth(closureDate.getMonth() + loan.term);
-        
-        const muthootResult = calculateClientInterestMethod({
-            principal: loan.amount,
-            annualRate: loan.originalInterestRate,
-            disbursementDate: disbursementDate,
-            closureDate: closureDate,
-            termMonths: loan.term
-        });
+        // Recalculate original loan details (the rate has been reset above)
+        const termResult = loan.calculateInterest({ termMonths: loan.term });
         
         // Update loan with original calculations
-        loan.monthlyPayment = muthootResult.monthlyPayment;
-        loan.totalPayment = muthootResult.totalAmount;
-        loan.remainingBalance = Math.max(0, muthootResult.totalAmount - loan.totalPaid);
+        loan.monthlyPayment = termResult.monthlyPayment;
+        loan.totalPayment = termResult.totalAmount;
+        loan.remainingBalance = Math.max(0, termResult.totalAmount - loan.totalPaid);
         
         // Recreate installment schedule
-        loan.installments = [];
-        let currentDate = new Date(loan.createdAt);
-        
-        for (let i = 1; i <= loan.term; i++) {
-            currentDate = new Date(currentDate);
-            currentDate.setMonth(currentDate.getMonth() + 1);
-            
-            loan.installments.push({
-                number: i,
-                dueDate: new Date(currentDate),
-                amount: loan.monthlyPayment,
-                status: 'pending',
-                amountPaid: 0
-            });
-        }
+        loan.buildInstallments(loan.createdAt, loan.term);
         
         await loan.save();
         
@@ -1819,7 +3097,7 @@ router.post('/manual-upgrade/:loanId', [auth, adminAuth], async (req, res) => {
             });
         }
         
-        if (loan.currentUpgradeLevel >= 3) {
+        if (loan.getNextUpgradeRate() === null) {
             return res.status(400).json({
                 success: false,
                 message: 'Loan has reached maximum upgrade level'
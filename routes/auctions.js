@@ -0,0 +1,387 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const AuctionEvent = require('../models/AuctionEvent');
+const Loan = require('../models/Loan');
+
+const actorOf = req => ({ id: req.user.id, name: req.user.name });
+
+// Rule and validation failures are the caller's to fix; anything else is a server error
+const sendAuctionError = (res, error, action) => {
+    if (error.name === 'AuctionRuleError') {
+        return res.status(400).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            errors: Object.values(error.errors).map(err => ({ msg: err.message }))
+        });
+    }
+    console.error(`Error ${action}:`, error);
+    return res.status(500).json({
+        success: false,
+        message: `Server error while ${action}`,
+        error: error.message
+    });
+};
+
+// Loads the auction (and lot, when the route has one) or answers 404
+const loadAuction = async (req, res) => {
+    const auction = await AuctionEvent.findById(req.params.id);
+    if (!auction) {
+        res.status(404).json({ message: 'Auction not found' });
+        return null;
+    }
+    if (req.params.lotId && !auction.lots.id(req.params.lotId)) {
+        res.status(404).json({ message: 'Lot not found' });
+        return null;
+    }
+    return auction;
+};
+
+// @route   GET /api/auctions
+// @desc    List auctions, most recent first (?status)
+// @access  Private (Admin only)
+router.get('/', [auth, adminAuth], async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.status) {
+            query.status = req.query.status;
+        }
+
+        const auctions = await AuctionEvent.find(query).sort({ auctionDate: -1 });
+
+        res.json({
+            success: true,
+            data: auctions.map(auction => ({ _id: auction._id, ...auction.getSummary() }))
+        });
+    } catch (error) {
+        sendAuctionError(res, error, 'fetching auctions');
+    }
+});
+
+// @route   POST /api/auctions
+// @desc    Schedule an auction
+// @access  Private (Admin only)
+router.post('/', [auth, adminAuth, [
+    body('title').trim().notEmpty().withMessage('Title is required'),
+    body('auctionDate').isISO8601().withMessage('A valid auction date is required'),
+    body('venue').optional().trim(),
+    body('branch').optional().trim(),
+    body('auctioneer').optional().trim()
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { title, auctionDate, venue, branch, auctioneer, notes } = req.body;
+        const auction = await AuctionEvent.create({
+            auctionNumber: await AuctionEvent.generateAuctionNumber(auctionDate),
+            title,
+            auctionDate: new Date(auctionDate),
+            venue,
+            branch,
+            auctioneer,
+            notes,
+            createdBy: actorOf(req)
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Auction ${auction.auctionNumber} scheduled`,
+            data: auction
+        });
+    } catch (error) {
+        sendAuctionError(res, error, 'scheduling auction');
+    }
+});
+
+// @route   GET /api/auctions/:id
+// @desc    Get an auction with its lots, bidders, bids and results
+// @access  Private (Admin only)
+router.get('/:id', [auth, adminAuth], async (req, res) => {
+    try {
+        const auction = await loadAuction(req, res);
+        if (!auction) return;
+
+        res.json({
+            success: true,
+            data: {
+                auction,
+                summary: auction.getSummary()
+            }
+        });
+    } catch (error) {
+        sendAuctionError(res, error, 'fetching auction');
+    }
+});
+
+// @route   POST /api/auctions/:id/bidders
+// @desc    Register a bidder
+// @access  Private (Admin only)
+router.post('/:id/bidders', [auth, adminAuth, [
+    body('name').trim().notEmpty().withMessage('Bidder name is required'),
+    body('mobile').trim().notEmpty().withMessage('Bidder mobile number is required'),
+    body('earnestMoney').optional().isFloat({ min: 0 }).withMessage('Earnest money cannot be negative')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const auction = await loadAuction(req, res);
+        if (!auction) return;
+
+        const { name, mobile, address, idProof, earnestMoney } = req.body;
+        const bidder = auction.registerBidder({ name, mobile, address, idProof, earnestMoney }, actorOf(req));
+        await auction.save();
+
+        res.status(201).json({
+            success: true,
+            message: `${bidder.name} registered as bidder ${bidder.paddleNumber}`,
+            data: bidder
+        });
+    } catch (error) {
+        sendAuctionError(res, error, 'registering bidder');
+    }
+});
+
+// @route   POST /api/auctions/:id/lots
+// @desc    Make up a lot from the pledged gold of one or more loans ({ loanIds, reservePrice?, description? }).
+//          The reserve price defaults to 90% of the gold's current value.
+// @access  Private (Admin only)
+router.post('/:id/lots', [auth, adminAuth, [
+    body('loanIds').isArray({ min: 1 }).withMessage('Select at least one loan for the lot'),
+    body('reservePrice').optional().isFloat({ min: 0 }).withMessage('Reserve price cannot be negative')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const auction = await loadAuction(req, res);
+        if (!auction) return;
+
+        const loanIds = [...new Set(req.body.loanIds.map(String))];
+        const loans = await Loan.find({ _id: { $in: loanIds } });
+        if (loans.length !== loanIds.length) {
+            return res.status(404).json({ message: 'Loan not found' });
+        }
+
+        const lot = await auction.addLot(loans, {
+            reservePrice: req.body.reservePrice === undefined ? undefined : Number(req.body.reservePrice),
+            description: req.body.description
+        }, actorOf(req));
+        await auction.save();
+
+        res.status(201).json({
+            success: true,
+            message: `Lot ${lot.lotNumber} added with reserve price ₹${lot.reservePrice.toLocaleString()}`,
+            data: lot
+        });
+    } catch (error) {
+        sendAuctionError(res, error, 'adding lot');
+    }
+});
+
+// @route   POST /api/auctions/:id/lots/:lotId/withdraw
+// @desc    Take a lot out of the auction (e.g. the customer paid up)
+// @access  Private (Admin only)
+router.post('/:id/lots/:lotId/withdraw', [auth, adminAuth], async (req, res) => {
+    try {
+        const auction = await loadAuction(req, res);
+        if (!auction) return;
+
+        const lot = auction.withdrawLot(req.params.lotId, req.body.notes, actorOf(req));
+        await auction.save();
+
+        res.json({
+            success: true,
+            message: `Lot ${lot.lotNumber} withdrawn`,
+            data: lot
+        });
+    } catch (error) {
+        sendAuctionError(res, error, 'withdrawing lot');
+    }
+});
+
+// @route   POST /api/auctions/:id/open
+// @desc    Open bidding
+// @access  Private (Admin only)
+router.post('/:id/open', [auth, adminAuth], async (req, res) => {
+    try {
+        const auction = await loadAuction(req, res);
+        if (!auction) return;
+
+        auction.open(actorOf(req));
+        await auction.save();
+
+        res.json({
+            success: true,
+            message: `Auction ${auction.auctionNumber} is open for bidding`,
+            data: auction.getSummary()
+        });
+    } catch (error) {
+        sendAuctionError(res, error, 'opening auction');
+    }
+});
+
+// @route   POST /api/auctions/:id/lots/:lotId/bids
+// @desc    Record a bid on a lot ({ bidderId, amount })
+// @access  Private (Admin only)
+router.post('/:id/lots/:lotId/bids', [auth, adminAuth, [
+    body('bidderId').notEmpty().withMessage('Bidder is required'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Bid must be greater than zero')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const auction = await loadAuction(req, res);
+        if (!auction) return;
+
+        const bid = auction.recordBid(req.params.lotId, req.body.bidderId, Number(req.body.amount), actorOf(req));
+        await auction.save();
+
+        res.status(201).json({
+            success: true,
+            message: `Bid of ₹${bid.amount.toLocaleString()} recorded for bidder ${bid.paddleNumber}`,
+            data: bid
+        });
+    } catch (error) {
+        sendAuctionError(res, error, 'recording bid');
+    }
+});
+
+// @route   POST /api/auctions/:id/lots/:lotId/sell
+// @desc    Sell a lot to its highest bidder. The price is split across the lot's loans by the
+//          value of their gold and applied to each loan's dues; the loans close as auctioned.
+// @access  Private (Admin only)
+router.post('/:id/lots/:lotId/sell', [auth, adminAuth], async (req, res) => {
+    try {
+        const auction = await loadAuction(req, res);
+        if (!auction) return;
+
+        // Saves the sale, then the auction again as each loan is settled
+        const lot = await auction.sellLot(req.params.lotId, actorOf(req));
+
+        res.json({
+            success: true,
+            message: `Lot ${lot.lotNumber} sold to bidder ${lot.sale.paddleNumber} for ₹${lot.sale.price.toLocaleString()}`,
+            data: {
+                lot,
+                surplus: lot.allocations.reduce((total, allocation) => total + allocation.surplus, 0),
+                shortfall: lot.allocations.reduce((total, allocation) => total + allocation.shortfall, 0)
+            }
+        });
+    } catch (error) {
+        sendAuctionError(res, error, 'selling lot');
+    }
+});
+
+// @route   POST /api/auctions/:id/lots/:lotId/settle
+// @desc    Finish settling the loans of a sold lot when the sale was cut short; loans already
+//          settled are left as they are
+// @access  Private (Admin only)
+router.post('/:id/lots/:lotId/settle', [auth, adminAuth], async (req, res) => {
+    try {
+        const auction = await loadAuction(req, res);
+        if (!auction) return;
+
+        if (auction.isLotSettled(req.params.lotId)) {
+            return res.status(400).json({ message: 'Every loan in this lot has already been settled' });
+        }
+        const lot = await auction.settleLot(req.params.lotId, actorOf(req));
+
+        res.json({
+            success: true,
+            message: `Lot ${lot.lotNumber} settled`,
+            data: {
+                lot,
+                surplus: lot.allocations.reduce((total, allocation) => total + allocation.surplus, 0),
+                shortfall: lot.allocations.reduce((total, allocation) => total + allocation.shortfall, 0)
+            }
+        });
+    } catch (error) {
+        sendAuctionError(res, error, 'settling lot');
+    }
+});
+
+// @route   POST /api/auctions/:id/lots/:lotId/unsold
+// @desc    Close a lot that found no buyer at or above its reserve; its loans stay scheduled for auction
+// @access  Private (Admin only)
+router.post('/:id/lots/:lotId/unsold', [auth, adminAuth], async (req, res) => {
+    try {
+        const auction = await loadAuction(req, res);
+        if (!auction) return;
+
+        const lot = auction.markLotUnsold(req.params.lotId, req.body.notes, actorOf(req));
+        await auction.save();
+
+        res.json({
+            success: true,
+            message: `Lot ${lot.lotNumber} closed unsold`,
+            data: lot
+        });
+    } catch (error) {
+        sendAuctionError(res, error, 'closing lot');
+    }
+});
+
+// @route   POST /api/auctions/:id/complete
+// @desc    Close the auction once every lot is sold, unsold or withdrawn
+// @access  Private (Admin only)
+router.post('/:id/complete', [auth, adminAuth], async (req, res) => {
+    try {
+        const auction = await loadAuction(req, res);
+        if (!auction) return;
+
+        auction.complete(actorOf(req));
+        await auction.save();
+
+        res.json({
+            success: true,
+            message: `Auction ${auction.auctionNumber} completed`,
+            data: auction.getSummary()
+        });
+    } catch (error) {
+        sendAuctionError(res, error, 'completing auction');
+    }
+});
+
+// @route   POST /api/auctions/:id/cancel
+// @desc    Call off an auction before any lot is sold
+// @access  Private (Admin only)
+router.post('/:id/cancel', [auth, adminAuth, [
+    body('reason').trim().notEmpty().withMessage('Reason for cancelling is required')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const auction = await loadAuction(req, res);
+        if (!auction) return;
+
+        auction.cancel(req.body.reason, actorOf(req));
+        await auction.save();
+
+        res.json({
+            success: true,
+            message: `Auction ${auction.auctionNumber} cancelled`,
+            data: auction.getSummary()
+        });
+    } catch (error) {
+        sendAuctionError(res, error, 'cancelling auction');
+    }
+});
+
+module.exports = router;
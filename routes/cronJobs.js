@@ -5,6 +5,8 @@ const adminAuth = require('../middleware/adminAuth');
 const CronJobHistory = require('../models/CronJobHistory');
 const { processInterestRateUpgrades } = require('../scripts/interestRateUpgradeManager');
 const { sendAllPaymentReminders } = require('../scripts/sendPaymentReminders');
+const { processMarginCalls } = require('../scripts/marginCallMonitor');
+const { importGoldRateFromFeed } = require('../scripts/goldRateFeedImporter');
 
 // @route   GET /api/cron-jobs/history
 // @desc    Get cron job execution history
@@ -63,7 +65,9 @@ router.post('/execute/:jobName', [auth, adminAuth], async (req, res) => {
         // Validate job name
         const validJobs = [
             'interest_rate_upgrades',
-            'payment_reminders'
+            'payment_reminders',
+            'margin_calls',
+            'gold_rate_feed'
         ];
         
         if (!validJobs.includes(jobName)) {
@@ -170,6 +174,22 @@ router.get('/list', [auth, adminAuth], async (req, res) => {
                 schedule: 'Daily at 8:00 AM IST',
                 lastExecution: null,
                 status: 'unknown'
+            },
+            {
+                name: 'margin_calls',
+                displayName: 'Margin Calls',
+                description: 'Re-value active loans at the latest gold rate and flag LTV breaches',
+                schedule: 'Daily at 11:30 AM IST',
+                lastExecution: null,
+                status: 'unknown'
+            },
+            {
+                name: 'gold_rate_feed',
+                displayName: 'Gold Rate Feed',
+                description: 'Read the gold rate from the configured feed, holding large moves for confirmation',
+                schedule: 'Hourly from 9:00 AM to 6:00 PM IST',
+                lastExecution: null,
+                status: 'unknown'
             }
         ];
         
@@ -223,6 +243,20 @@ async function executeJobAsync(jobName, historyId) {
                 recordsSuccessful = paymentResult?.successful || 0;
                 recordsFailed = paymentResult?.failed || 0;
                 break;
+
+            case 'margin_calls':
+                const marginResult = await processMarginCalls();
+                recordsProcessed = marginResult?.processed || 0;
+                recordsSuccessful = marginResult?.successful || 0;
+                recordsFailed = marginResult?.failed || 0;
+                break;
+
+            case 'gold_rate_feed':
+                const feedResult = await importGoldRateFromFeed();
+                recordsProcessed = feedResult?.processed || 0;
+                recordsSuccessful = feedResult?.successful || 0;
+                recordsFailed = feedResult?.failed || 0;
+                break;
                 
             default:
                 throw new Error(`Unknown job: ${jobName}`);
@@ -0,0 +1,600 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const adminOrEmployee = require('../middleware/adminOrEmployee');
+const requirePermission = require('../middleware/requirePermission');
+const Customer = require('../models/Customer');
+const Loan = require('../models/Loan');
+const Notification = require('../models/Notification');
+const AuctionNotice = require('../models/AuctionNotice');
+const Otp = require('../models/Otp');
+const AuditLog = require('../models/AuditLog');
+const KycDocument = require('../models/KycDocument');
+const Settings = require('../models/Settings');
+const { imageUpload, processImage } = require('../utils/imageProcessing');
+const { findDuplicateCandidates, mergeCustomers } = require('../utils/customerMerge');
+
+const imageOf = async file => {
+    const processed = await processImage(file.buffer);
+    return {
+        originalName: file.originalname,
+        mimeType: 'image/jpeg',
+        size: processed.size,
+        width: processed.width,
+        height: processed.height,
+        imageData: processed.processedBuffer,
+        thumbnailData: processed.thumbnailBuffer
+    };
+};
+
+const roundAmount = value => Math.round((Number(value) || 0) * 100) / 100;
+
+// Gold still in the vault for closed loans until it is handed back
+const PENDING_RETURN_STATUSES = ['pending', 'scheduled', 'overdue'];
+
+const loanSummaryOf = loan => ({
+    _id: loan._id,
+    loanId: loan.loanId,
+    amount: loan.amount,
+    interestRate: loan.interestRate,
+    term: loan.term,
+    status: loan.status,
+    auctionStatus: loan.auctionStatus,
+    createdAt: loan.createdAt,
+    closedDate: loan.closedDate,
+    totalPaid: loan.totalPaid,
+    remainingBalance: loan.remainingBalance,
+    goldWeight: roundAmount(loan.getPledgedGoldWeight()),
+    goldReturnStatus: loan.status === 'closed' ? loan.goldReturnStatus : undefined,
+    renewedTo: loan.renewedTo
+});
+
+// Everything sent to the customer about their loans, newest first
+const notificationsFor = async loans => {
+    const loanIds = loans.map(loan => loan._id);
+    const loanIdOf = id => (loans.find(loan => loan._id.equals(id)) || {}).loanId;
+    const [notifications, notices] = await Promise.all([
+        Notification.find({ loanId: { $in: loanIds } }).sort({ createdAt: -1 }),
+        AuctionNotice.find({ loan: { $in: loanIds } }).select('-document.data')
+    ]);
+
+    const sentToCustomer = entry => entry.sentTo === 'customer' || entry.sentTo === 'both';
+    return [
+        ...notifications.map(notification => ({
+            source: 'notification',
+            type: notification.type,
+            loanId: loanIdOf(notification.loanId),
+            message: notification.message,
+            date: notification.createdAt
+        })),
+        ...loans.flatMap(loan => [
+            ...(loan.auctionNotifications || []).filter(sentToCustomer).map(entry => ({
+                source: 'auction',
+                type: entry.type,
+                loanId: loan.loanId,
+                message: entry.message,
+                date: entry.sentDate
+            })),
+            ...(loan.goldReturnReminders || []).filter(sentToCustomer).map(entry => ({
+                source: 'gold_return',
+                type: entry.type,
+                loanId: loan.loanId,
+                message: entry.message,
+                date: entry.sentDate
+            }))
+        ]),
+        ...notices.flatMap(notice => notice.dispatches.map(dispatch => ({
+            source: 'auction_notice',
+            type: notice.noticeType,
+            loanId: notice.loanId,
+            message: `${notice.noticeNumber} sent by ${dispatch.channel.replace('_', ' ')}${dispatch.sentTo ? ` to ${dispatch.sentTo}` : ''} (${dispatch.status})`,
+            date: dispatch.sentAt
+        })))
+    ].sort((a, b) => new Date(b.date) - new Date(a.date));
+};
+
+// @route   GET /api/customers/duplicates
+// @desc    Find customers that are likely the same person, highest score first
+//          (?customerId to check one customer, ?minScore, default 50)
+// @access  Private (Admin only)
+router.get('/duplicates', [auth, adminAuth], async (req, res) => {
+    try {
+        const minScore = req.query.minScore !== undefined ? Number(req.query.minScore) : undefined;
+        if (minScore !== undefined && !(minScore >= 0)) {
+            return res.status(400).json({ message: 'minScore must be a number of at least 0' });
+        }
+
+        const candidates = await findDuplicateCandidates({ customerId: req.query.customerId, minScore });
+        res.json({
+            success: true,
+            data: candidates,
+            count: candidates.length
+        });
+    } catch (error) {
+        console.error('Error finding duplicate customers:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/customers/:customerId/merge
+// @desc    Merge a duplicate into this customer ({ duplicateCustomerId, reason }). The duplicate's
+//          loans, OTPs, photos and KYC documents move to this customer and the duplicate is removed.
+// @access  Private (Admin only)
+router.post('/:customerId/merge', [auth, adminAuth, [
+    body('duplicateCustomerId').isMongoId().withMessage('Duplicate customer ID is required'),
+    body('reason').trim().notEmpty().withMessage('Reason for the merge is required')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { duplicateCustomerId, reason } = req.body;
+        if (duplicateCustomerId === req.params.customerId) {
+            return res.status(400).json({ message: 'A customer cannot be merged into itself' });
+        }
+        const [customer, duplicate] = await Promise.all([
+            Customer.findById(req.params.customerId),
+            Customer.findById(duplicateCustomerId)
+        ]);
+        if (!customer || !duplicate) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        const result = await mergeCustomers(customer._id, duplicate._id, { reason }, { id: req.user.id, name: req.user.name });
+
+        await AuditLog.record(req, 'customers_merged', {
+            entityType: 'Customer',
+            entityId: customer._id,
+            reason,
+            details: { mergedCustomer: duplicate._id, moved: result.merge.moved }
+        });
+
+        res.json({
+            success: true,
+            message: `${duplicate.name} merged into ${customer.name}`,
+            data: result
+        });
+    } catch (error) {
+        console.error('Error merging customers:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/customers/:customerId/profile
+// @desc    Get a customer's full picture: loans (active, closed, auctioned), total exposure,
+//          payment punctuality, gold held, pending gold returns, notifications sent and OTP history
+// @access  Private (Admin/Employee)
+router.get('/:customerId/profile', [auth, adminOrEmployee], async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.params.customerId);
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        const asOf = new Date();
+        const loans = await Loan.find({ customerId: customer._id }).sort({ createdAt: -1 });
+        const active = loans.filter(loan => loan.status === 'active');
+        const auctioned = loans.filter(loan => loan.auctionStatus === 'auctioned');
+        const closed = loans.filter(loan => loan.status === 'closed' && loan.auctionStatus !== 'auctioned');
+
+        // Dues on active loans, plus what is still owed on loans already closed
+        const exposure = active.reduce((totals, loan) => {
+            const outstanding = loan.getOutstandingByComponent(asOf);
+            ['principal', 'interest', 'penal', 'charges'].forEach(component => {
+                totals[component] = roundAmount(totals[component] + outstanding[component]);
+            });
+            totals.securityValue = roundAmount(totals.securityValue + (loan.securityValue || 0));
+            return totals;
+        }, { principal: 0, interest: 0, penal: 0, charges: 0, securityValue: 0 });
+        exposure.outstanding = roundAmount(exposure.principal + exposure.interest + exposure.penal + exposure.charges);
+        exposure.recoverableDues = customer.getRecoverableDues();
+        exposure.total = roundAmount(exposure.outstanding + exposure.recoverableDues.total);
+        exposure.ltvPercent = exposure.securityValue > 0 ? roundAmount((exposure.principal / exposure.securityValue) * 100) : null;
+
+        const byLoan = loans.map(loan => {
+            const { installments, ...punctuality } = loan.getPaymentPunctuality(asOf);
+            return { loanId: loan.loanId, ...punctuality };
+        });
+        const sum = field => byLoan.reduce((total, loan) => total + loan[field], 0);
+        const settled = sum('onTime') + sum('late');
+        const punctuality = {
+            installmentsDue: sum('installmentsDue'),
+            onTime: sum('onTime'),
+            late: sum('late'),
+            unpaid: sum('unpaid'),
+            onTimePercent: settled > 0 ? roundAmount((sum('onTime') / settled) * 100) : null,
+            averageDaysLate: sum('late') > 0 ? roundAmount(byLoan.reduce((total, loan) => total + loan.averageDaysLate * loan.late, 0) / sum('late')) : 0,
+            maxDaysLate: byLoan.reduce((max, loan) => Math.max(max, loan.maxDaysLate), 0),
+            byLoan
+        };
+
+        const pendingReturns = closed.filter(loan => PENDING_RETURN_STATUSES.includes(loan.goldReturnStatus));
+        const goldHeldLoans = [...active, ...pendingReturns].map(loan => ({
+            loanId: loan.loanId,
+            status: loan.status === 'active' ? 'pledged' : 'awaiting_return',
+            weight: roundAmount(loan.getPledgedGoldWeight()),
+            items: loan.getPledgedGoldItems()
+        }));
+
+        // OTPs are removed once used or expired, so this covers recent activity only.
+        // The codes themselves are never returned.
+        const otpConditions = [{ customerId: String(customer._id) }, { phoneNumber: customer.primaryMobile }];
+        if (customer.email) {
+            otpConditions.push({ email: customer.email });
+        }
+        const otps = await Otp.find({ $or: otpConditions })
+            .select('purpose emailSent smsSent verifiedAt verifiedVia verificationAttempts maxAttempts expiresAt createdAt')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: {
+                customer,
+                riskFlags: customer.getActiveRiskFlags(asOf),
+                loans: {
+                    total: loans.length,
+                    active: active.map(loanSummaryOf),
+                    closed: closed.map(loanSummaryOf),
+                    auctioned: auctioned.map(loanSummaryOf)
+                },
+                exposure,
+                punctuality,
+                goldHeld: {
+                    totalWeight: roundAmount(goldHeldLoans.reduce((total, loan) => total + loan.weight, 0)),
+                    itemCount: goldHeldLoans.reduce((total, loan) => total + loan.items.length, 0),
+                    loans: goldHeldLoans
+                },
+                pendingGoldReturns: pendingReturns.map(loan => loan.getGoldReturnSummary()),
+                notifications: await notificationsFor(loans),
+                otpHistory: {
+                    verified: customer.verified,
+                    otps: otps.map(otp => ({
+                        _id: otp._id,
+                        purpose: otp.purpose,
+                        createdAt: otp.createdAt,
+                        emailSent: otp.emailSent,
+                        smsSent: otp.smsSent,
+                        verificationAttempts: otp.verificationAttempts,
+                        status: otp.verifiedAt ? 'verified' : otp.isExpired() ? 'expired' : otp.canAttemptVerification() ? 'pending' : 'locked',
+                        verifiedAt: otp.verifiedAt,
+                        verifiedVia: otp.verifiedVia
+                    }))
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error building customer profile:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/customers/:customerId/risk-flags
+// @desc    Get the risk flags in force on a customer (?includeInactive=true for lifted and expired ones too)
+// @access  Private (Admin/Employee)
+router.get('/:customerId/risk-flags', [auth, adminOrEmployee], async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.params.customerId);
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        const flags = req.query.includeInactive === 'true' ? customer.riskFlags : customer.getActiveRiskFlags();
+        res.json({
+            success: true,
+            data: {
+                blacklisted: customer.getBlacklistFlags().length > 0,
+                flags: flags.map(flag => ({ ...flag.toObject(), active: flag.isActive() }))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching risk flags:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/customers/:customerId/risk-flags
+// @desc    Raise a risk flag ({ category, reason, blacklist, loanId, expiresAt }).
+//          Only admins can blacklist a customer.
+// @access  Private (Admin/Employee)
+router.post('/:customerId/risk-flags', [auth, adminOrEmployee, [
+    body('category').isIn(Customer.RISK_CATEGORIES).withMessage(`Category must be one of ${Customer.RISK_CATEGORIES.join(', ')}`),
+    body('reason').trim().notEmpty().withMessage('Reason for the flag is required'),
+    body('blacklist').optional().isBoolean().withMessage('Blacklist must be true or false'),
+    body('loanId').optional().isString().withMessage('Loan ID must be text'),
+    body('expiresAt').optional({ checkFalsy: true }).isISO8601().withMessage('Expiry must be a valid date')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { category, reason, loanId, expiresAt } = req.body;
+        const blacklist = req.body.blacklist === true || req.body.blacklist === 'true';
+        if (blacklist && req.user.role !== 'admin') {
+            return res.status(403).json({ message: 'Access denied. Only an admin can blacklist a customer.' });
+        }
+        if (expiresAt && new Date(expiresAt) <= new Date()) {
+            return res.status(400).json({ message: 'Expiry must be in the future' });
+        }
+
+        const customer = await Customer.findById(req.params.customerId);
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        const flag = customer.addRiskFlag({
+            category,
+            reason,
+            blacklist,
+            loanId,
+            expiresAt: expiresAt ? new Date(expiresAt) : undefined
+        }, { id: req.user.id, name: req.user.name });
+        await customer.save();
+
+        res.status(201).json({
+            success: true,
+            message: blacklist ? 'Customer blacklisted' : 'Risk flag raised',
+            data: flag
+        });
+    } catch (error) {
+        console.error('Error raising risk flag:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/customers/:customerId/risk-flags/:flagId/lift
+// @desc    Lift a risk flag before it expires ({ reason })
+// @access  Private (Admin only)
+router.post('/:customerId/risk-flags/:flagId/lift', [auth, adminAuth, [
+    body('reason').trim().notEmpty().withMessage('Reason for lifting the flag is required')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const customer = await Customer.findById(req.params.customerId);
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+        const flag = customer.riskFlags.id(req.params.flagId);
+        if (!flag) {
+            return res.status(404).json({ message: 'Risk flag not found' });
+        }
+        if (!flag.isActive()) {
+            return res.status(400).json({ message: 'Risk flag is no longer in force' });
+        }
+
+        customer.liftRiskFlag(flag._id, req.body.reason, { id: req.user.id, name: req.user.name });
+        await customer.save();
+
+        res.json({
+            success: true,
+            message: 'Risk flag lifted',
+            data: flag
+        });
+    } catch (error) {
+        console.error('Error lifting risk flag:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/customers/:customerId/kyc
+// @desc    Get a customer's KYC documents and whether they meet the KYC policy
+//          (?includeSuperseded=true to include documents replaced by newer uploads)
+// @access  Private (Admin/Employee)
+router.get('/:customerId/kyc', [auth, adminOrEmployee], async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.params.customerId);
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        const compliance = await KycDocument.checkCompliance(customer._id, await Settings.getKycPolicy());
+        let documents = compliance.documents;
+        if (req.query.includeSuperseded === 'true') {
+            const all = await KycDocument.find({ customer: customer._id })
+                .select('-front.imageData -front.thumbnailData -back.imageData -back.thumbnailData')
+                .sort({ createdAt: -1 });
+            documents = all.map(document => document.getMetadata());
+        }
+
+        res.json({
+            success: true,
+            data: {
+                documents,
+                compliance: {
+                    compliant: compliance.compliant,
+                    problems: compliance.problems,
+                    missing: compliance.missing,
+                    rejected: compliance.rejected,
+                    expired: compliance.expired,
+                    unverified: compliance.unverified
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching KYC documents:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/customers/:customerId/kyc
+// @desc    Upload an ID proof (multipart: front, back images; documentType, documentNumber,
+//          issueDate, expiryDate). Replaces the customer's earlier document of the same type.
+// @access  Private (Admin/Employee)
+router.post('/:customerId/kyc', [
+    auth,
+    adminOrEmployee,
+    imageUpload.fields([{ name: 'front', maxCount: 1 }, { name: 'back', maxCount: 1 }]),
+    [
+        body('documentType').isIn(Object.keys(KycDocument.DOCUMENT_TYPES)).withMessage(`Document type must be one of ${Object.keys(KycDocument.DOCUMENT_TYPES).join(', ')}`),
+        body('documentNumber').trim().notEmpty().withMessage('Document number is required'),
+        body('issueDate').optional({ checkFalsy: true }).isISO8601().withMessage('Issue date must be a valid date'),
+        body('expiryDate').optional({ checkFalsy: true }).isISO8601().withMessage('Expiry date must be a valid date')
+    ]
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const customer = await Customer.findById(req.params.customerId);
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        const { documentType, documentNumber, issueDate, expiryDate } = req.body;
+        const files = req.files || {};
+        if (!files.front) {
+            return res.status(400).json({ message: 'A photo of the front of the document is required' });
+        }
+        if (KycDocument.DOCUMENT_TYPES[documentType].hasBack && !files.back) {
+            return res.status(400).json({ message: `A photo of the back of the ${KycDocument.DOCUMENT_TYPES[documentType].label.toLowerCase()} is required` });
+        }
+        if (expiryDate && new Date(expiryDate) < new Date()) {
+            return res.status(400).json({ message: 'Document has already expired' });
+        }
+        if (documentType === 'aadhaar' && !customer.hasAadhaar(documentNumber)) {
+            return res.status(400).json({ message: 'Aadhaar number does not match the one on the customer\'s record' });
+        }
+
+        const document = await KycDocument.addForCustomer(customer._id, {
+            documentType,
+            documentNumber,
+            issueDate: issueDate ? new Date(issueDate) : undefined,
+            expiryDate: expiryDate ? new Date(expiryDate) : undefined,
+            front: await imageOf(files.front[0]),
+            back: files.back ? await imageOf(files.back[0]) : undefined,
+            uploadedBy: { id: req.user.id, name: req.user.name }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `${KycDocument.DOCUMENT_TYPES[documentType].label} uploaded and awaiting verification`,
+            data: document.getMetadata()
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                errors: Object.values(error.errors).map(err => ({ msg: err.message }))
+            });
+        }
+        console.error('Error uploading KYC document:', error);
+        res.status(500).json({ message: 'Server error during KYC upload' });
+    }
+});
+
+// @route   GET /api/customers/:customerId/kyc/:documentId/:side
+// @desc    Get the front or back image of a document (?thumbnail=true for the thumbnail)
+// @access  Private (Admin/Employee)
+router.get('/:customerId/kyc/:documentId/:side(front|back)', [auth, adminOrEmployee], async (req, res) => {
+    try {
+        const { customerId, documentId, side } = req.params;
+        const document = await KycDocument.findOne({ _id: documentId, customer: customerId });
+        const image = document && document[side];
+        const data = image && (req.query.thumbnail === 'true' ? image.thumbnailData : image.imageData);
+        if (!data) {
+            return res.status(404).json({ message: 'Image not found' });
+        }
+
+        res.set({
+            'Content-Type': image.mimeType,
+            'Content-Length': data.length,
+            // ID proofs are not cached by shared caches
+            'Cache-Control': 'private, no-store'
+        });
+        res.send(data);
+    } catch (error) {
+        console.error('Error serving KYC image:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/customers/:customerId/kyc/:documentId/verify
+// @desc    Verify or reject a document after checking it against the original ({ status, reason })
+// @access  Private (Admin only)
+router.post('/:customerId/kyc/:documentId/verify', [auth, adminAuth, [
+    body('status').isIn(['verified', 'rejected']).withMessage('Status must be verified or rejected'),
+    body('reason').if(body('status').equals('rejected')).trim().notEmpty().withMessage('Reason for rejecting the document is required')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const document = await KycDocument.findOne({ _id: req.params.documentId, customer: req.params.customerId })
+            .select('-front.imageData -front.thumbnailData -back.imageData -back.thumbnailData');
+        if (!document) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+        if (document.supersededBy) {
+            return res.status(400).json({ message: 'Document has been replaced by a newer upload' });
+        }
+
+        document.verify(req.body.status, req.body.reason, { id: req.user.id, name: req.user.name });
+        await document.save();
+
+        res.json({
+            success: true,
+            message: `${KycDocument.DOCUMENT_TYPES[document.documentType].label} ${document.verificationStatus}`,
+            data: document.getMetadata()
+        });
+    } catch (error) {
+        console.error('Error verifying KYC document:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/customers/:customerId/aadhaar/reveal
+// @desc    Get a customer's full Aadhar number ({ reason }). Responses elsewhere only carry the
+//          masked number; every reveal is recorded in the audit log.
+// @access  Private (staff granted the reveal_aadhaar permission)
+router.post('/:customerId/aadhaar/reveal', [auth, requirePermission('reveal_aadhaar'), [
+    body('reason').trim().notEmpty().withMessage('Reason for viewing the Aadhar number is required')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const customer = await Customer.findById(req.params.customerId);
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+        if (!customer.aadharEncrypted) {
+            return res.status(404).json({ message: 'No Aadhar number on record for this customer' });
+        }
+
+        // Logged before the number is handed out, so no reveal goes unrecorded
+        await AuditLog.record(req, 'aadhaar_revealed', {
+            entityType: 'Customer',
+            entityId: customer._id,
+            reason: req.body.reason
+        });
+
+        res.set('Cache-Control', 'private, no-store');
+        res.json({
+            success: true,
+            data: {
+                customerId: customer._id,
+                name: customer.name,
+                aadharNumber: customer.decryptAadhaar()
+            }
+        });
+    } catch (error) {
+        console.error('Error revealing Aadhar number:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
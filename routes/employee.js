@@ -3,23 +3,32 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Loan = require('../models/Loan');
 const Customer = require('../models/Customer');
+const KycDocument = require('../models/KycDocument');
+const Scheme = require('../models/Scheme');
+const Settings = require('../models/Settings');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
 const { sendBrevoEmail } = require('../utils/brevo');
 const Otp = require('../models/Otp');
-const { calculateMuthootGoldLoanInterest: calcMuthoot, calculateClientInterestMethod } = require('../utils/interestCalculator');
+const { calculateInterest, optionsFromTerms } = require('../utils/interestEngine');
+const { validateGoldItem, loanEligibility, ltvPercentOf } = require('../utils/goldValuation');
+const { maskAadhaar, aadhaarFieldsOf } = require('../utils/aadhaar');
 
-// @route   GET /api/employee/check-aadhar/:aadharNumber
+// @route   POST /api/employee/check-aadhar
 // @desc    Check if an Aadhar number exists and get customer details (employee access)
-router.get('/check-aadhar/:aadharNumber', auth, async (req, res) => {
+//          ({ aadharNumber } in the body, so the number stays out of URLs and access logs)
+router.post('/check-aadhar', [auth, [
+    body('aadharNumber').matches(/^[0-9]{12}$/).withMessage('Aadhar number must be exactly 12 digits')
+]], async (req, res) => {
     try {
-        const loan = await Loan.findOne({
-            $or: [
-                { aadharNumber: req.params.aadharNumber },
-                { customerId: req.params.aadharNumber }
-            ]
-        });
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const loan = await Loan.findOne({ aadharNumber: req.body.aadharNumber });
         if (loan) {
+            const customer = await Customer.findById(loan.customerId);
             return res.json({
                 exists: true,
                 customerDetails: {
@@ -32,7 +41,10 @@ router.get('/check-aadhar/:aadharNumber', auth, async (req, res) => {
                     presentAddress: loan.presentAddress,
                     permanentAddress: loan.permanentAddress,
                     emergencyContact: loan.emergencyContact || { mobile: '', relation: '' }
-                }
+                },
+                // Dues still owed on earlier loans (e.g. an auction shortfall)
+                recoverableDues: customer ? customer.getRecoverableDues() : { total: 0, balances: [] },
+                riskFlags: customer ? customer.getActiveRiskFlags() : []
             });
         }
         res.json({ exists: false });
@@ -53,7 +65,7 @@ router.get('/loans', auth, async (req, res) => {
                 { status: { $ne: 'closed' } },
                 { status: 'closed', $or: [ { closedDate: { $exists: false } }, { closedDate: { $gte: oneMonthAgo } } ] }
             ]
-        }).sort({ createdAt: -1 }).populate('createdBy', 'name email role').populate('customerId', 'aadharNumber name mobile email');
+        }).sort({ createdAt: -1 }).populate('createdBy', 'name email role').populate('customerId', 'aadharLast4 name mobile email');
         
         // Add upgrade history information to each loan
         const loansWithUpgradeInfo = loans.map(loan => {
@@ -84,8 +96,10 @@ router.get('/customers', auth, async (req, res) => {
         const customers = await Loan.aggregate([
             {
                 $group: {
-                    _id: '$aadharNumber',
+                    _id: '$aadharHash',
                     mongoId: { $first: '$_id' },
+                    customerId: { $first: '$customerId' },
+                    aadharLast4: { $first: '$aadharLast4' },
                     name: { $first: '$name' },
                     email: { $first: '$email' },
                     primaryMobile: { $first: '$primaryMobile' },
@@ -103,8 +117,9 @@ router.get('/customers', auth, async (req, res) => {
             },
             {
                 $project: {
-                    aadharNumber: '$_id',
+                    aadharLast4: 1,
                     mongoId: 1,
+                    customerId: 1,
                     name: 1,
                     email: 1,
                     primaryMobile: 1,
@@ -120,7 +135,10 @@ router.get('/customers', auth, async (req, res) => {
         ]);
         res.json({
             success: true,
-            data: customers
+            data: customers.map(({ aadharLast4, ...customer }) => ({
+                ...customer,
+                aadharNumber: maskAadhaar(aadharLast4)
+            }))
         });
     } catch (err) {
         res.status(500).json({ message: 'Server error' });
@@ -133,11 +151,14 @@ router.post('/loans', [
     auth,
     body('aadharNumber').matches(/^[0-9]{12}$/).withMessage('Aadhar number must be exactly 12 digits'),
     body('amount').isNumeric().withMessage('Loan amount must be a number').isFloat({ min: 100 }).withMessage('Loan amount must be at least 100'),
-    body('term').isIn([3, 6, 12]).withMessage('Duration must be 3, 6, or 12 months'),
+    body('term').isInt({ min: 1 }).withMessage('Duration must be a whole number of months'),
     // body('interestRate').isIn([18, 24, 30, 36]).withMessage('Interest rate must be 18%, 24%, 30%, or 36%'),
+    body('schemeCode').optional().isString().withMessage('Scheme code must be a string'),
+    body('branch').optional().isString().withMessage('Branch must be a string'),
     body('monthlyPayment').isNumeric().withMessage('Monthly payment is required'),
     body('totalPayment').isNumeric().withMessage('Total payment is required'),
     body('goldItems').isArray({ min: 1 }).withMessage('At least one gold item must be provided'),
+    body('ltvOverrideReason').optional().isString().withMessage('LTV override reason must be text'),
     // Add more field checks as needed
 ], async (req, res) => {
     const errors = validationResult(req);
@@ -146,8 +167,8 @@ router.post('/loans', [
     }
 
     try {
-        console.log('Received request body:', JSON.stringify(req.body, null, 2));
-        console.log('User from token:', req.user);
+        console.log('Received request body:', JSON.stringify({ ...req.body, aadharNumber: maskAadhaar(req.body.aadharNumber) }, null, 2));
+        console.log('User from token:', req.user.id);
 
         // Extract customer fields
         const {
@@ -168,7 +189,9 @@ router.post('/loans', [
             duration,
             monthlyPayment,
             totalPayment,
-            customLoanDate
+            customLoanDate,
+            schemeCode,
+            branch
         } = req.body;
         
         // Convert empty email to null to avoid unique constraint issues
@@ -189,7 +212,7 @@ router.post('/loans', [
         } else {
             // Fallback to Aadhar number lookup
             customer = await Customer.findOne({ aadharNumber });
-            console.log(`[EMPLOYEE] Found customer by Aadhar: ${aadharNumber}`, customer ? 'Yes' : 'No');
+            console.log(`[EMPLOYEE] Found customer by Aadhar: ${maskAadhaar(aadharNumber)}`, customer ? 'Yes' : 'No');
         }
         
         if (!customer) {
@@ -239,6 +262,32 @@ router.post('/loans', [
             return res.status(400).json({ message: 'Customer not verified. Please verify customer via SMS OTP before creating a loan.' });
         }
 
+        // Only an admin can override a blacklist
+        const blacklistFlags = customer.getBlacklistFlags();
+        if (blacklistFlags.length > 0) {
+            return res.status(403).json({
+                message: `Customer is blacklisted: ${blacklistFlags.map(flag => flag.reason).join('; ')}. Only an admin can create a loan for this customer.`,
+                riskFlags: blacklistFlags
+            });
+        }
+
+        // Mandatory ID proofs must be on file and unexpired (and verified, when the policy asks)
+        const kyc = await KycDocument.checkCompliance(customer._id, await Settings.getKycPolicy());
+        if (!kyc.compliant) {
+            return res.status(400).json({
+                message: `KYC incomplete: ${kyc.problems.join('; ')}`,
+                kyc: {
+                    missing: kyc.missing,
+                    rejected: kyc.rejected,
+                    expired: kyc.expired,
+                    unverified: kyc.unverified
+                }
+            });
+        }
+
+        // Shortfalls from earlier auctions are noted on the new loan
+        const recoverableDues = customer.getRecoverableDues();
+
         // Validate goldItems array
         if (!Array.isArray(goldItems) || goldItems.length === 0) {
             return res.status(400).json({
@@ -247,68 +296,75 @@ router.post('/loans', [
         }
 
         // Validate each gold item
-        const invalidGoldItems = goldItems.filter(
-            item => !item.description || !item.grossWeight || !item.netWeight
-        );
-
-        if (invalidGoldItems.length > 0) {
+        const goldItemErrors = goldItems.map(validateGoldItem).filter(Boolean);
+        if (goldItemErrors.length > 0) {
             return res.status(400).json({
-                errors: [{ msg: 'Each gold item must have description, grossWeight, and netWeight' }]
+                errors: goldItemErrors.map(msg => ({ msg }))
             });
         }
 
-        // Generate unique loanId with retry mechanism
-        let loanId;
-        let attempts = 0;
-        const maxAttempts = 5;
-        
-        do {
-            const now = new Date();
-            const year = now.getFullYear() % 1000; // last 3 digits
-            const month = (now.getMonth() + 1).toString().padStart(2, '0');
-            const day = now.getDate().toString().padStart(2, '0');
-            const hour = now.getHours().toString().padStart(2, '0');
-            const minute = now.getMinutes().toString().padStart(2, '0');
-            const second = now.getSeconds().toString().padStart(2, '0');
-            const random = Math.floor(Math.random() * 100).toString().padStart(2, '0');
-            
-            // Create a more unique ID with timestamp and random component
-            loanId = `CY${year}${month}${day}${hour}${minute}${second}${random}`;
-            
-            // Check if this ID already exists
-            const existingLoan = await Loan.findOne({ loanId });
-            if (!existingLoan) {
-                break; // Unique ID found
-            }
-            
-            attempts++;
-            if (attempts >= maxAttempts) {
-                throw new Error('Unable to generate unique loan ID after multiple attempts');
-            }
-        } while (attempts < maxAttempts);
+        // The loan is pinned to the current version of the chosen (or default) scheme
+        const scheme = await Scheme.findForNewLoan(schemeCode);
+        if (!scheme) {
+            return res.status(400).json({
+                errors: [{ msg: schemeCode ? `Interest scheme ${schemeCode} not found or inactive` : 'No default interest scheme is configured' }]
+            });
+        }
+        if (!scheme.allowsTerm(finalTerm)) {
+            return res.status(400).json({
+                errors: [{ msg: `Duration must be one of ${scheme.allowedTerms.join(', ')} months under scheme ${scheme.code}` }]
+            });
+        }
 
-        // Calculate using client's interest method
-        const disbursementDate = new Date();
-        const closureDate = new Date(disbursementDate);
-        closureDate.setMonth(closureDate.getMonth() + Number(finalTerm));
-        
-        const muthootResult = calculateClientInterestMethod({
+        // The loan cannot exceed the scheme's LTV limits on the gold's appraised value at the
+        // rates in force on the loan date
+        const loanDate = customLoanDate ? new Date(customLoanDate) : new Date();
+        const valuation = await scheme.getValuationTerms(loanDate);
+        const eligibility = loanEligibility(goldItems, valuation);
+        // Going over the limit needs an admin and a reason
+        const ltvOverrideReason = typeof req.body.ltvOverrideReason === 'string' ? req.body.ltvOverrideReason.trim() : '';
+        const exceedsLtv = Number(finalAmount) > eligibility.eligibleAmount;
+        if (exceedsLtv && !ltvOverrideReason) {
+            return res.status(400).json({
+                errors: [{ msg: `Loan amount exceeds the eligible amount of ₹${eligibility.eligibleAmount} (${eligibility.maxLtvPercent}% of ₹${eligibility.appraisedValue} appraised gold value). An admin can override this with a reason.` }],
+                eligibility
+            });
+        }
+        if (exceedsLtv && req.user.role !== 'admin') {
+            return res.status(403).json({ message: 'Only an admin can override the LTV limit' });
+        }
+        const appraisedAt = new Date();
+        const appraisedGoldItems = goldItems.map((item, index) => ({
+            ...item,
+            netWeight: eligibility.items[index].netWeight,
+            appraisedRate: eligibility.items[index].ratePerGram,
+            appraisedValue: eligibility.items[index].value,
+            appraisedAt
+        }));
+
+        const finalInterestRate = interestRate !== undefined && interestRate !== '' ? Number(interestRate) : scheme.baseRate;
+
+        // Generate unique loanId
+        const loanId = await Loan.generateLoanId();
+
+        // Interest for the full term under the scheme's conventions
+        const interestResult = calculateInterest({
+            ...optionsFromTerms(scheme),
             principal: Number(finalAmount),
-            annualRate: Number(interestRate),
-            disbursementDate: disbursementDate,
-            closureDate: closureDate,
+            annualRate: finalInterestRate,
+            startDate: new Date(),
             termMonths: Number(finalTerm)
         });
         
         // Calculate daily interest fields for tracking
-        const dailyInterestRate = (Number(interestRate) / 100) / 365;
+        const dailyInterestRate = (finalInterestRate / 100) / 365;
         const totalDays = Number(finalTerm) * 30;
         const dailyInterestAmount = Number(finalAmount) * dailyInterestRate;
 
         // Create new loan data
         const loanData = {
             customerId: customer._id,
-            aadharNumber: customer.aadharNumber,
+            ...aadhaarFieldsOf(customer),
             name: customer.name,
             email: customer.email,
             primaryMobile: customer.primaryMobile,
@@ -316,24 +372,53 @@ router.post('/loans', [
             presentAddress: customer.presentAddress,
             permanentAddress: customer.permanentAddress,
             emergencyContact: customer.emergencyContact,
-            goldItems,
-            interestRate: Number(interestRate),
-            originalInterestRate: Number(interestRate), // Add this required field
+            branch,
+            goldItems: appraisedGoldItems,
+            securityValue: eligibility.appraisedValue,
+            valuationSnapshot: {
+                goldRate: valuation.goldRateId,
+                rates: valuation.rates || { k22: valuation.goldRate },
+                appraisedValue: eligibility.appraisedValue,
+                valuedAt: appraisedAt
+            },
+            ltv: {
+                percent: ltvPercentOf(finalAmount, eligibility.appraisedValue),
+                maxPercent: eligibility.maxLtvPercent,
+                appraisedValue: eligibility.appraisedValue,
+                eligibleAmount: eligibility.eligibleAmount,
+                goldRate: eligibility.goldRate,
+                overridden: exceedsLtv,
+                overrideReason: exceedsLtv ? ltvOverrideReason : undefined,
+                overriddenBy: exceedsLtv ? { id: req.user.id, name: req.user.name } : undefined,
+                overriddenAt: exceedsLtv ? appraisedAt : undefined
+            },
+            interestRate: finalInterestRate,
+            originalInterestRate: finalInterestRate, // Add this required field
+            scheme: scheme._id,
+            schemeTerms: scheme.toLoanTerms(),
             amount: Number(finalAmount),
             term: Number(finalTerm),
-            monthlyPayment: Math.round(muthootResult.totalAmount / Number(finalTerm)),
-            totalPayment: muthootResult.totalAmount,
+            monthlyPayment: Math.round(interestResult.totalAmount / Number(finalTerm)),
+            totalPayment: interestResult.totalAmount,
             status: 'active',
             createdBy: req.user._id,
             loanId,
-            remainingBalance: muthootResult.totalAmount,
+            remainingBalance: interestResult.totalAmount,
             // Use custom loan date if provided, otherwise use current date
-            createdAt: customLoanDate ? new Date(customLoanDate) : new Date(),
+            createdAt: loanDate,
             totalPaid: 0,
             payments: [],
             dailyInterestRate,
             totalDays,
-            dailyInterestAmount
+            dailyInterestAmount,
+            priorRecoverableDues: {
+                total: recoverableDues.total,
+                loans: recoverableDues.balances.map(balance => ({
+                    loan: balance.loan,
+                    loanId: balance.loanId,
+                    outstanding: balance.outstanding
+                }))
+            }
         };
 
         console.log('Creating new loan with data:', JSON.stringify(loanData, null, 2));
@@ -358,6 +443,9 @@ router.post('/loans', [
 
             res.status(201).json({
                 success: true,
+                message: recoverableDues.total > 0
+                    ? `Loan created. The customer still owes ₹${recoverableDues.total.toLocaleString()} on earlier auctioned loans`
+                    : undefined,
                 data: loan
             });
         } catch (err) {
@@ -618,15 +706,14 @@ router.post('/verify-customer-otp', auth, async (req, res) => {
     }
 });
 
-// @route   PUT /api/employee/customers/:aadharNumber
+// @route   PUT /api/employee/customers/:customerId
 // @desc    Update customer details (employee access)
-router.put('/customers/:aadharNumber', auth, async (req, res) => {
+router.put('/customers/:customerId', auth, async (req, res) => {
     try {
-        const { aadharNumber } = req.params;
-        const updateData = req.body;
+        // The stored Aadhar fields only change through aadharNumber
+        const { aadharEncrypted, aadharHash, aadharLast4, ...updateData } = req.body;
         
-        // Find customer by aadharNumber
-        const customer = await Customer.findOne({ aadharNumber });
+        const customer = await Customer.findById(req.params.customerId);
         if (!customer) {
             return res.status(404).json({ message: 'Customer not found' });
         }
@@ -697,7 +784,7 @@ router.get('/loans-with-upgrades', auth, async (req, res) => {
         
         // Find loans with upgrade history
         const loans = await Loan.find(query)
-            .populate('customerId', 'name email mobile aadharNumber')
+            .populate('customerId', 'name email mobile aadharLast4')
             .populate('createdBy', 'name email role')
             .sort({ createdAt: -1 })
             .skip(skip)
@@ -761,7 +848,8 @@ router.get('/loans-with-upgrades', auth, async (req, res) => {
 router.post('/loans/:loanId/renew', [auth, [
     body('amount').isNumeric().withMessage('Amount must be a number'),
     // body('interestRate').isIn([18, 24, 30, 36]).withMessage('Interest rate must be 18%, 24%, 30%, or 36%'),
-    body('term').isIn([3, 6, 12]).withMessage('Term must be 3, 6, or 12 months')
+    body('term').isInt({ min: 1 }).withMessage('Term must be a whole number of months'),
+    body('ltvOverrideReason').optional().isString().withMessage('LTV override reason must be text')
 ]], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -783,70 +871,67 @@ router.post('/loans/:loanId/renew', [auth, [
             return res.status(400).json({ message: 'Only closed loans can be renewed' });
         }
 
-        // Calculate new loan details using Muthoot method
-        const disbursementDate = new Date();
-        const closureDate = new Date(disbursementDate);
-        closureDate.setMonth(closureDate.getMonth() + term);
-        
-        const muthootResult = calcMuthoot({
-            principal: amount,
-            annualRate: interestRate,
-            disbursementDate: disbursementDate,
-            closureDate: closureDate
-        });
+        if (loan.renewedTo) {
+            return res.status(400).json({ message: 'Loan has already been renewed' });
+        }
 
-        // Calculate daily interest fields
-        const dailyInterestRate = (interestRate / 100) / 365;
-        const totalDays = term * 30;
-        const dailyInterestAmount = amount * dailyInterestRate;
-
-        // Update loan with renewal details
-        loan.amount = amount;
-        loan.interestRate = interestRate;
-        loan.term = term;
-        loan.status = 'active';
-        loan.createdAt = disbursementDate; // Update to present date
-        loan.monthlyPayment = muthootResult.monthlyPayment;
-        loan.totalPayment = muthootResult.totalAmount;
-        loan.remainingBalance = muthootResult.totalAmount;
-        loan.totalPaid = 0; // Reset total paid
-        loan.dailyInterestRate = dailyInterestRate;
-        loan.totalDays = totalDays;
-        loan.dailyInterestAmount = dailyInterestAmount;
-        loan.closedDate = null; // Remove closed date
-
-        // Reset payments array
-        loan.payments = [];
-
-        // Create new installment schedule
-        loan.installments = [];
-        let currentDate = new Date(disbursementDate);
-        
-        for (let i = 1; i <= term; i++) {
-            currentDate = new Date(currentDate);
-            currentDate.setMonth(currentDate.getMonth() + 1);
-            
-            loan.installments.push({
-                number: i,
-                dueDate: new Date(currentDate),
-                amount: loan.monthlyPayment,
-                status: 'pending',
-                amountPaid: 0
+        // Auctioning closes the loan too, but its gold has been sold
+        if (loan.auctionStatus === 'auctioned') {
+            return res.status(400).json({ message: 'Auctioned loans cannot be renewed' });
+        }
+
+        if (loan.goldReturnStatus === 'returned') {
+            return res.status(400).json({ message: 'Gold for this loan has already been returned to the customer' });
+        }
+
+        // Renewals move to the current version of the loan's scheme
+        const scheme = await loan.getRenewalScheme();
+        if (scheme && !scheme.allowsTerm(term)) {
+            return res.status(400).json({ message: `Term must be one of ${scheme.allowedTerms.join(', ')} months under scheme ${scheme.code}` });
+        }
+
+        // Only an admin can renew a loan for a blacklisted customer
+        const customer = await Customer.findById(loan.customerId);
+        const blacklistFlags = customer ? customer.getBlacklistFlags() : [];
+        if (blacklistFlags.length > 0) {
+            return res.status(403).json({
+                message: `Customer is blacklisted: ${blacklistFlags.map(flag => flag.reason).join('; ')}. Only an admin can renew a loan for this customer.`,
+                riskFlags: blacklistFlags
             });
         }
 
-        await loan.save();
+        const kyc = await KycDocument.checkCompliance(loan.customerId, await Settings.getKycPolicy());
+        if (!kyc.compliant) {
+            return res.status(400).json({ message: `KYC incomplete: ${kyc.problems.join('; ')}` });
+        }
+
+        // The new amount cannot exceed the LTV limits on today's value of the gold carried forward
+        const { eligibility } = await loan.getRenewalEligibility(scheme);
+        const ltvOverrideReason = typeof req.body.ltvOverrideReason === 'string' ? req.body.ltvOverrideReason.trim() : '';
+        const exceedsLtv = Number(amount) > eligibility.eligibleAmount;
+        if (exceedsLtv && !ltvOverrideReason) {
+            return res.status(400).json({
+                errors: [{ msg: `Renewal amount exceeds the eligible amount of ₹${eligibility.eligibleAmount} (${eligibility.maxLtvPercent}% of ₹${eligibility.appraisedValue} appraised gold value). An admin can override this with a reason.` }],
+                eligibility
+            });
+        }
+        if (exceedsLtv && req.user.role !== 'admin') {
+            return res.status(403).json({ message: 'Only an admin can override the LTV limit' });
+        }
+
+        // Renewal creates a new loan cycle; the closed loan keeps its history
+        const renewal = await loan.renew({ amount, interestRate, term, ltvOverrideReason }, req.user);
 
         // Create notification for loan renewal
         const Notification = require('../models/Notification');
         const notification = new Notification({
-            loanId: loan._id,
+            loanId: renewal._id,
             type: 'new_loan',
             title: 'Loan Renewed',
-            message: `Your loan ${loan.loanId} has been renewed with amount ₹${amount.toLocaleString()} for ${term} months at ${interestRate}% interest rate.`,
-            customerName: loan.name,
-            customerMobile: loan.primaryMobile,
-            amount: amount,
+            message: `Your loan ${loan.loanId} has been renewed as loan ${renewal.loanId} with amount ₹${Number(amount).toLocaleString()} for ${term} months at ${renewal.interestRate}% interest rate.`,
+            customerName: renewal.name,
+            customerMobile: renewal.primaryMobile,
+            amount: renewal.amount,
             isRead: false
         });
         await notification.save();
@@ -855,12 +940,15 @@ router.post('/loans/:loanId/renew', [auth, [
             success: true,
             message: 'Loan renewed successfully',
             data: {
-                loanId: loan.loanId,
-                amount: loan.amount,
-                interestRate: loan.interestRate,
-                term: loan.term,
-                status: loan.status,
-                renewedAt: disbursementDate
+                _id: renewal._id,
+                loanId: renewal.loanId,
+                previousLoanId: loan.loanId,
+                renewalCycle: renewal.renewalCycle,
+                amount: renewal.amount,
+                interestRate: renewal.interestRate,
+                term: renewal.term,
+                status: renewal.status,
+                renewedAt: renewal.createdAt
             }
         });
 
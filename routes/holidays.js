@@ -0,0 +1,283 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const Holiday = require('../models/Holiday');
+const holidayCalendar = require('../utils/holidayCalendar');
+const { normalizeDate, parseHolidayFile } = require('../utils/holidayImport');
+
+const HOLIDAY_TYPES = ['national', 'regional', 'company'];
+
+// Import files are small text files, parsed straight from memory
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 1024 * 1024 // 1MB limit
+    }
+});
+
+const holidayValidators = [
+    body('date').optional().custom(value => !!normalizeDate(value)).withMessage('Date must be YYYY-MM-DD, DD-MM-YYYY or DD/MM/YYYY'),
+    body('name').optional().trim().notEmpty().withMessage('Holiday name cannot be empty'),
+    body('branch').optional({ nullable: true }).isString().withMessage('Branch must be a string'),
+    body('type').optional().isIn(HOLIDAY_TYPES).withMessage(`Type must be one of ${HOLIDAY_TYPES.join(', ')}`)
+];
+
+const sendValidationError = (res, err) => {
+    const validationErrors = Object.values(err.errors).map(error => ({
+        msg: error.message
+    }));
+    return res.status(400).json({ errors: validationErrors });
+};
+
+const sendDuplicateError = res => res.status(400).json({
+    message: 'A holiday already exists on this date for this branch'
+});
+
+// Reload the in-memory calendar used for due dates, grace periods and reminders
+const refreshCalendar = async () => {
+    try {
+        await holidayCalendar.refresh();
+    } catch (error) {
+        console.error('Error refreshing holiday calendar:', error);
+    }
+};
+
+// @route   GET /api/holidays
+// @desc    List holidays (?year=2025 and ?branch=X; branch lists that branch's plus all-branch holidays)
+// @access  Private (Admin only)
+router.get('/', [auth, adminAuth], async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.year) {
+            if (!/^\d{4}$/.test(req.query.year)) {
+                return res.status(400).json({ message: 'Year must be a four-digit number' });
+            }
+            query.date = { $regex: `^${req.query.year}-` };
+        }
+        if (req.query.branch) {
+            query.branch = { $in: [req.query.branch, null] };
+        }
+
+        const holidays = await Holiday.find(query).sort({ date: 1, branch: 1 });
+
+        res.json({
+            success: true,
+            data: holidays
+        });
+    } catch (error) {
+        console.error('Error fetching holidays:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching holidays',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/holidays
+// @desc    Add a holiday (omit branch for a holiday at every branch)
+// @access  Private (Admin only)
+router.post('/', [auth, adminAuth, [
+    body('date').notEmpty().withMessage('Holiday date is required'),
+    body('name').trim().notEmpty().withMessage('Holiday name is required'),
+    ...holidayValidators
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const holiday = await Holiday.create({
+            date: normalizeDate(req.body.date),
+            name: req.body.name,
+            branch: req.body.branch || null,
+            type: req.body.type,
+            source: 'manual',
+            createdBy: { id: req.user.id, name: req.user.name }
+        });
+        await refreshCalendar();
+
+        res.status(201).json({
+            success: true,
+            message: 'Holiday added successfully',
+            data: holiday
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return sendDuplicateError(res);
+        }
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+        console.error('Error adding holiday:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while adding holiday',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/holidays/import
+// @desc    Bulk import holidays from a CSV or ICS file (multipart `file`, or JSON { content, format }).
+//          `branch` applies to rows that do not name one. Existing holidays on the same date and branch are updated.
+// @access  Private (Admin only)
+router.post('/import', [auth, adminAuth, upload.single('file'), [
+    body('format').optional().isIn(['csv', 'ics']).withMessage('Format must be csv or ics'),
+    body('branch').optional().isString().withMessage('Branch must be a string')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+        if (!content || !String(content).trim()) {
+            return res.status(400).json({ message: 'Upload a CSV or ICS file, or send its content' });
+        }
+
+        let format = req.body.format;
+        if (!format && req.file) {
+            const extension = req.file.originalname.split('.').pop().toLowerCase();
+            format = ['csv', 'ics'].includes(extension) ? extension : undefined;
+        }
+
+        const parsed = parseHolidayFile(content, format);
+        const invalidTypes = parsed.holidays.filter(holiday => holiday.type && !HOLIDAY_TYPES.includes(holiday.type));
+        invalidTypes.forEach(holiday => {
+            parsed.errors.push({ message: `Invalid type "${holiday.type}" for ${holiday.date}` });
+        });
+        const holidays = parsed.holidays.filter(holiday => !invalidTypes.includes(holiday));
+
+        if (holidays.length === 0) {
+            return res.status(400).json({
+                message: 'No valid holidays found in the import',
+                errors: parsed.errors
+            });
+        }
+
+        const createdBy = { id: req.user.id, name: req.user.name };
+        const operations = holidays.map(holiday => {
+            const branch = holiday.branch || req.body.branch || null;
+            return {
+                updateOne: {
+                    filter: { date: holiday.date, branch },
+                    update: {
+                        $set: {
+                            name: holiday.name,
+                            type: holiday.type || (branch ? 'regional' : 'national'),
+                            source: parsed.format
+                        },
+                        $setOnInsert: { createdBy, createdAt: new Date() }
+                    },
+                    upsert: true
+                }
+            };
+        });
+
+        const result = await Holiday.bulkWrite(operations, { ordered: false });
+        await refreshCalendar();
+
+        res.json({
+            success: true,
+            message: `Imported ${holidays.length} holidays from ${parsed.format.toUpperCase()}`,
+            data: {
+                format: parsed.format,
+                created: result.upsertedCount,
+                updated: result.modifiedCount,
+                unchanged: holidays.length - result.upsertedCount - result.modifiedCount,
+                errors: parsed.errors
+            }
+        });
+    } catch (error) {
+        console.error('Error importing holidays:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while importing holidays',
+            error: error.message
+        });
+    }
+});
+
+// @route   PUT /api/holidays/:id
+// @desc    Update a holiday
+// @access  Private (Admin only)
+router.put('/:id', [auth, adminAuth, holidayValidators], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const holiday = await Holiday.findById(req.params.id);
+        if (!holiday) {
+            return res.status(404).json({ message: 'Holiday not found' });
+        }
+
+        if (req.body.date !== undefined) holiday.date = normalizeDate(req.body.date);
+        if (req.body.name !== undefined) holiday.name = req.body.name;
+        if (req.body.branch !== undefined) holiday.branch = req.body.branch || null;
+        if (req.body.type !== undefined) holiday.type = req.body.type;
+
+        await holiday.save();
+        await refreshCalendar();
+
+        res.json({
+            success: true,
+            message: 'Holiday updated successfully',
+            data: holiday
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return sendDuplicateError(res);
+        }
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+        if (error.name === 'CastError') {
+            return res.status(404).json({ message: 'Holiday not found' });
+        }
+        console.error('Error updating holiday:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating holiday',
+            error: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/holidays/:id
+// @desc    Delete a holiday
+// @access  Private (Admin only)
+router.delete('/:id', [auth, adminAuth], async (req, res) => {
+    try {
+        const holiday = await Holiday.findByIdAndDelete(req.params.id);
+        if (!holiday) {
+            return res.status(404).json({ message: 'Holiday not found' });
+        }
+        await refreshCalendar();
+
+        res.json({
+            success: true,
+            message: 'Holiday deleted successfully',
+            data: holiday
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({ message: 'Holiday not found' });
+        }
+        console.error('Error deleting holiday:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting holiday',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -9,7 +9,8 @@ const apiKey = defaultClient.authentications['api-key'];
 apiKey.apiKey = process.env.BREVO_API_KEY;
 const nodemailer = require('nodemailer');
 const path = require('path');
-const { calculateMuthootGoldLoanInterest, calculateClientInterestMethod } = require('../utils/interestCalculator');
+const { calculateInterest, optionsFromTerms } = require('../utils/interestEngine');
+const Scheme = require('../models/Scheme');
 const { sendBrevoEmail } = require('../utils/brevo');
 const Otp = require('../models/Otp');
 const Customer = require('../models/Customer');
@@ -22,6 +23,10 @@ const adminAuth = require('../middleware/adminAuth');
 
 const otpWindowMinutes = 10;
 
+// Limits on interest quotes, so one request cannot ask for centuries of interest
+const MAX_QUOTE_TERM_MONTHS = 60;
+const MAX_QUOTE_DAYS = 3660;
+
 // @route   POST /api/loans
 // @desc    Create a new loan application
 router.post('/', [auth, [
@@ -258,6 +263,70 @@ router.get('/:id/payments', auth, async (req, res) => {
     }
 });
 
+// @route   GET /api/loans/:id/renewal-chain
+// @desc    Get every cycle in a loan's renewal chain, oldest first
+router.get('/:id/renewal-chain', auth, async (req, res) => {
+    try {
+        const loan = await Loan.findById(req.params.id).select('customerId');
+        if (!loan) {
+            return res.status(404).json({ message: 'Loan not found' });
+        }
+
+        // Customers may only see their own loans
+        if (req.user.role === 'customer' && String(loan.customerId) !== String(req.user._id)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const chain = await Loan.getRenewalChain(req.params.id);
+        if (!chain) {
+            return res.status(404).json({ message: 'Loan not found' });
+        }
+        res.json({
+            success: true,
+            data: {
+                currentLoanId: chain[chain.length - 1].loanId,
+                totalCycles: chain.length,
+                cycles: chain
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching renewal chain:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/loans/:id/interest-statement
+// @desc    Segment-by-segment interest computation for a loan as of a date (?asOf=YYYY-MM-DD)
+router.get('/:id/interest-statement', auth, async (req, res) => {
+    try {
+        const loan = await Loan.findById(req.params.id);
+        if (!loan) {
+            return res.status(404).json({ message: 'Loan not found' });
+        }
+
+        // Customers may only see their own loans
+        if (req.user.role === 'customer' && String(loan.customerId) !== String(req.user._id)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+        if (isNaN(asOf.getTime())) {
+            return res.status(400).json({ message: 'Invalid asOf date' });
+        }
+        if (asOf < loan.createdAt) {
+            return res.status(400).json({ message: 'asOf cannot be before the loan start date' });
+        }
+
+        res.json({
+            success: true,
+            data: loan.getInterestStatement(asOf)
+        });
+    } catch (err) {
+        console.error('Error building interest statement:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 async function sendRepaymentEmail({ to, name, amountPaid, totalPaid, totalLoan, toBePaid }) {
   const apiInstance = new sib.TransactionalEmailsApi();
   await apiInstance.sendTransacEmail({
@@ -403,8 +472,12 @@ router.post('/:id/payment', [auth, [
                         dueDate: inst.dueDate,
                         amount: inst.amount,
                         status: inst.status,
-                        amountPaid: inst.amountPaid
-                    }))
+                        amountPaid: inst.amountPaid,
+                        penalAccrued: inst.penalAccrued,
+                        penalPaid: inst.penalPaid,
+                        penalWaived: inst.penalWaived
+                    })),
+                    penalInterest: updatedLoan.getPenalInterest()
                 },
                 nextPayment: updatedLoan.status !== 'closed' ? {
                     dueDate: updatedLoan.installments.find(i => i.status !== 'paid')?.dueDate,
@@ -418,6 +491,79 @@ router.post('/:id/payment', [auth, [
     }
 });
 
+// @route   POST /api/loans/:id/prepay-principal
+// @desc    Pay down part of the principal; interest runs on the reduced principal from today
+// @access  Private (customers: their own loans, online only)
+router.post('/:id/prepay-principal', [auth, [
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+    body('paymentMethod').isIn(['handcash', 'online']).withMessage('Invalid payment method'),
+    body('transactionId').if(body('paymentMethod').equals('online')).notEmpty().withMessage('Transaction ID is required for online payments'),
+    body('bankName').if(body('paymentMethod').equals('online')).notEmpty().withMessage('Bank name is required for online payments')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const loan = await Loan.findById(req.params.id);
+        if (!loan) {
+            return res.status(404).json({ message: 'Loan not found' });
+        }
+
+        const { amount, paymentMethod, transactionId, bankName } = req.body;
+
+        // Customers may only prepay their own loans, and only online: cash is taken in by staff
+        const isStaff = ['admin', 'employee'].includes(req.user.role);
+        if (!isStaff && String(loan.customerId) !== String(req.user._id)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+        if (!isStaff && paymentMethod === 'handcash') {
+            return res.status(403).json({ message: 'Cash prepayments can only be recorded by staff' });
+        }
+
+        const result = await loan.prepayPrincipal(
+            Number(amount),
+            paymentMethod,
+            transactionId,
+            { id: req.user._id?.toString?.() || req.user.id, name: req.user.name || '' },
+            bankName
+        );
+
+        res.json({
+            success: true,
+            message: result.prepayment
+                ? 'Principal prepayment recorded successfully'
+                : 'Principal prepayment recorded; it will reduce the principal once the payment is approved',
+            data: {
+                payment: result.payment,
+                prepayment: result.prepayment,
+                loanStatus: {
+                    loanId: loan.loanId,
+                    outstandingPrincipal: result.outstandingPrincipal,
+                    totalPaid: loan.totalPaid,
+                    totalPayment: loan.totalPayment,
+                    remainingBalance: loan.remainingBalance,
+                    monthlyPayment: loan.monthlyPayment,
+                    installments: loan.installments.map(inst => ({
+                        number: inst.number,
+                        dueDate: inst.dueDate,
+                        amount: inst.amount,
+                        status: inst.status,
+                        amountPaid: inst.amountPaid
+                    }))
+                }
+            }
+        });
+    } catch (err) {
+        if (err.name === 'LoanRuleError') {
+            return res.status(400).json({ message: err.message });
+        }
+        console.error('Error recording principal prepayment:', err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
 // @route   GET /api/loans/customer/:customerId
 // @desc    Get all loans for a specific customer
 router.get('/customer/:customerId', auth, async (req, res) => {
@@ -432,7 +578,8 @@ router.get('/customer/:customerId', auth, async (req, res) => {
 
 
 // PATCH /api/loans/:loanId/payments/:paymentId/approve
-router.patch('/:loanId/payments/:paymentId/approve', auth, async (req, res) => {
+// Admin only: approving an online principal prepayment is what takes it off the principal
+router.patch('/:loanId/payments/:paymentId/approve', adminAuth, async (req, res) => {
   try {
     const loan = await Loan.findById(req.params.loanId);
     if (!loan) return res.status(404).send('Loan not found');
@@ -510,46 +657,144 @@ router.patch('/:loanId/payments/:paymentId/approve', auth, async (req, res) => {
 
     res.json({ success: true, message: 'Payment approved and customer notified.' });
   } catch (err) {
+    // A prepayment is only applied now, so the loan may no longer be able to take it
+    if (err.name === 'LoanRuleError') {
+      return res.status(400).json({ message: err.message });
+    }
     console.error('Error approving payment:', err);
     res.status(500).json({ message: err.message });
   }
 });
 
+// @route   POST /api/loans/:loanId/payments/:paymentId/reverse
+// @desc    Reverse a mistaken payment with a compensating record
+// @access  Admin
+router.post('/:loanId/payments/:paymentId/reverse', [adminAuth, [
+  body('reason').trim().notEmpty().withMessage('Reason for reversal is required')
+]], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const loan = await Loan.findById(req.params.loanId);
+    if (!loan) return res.status(404).json({ message: 'Loan not found' });
+
+    const payment = loan.payments.id(req.params.paymentId);
+    if (!payment) return res.status(404).json({ message: 'Payment not found' });
+
+    const result = await loan.reversePayment(
+      payment._id,
+      req.body.reason,
+      { id: req.user._id?.toString?.() || req.user.id, name: req.user.name || '' }
+    );
+
+    res.json({
+      success: true,
+      message: result.reopened ? 'Payment reversed and loan re-opened' : 'Payment reversed successfully',
+      data: {
+        reversal: result.reversal,
+        goldReturnRestored: result.goldReturnRestored,
+        goldAlreadyReturned: result.goldAlreadyReturned,
+        loanStatus: {
+          loanId: loan.loanId,
+          totalPaid: loan.totalPaid,
+          remainingBalance: loan.remainingBalance,
+          status: loan.status,
+          goldReturnStatus: loan.goldReturnStatus,
+          installments: loan.installments.map(inst => ({
+            number: inst.number,
+            dueDate: inst.dueDate,
+            amount: inst.amount,
+            status: inst.status,
+            amountPaid: inst.amountPaid
+          }))
+        }
+      }
+    });
+  } catch (err) {
+    // The loan decides whether the payment can be reversed
+    if (err.name === 'LoanRuleError') {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Error reversing payment:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
 // Note: Payment receipt generation is now handled on the frontend using jsPDF
 
-// Calculate interest as per Muthoot policy
-router.post('/calculate-interest', (req, res) => {
-  const { principal, annualRate, disbursementDate, closureDate, termMonths } = req.body;
-  if (!principal || !annualRate || !disbursementDate || !closureDate) {
+// Calculate interest for a quote using a scheme's conventions (the default scheme unless schemeCode is given).
+// With termMonths the full term is charged; otherwise interest runs from disbursementDate to closureDate.
+// Pass includeBreakdown: true for the day-by-day figures as well as the totals per rate period.
+router.post('/calculate-interest', [auth, [
+  body('principal').optional().isFloat({ gt: 0 }).withMessage('Principal must be a positive number'),
+  body('annualRate').optional().isFloat({ gt: 0, max: 100 }).withMessage('Annual rate must be between 0 and 100'),
+  body('disbursementDate').optional().isISO8601().withMessage('Disbursement date must be a valid date'),
+  body('closureDate').optional().isISO8601().withMessage('Closure date must be a valid date'),
+  body('termMonths').optional().isInt({ min: 1, max: MAX_QUOTE_TERM_MONTHS }).withMessage(`Term must be a whole number of months from 1 to ${MAX_QUOTE_TERM_MONTHS}`),
+  body('includeBreakdown').optional().isBoolean().withMessage('includeBreakdown must be true or false')
+]], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { principal, annualRate, disbursementDate, closureDate, termMonths, schemeCode } = req.body;
+  if (!principal || !disbursementDate || (!closureDate && !termMonths)) {
     return res.status(400).json({ message: 'Missing required fields' });
   }
-  
-  // Use termMonths from request body, or calculate from dates if not provided
-  let calculatedTermMonths = termMonths;
-  if (!calculatedTermMonths) {
-    const startDate = new Date(disbursementDate);
-    const endDate = new Date(closureDate);
-    calculatedTermMonths = Math.round((endDate - startDate) / (1000 * 60 * 60 * 24 * 30.44)); // Use average days per month
+  if (closureDate) {
+    const spanDays = (new Date(closureDate) - new Date(disbursementDate)) / (1000 * 60 * 60 * 24);
+    if (spanDays < 0) {
+      return res.status(400).json({ message: 'Closure date cannot be before the disbursement date' });
+    }
+    if (spanDays > MAX_QUOTE_DAYS) {
+      return res.status(400).json({ message: `Interest can be quoted for at most ${MAX_QUOTE_DAYS} days` });
+    }
+  }
+
+  try {
+    const scheme = await Scheme.findForNewLoan(schemeCode);
+    if (schemeCode && !scheme) {
+      return res.status(400).json({ message: `Interest scheme ${schemeCode} not found or inactive` });
+    }
+
+    const rate = annualRate || (scheme && scheme.baseRate);
+    if (!rate) {
+      return res.status(400).json({ message: 'Missing required fields' });
+    }
+
+    const result = calculateInterest({
+      ...optionsFromTerms(scheme || {}),
+      principal: Number(principal),
+      annualRate: Number(rate),
+      startDate: new Date(disbursementDate),
+      endDate: closureDate ? new Date(closureDate) : undefined,
+      termMonths: termMonths ? Number(termMonths) : undefined,
+      includeBreakdown: req.body.includeBreakdown === true || req.body.includeBreakdown === 'true'
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('Error calculating interest:', err);
+    res.status(500).json({ message: err.message });
   }
-  
-  const result = calculateClientInterestMethod({
-    principal,
-    annualRate,
-    disbursementDate: new Date(disbursementDate),
-    closureDate: new Date(closureDate),
-    termMonths: calculatedTermMonths
-  });
-  res.json(result);
 });
 
 // Calculate early repayment amount for a loan
 router.post('/:id/calculate-early-repayment', async (req, res) => {
   const { id } = req.params;
   const { repaymentDate } = req.body;
-  const loan = await Loan.findById(id);
-  if (!loan) return res.status(404).json({ message: 'Loan not found' });
-  const result = loan.calculateEarlyRepaymentAmount(repaymentDate ? new Date(repaymentDate) : new Date());
-  res.json(result);
+  try {
+    const loan = await Loan.findById(id);
+    if (!loan) return res.status(404).json({ message: 'Loan not found' });
+    const result = loan.calculateEarlyRepaymentAmount(repaymentDate ? new Date(repaymentDate) : new Date());
+    res.json(result);
+  } catch (err) {
+    console.error('Error calculating early repayment:', err);
+    res.status(500).json({ message: err.message });
+  }
 });
 
 // Send OTP for loan creation (Dual-channel: Email + SMS)
@@ -762,6 +1007,20 @@ router.delete('/:id', [adminAuth], async (req, res) => {
   }
 });
 
+const formatUpgradeCandidate = loan => ({
+  loanId: loan.loanId,
+  customerName: loan.customerId?.name || 'N/A',
+  customerMobile: loan.customerId?.mobile || 'N/A',
+  amount: loan.amount,
+  currentRate: loan.interestRate,
+  nextRate: loan.getNextUpgradeRate(),
+  schemeCode: loan.getSchemeTerms().code,
+  term: loan.term,
+  createdAt: loan.createdAt,
+  daysSinceCreated: Math.floor((new Date() - loan.createdAt) / (1000 * 60 * 60 * 24)),
+  remainingBalance: loan.remainingBalance
+});
+
 // @route   GET /api/loans/check-upgrades
 // @desc    Check for loans that need interest rate upgrades
 // @access  Admin only
@@ -769,62 +1028,20 @@ router.get('/check-upgrades', adminAuth, async (req, res) => {
   try {
     const today = new Date();
     
-    // Find loans that need first upgrade (18% → 24%)
-    const firstUpgradeLoans = await Loan.find({
-      status: 'active',
-      originalInterestRate: 18,
-      currentUpgradeLevel: 0,
-      $expr: {
-        $gte: [
-          { $divide: [{ $subtract: [today, '$createdAt'] }, 1000 * 60 * 60 * 24] },
-          { $multiply: ['$term', 30] }
-        ]
-      }
-    }).populate('customerId', 'name email mobile').sort({ createdAt: 1 });
-
-    // Find loans that need second upgrade (24% → 30%)
-    const secondUpgradeLoans = await Loan.find({
-      status: 'active',
-      originalInterestRate: 18,
-      currentUpgradeLevel: 1,
-      interestRate: 24,
-      $expr: {
-        $gte: [
-          { $divide: [{ $subtract: [today, '$createdAt'] }, 1000 * 60 * 60 * 24] },
-          180
-        ]
-      }
-    }).populate('customerId', 'name email mobile').sort({ createdAt: 1 });
-
-    // Find loans that need third upgrade (30% → 36%)
-    const thirdUpgradeLoans = await Loan.find({
-      status: 'active',
-      originalInterestRate: 18,
-      currentUpgradeLevel: 2,
-      interestRate: 30,
-      $expr: {
-        $gte: [
-          { $divide: [{ $subtract: [today, '$createdAt'] }, 1000 * 60 * 60 * 24] },
-          270
-        ]
-      }
-    }).populate('customerId', 'name email mobile').sort({ createdAt: 1 });
-
-    // Find loans ready for auction (36% rate)
-    const auctionReadyLoans = await Loan.find({
-      status: 'active',
-      originalInterestRate: 18,
-      currentUpgradeLevel: 3,
-      interestRate: 36,
-      $expr: {
-        $gte: [
-          { $divide: [{ $subtract: [today, '$createdAt'] }, 1000 * 60 * 60 * 24] },
-          360
-        ]
-      }
-    }).populate('customerId', 'name email mobile').sort({ createdAt: 1 });
+    // Eligibility depends on each loan's scheme ladder, so it is checked per loan
+    const activeLoans = await Loan.find({ status: 'active' })
+      .populate('customerId', 'name email mobile')
+      .sort({ createdAt: 1 });
+    const dueAtLevel = level => activeLoans.filter(loan => (loan.currentUpgradeLevel || 0) === level && loan.isDueForUpgrade(today));
+
+    const firstUpgradeLoans = dueAtLevel(0);
+    const secondUpgradeLoans = dueAtLevel(1);
+    const thirdUpgradeLoans = dueAtLevel(2);
+    // Schemes with longer ladders can have loans due beyond the third step
+    const laterUpgradeLoans = activeLoans.filter(loan => (loan.currentUpgradeLevel || 0) > 2 && loan.isDueForUpgrade(today));
+    const auctionReadyLoans = activeLoans.filter(loan => loan.isDueForAuction(today));
 
-    const allUpgradeLoans = [...firstUpgradeLoans, ...secondUpgradeLoans, ...thirdUpgradeLoans];
+    const allUpgradeLoans = [...firstUpgradeLoans, ...secondUpgradeLoans, ...thirdUpgradeLoans, ...laterUpgradeLoans];
 
     // Format response
     const response = {
@@ -833,53 +1050,17 @@ router.get('/check-upgrades', adminAuth, async (req, res) => {
         firstUpgrade: firstUpgradeLoans.length,
         secondUpgrade: secondUpgradeLoans.length,
         thirdUpgrade: thirdUpgradeLoans.length,
+        laterUpgrade: laterUpgradeLoans.length,
         auctionReady: auctionReadyLoans.length,
         totalEligible: allUpgradeLoans.length
       },
       loans: {
-        firstUpgrade: firstUpgradeLoans.map(loan => ({
-          loanId: loan.loanId,
-          customerName: loan.customerId?.name || 'N/A',
-          customerMobile: loan.customerId?.mobile || 'N/A',
-          amount: loan.amount,
-          currentRate: loan.interestRate,
-          term: loan.term,
-          createdAt: loan.createdAt,
-          daysSinceCreated: Math.floor((new Date() - loan.createdAt) / (1000 * 60 * 60 * 24)),
-          remainingBalance: loan.remainingBalance
-        })),
-        secondUpgrade: secondUpgradeLoans.map(loan => ({
-          loanId: loan.loanId,
-          customerName: loan.customerId?.name || 'N/A',
-          customerMobile: loan.customerId?.mobile || 'N/A',
-          amount: loan.amount,
-          currentRate: loan.interestRate,
-          term: loan.term,
-          createdAt: loan.createdAt,
-          daysSinceCreated: Math.floor((new Date() - loan.createdAt) / (1000 * 60 * 60 * 24)),
-          remainingBalance: loan.remainingBalance
-        })),
-        thirdUpgrade: thirdUpgradeLoans.map(loan => ({
-          loanId: loan.loanId,
-          customerName: loan.customerId?.name || 'N/A',
-          customerMobile: loan.customerId?.mobile || 'N/A',
-          amount: loan.amount,
-          currentRate: loan.interestRate,
-          term: loan.term,
-          createdAt: loan.createdAt,
-          daysSinceCreated: Math.floor((new Date() - loan.createdAt) / (1000 * 60 * 60 * 24)),
-          remainingBalance: loan.remainingBalance
-        })),
+        firstUpgrade: firstUpgradeLoans.map(formatUpgradeCandidate),
+        secondUpgrade: secondUpgradeLoans.map(formatUpgradeCandidate),
+        thirdUpgrade: thirdUpgradeLoans.map(formatUpgradeCandidate),
+        laterUpgrade: laterUpgradeLoans.map(formatUpgradeCandidate),
         auctionReady: auctionReadyLoans.map(loan => ({
-          loanId: loan.loanId,
-          customerName: loan.customerId?.name || 'N/A',
-          customerMobile: loan.customerId?.mobile || 'N/A',
-          amount: loan.amount,
-          currentRate: loan.interestRate,
-          term: loan.term,
-          createdAt: loan.createdAt,
-          daysSinceCreated: Math.floor((new Date() - loan.createdAt) / (1000 * 60 * 60 * 24)),
-          remainingBalance: loan.remainingBalance,
+          ...formatUpgradeCandidate(loan),
           auctionReady: loan.auctionReady
         }))
       }
@@ -898,15 +1079,21 @@ router.get('/check-upgrades', adminAuth, async (req, res) => {
 // @access  Admin only
 router.get('/upgrade-stats', adminAuth, async (req, res) => {
   try {
+    // Active loans grouped by current rate, keyed as rate18, rate24, ...
+    const rateCounts = await Loan.aggregate([
+      { $match: { status: 'active' } },
+      { $group: { _id: '$interestRate', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+    const loansByRate = {};
+    rateCounts.forEach(rate => {
+      loansByRate[`rate${rate._id}`] = rate.count;
+    });
+
     const stats = {
       totalActiveLoans: await Loan.countDocuments({ status: 'active' }),
       totalClosedLoans: await Loan.countDocuments({ status: 'closed' }),
-      loansByRate: {
-        rate18: await Loan.countDocuments({ status: 'active', interestRate: 18 }),
-        rate24: await Loan.countDocuments({ status: 'active', interestRate: 24 }),
-        rate30: await Loan.countDocuments({ status: 'active', interestRate: 30 }),
-        rate36: await Loan.countDocuments({ status: 'active', interestRate: 36 })
-      },
+      loansByRate,
       loansWithUpgrades: await Loan.countDocuments({
         status: 'active',
         upgradeHistory: { $exists: true, $ne: [] }
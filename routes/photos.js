@@ -1,76 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const sharp = require('sharp');
 const { body, validationResult } = require('express-validator');
 const ItemPhoto = require('../models/ItemPhoto');
 const Loan = require('../models/Loan');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
-
-// Configure multer for memory storage (we'll store in MongoDB)
-const storage = multer.memoryStorage();
-const upload = multer({
-    storage: storage,
-    limits: {
-        fileSize: 10 * 1024 * 1024, // 10MB limit
-        files: 5 // Maximum 5 files per request
-    },
-    fileFilter: (req, file, cb) => {
-        // Check if file is an image
-        if (file.mimetype.startsWith('image/')) {
-            cb(null, true);
-        } else {
-            cb(new Error('Only image files are allowed'), false);
-        }
-    }
-});
-
-// Helper function to process and compress images
-const processImage = async (buffer, quality = 85) => {
-    try {
-        // Get image metadata
-        const metadata = await sharp(buffer).metadata();
-        
-        // Process main image (resize if too large, compress)
-        let processedImage = sharp(buffer);
-        
-        // Resize if width > 1920px
-        if (metadata.width > 1920) {
-            processedImage = processedImage.resize(1920, null, {
-                withoutEnlargement: true,
-                fit: 'inside'
-            });
-        }
-        
-        // Convert to JPEG and compress
-        const processedBuffer = await processedImage
-            .jpeg({ quality, progressive: true })
-            .toBuffer();
-        
-        // Create thumbnail (300px max width)
-        const thumbnailBuffer = await sharp(buffer)
-            .resize(300, null, {
-                withoutEnlargement: true,
-                fit: 'inside'
-            })
-            .jpeg({ quality: 80, progressive: true })
-            .toBuffer();
-        
-        // Get final metadata
-        const finalMetadata = await sharp(processedBuffer).metadata();
-        
-        return {
-            processedBuffer,
-            thumbnailBuffer,
-            width: finalMetadata.width,
-            height: finalMetadata.height,
-            size: processedBuffer.length
-        };
-    } catch (error) {
-        throw new Error(`Image processing failed: ${error.message}`);
-    }
-};
+const { imageUpload, processImage } = require('../utils/imageProcessing');
 
 // @route   POST /api/loans/:loanId/photos
 // @desc    Upload photos for a specific loan's gold items
@@ -78,7 +13,7 @@ const processImage = async (buffer, quality = 85) => {
 router.post('/:loanId/photos', [
     auth,
     adminAuth,
-    upload.array('photos', 5), // Allow up to 5 photos
+    imageUpload.array('photos', 5), // Allow up to 5 photos
     [
         body('goldItemIndex').isInt({ min: -2 }).withMessage('Valid gold item index is required (-2 for bank receipt, -1 for all items together)'),
         body('description').optional().isString().withMessage('Description must be a string'),
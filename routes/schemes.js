@@ -0,0 +1,276 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const Scheme = require('../models/Scheme');
+const { INTEREST_MODES, DAY_COUNTS, PENAL_METHODS } = require('../utils/interestEngine');
+
+// Fields an admin may set when creating a scheme or publishing a new version
+const EDITABLE_FIELDS = [
+    'name',
+    'description',
+    'baseRate',
+    'stepUpLadder',
+    'stepIntervalDays',
+    'minimumDays',
+    'minimumInterest',
+    'rebateRules',
+    'allowedTerms',
+    'interestMode',
+    'dayCount',
+    'monthRounding',
+    'stepUpApplication',
+    'penalInterest',
+    'ltvPolicy'
+];
+
+const pickSchemeFields = source => EDITABLE_FIELDS.reduce((fields, field) => {
+    if (source[field] !== undefined) {
+        fields[field] = source[field];
+    }
+    return fields;
+}, {});
+
+const schemeFieldValidators = [
+    body('baseRate').optional().isFloat({ min: 0 }).withMessage('Base rate must be a non-negative number'),
+    body('stepUpLadder').optional().isArray().withMessage('Step-up ladder must be an array of rates'),
+    body('stepUpLadder.*').optional().isFloat({ min: 0 }).withMessage('Step-up rates must be numbers'),
+    body('stepIntervalDays').optional().isInt({ min: 1 }).withMessage('Step interval must be at least 1 day'),
+    body('minimumDays').optional().isInt({ min: 0 }).withMessage('Minimum days cannot be negative'),
+    body('minimumInterest').optional().isFloat({ min: 0 }).withMessage('Minimum interest cannot be negative'),
+    body('rebateRules').optional().isArray().withMessage('Rebate rules must be an array'),
+    body('allowedTerms').optional().isArray({ min: 1 }).withMessage('At least one loan term must be allowed'),
+    body('allowedTerms.*').optional().isInt({ min: 1 }).withMessage('Loan terms must be whole months'),
+    body('interestMode').optional().isIn(INTEREST_MODES).withMessage(`Interest mode must be one of ${INTEREST_MODES.join(', ')}`),
+    body('dayCount').optional().isIn(DAY_COUNTS).withMessage(`Day count must be one of ${DAY_COUNTS.join(', ')}`),
+    body('monthRounding').optional().isBoolean().withMessage('monthRounding must be true or false'),
+    body('stepUpApplication').optional().isIn(['retrospective', 'prospective']).withMessage('Step-up application must be retrospective or prospective'),
+    body('penalInterest.method').optional().isIn(PENAL_METHODS).withMessage(`Penal interest method must be one of ${PENAL_METHODS.join(', ')}`),
+    body('penalInterest.rate').optional().isFloat({ min: 0 }).withMessage('Penal rate must be a non-negative number'),
+    body('penalInterest.flatFee').optional().isFloat({ min: 0 }).withMessage('Penal fee must be a non-negative number'),
+    body('penalInterest.graceDays').optional().isInt({ min: 0 }).withMessage('Penal grace days cannot be negative'),
+    body('penalInterest.cap').optional().isFloat({ min: 0 }).withMessage('Penal cap must be a non-negative number'),
+    body('ltvPolicy.maxLtvPercent').optional({ nullable: true }).isFloat({ min: 1, max: 100 }).withMessage('Maximum LTV must be between 1 and 100'),
+    body('ltvPolicy.purityLimits').optional().isArray().withMessage('Purity LTV limits must be an array'),
+    body('ltvPolicy.purityLimits.*.minFineness').optional().isInt({ min: 1, max: 999 }).withMessage('Fineness must be between 1 and 999'),
+    body('ltvPolicy.purityLimits.*.maxLtvPercent').optional().isFloat({ min: 1, max: 100 }).withMessage('Purity LTV must be between 1 and 100')
+];
+
+const sendValidationError = (res, err) => {
+    const validationErrors = Object.values(err.errors).map(error => ({
+        msg: error.message
+    }));
+    return res.status(400).json({ errors: validationErrors });
+};
+
+// @route   GET /api/schemes
+// @desc    Get the current version of every scheme (?includeInactive=true to list inactive ones too)
+// @access  Private (Admin only)
+router.get('/', [auth, adminAuth], async (req, res) => {
+    try {
+        const query = { supersededAt: null };
+        if (req.query.includeInactive !== 'true') {
+            query.isActive = true;
+        }
+
+        const schemes = await Scheme.find(query).sort({ isDefault: -1, code: 1 });
+
+        res.json({
+            success: true,
+            data: schemes
+        });
+    } catch (error) {
+        console.error('Error fetching schemes:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching schemes',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/schemes/:code
+// @desc    Get the current version of a scheme with its version history
+// @access  Private (Admin only)
+router.get('/:code', [auth, adminAuth], async (req, res) => {
+    try {
+        const versions = await Scheme.find({ code: req.params.code.toUpperCase() }).sort({ version: -1 });
+        if (versions.length === 0) {
+            return res.status(404).json({ message: 'Scheme not found' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                current: versions.find(version => !version.supersededAt) || versions[0],
+                versions
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching scheme:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching scheme',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/schemes
+// @desc    Create a new interest scheme
+// @access  Private (Admin only)
+router.post('/', [auth, adminAuth, [
+    body('code').trim().notEmpty().withMessage('Scheme code is required'),
+    body('name').trim().notEmpty().withMessage('Scheme name is required'),
+    body('baseRate').notEmpty().withMessage('Base rate is required'),
+    ...schemeFieldValidators
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const code = req.body.code.toUpperCase();
+        const existing = await Scheme.exists({ code });
+        if (existing) {
+            return res.status(400).json({ message: `Scheme ${code} already exists; publish a new version instead` });
+        }
+
+        const scheme = await Scheme.create({
+            ...pickSchemeFields(req.body),
+            code,
+            createdBy: { id: req.user.id, name: req.user.name }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Scheme created successfully',
+            data: scheme
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+        console.error('Error creating scheme:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating scheme',
+            error: error.message
+        });
+    }
+});
+
+// @route   PUT /api/schemes/:code
+// @desc    Publish a new version of a scheme. Existing loans stay on the version they were created under.
+// @access  Private (Admin only)
+router.put('/:code', [auth, adminAuth, schemeFieldValidators], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const current = await Scheme.findCurrent(req.params.code);
+        if (!current) {
+            return res.status(404).json({ message: 'Scheme not found' });
+        }
+
+        const changes = pickSchemeFields(req.body);
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ message: 'No scheme changes provided' });
+        }
+
+        const scheme = await Scheme.publishVersion(current.code, changes, { id: req.user.id, name: req.user.name });
+
+        res.json({
+            success: true,
+            message: `Scheme ${scheme.code} version ${scheme.version} published`,
+            data: scheme
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+        console.error('Error publishing scheme version:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while publishing scheme version',
+            error: error.message
+        });
+    }
+});
+
+// @route   PATCH /api/schemes/:code/status
+// @desc    Activate or deactivate a scheme for new loans
+// @access  Private (Admin only)
+router.patch('/:code/status', [auth, adminAuth, [
+    body('isActive').isBoolean().withMessage('isActive must be true or false')
+]], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const scheme = await Scheme.findCurrent(req.params.code);
+        if (!scheme) {
+            return res.status(404).json({ message: 'Scheme not found' });
+        }
+
+        const isActive = req.body.isActive === true || req.body.isActive === 'true';
+        if (!isActive && scheme.isDefault) {
+            return res.status(400).json({ message: 'The default scheme cannot be deactivated; make another scheme the default first' });
+        }
+
+        scheme.isActive = isActive;
+        await scheme.save();
+
+        res.json({
+            success: true,
+            message: `Scheme ${scheme.code} ${isActive ? 'activated' : 'deactivated'}`,
+            data: scheme
+        });
+    } catch (error) {
+        console.error('Error updating scheme status:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating scheme status',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/schemes/:code/make-default
+// @desc    Make a scheme the default for new loans
+// @access  Private (Admin only)
+router.post('/:code/make-default', [auth, adminAuth], async (req, res) => {
+    try {
+        const scheme = await Scheme.findCurrent(req.params.code);
+        if (!scheme) {
+            return res.status(404).json({ message: 'Scheme not found' });
+        }
+
+        if (!scheme.isActive) {
+            return res.status(400).json({ message: 'Only active schemes can be the default' });
+        }
+
+        await Scheme.makeDefault(scheme);
+
+        res.json({
+            success: true,
+            message: `Scheme ${scheme.code} is now the default`,
+            data: scheme
+        });
+    } catch (error) {
+        console.error('Error setting default scheme:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while setting default scheme',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,35 @@ const router = express.Router();
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
 const Settings = require('../models/Settings');
+const GoldRate = require('../models/GoldRate');
+const KycDocument = require('../models/KycDocument');
+const { QUOTED_PURITIES } = require('../utils/goldValuation');
+const { listGoldRateSources, validateFeedConfig, DEFAULT_FIELD_MAPPING } = require('../utils/goldRateFeed');
+const { importGoldRateFromFeed } = require('../scripts/goldRateFeedImporter');
+
+const RATE_KEYS = QUOTED_PURITIES.map(purity => purity.key);
+
+// Accepts { rate } (22K) or { rates: { k24, k22, k18 } }; returns the rates or an error message
+const parseRates = body => {
+  const rates = body.rates && typeof body.rates === 'object'
+    ? { ...body.rates }
+    : { k22: body.rate };
+  if (body.rates && !rates.k22 && body.rate) {
+    rates.k22 = body.rate;
+  }
+
+  const invalid = Object.keys(rates).find(key => !RATE_KEYS.includes(key));
+  if (invalid) {
+    return { error: `Unknown purity "${invalid}"; rates must be given as ${RATE_KEYS.join(', ')}` };
+  }
+  if (!(Number(rates.k22) > 0)) {
+    return { error: 'Invalid gold rate' };
+  }
+  if (Object.values(rates).some(rate => rate !== undefined && rate !== null && !(Number(rate) > 0))) {
+    return { error: 'Gold rates must be greater than zero' };
+  }
+  return { rates };
+};
 
 // @route   GET /settings/gold-rate
 // @desc    Get current gold rate
@@ -22,8 +51,12 @@ router.get('/gold-rate', async (req, res) => {
       console.log('✅ Created default Settings document with gold rate: ₹7000');
     }
     
+    // Rates per purity come from the latest entry in the rate history
+    const current = await GoldRate.getCurrent();
+
     res.json({ 
       rate: settings.goldRate || 7000,
+      rates: current ? current.rates : { k22: settings.goldRate || 7000 },
       lastUpdated: settings.lastUpdated || new Date()
     });
   } catch (error) {
@@ -36,39 +69,476 @@ router.get('/gold-rate', async (req, res) => {
   }
 });
 
+// @route   GET /settings/gold-rate/at
+// @desc    Get the gold rates in force on a date (?date=YYYY-MM-DD, end of that day)
+// @access  Private
+router.get('/gold-rate/at', auth, async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+    if (req.query.date && /^\d{4}-\d{2}-\d{2}$/.test(req.query.date)) {
+      date.setHours(23, 59, 59, 999);
+    }
+
+    const goldRate = await GoldRate.getRateAt(date);
+    if (!goldRate) {
+      return res.status(404).json({ message: 'No gold rate had been set by that date' });
+    }
+
+    res.json({
+      date,
+      rate: goldRate.rates.k22,
+      rates: goldRate.rates,
+      effectiveFrom: goldRate.effectiveFrom,
+      setBy: goldRate.setBy,
+      source: goldRate.source,
+      id: goldRate._id
+    });
+  } catch (error) {
+    console.error('Error fetching gold rate at date:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /settings/gold-rate/history
+// @desc    Get gold rate changes, newest first (?from, ?to, ?limit)
+// @access  Admin only
+router.get('/gold-rate/history', auth, adminAuth, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.from || req.query.to) {
+      query.effectiveFrom = {};
+      if (req.query.from) query.effectiveFrom.$gte = new Date(req.query.from);
+      if (req.query.to) query.effectiveFrom.$lte = new Date(req.query.to);
+    }
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    const history = await GoldRate.find(query)
+      .sort({ effectiveFrom: -1, createdAt: -1 })
+      .limit(limit);
+
+    res.json({ history });
+  } catch (error) {
+    console.error('Error fetching gold rate history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /settings/gold-rate/pending
+// @desc    Get feed quotes held for confirmation because they moved too far
+// @access  Admin only
+router.get('/gold-rate/pending', auth, adminAuth, async (req, res) => {
+  try {
+    const pending = await GoldRate.getPending();
+    res.json({ pending });
+  } catch (error) {
+    console.error('Error fetching pending gold rates:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /settings/gold-rate/:id/confirm
+// @desc    Put a held feed quote in force from now
+// @access  Admin only
+router.post('/gold-rate/:id/confirm', auth, adminAuth, async (req, res) => {
+  try {
+    const goldRate = await GoldRate.findById(req.params.id);
+    if (!goldRate) {
+      return res.status(404).json({ message: 'Gold rate not found' });
+    }
+    if (goldRate.status !== 'pending_confirmation') {
+      return res.status(400).json({ message: 'This gold rate is not awaiting confirmation' });
+    }
+
+    goldRate.confirm({ id: req.user.id, name: req.user.name }, req.body.notes);
+    await goldRate.save();
+    const settings = await Settings.syncGoldRate();
+
+    console.log(`Feed gold rate of ₹${goldRate.rates.k22} per gram (22K) confirmed by ${req.user.name}`);
+    res.json({
+      message: 'Gold rate confirmed',
+      rate: settings.goldRate,
+      rates: goldRate.rates,
+      effectiveFrom: goldRate.effectiveFrom
+    });
+  } catch (error) {
+    console.error('Error confirming gold rate:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /settings/gold-rate/:id/reject
+// @desc    Discard a held feed quote
+// @access  Admin only
+router.post('/gold-rate/:id/reject', auth, adminAuth, async (req, res) => {
+  try {
+    const goldRate = await GoldRate.findById(req.params.id);
+    if (!goldRate) {
+      return res.status(404).json({ message: 'Gold rate not found' });
+    }
+    if (goldRate.status !== 'pending_confirmation') {
+      return res.status(400).json({ message: 'This gold rate is not awaiting confirmation' });
+    }
+
+    goldRate.reject({ id: req.user.id, name: req.user.name }, req.body.notes);
+    await goldRate.save();
+
+    console.log(`Feed gold rate of ₹${goldRate.rates.k22} per gram (22K) rejected by ${req.user.name}`);
+    res.json({ message: 'Gold rate rejected', goldRate });
+  } catch (error) {
+    console.error('Error rejecting gold rate:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /settings/update-gold-rate
-// @desc    Update gold rate
+// @desc    Update gold rate: { rate } for 22K or { rates: { k24, k22, k18 } }, optional effectiveFrom.
+//          Every change is kept in the rate history.
 // @access  Admin only
 router.post('/update-gold-rate', auth, adminAuth, async (req, res) => {
   try {
-    const { rate } = req.body;
-    
-    if (!rate || rate <= 0) {
-      return res.status(400).json({ message: 'Invalid gold rate' });
+    const { rates, error } = parseRates(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const effectiveFrom = req.body.effectiveFrom ? new Date(req.body.effectiveFrom) : new Date();
+    if (isNaN(effectiveFrom.getTime())) {
+      return res.status(400).json({ message: 'Invalid effective date' });
+    }
+
+    const goldRate = await GoldRate.create({
+      effectiveFrom,
+      rates,
+      source: 'manual',
+      notes: req.body.notes,
+      setBy: { id: req.user.id, name: req.user.name }
+    });
+
+    // Keep the single configured rate in step with whatever is in force now
+    const settings = await Settings.syncGoldRate();
+
+    console.log(`Gold rate updated to ₹${goldRate.rates.k22} per gram (22K) from ${effectiveFrom.toISOString()}`);
+    res.json({ 
+      message: 'Gold rate updated successfully', 
+      rate: settings ? settings.goldRate : goldRate.rates.k22,
+      rates: goldRate.rates,
+      effectiveFrom: goldRate.effectiveFrom,
+      lastUpdated: settings ? settings.lastUpdated : new Date()
+    });
+  } catch (error) {
+    console.error('Error updating gold rate:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /settings/payment-allocation
+// @desc    Get the order in which payments settle charges, penal interest, interest and principal
+// @access  Admin only
+router.get('/payment-allocation', auth, adminAuth, async (req, res) => {
+  try {
+    const order = await Settings.getPaymentAllocationOrder();
+    res.json({ order });
+  } catch (error) {
+    console.error('Error fetching payment allocation order:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /settings/payment-allocation
+// @desc    Update the payment allocation order (applies to payments recorded from now on)
+// @access  Admin only
+router.put('/payment-allocation', auth, adminAuth, async (req, res) => {
+  try {
+    const { order } = req.body;
+    const components = Settings.ALLOCATION_COMPONENTS;
+
+    const isValidOrder = Array.isArray(order) &&
+      order.length === components.length &&
+      components.every(component => order.includes(component));
+    if (!isValidOrder) {
+      return res.status(400).json({ message: `Order must list each of ${components.join(', ')} exactly once` });
     }
 
-    // Use findOneAndUpdate with upsert to ensure Settings document always exists
     const settings = await Settings.findOneAndUpdate(
-      {}, // Empty filter to find any document
-      { 
-        goldRate: rate,
-        lastUpdated: new Date()
+      {},
+      { paymentAllocationOrder: order },
+      {
+        upsert: true,
+        new: true,
+        setDefaultsOnInsert: true,
+        runValidators: true
+      }
+    );
+
+    console.log(`Payment allocation order updated to ${settings.paymentAllocationOrder.join(' → ')}`);
+    res.json({
+      message: 'Payment allocation order updated successfully',
+      order: settings.paymentAllocationOrder
+    });
+  } catch (error) {
+    console.error('Error updating payment allocation order:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /settings/ltv
+// @desc    Get the maximum loan-to-value (%) allowed against pledged gold
+// @access  Admin only
+router.get('/ltv', auth, adminAuth, async (req, res) => {
+  try {
+    const { goldRate, ltvPercent } = await Settings.getValuationTerms();
+    res.json({ ltvPercent, goldRate });
+  } catch (error) {
+    console.error('Error fetching LTV:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /settings/ltv
+// @desc    Update the maximum loan-to-value (%)
+// @access  Admin only
+router.put('/ltv', auth, adminAuth, async (req, res) => {
+  try {
+    const ltvPercent = Number(req.body.ltvPercent);
+    if (!Number.isFinite(ltvPercent) || ltvPercent < 1 || ltvPercent > 100) {
+      return res.status(400).json({ message: 'LTV must be between 1 and 100' });
+    }
+
+    const settings = await Settings.findOneAndUpdate(
+      {},
+      { maxLtvPercent: ltvPercent },
+      {
+        upsert: true,
+        new: true,
+        setDefaultsOnInsert: true,
+        runValidators: true
+      }
+    );
+
+    console.log(`Maximum LTV updated to ${settings.maxLtvPercent}%`);
+    res.json({
+      message: 'LTV updated successfully',
+      ltvPercent: settings.maxLtvPercent
+    });
+  } catch (error) {
+    console.error('Error updating LTV:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /settings/auction-notice-policy
+// @desc    Get the notices that must be served before pledged gold can be auctioned
+// @access  Admin only
+router.get('/auction-notice-policy', auth, adminAuth, async (req, res) => {
+  try {
+    res.json(await Settings.getAuctionNoticePolicy());
+  } catch (error) {
+    console.error('Error fetching auction notice policy:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /settings/auction-notice-policy
+// @desc    Update the auction notice policy ({ minimumNotices, minGapDays, finalNoticeDays })
+// @access  Admin only
+router.put('/auction-notice-policy', auth, adminAuth, async (req, res) => {
+  try {
+    // Smallest value each setting may take
+    const minimums = { minimumNotices: 1, minGapDays: 0, finalNoticeDays: 1 };
+    const update = {};
+    for (const key of Object.keys(minimums)) {
+      if (req.body[key] === undefined) {
+        continue;
+      }
+      const value = Number(req.body[key]);
+      if (!Number.isInteger(value) || value < minimums[key]) {
+        return res.status(400).json({ message: `${key} must be a whole number of at least ${minimums[key]}` });
+      }
+      update[`auctionNoticePolicy.${key}`] = value;
+    }
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    await Settings.findOneAndUpdate(
+      {},
+      { $set: update },
+      {
+        upsert: true,
+        new: true,
+        setDefaultsOnInsert: true,
+        runValidators: true
+      }
+    );
+
+    res.json({
+      message: 'Auction notice policy updated successfully',
+      policy: await Settings.getAuctionNoticePolicy()
+    });
+  } catch (error) {
+    console.error('Error updating auction notice policy:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /settings/kyc-policy
+// @desc    Get the ID proofs a customer must have on file before a loan is created
+// @access  Admin only
+router.get('/kyc-policy', auth, adminAuth, async (req, res) => {
+  try {
+    res.json({
+      ...await Settings.getKycPolicy(),
+      documentTypes: Object.keys(KycDocument.DOCUMENT_TYPES)
+    });
+  } catch (error) {
+    console.error('Error fetching KYC policy:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /settings/kyc-policy
+// @desc    Update the KYC policy ({ mandatoryDocuments, requireVerified })
+// @access  Admin only
+router.put('/kyc-policy', auth, adminAuth, async (req, res) => {
+  try {
+    const { mandatoryDocuments, requireVerified } = req.body;
+    const update = {};
+    if (mandatoryDocuments !== undefined) {
+      const documentTypes = Object.keys(KycDocument.DOCUMENT_TYPES);
+      if (!Array.isArray(mandatoryDocuments) || mandatoryDocuments.some(type => !documentTypes.includes(type))) {
+        return res.status(400).json({ message: `Mandatory documents must be a list of ${documentTypes.join(', ')}` });
+      }
+      update['kycPolicy.mandatoryDocuments'] = [...new Set(mandatoryDocuments)];
+    }
+    if (requireVerified !== undefined) {
+      if (typeof requireVerified !== 'boolean') {
+        return res.status(400).json({ message: 'requireVerified must be true or false' });
+      }
+      update['kycPolicy.requireVerified'] = requireVerified;
+    }
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    await Settings.findOneAndUpdate(
+      {},
+      { $set: update },
+      {
+        upsert: true,
+        new: true,
+        setDefaultsOnInsert: true,
+        runValidators: true
+      }
+    );
+
+    res.json({
+      message: 'KYC policy updated successfully',
+      policy: await Settings.getKycPolicy()
+    });
+  } catch (error) {
+    console.error('Error updating KYC policy:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /settings/gold-rate-feed
+// @desc    Get the gold rate feed configuration, the available sources and the last poll
+// @access  Admin only
+router.get('/gold-rate-feed', auth, adminAuth, async (req, res) => {
+  try {
+    const settings = await Settings.findOne().select('goldRateFeed');
+    const feed = settings && settings.goldRateFeed ? settings.toObject({ flattenMaps: true }).goldRateFeed : {};
+
+    res.json({
+      feed: { ...feed, fieldMapping: { ...DEFAULT_FIELD_MAPPING, ...(feed.fieldMapping || {}) } },
+      sources: listGoldRateSources()
+    });
+  } catch (error) {
+    console.error('Error fetching gold rate feed:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /settings/gold-rate-feed
+// @desc    Configure where the gold rate is polled from:
+//          { enabled, source, filePath | url, headers, fieldMapping, rateUnitGrams, maxChangePercent }
+// @access  Admin only
+router.put('/gold-rate-feed', auth, adminAuth, async (req, res) => {
+  try {
+    const fields = ['enabled', 'source', 'filePath', 'url', 'headers', 'fieldMapping', 'rateUnitGrams', 'maxChangePercent'];
+    const settings = await Settings.findOne();
+    const current = settings && settings.goldRateFeed ? settings.toObject({ flattenMaps: true }).goldRateFeed : {};
+
+    const feed = { ...current };
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        feed[field] = req.body[field];
+      }
+    });
+    feed.source = feed.source || 'csv_file';
+
+    if (feed.fieldMapping && (typeof feed.fieldMapping !== 'object' ||
+        Object.keys(feed.fieldMapping).some(key => !Object.keys(DEFAULT_FIELD_MAPPING).includes(key)))) {
+      return res.status(400).json({ message: `Field mapping may only map ${Object.keys(DEFAULT_FIELD_MAPPING).join(', ')}` });
+    }
+    if (feed.maxChangePercent !== undefined && !(Number(feed.maxChangePercent) >= 0.1 && Number(feed.maxChangePercent) <= 100)) {
+      return res.status(400).json({ message: 'Allowed change must be between 0.1 and 100%' });
+    }
+    const configError = validateFeedConfig(feed);
+    if (configError) {
+      return res.status(400).json({ message: configError });
+    }
+
+    const updated = await Settings.findOneAndUpdate(
+      {},
+      {
+        $set: fields.reduce((update, field) => (
+          feed[field] === undefined ? update : { ...update, [`goldRateFeed.${field}`]: feed[field] }
+        ), {})
       },
-      { 
-        upsert: true, // Create if doesn't exist
-        new: true, // Return the updated document
-        setDefaultsOnInsert: true // Apply defaults when creating
+      {
+        upsert: true,
+        new: true,
+        setDefaultsOnInsert: true,
+        runValidators: true
       }
     );
 
-    console.log(`Gold rate updated to ₹${rate} per gram at ${settings.lastUpdated}`);
-    res.json({ 
-      message: 'Gold rate updated successfully', 
-      rate: settings.goldRate,
-      lastUpdated: settings.lastUpdated
+    console.log(`Gold rate feed ${updated.goldRateFeed.enabled ? 'enabled' : 'disabled'} (${updated.goldRateFeed.source})`);
+    res.json({
+      message: 'Gold rate feed updated successfully',
+      feed: updated.toObject({ flattenMaps: true }).goldRateFeed
     });
   } catch (error) {
-    console.error('Error updating gold rate:', error);
+    console.error('Error updating gold rate feed:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /settings/gold-rate-feed/poll
+// @desc    Poll the gold rate feed now instead of waiting for the schedule
+// @access  Admin only
+router.post('/gold-rate-feed/poll', auth, adminAuth, async (req, res) => {
+  try {
+    const result = await importGoldRateFromFeed();
+    if (result.result === 'disabled') {
+      return res.status(400).json({ message: 'Gold rate feed is not enabled' });
+    }
+    if (!result.success) {
+      return res.status(502).json({ message: `Gold rate feed failed: ${result.error}` });
+    }
+
+    res.json({
+      result: result.result,
+      goldRate: result.goldRate
+    });
+  } catch (error) {
+    console.error('Error polling gold rate feed:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -2,6 +2,8 @@ const cron = require('node-cron');
 const CronJobHistory = require('../models/CronJobHistory');
 const { processInterestRateUpgrades } = require('./interestRateUpgradeManager');
 const { sendAllPaymentReminders } = require('./sendPaymentReminders');
+const { processMarginCalls } = require('./marginCallMonitor');
+const { importGoldRateFromFeed } = require('./goldRateFeedImporter');
 
 // Helper function to execute jobs with logging
 async function executeJobWithLogging(jobName, jobFunction) {
@@ -87,12 +89,50 @@ const schedulePaymentReminders = () => {
   console.log('📅 Payment reminders scheduled to run daily at 8:00 AM IST');
 };
 
+// Schedule margin call checks to run daily at 11:30 AM (after interest rate upgrades)
+const scheduleMarginCalls = () => {
+  cron.schedule('30 11 * * *', async () => {
+    console.log('🕘 Running scheduled margin call check...');
+    try {
+      await executeJobWithLogging('margin_calls', processMarginCalls);
+      console.log('✅ Scheduled margin call check completed successfully');
+    } catch (error) {
+      console.error('❌ Error in scheduled margin call check:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+  
+  console.log('📅 Margin call checks scheduled to run daily at 11:30 AM IST');
+};
+
+// Schedule gold rate feed polling hourly through the business day (a no-op while the feed is disabled)
+const scheduleGoldRateFeed = () => {
+  cron.schedule('0 9-18 * * *', async () => {
+    console.log('🕘 Running scheduled gold rate feed poll...');
+    try {
+      await executeJobWithLogging('gold_rate_feed', importGoldRateFromFeed);
+      console.log('✅ Scheduled gold rate feed poll completed');
+    } catch (error) {
+      console.error('❌ Error in scheduled gold rate feed poll:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+  
+  console.log('📅 Gold rate feed scheduled to poll hourly from 9:00 AM to 6:00 PM IST');
+};
+
 // Initialize all cron jobs
 const initializeCronJobs = () => {
   console.log('🚀 Initializing cron jobs...');
   
   scheduleInterestRateUpgrades();
   schedulePaymentReminders();
+  scheduleMarginCalls();
+  scheduleGoldRateFeed();
   
   console.log('✅ All cron jobs initialized successfully');
   
@@ -113,7 +153,9 @@ const initializeCronJobs = () => {
 module.exports = {
   initializeCronJobs,
   scheduleInterestRateUpgrades,
-  schedulePaymentReminders
+  schedulePaymentReminders,
+  scheduleMarginCalls,
+  scheduleGoldRateFeed
 };
 
 // Run if called directly
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { isValidAadhaar, protectAadhaar, encryptAadhaar, maskAadhaar } = require('../utils/aadhaar');
+
+// One-off migration: replaces plain-text Aadhar numbers with their encrypted form, blind index and
+// last four digits (see utils/aadhaar), then drops the old aadharNumber indexes. Safe to re-run;
+// documents already migrated are skipped. Run with the production AADHAAR_ENCRYPTION_KEY set.
+const COLLECTIONS = ['customers', 'loans', 'users'];
+
+async function encryptCollection(name) {
+    const collection = mongoose.connection.db.collection(name);
+    const cursor = collection.find({ aadharNumber: { $type: 'string' } }, { projection: { aadharNumber: 1 } });
+    let migrated = 0;
+    const invalid = [];
+
+    for await (const doc of cursor) {
+        if (!isValidAadhaar(doc.aadharNumber)) {
+            invalid.push(doc._id);
+            continue;
+        }
+        await collection.updateOne(
+            { _id: doc._id },
+            { $set: protectAadhaar(doc.aadharNumber), $unset: { aadharNumber: '' } }
+        );
+        migrated++;
+    }
+
+    try {
+        await collection.dropIndex('aadharNumber_1');
+    } catch (error) {
+        // Index already dropped (or never created)
+    }
+
+    console.log(`${name}: ${migrated} encrypted`);
+    if (invalid.length > 0) {
+        console.log(`${name}: ${invalid.length} left unchanged, not a 12 digit number: ${invalid.join(', ')}`);
+    }
+}
+
+async function encryptKycDocuments() {
+    const collection = mongoose.connection.db.collection('kycdocuments');
+    const cursor = collection.find(
+        { documentType: 'aadhaar', documentNumberEncrypted: { $exists: false } },
+        { projection: { documentNumber: 1 } }
+    );
+    let migrated = 0;
+
+    for await (const doc of cursor) {
+        if (!isValidAadhaar(doc.documentNumber)) {
+            continue;
+        }
+        await collection.updateOne(
+            { _id: doc._id },
+            { $set: { documentNumberEncrypted: encryptAadhaar(doc.documentNumber), documentNumber: maskAadhaar(doc.documentNumber) } }
+        );
+        migrated++;
+    }
+
+    console.log(`kycdocuments: ${migrated} encrypted`);
+}
+
+async function encryptAadhaarNumbers() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        for (const name of COLLECTIONS) {
+            await encryptCollection(name);
+        }
+        await encryptKycDocuments();
+
+        // Build the blind-index indexes now rather than on the next server start
+        await Promise.all(['../models/Customer', '../models/Loan', '../models/User'].map(path => require(path).createIndexes()));
+        console.log('Indexes created');
+
+        await mongoose.connection.close();
+        console.log('MongoDB connection closed');
+    } catch (error) {
+        console.error('Error encrypting Aadhar numbers:', error);
+        process.exit(1);
+    }
+}
+
+encryptAadhaarNumbers();
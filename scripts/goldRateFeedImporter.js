@@ -0,0 +1,120 @@
+const Settings = require('../models/Settings');
+const GoldRate = require('../models/GoldRate');
+const { fetchQuote, compareWithCurrent, DEFAULT_MAX_CHANGE_PERCENT } = require('../utils/goldRateFeed');
+
+const FEED_ACTOR = { id: 'system', name: 'Gold rate feed' };
+
+const sameRates = (a, b) => Object.keys(a).every(key => a[key] === (b && b[key]));
+
+/**
+ * Poll the configured gold rate source and put the quoted rates in force.
+ * A quote that moves more than the allowed change from the rate in force is held as
+ * pending_confirmation until an admin confirms or rejects it; a newer quote replaces
+ * any quote still being held. Unchanged quotes are not recorded again.
+ */
+const importGoldRateFromFeed = async () => {
+    console.log('🔄 Polling gold rate feed...');
+
+    const settings = await Settings.findOne();
+    const config = settings && settings.toObject().goldRateFeed;
+    if (!config || !config.enabled) {
+        console.log('⏭️ Gold rate feed is not enabled');
+        return { success: true, processed: 0, successful: 0, failed: 0, result: 'disabled' };
+    }
+
+    const fetchedAt = new Date();
+    const recordOutcome = (result, error) => Settings.updateOne({}, {
+        $set: {
+            'goldRateFeed.lastPolledAt': fetchedAt,
+            'goldRateFeed.lastResult': result,
+            'goldRateFeed.lastError': error || null
+        }
+    });
+
+    try {
+        const quote = await fetchQuote(config);
+        const maxChangePercent = config.maxChangePercent || DEFAULT_MAX_CHANGE_PERCENT;
+
+        const current = await GoldRate.getCurrent();
+        const currentRates = current ? current.toObject().rates : { k22: settings.goldRate };
+        const comparison = compareWithCurrent(quote.rates, currentRates, maxChangePercent);
+
+        if (comparison.unchanged) {
+            console.log(`✅ Gold rate unchanged at ₹${currentRates.k22} per gram (22K)`);
+            await recordOutcome('unchanged');
+            return { success: true, processed: 1, successful: 1, failed: 0, result: 'unchanged' };
+        }
+
+        const pending = await GoldRate.getPending();
+        const held = pending.find(entry => sameRates(quote.rates, entry.rates));
+        if (held && !comparison.withinBounds) {
+            console.log(`⏸️ Gold rate of ₹${quote.rates.k22} (22K) is still awaiting confirmation`);
+            await recordOutcome('awaiting_confirmation');
+            return { success: true, processed: 1, successful: 1, failed: 0, result: 'awaiting_confirmation', goldRate: held };
+        }
+
+        // Only the latest quote is worth confirming
+        for (const entry of pending) {
+            entry.reject(FEED_ACTOR, 'Superseded by a later feed quote');
+            await entry.save();
+        }
+
+        const status = comparison.withinBounds ? 'applied' : 'pending_confirmation';
+        const goldRate = await GoldRate.create({
+            effectiveFrom: fetchedAt,
+            rates: quote.rates,
+            source: 'feed',
+            status,
+            feed: {
+                source: quote.source,
+                quotedAt: quote.quotedAt,
+                fetchedAt,
+                previousRates: currentRates,
+                changePercent: comparison.changePercent,
+                maxChangePercent
+            },
+            notes: comparison.withinBounds
+                ? undefined
+                : `Moved ${comparison.changePercent}% from the rate in force (allowed ${maxChangePercent}%)`,
+            setBy: FEED_ACTOR
+        });
+
+        if (status === 'applied') {
+            await Settings.syncGoldRate();
+            console.log(`✅ Gold rate updated from feed to ₹${goldRate.rates.k22} per gram (22K), ${comparison.changePercent}% change`);
+        } else {
+            console.log(`⚠️ Gold rate of ₹${goldRate.rates.k22} (22K) moved ${comparison.changePercent}% and needs confirmation`);
+        }
+        await recordOutcome(status);
+
+        return { success: true, processed: 1, successful: 1, failed: 0, result: status, goldRate };
+    } catch (error) {
+        console.error('❌ Error polling gold rate feed:', error.message);
+        await recordOutcome('failed', error.message);
+        return {
+            success: false,
+            processed: 1,
+            successful: 0,
+            failed: 1,
+            result: 'failed',
+            error: error.message
+        };
+    }
+};
+
+module.exports = {
+    importGoldRateFromFeed
+};
+
+// Run if called directly
+if (require.main === module) {
+    importGoldRateFromFeed()
+        .then(result => {
+            console.log('Process completed:', result);
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('Process failed:', error);
+            process.exit(1);
+        });
+}
@@ -2,14 +2,16 @@ const Loan = require('../models/Loan');
 const Notification = require('../models/Notification');
 const { sendBrevoEmail } = require('../utils/brevo');
 const { sendSMS } = require('../utils/smsService');
+const holidayCalendar = require('../utils/holidayCalendar');
 
 /**
- * Process overdue loans and upgrade interest rates progressively (18% → 24% → 30% → 36%)
+ * Process overdue loans and upgrade interest rates progressively along each loan's scheme ladder
+ * (18% → 24% → 30% → 36% on the standard scheme).
  * This function checks for loans that:
- * 1. Have 18% interest rate (original)
- * 2. Are overdue (past their current term duration)
- * 3. Are still active (not closed)
- * 4. Can be upgraded to the next level
+ * 1. Are still active (not closed)
+ * 2. Have a step left on their scheme's ladder
+ * 3. Are past their term (first step) or one step interval past the last upgrade
+ * Loans that have sat on the final step for a full interval are marked ready for auction.
  */
 const processInterestRateUpgrades = async () => {
     console.log('🔄 Starting progressive interest rate upgrade process...');
@@ -17,77 +19,27 @@ const processInterestRateUpgrades = async () => {
     try {
         const today = new Date();
         
-        // Find loans that need first upgrade (18% → 24%)
-        // These are loans that were originally 18% and are now past their term duration
-        const firstUpgradeLoans = await Loan.find({
-            status: 'active',
-            originalInterestRate: 18,
-            currentUpgradeLevel: 0,
-            $expr: {
-                $gte: [
-                    { $divide: [{ $subtract: [today, '$createdAt'] }, 1000 * 60 * 60 * 24] },
-                    { $multiply: ['$term', 30] } // term in months * 30 days
-                ]
-            }
-        }).populate('createdBy', 'name email');
-
-        // Find loans that need second upgrade (24% → 30%)
-        // NEW LOGIC: Check if 3 months have passed since last upgrade
-        const secondUpgradeLoans = await Loan.find({
-            status: 'active',
-            originalInterestRate: 18,
-            currentUpgradeLevel: 1,
-            interestRate: 24,
-            'upgradeHistory.0.upgradeDate': {
-                $lte: new Date(today.getTime() - (90 * 24 * 60 * 60 * 1000)) // 90 days ago
-            }
-        }).populate('createdBy', 'name email');
-
-        // Find loans that need third upgrade (30% → 36%)
-        // NEW LOGIC: Check if 3 months have passed since last upgrade
-        const thirdUpgradeLoans = await Loan.find({
-            status: 'active',
-            originalInterestRate: 18,
-            currentUpgradeLevel: 2,
-            interestRate: 30,
-            'upgradeHistory.1.upgradeDate': {
-                $lte: new Date(today.getTime() - (90 * 24 * 60 * 60 * 1000)) // 90 days ago
-            }
-        }).populate('createdBy', 'name email');
-
-        // Find loans ready for auction (36% rate and 3 months passed since last upgrade)
-        const auctionReadyLoans = await Loan.find({
+        // Upgrades rebuild installment schedules, which skip holidays
+        await holidayCalendar.refresh();
+        
+        // Eligibility depends on each loan's pinned scheme terms, so it is checked per loan
+        const activeLoans = await Loan.find({
             status: 'active',
-            originalInterestRate: 18,
-            currentUpgradeLevel: 3,
-            interestRate: 36,
-            'upgradeHistory.2.upgradeDate': {
-                $lte: new Date(today.getTime() - (90 * 24 * 60 * 60 * 1000)) // 90 days ago
-            }
-        }).populate('customerId', 'name email mobile').sort({ createdAt: 1 });
+            auctionStatus: { $nin: ['auction_scheduled', 'auctioned'] }
+        }).populate('createdBy', 'name email').sort({ createdAt: 1 });
 
-        const overdueLoans = [...firstUpgradeLoans, ...secondUpgradeLoans, ...thirdUpgradeLoans];
+        const overdueLoans = activeLoans.filter(loan => loan.isDueForUpgrade(today));
+        const auctionReadyLoans = activeLoans.filter(loan => loan.isDueForAuction(today));
 
         console.log(`📊 Found ${overdueLoans.length} loans eligible for interest rate upgrade`);
-        console.log(`   - First upgrade candidates (18% → 24%): ${firstUpgradeLoans.length}`);
-        console.log(`   - Second upgrade candidates (24% → 30%): ${secondUpgradeLoans.length}`);
-        console.log(`   - Third upgrade candidates (30% → 36%): ${thirdUpgradeLoans.length}`);
-        console.log(`   - Auction ready candidates (36% → Auction): ${auctionReadyLoans.length}`);
+        console.log(`   - Auction ready candidates: ${auctionReadyLoans.length}`);
         
         // Log details of eligible loans
-        if (firstUpgradeLoans.length > 0) {
-            console.log('🔍 First upgrade candidates:');
-            firstUpgradeLoans.forEach(loan => {
-                const daysSinceCreated = Math.floor((new Date() - loan.createdAt) / (1000 * 60 * 60 * 24));
-                console.log(`   - ${loan.loanId}: ${loan.name}, ${daysSinceCreated} days old, ${loan.term} months term`);
-            });
-        }
-        
-        if (secondUpgradeLoans.length > 0) {
-            console.log('🔍 Second upgrade candidates:');
-            secondUpgradeLoans.forEach(loan => {
-                const daysSinceCreated = Math.floor((new Date() - loan.createdAt) / (1000 * 60 * 60 * 24));
-                console.log(`   - ${loan.loanId}: ${loan.name}, ${daysSinceCreated} days old, ${loan.term} months term`);
+        if (overdueLoans.length > 0) {
+            console.log('🔍 Upgrade candidates:');
+            overdueLoans.forEach(loan => {
+                const daysSinceCreated = Math.floor((today - loan.createdAt) / (1000 * 60 * 60 * 24));
+                console.log(`   - ${loan.loanId}: ${loan.name}, ${loan.interestRate}% → ${loan.getNextUpgradeRate()}%, ${daysSinceCreated} days old, ${loan.term} months term`);
             });
         }
 
@@ -125,9 +77,10 @@ const processInterestRateUpgrades = async () => {
                 /*
                 try {
                     const upgradeLevelText = upgradeDetails.upgradeLevel === 1 ? 'First' : 
-                                           upgradeDetails.upgradeLevel === 2 ? 'Second' : 'Third';
-                    const nextUpgradeText = upgradeDetails.upgradeLevel === 1 ? 'If not paid within the next 3 months, the interest rate will be upgraded to 30%.' : 
-                                          upgradeDetails.upgradeLevel === 2 ? 'If not paid within the next 3 months, the interest rate will be upgraded to 36%.' : 
+                                           upgradeDetails.upgradeLevel === 2 ? 'Second' : 
+                                           upgradeDetails.upgradeLevel === 3 ? 'Third' : `Level ${upgradeDetails.upgradeLevel}`;
+                    const nextUpgradeText = upgradeDetails.nextUpgradeRate ? 
+                                          `If not paid within the next ${upgradeDetails.monthsRemaining} months, the interest rate will be upgraded to ${upgradeDetails.nextUpgradeRate}%.` : 
                                           'This is the final upgrade level.';
                     
                     await sendBrevoEmail({
@@ -205,7 +158,10 @@ const processInterestRateUpgrades = async () => {
                 console.log(`🏛️ Processing auction for loan ${loan.loanId}...`);
                 
                 // Mark loan as ready for auction
-                await loan.markAsReadyForAuction('automatic_auction_trigger');
+                await loan.markReadyForAuctionAfter36Percent('', {
+                    id: 'system',
+                    name: 'System'
+                });
                 
                 console.log(`✅ Loan ${loan.loanId} marked as ready for auction`);
                 auctionedCount++;
@@ -247,71 +203,30 @@ const getUpgradeStatistics = async () => {
     try {
         const today = new Date();
         
-        // Find loans eligible for first upgrade (18% → 24%)
-        const firstUpgradeEligible = await Loan.find({
-            status: 'active',
-            originalInterestRate: 18,
-            currentUpgradeLevel: 0,
-            $expr: {
-                $gte: [
-                    { $divide: [{ $subtract: [today, '$createdAt'] }, 1000 * 60 * 60 * 24] },
-                    90 // 3 months = 90 days
-                ]
-            }
-        });
-
-        // Find loans eligible for second upgrade (24% → 30%)
-        const secondUpgradeEligible = await Loan.find({
-            status: 'active',
-            originalInterestRate: 18,
-            currentUpgradeLevel: 1,
-            interestRate: 24,
-            $expr: {
-                $gte: [
-                    { $divide: [{ $subtract: [today, '$createdAt'] }, 1000 * 60 * 60 * 24] },
-                    180 // 6 months = 180 days
-                ]
-            }
-        });
-
-        // Find loans eligible for third upgrade (30% → 36%)
-        const thirdUpgradeEligible = await Loan.find({
-            status: 'active',
-            originalInterestRate: 18,
-            currentUpgradeLevel: 2,
-            interestRate: 30,
-            $expr: {
-                $gte: [
-                    { $divide: [{ $subtract: [today, '$createdAt'] }, 1000 * 60 * 60 * 24] },
-                    270 // 9 months = 270 days
-                ]
-            }
-        });
-
-        const allEligibleLoans = [...firstUpgradeEligible, ...secondUpgradeEligible, ...thirdUpgradeEligible];
+        const activeLoans = await Loan.find({ status: 'active' });
+        const allEligibleLoans = activeLoans.filter(loan => loan.isDueForUpgrade(today));
+        const countAtLevel = level => allEligibleLoans.filter(loan => (loan.currentUpgradeLevel || 0) === level).length;
         
         const stats = {
             totalEligible: allEligibleLoans.length,
-            firstUpgradeEligible: firstUpgradeEligible.length,
-            secondUpgradeEligible: secondUpgradeEligible.length,
-            thirdUpgradeEligible: thirdUpgradeEligible.length,
-            byUpgradeLevel: {
-                'level0': firstUpgradeEligible.length, // 18% → 24%
-                'level1': secondUpgradeEligible.length, // 24% → 30%
-                'level2': thirdUpgradeEligible.length   // 30% → 36%
-            },
+            firstUpgradeEligible: countAtLevel(0),
+            secondUpgradeEligible: countAtLevel(1),
+            thirdUpgradeEligible: countAtLevel(2),
+            // Keyed by the level the loan is upgrading from
+            byUpgradeLevel: {},
+            auctionEligible: activeLoans.filter(loan => loan.isDueForAuction(today)).length,
             totalAmount: 0,
             averageDaysSinceStart: 0,
-            upgradeHistory: {
-                '18to24': 0,
-                '24to30': 0,
-                '30to36': 0
-            }
+            // Keyed as `${fromRate}to${toRate}`, e.g. '18to24'
+            upgradeHistory: {}
         };
         
         let totalDaysSinceStart = 0;
         
         allEligibleLoans.forEach(loan => {
+            const levelKey = `level${loan.currentUpgradeLevel || 0}`;
+            stats.byUpgradeLevel[levelKey] = (stats.byUpgradeLevel[levelKey] || 0) + 1;
+
             // Calculate days since loan start
             const loanStartDate = loan.createdAt;
             const daysSinceStart = Math.floor((today - loanStartDate) / (1000 * 60 * 60 * 24));
@@ -325,7 +240,6 @@ const getUpgradeStatistics = async () => {
             {
                 $match: {
                     status: 'active',
-                    originalInterestRate: 18,
                     'upgradeHistory.0': { $exists: true }
                 }
             },
@@ -344,11 +258,7 @@ const getUpgradeStatistics = async () => {
         ]);
         
         upgradeHistoryStats.forEach(stat => {
-            if (stat._id.fromRate === 18 && stat._id.toRate === 24) {
-                stats.upgradeHistory['18to24'] = stat.count;
-            } else if (stat._id.fromRate === 24 && stat._id.toRate === 30) {
-                stats.upgradeHistory['24to30'] = stat.count;
-            }
+            stats.upgradeHistory[`${stat._id.fromRate}to${stat._id.toRate}`] = stat.count;
         });
         
         stats.averageDaysSinceStart = allEligibleLoans.length > 0 ? Math.round(totalDaysSinceStart / allEligibleLoans.length) : 0;
@@ -6,6 +6,10 @@ const Loan = require('../models/Loan');
 const Customer = require('../models/Customer');
 const { sendPaymentReminderEmail } = require('../utils/brevo');
 const paymentNotificationService = require('../utils/paymentNotificationService');
+const holidayCalendar = require('../utils/holidayCalendar');
+
+// Days before the due date on which upcoming reminders go out
+const UPCOMING_REMINDER_DAYS = [3, 1, 0];
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI, {
@@ -13,7 +17,9 @@ mongoose.connect(process.env.MONGODB_URI, {
   useUnifiedTopology: true,
 });
 
-// Function to send upcoming payment reminders (3 days, 1 day, and day of)
+// Function to send upcoming payment reminders (3 days, 1 day, and day of).
+// No reminders go out on a branch's Sundays or holidays; a reminder that would have
+// fallen on one is sent on the next working day instead.
 async function sendUpcomingPaymentReminders() {
   try {
     console.log('Starting upcoming payment reminder emails...');
@@ -31,6 +37,8 @@ async function sendUpcomingPaymentReminders() {
     let emailsSent = 0;
     
     for (const loan of loans) {
+      if (!holidayCalendar.isWorkingDay(today, loan.branch)) continue;
+
       // Get the next unpaid installment
       const nextInstallment = loan.installments.find(inst => 
         inst.status === 'pending' || inst.status === 'partial'
@@ -43,8 +51,11 @@ async function sendUpcomingPaymentReminders() {
       
       const daysUntilDue = Math.ceil((dueDate - today) / (1000 * 60 * 60 * 24));
       
-      // Send reminders for payments due in 3 days, 1 day, and today
-      if (daysUntilDue === 3 || daysUntilDue === 1 || daysUntilDue === 0) {
+      // Send reminders for payments due in 3 days, 1 day, and today, catching up on
+      // reminder days skipped since the last working day
+      const skippedDays = holidayCalendar.skippedDaysBefore(today, loan.branch);
+      const reminderDue = UPCOMING_REMINDER_DAYS.some(day => day >= daysUntilDue && day <= daysUntilDue + skippedDays);
+      if (reminderDue) {
         // Check if we already sent a reminder for this installment today
         const reminderKey = `reminder_${loan._id}_${nextInstallment.number}_${daysUntilDue}`;
         
@@ -114,6 +125,9 @@ async function sendOverduePaymentReminders() {
     let emailsSent = 0;
     
     for (const loan of loans) {
+      // Overdue reminders resume on the branch's next working day
+      if (!holidayCalendar.isWorkingDay(today, loan.branch)) continue;
+
       const overdueInstallments = loan.installments.filter(inst => 
         inst.dueDate < today && inst.status !== 'paid'
       );
@@ -176,9 +190,11 @@ async function sendWeeklySummaryReminders() {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     
-    // Only send on Mondays (day 1)
-    if (today.getDay() !== 1) {
-      console.log('Not Monday, skipping weekly summary reminders');
+    // Sent on Mondays, or on the first working day of the week when Monday is a holiday
+    const monday = new Date(today);
+    monday.setDate(monday.getDate() - ((today.getDay() + 6) % 7));
+    if (today.getDay() === 0) {
+      console.log('Sunday, skipping weekly summary reminders');
       return 0;
     }
     
@@ -193,6 +209,10 @@ async function sendWeeklySummaryReminders() {
     let emailsSent = 0;
     
     for (const loan of loans) {
+      const isFirstWorkingDayOfWeek = holidayCalendar.isWorkingDay(today, loan.branch) &&
+        holidayCalendar.previousWorkingDay(today, loan.branch) < monday;
+      if (!isFirstWorkingDayOfWeek) continue;
+
       const nextInstallment = loan.installments.find(inst => 
         inst.status === 'pending' || inst.status === 'partial'
       );
@@ -256,6 +276,9 @@ async function sendAllPaymentReminders() {
     console.log('=== Starting Payment Reminder Email System ===');
     console.log(`Time: ${new Date().toISOString()}`);
     
+    // Pick up holiday changes made since the calendar was last loaded
+    await holidayCalendar.refresh();
+    
     // Send upcoming payment reminders
     const upcomingCount = await sendUpcomingPaymentReminders();
     
@@ -13,6 +13,10 @@ const notificationRoutes = require('./routes/notifications');
 const goldReturnRoutes = require('./routes/goldReturns');
 const photoRoutes = require('./routes/photos');
 const cronJobRoutes = require('./routes/cronJobs');
+const schemeRoutes = require('./routes/schemes');
+const holidayRoutes = require('./routes/holidays');
+const auctionRoutes = require('./routes/auctions');
+const customerRoutes = require('./routes/customers');
 
 const app = express();
 
@@ -55,10 +59,41 @@ mongoose.connect(mongoUri, {
         } else {
             console.log(`✅ Settings document exists with gold rate: ₹${existingSettings.goldRate}`);
         }
+
+        // Start the rate history from the configured rate
+        const GoldRate = require('./models/GoldRate');
+        if (!(await GoldRate.exists({}))) {
+            const settings = existingSettings || await Settings.findOne();
+            await GoldRate.create({
+                effectiveFrom: settings.lastUpdated || new Date(),
+                rates: { k22: settings.goldRate },
+                source: 'migrated',
+                setBy: { id: 'system', name: 'System' }
+            });
+            console.log(`✅ Gold rate history started at ₹${settings.goldRate} (22K)`);
+        }
     } catch (err) {
         console.error('Error initializing Settings:', err);
         // Don't fail server startup if Settings initialization fails
     }
+
+    // Make sure new loans always have a default interest scheme to be pinned to
+    try {
+        const Scheme = require('./models/Scheme');
+        const defaultScheme = await Scheme.ensureDefaultScheme();
+        console.log(`✅ Default interest scheme: ${defaultScheme.code} v${defaultScheme.version}`);
+    } catch (err) {
+        console.error('Error initializing default interest scheme:', err);
+    }
+
+    // Load holidays used for due dates, grace periods and reminders
+    try {
+        const holidayCalendar = require('./utils/holidayCalendar');
+        const holidayCount = await holidayCalendar.refresh();
+        console.log(`✅ Holiday calendar loaded with ${holidayCount} holidays`);
+    } catch (err) {
+        console.error('Error loading holiday calendar:', err);
+    }
 })
 .catch(err => console.error('MongoDB connection error:', err));
 
@@ -73,6 +108,10 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/gold-returns', goldReturnRoutes);
 app.use('/api/loans', photoRoutes);
 app.use('/api/cron-jobs', cronJobRoutes);
+app.use('/api/schemes', schemeRoutes);
+app.use('/api/holidays', holidayRoutes);
+app.use('/api/auctions', auctionRoutes);
+app.use('/api/customers', customerRoutes);
 
 // Monitoring and Health Check Routes
 app.use('/api', require('./monitoring/health-check'));
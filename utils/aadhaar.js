@@ -0,0 +1,273 @@
+/**
+ * Aadhaar protection
+ * Aadhaar numbers are never stored in plain text. Each model holding one stores:
+ *
+ * - aadharEncrypted: AES-256-GCM ciphertext, decrypted only to reveal the number to a user
+ *                    holding the reveal_aadhaar permission (every reveal is audit logged)
+ * - aadharHash:      HMAC-SHA256 blind index, so records can still be looked up by number
+ * - aadharLast4:     last four digits, for the masked form shown everywhere else (XXXX-XXXX-1234)
+ *
+ * aadhaarPlugin wires this into a schema: `aadharNumber` becomes a virtual that encrypts on
+ * set and reads back masked, queries on `aadharNumber` are rewritten to the blind index, and
+ * JSON output carries only the masked number.
+ *
+ * Keys are derived from AADHAAR_ENCRYPTION_KEY, which must be set in production. Changing it
+ * makes existing numbers unreadable and unsearchable.
+ */
+
+const crypto = require('crypto');
+
+const AADHAAR_PATTERN = /^\d{12}$/;
+const CIPHER = 'aes-256-gcm';
+const PAYLOAD_VERSION = 'v1';
+
+let keys = null;
+
+const getKeys = () => {
+    if (keys) {
+        return keys;
+    }
+    let secret = process.env.AADHAAR_ENCRYPTION_KEY;
+    if (!secret) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('AADHAAR_ENCRYPTION_KEY must be set in production');
+        }
+        console.warn('AADHAAR_ENCRYPTION_KEY not configured. Using a development key; do not use this data in production.');
+        secret = 'development-aadhaar-key-change-in-production';
+    }
+    // Separate keys for encryption and the blind index, so neither can stand in for the other
+    keys = {
+        encryption: Buffer.from(crypto.hkdfSync('sha256', secret, '', 'aadhaar-encryption', 32)),
+        index: Buffer.from(crypto.hkdfSync('sha256', secret, '', 'aadhaar-blind-index', 32))
+    };
+    return keys;
+};
+
+// Accepts "1234 5678 9012" and "1234-5678-9012"
+const normalizeAadhaar = value => (value === undefined || value === null ? '' : String(value).replace(/[\s-]/g, ''));
+
+const isValidAadhaar = value => AADHAAR_PATTERN.test(normalizeAadhaar(value));
+
+/**
+ * Masked form of a number (or of its last four digits)
+ * @returns {string} e.g. XXXX-XXXX-1234, or undefined when there is no number
+ */
+const maskAadhaar = value => {
+    const digits = normalizeAadhaar(value).replace(/\D/g, '');
+    return digits ? `XXXX-XXXX-${digits.slice(-4)}` : undefined;
+};
+
+const isMaskedAadhaar = value => /^XXXX-XXXX-\d{4}$/.test(String(value || ''));
+
+const aadhaarIndex = number => crypto
+    .createHmac('sha256', getKeys().index)
+    .update(normalizeAadhaar(number))
+    .digest('hex');
+
+const encryptAadhaar = number => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, getKeys().encryption, iv);
+    const ciphertext = Buffer.concat([cipher.update(normalizeAadhaar(number), 'utf8'), cipher.final()]);
+    return [PAYLOAD_VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+const decryptAadhaar = payload => {
+    const [version, iv, tag, ciphertext] = String(payload || '').split(':');
+    if (version !== PAYLOAD_VERSION || !iv || !tag || !ciphertext) {
+        throw new Error('Unrecognised encrypted Aadhaar value');
+    }
+    const decipher = crypto.createDecipheriv(CIPHER, getKeys().encryption, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Stored fields for a number
+ * @returns {{ aadharEncrypted: string, aadharHash: string, aadharLast4: string }}
+ */
+const protectAadhaar = value => {
+    const number = normalizeAadhaar(value);
+    if (!AADHAAR_PATTERN.test(number)) {
+        throw new Error('Aadhar number must be exactly 12 digits');
+    }
+    return {
+        aadharEncrypted: encryptAadhaar(number),
+        aadharHash: aadhaarIndex(number),
+        aadharLast4: number.slice(-4)
+    };
+};
+
+// Stored fields of a document that already holds a number, for copying onto another document
+const aadhaarFieldsOf = doc => ({
+    aadharEncrypted: doc.aadharEncrypted,
+    aadharHash: doc.aadharHash,
+    aadharLast4: doc.aadharLast4
+});
+
+// Query operators that can be answered from the blind index: exact matches only
+const HASHED_OPERATORS = ['$eq', '$ne', '$in', '$nin'];
+
+// Rewrite { aadharNumber: ... } conditions (at any depth of $or/$and/$nor) to the blind index
+const rewriteFilter = filter => {
+    if (!filter || typeof filter !== 'object') {
+        return filter;
+    }
+    const rewritten = {};
+    Object.keys(filter).forEach(key => {
+        const value = filter[key];
+        if (['$or', '$and', '$nor'].includes(key) && Array.isArray(value)) {
+            rewritten[key] = value.map(rewriteFilter);
+        } else if (key === 'aadharNumber') {
+            if (value instanceof RegExp) {
+                throw new Error('aadharNumber can only be matched exactly; it is stored as a blind index');
+            }
+            if (value && typeof value === 'object' && !(value instanceof String)) {
+                rewritten.aadharHash = Object.keys(value).reduce((condition, operator) => {
+                    // Anything else would be run against the index and quietly match nothing
+                    if (!HASHED_OPERATORS.includes(operator)) {
+                        throw new Error(`aadharNumber cannot be queried with ${operator}; use ${HASHED_OPERATORS.join(', ')}`);
+                    }
+                    const operand = value[operator];
+                    condition[operator] = ['$in', '$nin'].includes(operator)
+                        ? operand.map(aadhaarIndex)
+                        : aadhaarIndex(operand);
+                    return condition;
+                }, {});
+            } else {
+                rewritten.aadharHash = aadhaarIndex(value);
+            }
+        } else {
+            rewritten[key] = value;
+        }
+    });
+    return rewritten;
+};
+
+// Rewrite aadharNumber in an update (plain or under $set) to the stored fields
+const rewriteUpdate = update => {
+    const hasNumber = value => Boolean(value) && typeof value === 'object' && value.aadharNumber !== undefined;
+    if (Array.isArray(update) || (!hasNumber(update) && !hasNumber(update && update.$set))) {
+        return update;
+    }
+    const rewritten = { ...update };
+    if (rewritten.aadharNumber !== undefined) {
+        Object.assign(rewritten, protectAadhaar(rewritten.aadharNumber));
+        delete rewritten.aadharNumber;
+    }
+    if (rewritten.$set && rewritten.$set.aadharNumber !== undefined) {
+        rewritten.$set = { ...rewritten.$set, ...protectAadhaar(rewritten.$set.aadharNumber) };
+        delete rewritten.$set.aadharNumber;
+    }
+    return rewritten;
+};
+
+const QUERY_HOOKS = [
+    'countDocuments',
+    'deleteMany',
+    'deleteOne',
+    'find',
+    'findOne',
+    'findOneAndDelete',
+    'findOneAndRemove',
+    'findOneAndReplace',
+    'findOneAndUpdate',
+    'replaceOne',
+    'updateMany',
+    'updateOne'
+];
+
+/**
+ * Mongoose plugin storing `aadharNumber` encrypted (see top of file)
+ * @param {Schema} schema
+ * @param {Object} [options]
+ * @param {boolean|Function} [options.required=false] - Function is called with the document as `this`
+ * @param {boolean} [options.unique=false] - One document per number
+ * @param {string} [options.message] - Validation message for a missing or invalid number
+ */
+function aadhaarPlugin(schema, { required = false, unique = false, message = 'Aadhar number must be exactly 12 digits' } = {}) {
+    schema.add({
+        aadharEncrypted: {
+            type: String
+        },
+        aadharHash: {
+            type: String,
+            index: true,
+            unique
+        },
+        aadharLast4: {
+            type: String
+        }
+    });
+
+    schema.virtual('aadharNumber')
+        .get(function() {
+            return maskAadhaar(this.aadharLast4);
+        })
+        .set(function(value) {
+            // Sending back the masked number leaves it unchanged
+            if (isMaskedAadhaar(value) && value === maskAadhaar(this.aadharLast4)) {
+                return;
+            }
+            const number = normalizeAadhaar(value);
+            this.$locals.invalidAadhaar = number && !AADHAAR_PATTERN.test(number);
+            if (!number) {
+                this.aadharEncrypted = undefined;
+                this.aadharHash = undefined;
+                this.aadharLast4 = undefined;
+            } else if (!this.$locals.invalidAadhaar) {
+                Object.assign(this, protectAadhaar(number));
+            }
+        });
+
+    schema.pre('validate', function(next) {
+        const isRequired = typeof required === 'function' ? required.call(this) : required;
+        if (this.$locals.invalidAadhaar || (isRequired && !this.aadharHash)) {
+            this.invalidate('aadharNumber', message);
+        }
+        next();
+    });
+
+    schema.pre(QUERY_HOOKS, function() {
+        this.setQuery(rewriteFilter(this.getFilter()));
+        const update = this.getUpdate();
+        const rewritten = rewriteUpdate(update);
+        if (rewritten !== update) {
+            this.setUpdate(rewritten);
+        }
+    });
+
+    // Responses carry only the masked number
+    const hideAadhaar = (doc, ret) => {
+        delete ret.aadharEncrypted;
+        delete ret.aadharHash;
+        ret.aadharNumber = maskAadhaar(doc.aadharLast4);
+        return ret;
+    };
+    schema.set('toJSON', { ...schema.get('toJSON'), transform: hideAadhaar });
+    schema.set('toObject', { ...schema.get('toObject'), transform: hideAadhaar });
+
+    // Method to get the full number. Callers must check the reveal_aadhaar permission and
+    // record the reveal (AuditLog.record) before handing it out.
+    schema.methods.decryptAadhaar = function() {
+        return this.aadharEncrypted ? decryptAadhaar(this.aadharEncrypted) : null;
+    };
+
+    // Method to check a number against the stored one without decrypting it
+    schema.methods.hasAadhaar = function(number) {
+        return Boolean(this.aadharHash) && isValidAadhaar(number) && aadhaarIndex(number) === this.aadharHash;
+    };
+}
+
+module.exports = {
+    AADHAAR_PATTERN,
+    normalizeAadhaar,
+    isValidAadhaar,
+    maskAadhaar,
+    isMaskedAadhaar,
+    aadhaarIndex,
+    encryptAadhaar,
+    decryptAadhaar,
+    protectAadhaar,
+    aadhaarFieldsOf,
+    aadhaarPlugin
+};
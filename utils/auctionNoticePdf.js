@@ -0,0 +1,129 @@
+/**
+ * Auction Notice PDF
+ * Renders the formal notice sent to a borrower before their pledged gold is auctioned.
+ * The wording escalates with the notice type: an intimation of default, a reminder, and
+ * the final notice naming the date on or after which the gold will be sold.
+ */
+
+const PDFDocument = require('pdfkit');
+
+const COMPANY = {
+    name: 'Cyan Finance',
+    phone: '+91-9700049444',
+    email: 'support@cyanfinance.in'
+};
+
+const TITLES = {
+    intimation: 'NOTICE OF DEFAULT',
+    reminder: 'REMINDER NOTICE',
+    final: 'FINAL NOTICE BEFORE AUCTION OF PLEDGED GOLD'
+};
+
+const formatDate = date => new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+// Built-in PDF fonts have no rupee glyph
+const formatAmount = amount => `Rs. ${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Label on the left, value right-aligned on the same line
+function row(doc, label, value) {
+    const y = doc.y;
+    doc.text(label, doc.page.margins.left, y, { width: 300 });
+    doc.text(value, doc.page.margins.left + 300, y, { width: 195, align: 'right' });
+    doc.x = doc.page.margins.left;
+}
+
+function body(notice, loan) {
+    const payBy = notice.proposedAuctionDate ? formatDate(notice.proposedAuctionDate) : null;
+
+    if (notice.noticeType === 'intimation') {
+        return `Your gold loan ${loan.loanId} taken on ${formatDate(loan.createdAt)} is in default. ` +
+            `The dues set out below remain unpaid. Please pay them at the earliest to avoid further ` +
+            `charges and action to recover the dues, including sale of the gold pledged with us.`;
+    }
+    if (notice.noticeType === 'reminder') {
+        return `Despite our earlier notice, the dues on your gold loan ${loan.loanId} remain unpaid. ` +
+            `Please pay the amount set out below${payBy ? ` by ${payBy}` : ''}. If the dues are not paid, ` +
+            `we will proceed to auction the gold pledged with us without further reference to you other than the final notice.`;
+    }
+    return `This is the final notice in respect of your gold loan ${loan.loanId}. Unless the dues set out below ` +
+        `are paid in full${payBy ? ` before ${payBy}` : ''}, the gold ornaments pledged with us will be sold by public auction ` +
+        `${payBy ? `on or after ${payBy}` : 'without further notice'}. The sale proceeds will be applied to the dues; ` +
+        `any surplus will be returned to you and any shortfall will remain recoverable from you.`;
+}
+
+/**
+ * Render a notice
+ * @param {Object} notice - AuctionNotice (noticeNumber, noticeType, issuedAt, proposedAuctionDate, dues, goldWeight)
+ * @param {Object} loan - Loan the notice is for
+ * @returns {Promise<Buffer>}
+ */
+function renderAuctionNotice(notice, loan) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        doc.fontSize(18).font('Helvetica-Bold').text(COMPANY.name, { align: 'center' });
+        doc.fontSize(9).font('Helvetica').text(`Phone: ${COMPANY.phone}  |  Email: ${COMPANY.email}`, { align: 'center' });
+        doc.moveDown(1.5);
+
+        doc.fontSize(14).font('Helvetica-Bold').text(TITLES[notice.noticeType], { align: 'center', underline: true });
+        doc.moveDown();
+
+        doc.fontSize(10).font('Helvetica');
+        doc.text(`Notice No: ${notice.noticeNumber}`);
+        doc.text(`Date: ${formatDate(notice.issuedAt)}`);
+        doc.moveDown();
+
+        doc.text('To,');
+        doc.font('Helvetica-Bold').text(loan.name);
+        doc.font('Helvetica').text(loan.presentAddress || loan.permanentAddress || '');
+        if (loan.primaryMobile) {
+            doc.text(`Mobile: ${loan.primaryMobile}`);
+        }
+        doc.moveDown();
+
+        doc.font('Helvetica-Bold').text(`Subject: Gold loan ${loan.loanId}`);
+        doc.moveDown(0.5);
+        doc.font('Helvetica').text(`Dear ${loan.name},`);
+        doc.moveDown(0.5);
+        doc.text(body(notice, loan), { align: 'justify' });
+        doc.moveDown();
+
+        doc.font('Helvetica-Bold').text(`Dues as on ${formatDate(notice.issuedAt)}`);
+        doc.font('Helvetica');
+        const dues = notice.dues || {};
+        [
+            ['Principal', dues.principal],
+            ['Interest', dues.interest],
+            ['Penal interest', dues.penal],
+            ['Charges', dues.charges]
+        ].forEach(([label, amount]) => row(doc, label, formatAmount(amount)));
+        doc.font('Helvetica-Bold');
+        row(doc, 'Total', formatAmount(dues.total));
+        doc.font('Helvetica').fontSize(8).text('Interest and penal interest continue to accrue until the date of payment.');
+        doc.fontSize(10).moveDown();
+
+        doc.font('Helvetica-Bold').text('Gold pledged');
+        doc.font('Helvetica');
+        (loan.goldItems || []).filter(item => !item.released).forEach((item, index) => {
+            row(doc, `${index + 1}. ${item.description}`, `${Number(item.netWeight || 0).toFixed(3)} g`);
+        });
+        row(doc, 'Total net weight', `${Number(notice.goldWeight || 0).toFixed(3)} g`);
+        doc.moveDown(2);
+
+        doc.text('For Cyan Finance');
+        doc.moveDown(2);
+        doc.text('Authorised Signatory');
+        if (notice.issuedBy && notice.issuedBy.name) {
+            doc.fontSize(8).text(`Issued by ${notice.issuedBy.name}`);
+        }
+
+        doc.end();
+    });
+}
+
+module.exports = {
+    renderAuctionNotice
+};
@@ -0,0 +1,344 @@
+/**
+ * Customer Merge
+ * Finds customer records that are likely the same person (a second record created with a
+ * different mobile number or a mistyped Aadhar number) and folds a duplicate into the record
+ * that is kept.
+ *
+ * Candidates are scored on:
+ * - Aadhaar:  numbers one or two digits apart, or with two neighbouring digits swapped
+ * - Mobile:   any mobile number in common (primary or secondary)
+ * - Email:    same email address
+ * - Name:     edit-distance similarity of the names, ignoring word order and case
+ * - Address:  share of address words in common
+ *
+ * Only pairs sharing a mobile number, email, name stem or half of their Aadhar number are
+ * compared, so the whole customer base can be checked without comparing every pair.
+ */
+
+const Customer = require('../models/Customer');
+const Loan = require('../models/Loan');
+const Otp = require('../models/Otp');
+const ItemPhoto = require('../models/ItemPhoto');
+const KycDocument = require('../models/KycDocument');
+const SurplusRefund = require('../models/SurplusRefund');
+const { maskAadhaar, aadhaarFieldsOf } = require('./aadhaar');
+
+const WEIGHTS = {
+    aadhaar: 40,
+    mobile: 30,
+    email: 20,
+    name: 30,
+    address: 20
+};
+
+// Below these a name or address match adds nothing to the score
+const MIN_NAME_SIMILARITY = 0.8;
+const MIN_ADDRESS_SIMILARITY = 0.5;
+
+const DEFAULT_MIN_SCORE = 50;
+
+const normalizeText = value => String(value || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+
+const normalizeMobile = value => {
+    const digits = String(value || '').replace(/\D/g, '');
+    return digits.length >= 10 ? digits.slice(-10) : null;
+};
+
+const levenshtein = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// 1 for the same name (in any word order), falling towards 0 as the names differ
+const nameSimilarity = (a, b) => {
+    const sorted = name => normalizeText(name).split(' ').sort().join(' ');
+    const [x, y] = [sorted(a), sorted(b)];
+    if (!x || !y) {
+        return 0;
+    }
+    return 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+};
+
+// Share of address words the two addresses have in common (Jaccard index)
+const addressSimilarity = (a, b) => {
+    const words = address => new Set(normalizeText(address).split(' ').filter(word => word.length > 1));
+    const [x, y] = [words(a), words(b)];
+    if (x.size === 0 || y.size === 0) {
+        return 0;
+    }
+    const common = [...x].filter(word => y.has(word)).length;
+    return common / (x.size + y.size - common);
+};
+
+// Whether two different numbers look like one mistyped as the other
+const describeAadhaarMatch = (a, b) => {
+    if (!a || !b || a === b) {
+        return null;
+    }
+    const differing = [...a].map((digit, i) => (digit !== b[i] ? i : -1)).filter(i => i >= 0);
+    if (differing.length === 2 && differing[1] === differing[0] + 1 &&
+        a[differing[0]] === b[differing[1]] && a[differing[1]] === b[differing[0]]) {
+        return 'Aadhar numbers differ by two swapped digits';
+    }
+    if (differing.length <= 2) {
+        return `Aadhar numbers differ by ${differing.length === 1 ? 'one digit' : 'two digits'}`;
+    }
+    return null;
+};
+
+// Details used for matching. The full Aadhar number is only held in memory for comparison.
+const profileOf = customer => {
+    let aadhaar = null;
+    try {
+        aadhaar = customer.decryptAadhaar();
+    } catch (error) {
+        console.error(`Could not decrypt Aadhar number of customer ${customer._id}:`, error.message);
+    }
+    return {
+        customer,
+        aadhaar,
+        mobiles: [customer.primaryMobile, customer.secondaryMobile].map(normalizeMobile).filter(Boolean),
+        email: customer.email ? customer.email.trim().toLowerCase() : null,
+        nameStem: normalizeText(customer.name).split(' ').sort((a, b) => b.length - a.length)[0] || ''
+    };
+};
+
+// Keys that a likely duplicate shares with the customer
+const blockingKeysOf = profile => [
+    ...profile.mobiles.map(mobile => `mobile:${mobile}`),
+    profile.email ? `email:${profile.email}` : null,
+    profile.nameStem.length >= 3 ? `name:${profile.nameStem.slice(0, 4)}` : null,
+    // A one-digit typo leaves one half of the number intact
+    profile.aadhaar ? `aadhaar-head:${profile.aadhaar.slice(0, 6)}` : null,
+    profile.aadhaar ? `aadhaar-tail:${profile.aadhaar.slice(6)}` : null
+].filter(Boolean);
+
+const scorePair = (a, b) => {
+    const reasons = [];
+    let score = 0;
+
+    const aadhaarMatch = describeAadhaarMatch(a.aadhaar, b.aadhaar);
+    if (aadhaarMatch) {
+        score += WEIGHTS.aadhaar;
+        reasons.push(aadhaarMatch);
+    }
+    if (a.mobiles.some(mobile => b.mobiles.includes(mobile))) {
+        score += WEIGHTS.mobile;
+        reasons.push('Same mobile number');
+    }
+    if (a.email && a.email === b.email) {
+        score += WEIGHTS.email;
+        reasons.push('Same email address');
+    }
+    const name = nameSimilarity(a.customer.name, b.customer.name);
+    if (name >= MIN_NAME_SIMILARITY) {
+        score += WEIGHTS.name * name;
+        reasons.push(name === 1 ? 'Same name' : `Similar names (${Math.round(name * 100)}%)`);
+    }
+    const address = Math.max(
+        addressSimilarity(a.customer.presentAddress, b.customer.presentAddress),
+        addressSimilarity(a.customer.permanentAddress, b.customer.permanentAddress)
+    );
+    if (address >= MIN_ADDRESS_SIMILARITY) {
+        score += WEIGHTS.address * address;
+        reasons.push(`Similar addresses (${Math.round(address * 100)}%)`);
+    }
+
+    return { score: Math.round(score), reasons };
+};
+
+const summaryOf = (customer, loanCounts) => ({
+    _id: customer._id,
+    name: customer.name,
+    email: customer.email,
+    primaryMobile: customer.primaryMobile,
+    secondaryMobile: customer.secondaryMobile,
+    presentAddress: customer.presentAddress,
+    permanentAddress: customer.permanentAddress,
+    aadharNumber: maskAadhaar(customer.aadharLast4),
+    verified: customer.verified,
+    loans: loanCounts[customer._id.toString()] || 0,
+    createdAt: customer.createdAt
+});
+
+/**
+ * Find pairs of customers that are likely the same person
+ * @param {Object} [options]
+ * @param {ObjectId} [options.customerId] - Only pairs involving this customer
+ * @param {number} [options.minScore=50] - Lowest score (0-140) reported
+ * @returns {Promise<Array<{ score, reasons, customers: [Object, Object] }>>} Highest score first
+ */
+async function findDuplicateCandidates({ customerId, minScore = DEFAULT_MIN_SCORE } = {}) {
+    const customers = await Customer.find()
+        .select('name email primaryMobile secondaryMobile presentAddress permanentAddress aadharEncrypted aadharLast4 verified createdAt');
+    const profiles = customers.map(profileOf);
+
+    const blocks = new Map();
+    profiles.forEach((profile, index) => {
+        blockingKeysOf(profile).forEach(key => {
+            if (!blocks.has(key)) {
+                blocks.set(key, []);
+            }
+            blocks.get(key).push(index);
+        });
+    });
+
+    const candidates = [];
+    const compared = new Set();
+    blocks.forEach(indexes => {
+        for (let i = 0; i < indexes.length; i++) {
+            for (let j = i + 1; j < indexes.length; j++) {
+                const pair = `${indexes[i]}:${indexes[j]}`;
+                const [a, b] = [profiles[indexes[i]], profiles[indexes[j]]];
+                if (compared.has(pair) ||
+                    (customerId && !a.customer._id.equals(customerId) && !b.customer._id.equals(customerId))) {
+                    continue;
+                }
+                compared.add(pair);
+
+                const { score, reasons } = scorePair(a, b);
+                if (score >= minScore) {
+                    candidates.push({ score, reasons, customers: [a.customer, b.customer] });
+                }
+            }
+        }
+    });
+
+    // Loan counts help decide which record to keep
+    const involved = new Map();
+    candidates.forEach(candidate => candidate.customers.forEach(customer => involved.set(customer._id.toString(), customer._id)));
+    const counts = involved.size === 0 ? [] : await Loan.aggregate([
+        { $match: { customerId: { $in: [...involved.values()] } } },
+        { $group: { _id: '$customerId', loans: { $sum: 1 } } }
+    ]);
+    const loanCounts = counts.reduce((map, count) => ({ ...map, [count._id.toString()]: count.loans }), {});
+
+    return candidates
+        .sort((a, b) => b.score - a.score)
+        .map(candidate => ({
+            score: candidate.score,
+            reasons: candidate.reasons,
+            customers: candidate.customers.map(customer => summaryOf(customer, loanCounts))
+        }));
+}
+
+/**
+ * Fold a duplicate customer into the one being kept. The duplicate's loans (and with them
+ * their photos), OTPs, KYC documents, surplus refunds, recoverable balances and risk flags
+ * move to the kept customer, whose own details and Aadhar number win. The kept customer
+ * records the merge in its mergeHistory and the duplicate is removed.
+ *
+ * The merge record is saved before anything moves and the duplicate is only removed once
+ * every move has succeeded. A merge that fails part way leaves both customers in place and
+ * is finished by merging the same pair again.
+ *
+ * Ledger entries are immutable and keep the duplicate's id; they are tied to their loan.
+ *
+ * @param {ObjectId} survivorId - Customer to keep
+ * @param {ObjectId} duplicateId - Customer to fold in and remove
+ * @param {{ reason: string }} details
+ * @param {{ id, name }} mergedBy
+ * @returns {Promise<{ customer, merge }>} The kept customer and its merge history entry
+ */
+async function mergeCustomers(survivorId, duplicateId, { reason }, mergedBy) {
+    if (String(survivorId) === String(duplicateId)) {
+        throw new Error('A customer cannot be merged into itself');
+    }
+    const [survivor, duplicate] = await Promise.all([Customer.findById(survivorId), Customer.findById(duplicateId)]);
+    if (!survivor || !duplicate) {
+        throw new Error('Customer not found');
+    }
+
+    const loans = await Loan.find({ customerId: duplicate._id }).select('_id');
+    const loanIds = loans.map(loan => loan._id);
+
+    // An earlier attempt that did not finish has already taken over the duplicate's details
+    let merge = survivor.mergeHistory.find(entry => entry.customer.equals(duplicate._id) && !entry.completedAt);
+    if (!merge) {
+        const { reasons: matchReasons } = scorePair(profileOf(survivor), profileOf(duplicate));
+        const [otps, photos, kycDocuments, surplusRefunds] = await Promise.all([
+            Otp.countDocuments({ customerId: duplicate._id.toString() }),
+            // Photos belong to the loans and move with them
+            ItemPhoto.countDocuments({ loanId: { $in: loanIds } }),
+            KycDocument.countDocuments({ customer: duplicate._id }),
+            SurplusRefund.countDocuments({ customerId: duplicate._id })
+        ]);
+
+        (duplicate.recoverableBalances || []).forEach(balance => {
+            survivor.recoverableBalances.push(balance.toObject());
+        });
+        (duplicate.riskFlags || []).forEach(flag => {
+            survivor.riskFlags.push(flag.toObject());
+        });
+        survivor.mergeHistory.push(...(duplicate.mergeHistory || []).map(entry => entry.toObject()));
+
+        // Fill gaps in the kept record from the duplicate
+        if (!survivor.email && duplicate.email) {
+            survivor.email = duplicate.email;
+        }
+        if (!survivor.secondaryMobile && duplicate.primaryMobile !== survivor.primaryMobile) {
+            survivor.secondaryMobile = duplicate.primaryMobile;
+        }
+        survivor.verified = survivor.verified || duplicate.verified;
+
+        survivor.mergeHistory.push({
+            customer: duplicate._id,
+            name: duplicate.name,
+            email: duplicate.email,
+            primaryMobile: duplicate.primaryMobile,
+            secondaryMobile: duplicate.secondaryMobile,
+            presentAddress: duplicate.presentAddress,
+            permanentAddress: duplicate.permanentAddress,
+            aadharLast4: duplicate.aadharLast4,
+            customerCreatedAt: duplicate.createdAt,
+            matchReasons,
+            reason,
+            moved: {
+                loans: loanIds.length,
+                otps,
+                photos,
+                kycDocuments,
+                surplusRefunds,
+                recoverableBalances: (duplicate.recoverableBalances || []).length,
+                riskFlags: (duplicate.riskFlags || []).length
+            },
+            mergedBy
+        });
+        merge = survivor.mergeHistory[survivor.mergeHistory.length - 1];
+        await survivor.save();
+    }
+
+    // Each move only picks up what still points at the duplicate, so running it again is safe
+    await Promise.all([
+        // Loans carry the customer's Aadhar number so they are found by it
+        Loan.updateMany({ customerId: duplicate._id }, { $set: { customerId: survivor._id, ...aadhaarFieldsOf(survivor) } }),
+        Otp.updateMany({ customerId: duplicate._id.toString() }, { $set: { customerId: survivor._id.toString() } }),
+        KycDocument.updateMany({ customer: duplicate._id }, { $set: { customer: survivor._id } }),
+        SurplusRefund.updateMany({ customerId: duplicate._id }, { $set: { customerId: survivor._id } })
+    ]);
+    if (merge.moved.kycDocuments > 0) {
+        await KycDocument.supersedeOlderDocuments(survivor._id);
+    }
+
+    await duplicate.deleteOne();
+    merge.completedAt = new Date();
+    await survivor.save();
+
+    return { customer: survivor, merge };
+}
+
+module.exports = {
+    findDuplicateCandidates,
+    mergeCustomers
+};
@@ -0,0 +1,281 @@
+/**
+ * Gold Rate Feed
+ * Reads the day's gold rates from an outside source so they need not be typed in by hand.
+ *
+ * A source is an adapter { description, validateConfig(config), fetchRecord(config) }:
+ * fetchRecord resolves to a plain record (a CSV row keyed by its header, or a parsed JSON
+ * body) and the feed's field mapping picks the rates out of it. Built-in sources:
+ *
+ * - csv_file:  a file dropped at `filePath` with a header row, e.g. `date,k24,k22,k18`.
+ *              The row with the latest date (or the last row) is used.
+ * - http_json: a GET to `url` (with optional `headers`) returning JSON. Mapping values are
+ *              dotted paths into the body, e.g. `data.rates.22K` or `items.0.rate`.
+ *
+ * Other sources can be plugged in with registerGoldRateSource.
+ */
+
+const fs = require('fs');
+const axios = require('axios');
+const { splitCsvLine, normalizeDate } = require('./holidayImport');
+const { QUOTED_PURITIES } = require('./goldValuation');
+
+const RATE_KEYS = QUOTED_PURITIES.map(purity => purity.key);
+
+// Rates held when they move by more than this (%) until an admin confirms them
+const DEFAULT_MAX_CHANGE_PERCENT = 3;
+
+const DEFAULT_FIELD_MAPPING = {
+    k24: 'k24',
+    k22: 'k22',
+    k18: 'k18',
+    date: 'date'
+};
+
+const HTTP_TIMEOUT_MS = 10000;
+
+const roundTo2 = value => Math.round(value * 100) / 100;
+
+// Value at a dotted path ('data.rates.22K'); a key that itself contains dots is matched whole first
+function getPath(record, path) {
+    if (!record || !path) {
+        return undefined;
+    }
+    if (Object.prototype.hasOwnProperty.call(record, path)) {
+        return record[path];
+    }
+    return String(path).split('.').reduce(
+        (value, key) => (value === undefined || value === null ? undefined : value[key]),
+        record
+    );
+}
+
+// Accepts numbers and strings such as "₹7,250.50"
+function parseRateValue(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    const number = typeof value === 'number' ? value : Number(String(value).replace(/[₹,\s]/g, ''));
+    return Number.isFinite(number) ? number : NaN;
+}
+
+const csvFileSource = {
+    description: 'CSV file dropped on the server',
+
+    validateConfig(config) {
+        return config.filePath ? null : 'A file path is required for the CSV source';
+    },
+
+    async fetchRecord(config) {
+        const content = await fs.promises.readFile(config.filePath, 'utf8');
+        const lines = content.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+        if (lines.length < 2) {
+            throw new Error('Rate file has no rows below its header');
+        }
+
+        const header = splitCsvLine(lines[0]);
+        const rows = lines.slice(1).map(line => {
+            const fields = splitCsvLine(line);
+            return header.reduce((row, column, index) => ({ ...row, [column]: fields[index] }), {});
+        });
+
+        // Prefer the most recent date when the file carries several days
+        const dateColumn = (config.fieldMapping && config.fieldMapping.date) || DEFAULT_FIELD_MAPPING.date;
+        const dated = rows.filter(row => normalizeDate(row[dateColumn]));
+        if (dated.length === 0) {
+            return rows[rows.length - 1];
+        }
+        return dated.reduce((latest, row) =>
+            normalizeDate(row[dateColumn]) >= normalizeDate(latest[dateColumn]) ? row : latest
+        );
+    }
+};
+
+const httpJsonSource = {
+    description: 'JSON over HTTP',
+
+    validateConfig(config) {
+        if (!config.url) {
+            return 'A URL is required for the HTTP source';
+        }
+        return /^https?:\/\//i.test(config.url) ? null : 'The feed URL must start with http:// or https://';
+    },
+
+    async fetchRecord(config) {
+        const headers = config.headers instanceof Map
+            ? Object.fromEntries(config.headers)
+            : config.headers || {};
+        const response = await axios.get(config.url, {
+            headers: { Accept: 'application/json', ...headers },
+            timeout: HTTP_TIMEOUT_MS
+        });
+        if (!response.data || typeof response.data !== 'object') {
+            throw new Error('Feed did not return a JSON object');
+        }
+        return response.data;
+    }
+};
+
+const sources = {
+    csv_file: csvFileSource,
+    http_json: httpJsonSource
+};
+
+/**
+ * Add (or replace) a rate source
+ * @param {string} name - Stored as Settings.goldRateFeed.source
+ * @param {{ description: string, validateConfig: Function, fetchRecord: Function }} adapter
+ */
+function registerGoldRateSource(name, adapter) {
+    if (!adapter || typeof adapter.fetchRecord !== 'function') {
+        throw new Error('A gold rate source must provide fetchRecord(config)');
+    }
+    sources[name] = {
+        validateConfig: () => null,
+        ...adapter
+    };
+}
+
+function getGoldRateSource(name) {
+    return sources[name] || null;
+}
+
+function listGoldRateSources() {
+    return Object.keys(sources).map(name => ({ name, description: sources[name].description }));
+}
+
+/**
+ * Check a feed configuration before it is saved or polled
+ * @returns {string|null} What is wrong with it, or null when it is usable
+ */
+function validateFeedConfig(config) {
+    const source = getGoldRateSource(config.source);
+    if (!source) {
+        return `Unknown rate source "${config.source}"; available sources are ${Object.keys(sources).join(', ')}`;
+    }
+    if (config.rateUnitGrams !== undefined && !(Number(config.rateUnitGrams) > 0)) {
+        return 'Rate unit must be a positive number of grams';
+    }
+    return source.validateConfig(config);
+}
+
+/**
+ * Pick the rates out of a source record
+ * @param {Object} record
+ * @param {Object} [fieldMapping] - { k24, k22, k18, date } → column name or dotted path
+ * @param {number} [rateUnitGrams=1] - Grams the source quotes each rate for (10 for per-10g feeds)
+ * @returns {{ rates: Object, quotedAt: Date|undefined }}
+ */
+function extractQuote(record, fieldMapping = {}, rateUnitGrams = 1) {
+    const mapping = { ...DEFAULT_FIELD_MAPPING };
+    Object.keys(fieldMapping || {}).forEach(key => {
+        if (fieldMapping[key] !== undefined && fieldMapping[key] !== null) {
+            mapping[key] = fieldMapping[key];
+        }
+    });
+    const rates = {};
+
+    RATE_KEYS.forEach(key => {
+        if (!mapping[key]) {
+            return;
+        }
+        const value = parseRateValue(getPath(record, mapping[key]));
+        if (Number.isNaN(value)) {
+            throw new Error(`Feed value for ${key} ("${getPath(record, mapping[key])}") is not a number`);
+        }
+        if (value !== undefined) {
+            rates[key] = roundTo2(value / (Number(rateUnitGrams) || 1));
+        }
+    });
+
+    const rawDate = getPath(record, mapping.date);
+    let quotedAt;
+    if (rawDate) {
+        const normalized = normalizeDate(rawDate);
+        quotedAt = normalized ? new Date(`${normalized}T00:00:00Z`) : new Date(rawDate);
+        if (isNaN(quotedAt.getTime())) {
+            quotedAt = undefined;
+        }
+    }
+
+    return { rates, quotedAt };
+}
+
+/**
+ * Reject quotes that cannot be right whatever the previous rate was
+ * @returns {string|null}
+ */
+function validateQuote(rates) {
+    if (!(rates.k22 > 0)) {
+        return 'Feed did not supply a 22K rate';
+    }
+    if (Object.values(rates).some(rate => !(rate > 0))) {
+        return 'Feed rates must be greater than zero';
+    }
+    // Purer gold is never cheaper
+    const quoted = QUOTED_PURITIES.filter(purity => rates[purity.key]);
+    for (let i = 1; i < quoted.length; i++) {
+        if (rates[quoted[i].key] > rates[quoted[i - 1].key]) {
+            return `Feed quotes ${quoted[i].karat}K above ${quoted[i - 1].karat}K`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Compare a quote with the rates in force
+ * @param {Object} rates - Quoted rates
+ * @param {Object} currentRates - Rates in force ({ k22 } at least)
+ * @param {number} maxChangePercent
+ * @returns {{ changes: Object, changePercent: number, withinBounds: boolean, unchanged: boolean }}
+ */
+function compareWithCurrent(rates, currentRates, maxChangePercent = DEFAULT_MAX_CHANGE_PERCENT) {
+    const changes = {};
+    RATE_KEYS.forEach(key => {
+        if (rates[key] && currentRates && currentRates[key]) {
+            changes[key] = roundTo2((rates[key] - currentRates[key]) / currentRates[key] * 100);
+        }
+    });
+    const changePercent = Math.max(0, ...Object.values(changes).map(Math.abs));
+
+    return {
+        changes,
+        changePercent,
+        withinBounds: changePercent <= maxChangePercent,
+        unchanged: Object.keys(rates).every(key => currentRates && rates[key] === currentRates[key])
+    };
+}
+
+/**
+ * Fetch the latest quote from the configured source
+ * @param {Object} config - Settings.goldRateFeed
+ * @returns {Promise<{ rates: Object, quotedAt: Date|undefined, source: string }>}
+ */
+async function fetchQuote(config) {
+    const configError = validateFeedConfig(config);
+    if (configError) {
+        throw new Error(configError);
+    }
+
+    const record = await getGoldRateSource(config.source).fetchRecord(config);
+    const quote = extractQuote(record, config.fieldMapping, config.rateUnitGrams);
+    const quoteError = validateQuote(quote.rates);
+    if (quoteError) {
+        throw new Error(quoteError);
+    }
+    return { ...quote, source: config.source };
+}
+
+module.exports = {
+    DEFAULT_MAX_CHANGE_PERCENT,
+    DEFAULT_FIELD_MAPPING,
+    getPath,
+    parseRateValue,
+    registerGoldRateSource,
+    getGoldRateSource,
+    listGoldRateSources,
+    validateFeedConfig,
+    extractQuote,
+    validateQuote,
+    compareWithCurrent,
+    fetchQuote
+};
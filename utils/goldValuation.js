@@ -0,0 +1,219 @@
+/**
+ * Gold Valuation
+ * Appraises pledged gold items and works out how much can be lent against them.
+ *
+ * - Purity is held as fineness (parts per 1000). Karat is accepted as well and
+ *   mapped to the standard hallmark fineness (22K → 916, 18K → 750, ...).
+ * - Net weight is the gross weight less stones and wastage, unless the appraiser
+ *   enters it directly.
+ * - Rates come from the GoldRate history, which quotes 24K, 22K and 18K per gram. Other
+ *   purities are priced pro rata off the closest quoted purity. A single number is
+ *   taken as the 22K rate (Settings.goldRate). Items with no purity recorded are valued as 22K.
+ */
+
+const GOLD_CATEGORIES = ['chain', 'necklace', 'bangle', 'bracelet', 'ring', 'earring', 'pendant', 'coin', 'bar', 'other'];
+
+// BIS hallmark fineness for each karat
+const KARAT_FINENESS = {
+    24: 999,
+    23: 958,
+    22: 916,
+    20: 833,
+    18: 750,
+    14: 585
+};
+
+// Fineness a single configured gold rate is quoted for
+const RATE_FINENESS = 916;
+
+// Purities the gold rate history quotes, keyed as in GoldRate.rates
+const QUOTED_PURITIES = [
+    { key: 'k24', karat: 24, fineness: 999 },
+    { key: 'k22', karat: 22, fineness: 916 },
+    { key: 'k18', karat: 18, fineness: 750 }
+];
+
+// Hallmark Unique ID: 6 alphanumeric characters
+const HUID_PATTERN = /^[A-Z0-9]{6}$/;
+
+const roundTo2 = value => Math.round(value * 100) / 100;
+const roundTo3 = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Fineness (parts per 1000) of an item, from its fineness or karat
+ * @param {Object} item - { fineness?, karat? }
+ * @returns {number}
+ */
+function finenessOf(item) {
+    if (item.fineness) {
+        return Number(item.fineness);
+    }
+    if (item.karat) {
+        return KARAT_FINENESS[Number(item.karat)] || Math.round(Number(item.karat) / 24 * 1000);
+    }
+    return RATE_FINENESS;
+}
+
+/**
+ * Nearest karat for a fineness
+ * @param {number} fineness
+ * @returns {number}
+ */
+function karatOf(fineness) {
+    const standard = Object.keys(KARAT_FINENESS).find(karat => KARAT_FINENESS[karat] === Number(fineness));
+    return standard ? Number(standard) : Math.round(Number(fineness) / 1000 * 24);
+}
+
+/**
+ * Net weight: as entered, or gross weight less stone and wastage deductions
+ * @param {Object} item - { grossWeight, netWeight?, stoneWeight?, wastageWeight? }
+ * @returns {number} Grams
+ */
+function netWeightOf(item) {
+    if (item.netWeight !== undefined && item.netWeight !== null && item.netWeight !== '') {
+        return Number(item.netWeight);
+    }
+    return roundTo3(Math.max(0,
+        Number(item.grossWeight || 0) - Number(item.stoneWeight || 0) - Number(item.wastageWeight || 0)
+    ));
+}
+
+/**
+ * Per-gram rate for gold of a given fineness
+ * @param {number|Object} goldRate - 22K rate, or quoted rates { k24, k22, k18 }
+ * @param {number} fineness
+ */
+function rateForFineness(goldRate, fineness) {
+    if (typeof goldRate !== 'object' || goldRate === null) {
+        return roundTo2(Number(goldRate) * fineness / RATE_FINENESS);
+    }
+
+    const quoted = QUOTED_PURITIES.filter(purity => goldRate[purity.key] > 0);
+    if (quoted.length === 0) {
+        throw new Error('No gold rates quoted');
+    }
+    const closest = quoted.reduce((best, purity) =>
+        Math.abs(purity.fineness - fineness) < Math.abs(best.fineness - fineness) ? purity : best
+    );
+    return roundTo2(goldRate[closest.key] * fineness / closest.fineness);
+}
+
+/**
+ * Check a gold item as entered at the counter
+ * @param {Object} item
+ * @returns {string|null} What is wrong with it, or null when it is valid
+ */
+function validateGoldItem(item) {
+    if (!item || !item.description) {
+        return 'Each gold item must have a description';
+    }
+    if (!(Number(item.grossWeight) > 0)) {
+        return `Gross weight is required for "${item.description}"`;
+    }
+    if (['stoneWeight', 'wastageWeight'].some(field => Number(item[field] || 0) < 0)) {
+        return `Deductions cannot be negative for "${item.description}"`;
+    }
+    const netWeight = netWeightOf(item);
+    if (!(netWeight > 0)) {
+        return `Net weight is required for "${item.description}"`;
+    }
+    if (netWeight > Number(item.grossWeight)) {
+        return `Net weight cannot exceed gross weight for "${item.description}"`;
+    }
+    if (item.karat && !(Number(item.karat) >= 1 && Number(item.karat) <= 24)) {
+        return `Karat must be between 1 and 24 for "${item.description}"`;
+    }
+    if (item.fineness && !(Number(item.fineness) >= 1 && Number(item.fineness) <= 999)) {
+        return `Fineness must be between 1 and 999 for "${item.description}"`;
+    }
+    if (item.category && !GOLD_CATEGORIES.includes(item.category)) {
+        return `Category must be one of ${GOLD_CATEGORIES.join(', ')}`;
+    }
+    if (item.hallmarkNumber && !HUID_PATTERN.test(String(item.hallmarkNumber).toUpperCase())) {
+        return `Hallmark (HUID) number must be 6 letters or digits for "${item.description}"`;
+    }
+    return null;
+}
+
+/**
+ * Appraise one item at the given gold rate
+ * @param {Object} item
+ * @param {number|Object} goldRate - 22K rate, or quoted rates { k24, k22, k18 }
+ * @returns {{ fineness, karat, netWeight, fineWeight, ratePerGram, value }}
+ */
+function appraiseItem(item, goldRate) {
+    const fineness = finenessOf(item);
+    const netWeight = netWeightOf(item);
+    const ratePerGram = rateForFineness(goldRate, fineness);
+
+    return {
+        fineness,
+        karat: item.karat ? Number(item.karat) : karatOf(fineness),
+        netWeight,
+        // Pure gold content
+        fineWeight: roundTo3(netWeight * fineness / 1000),
+        ratePerGram,
+        value: roundTo2(netWeight * ratePerGram)
+    };
+}
+
+/**
+ * Work out the most that can be lent against a set of items
+ * @param {Array<Object>} items
+ * @param {Object} valuation
+ * @param {number} valuation.goldRate - 22K rate
+ * @param {Object} [valuation.rates] - Quoted rates { k24, k22, k18 }; used instead of goldRate when given
+ * @param {number} valuation.ltvPercent - Default maximum LTV (%)
+ * @param {Function} [valuation.ltvForFineness] - Maximum LTV (%) for an item of a given fineness,
+ *        when the limit depends on purity
+ * @returns {{ items, totalNetWeight, appraisedValue, ltvPercent, maxLtvPercent, eligibleAmount }}
+ */
+function loanEligibility(items, { goldRate, rates, ltvPercent, ltvForFineness }) {
+    const appraised = items.map(item => {
+        const appraisal = appraiseItem(item, rates || goldRate);
+        const itemLtv = ltvForFineness ? ltvForFineness(appraisal.fineness) : ltvPercent;
+        return {
+            ...appraisal,
+            ltvPercent: itemLtv,
+            eligibleValue: roundTo2(appraisal.value * itemLtv / 100)
+        };
+    });
+    const appraisedValue = roundTo2(appraised.reduce((sum, item) => sum + item.value, 0));
+    const eligibleValue = appraised.reduce((sum, item) => sum + item.eligibleValue, 0);
+
+    return {
+        items: appraised,
+        totalNetWeight: roundTo3(appraised.reduce((sum, item) => sum + item.netWeight, 0)),
+        goldRate,
+        appraisedValue,
+        ltvPercent,
+        // Blended limit across the items' purities
+        maxLtvPercent: appraisedValue > 0 ? roundTo2(eligibleValue / appraisedValue * 100) : ltvPercent,
+        eligibleAmount: Math.floor(eligibleValue)
+    };
+}
+
+/**
+ * Loan amount as a percentage of the gold's appraised value
+ * @param {number} amount
+ * @param {number} appraisedValue
+ */
+function ltvPercentOf(amount, appraisedValue) {
+    return appraisedValue > 0 ? roundTo2(Number(amount) / appraisedValue * 100) : null;
+}
+
+module.exports = {
+    GOLD_CATEGORIES,
+    KARAT_FINENESS,
+    RATE_FINENESS,
+    QUOTED_PURITIES,
+    HUID_PATTERN,
+    finenessOf,
+    karatOf,
+    netWeightOf,
+    rateForFineness,
+    validateGoldItem,
+    appraiseItem,
+    loanEligibility,
+    ltvPercentOf
+};
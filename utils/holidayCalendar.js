@@ -0,0 +1,136 @@
+/**
+ * Holiday Calendar
+ * Keeps the Holiday collection in memory so due-date and grace-period checks can stay
+ * synchronous. Call refresh() on startup, after holidays change and before jobs run.
+ * Sundays are always non-working days.
+ */
+
+const Holiday = require('../models/Holiday');
+
+const MAX_DAYS_TO_SCAN = 366;
+
+// Dates that are holidays for every branch, and per-branch dates keyed by lower-cased branch
+let allBranches = new Set();
+let byBranch = new Map();
+let loadedAt = null;
+
+const normalizeBranch = branch => (branch ? String(branch).trim().toLowerCase() : '');
+
+/**
+ * Format a date as YYYY-MM-DD using the server's local calendar day
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function toDateKey(date) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Reload holidays from the database
+ * @returns {Promise<number>} Number of holidays loaded
+ */
+async function refresh() {
+    const holidays = await Holiday.find({}, 'date branch').lean();
+
+    const nextAll = new Set();
+    const nextByBranch = new Map();
+    holidays.forEach(holiday => {
+        const branch = normalizeBranch(holiday.branch);
+        if (!branch) {
+            nextAll.add(holiday.date);
+            return;
+        }
+        if (!nextByBranch.has(branch)) {
+            nextByBranch.set(branch, new Set());
+        }
+        nextByBranch.get(branch).add(holiday.date);
+    });
+
+    allBranches = nextAll;
+    byBranch = nextByBranch;
+    loadedAt = new Date();
+    return holidays.length;
+}
+
+/**
+ * Whether a date is a declared holiday (for the branch, if given)
+ * @param {Date} date
+ * @param {string} [branch]
+ */
+function isHoliday(date, branch) {
+    const key = toDateKey(date);
+    if (allBranches.has(key)) {
+        return true;
+    }
+    const branchDates = byBranch.get(normalizeBranch(branch));
+    return !!(branchDates && branchDates.has(key));
+}
+
+/**
+ * Whether a date is a working day (not a Sunday and not a holiday)
+ * @param {Date} date
+ * @param {string} [branch]
+ */
+function isWorkingDay(date, branch) {
+    return new Date(date).getDay() !== 0 && !isHoliday(date, branch);
+}
+
+/**
+ * The date itself if it is a working day, otherwise the next working day
+ * @param {Date} date
+ * @param {string} [branch]
+ * @returns {Date}
+ */
+function nextWorkingDay(date, branch) {
+    const next = new Date(date);
+    for (let i = 0; i < MAX_DAYS_TO_SCAN && !isWorkingDay(next, branch); i++) {
+        next.setDate(next.getDate() + 1);
+    }
+    return next;
+}
+
+/**
+ * The last working day strictly before the date
+ * @param {Date} date
+ * @param {string} [branch]
+ * @returns {Date}
+ */
+function previousWorkingDay(date, branch) {
+    const previous = new Date(date);
+    previous.setDate(previous.getDate() - 1);
+    for (let i = 0; i < MAX_DAYS_TO_SCAN && !isWorkingDay(previous, branch); i++) {
+        previous.setDate(previous.getDate() - 1);
+    }
+    return previous;
+}
+
+/**
+ * Number of non-working days immediately before the date (jobs skip those days,
+ * so the next run has to cover them)
+ * @param {Date} date
+ * @param {string} [branch]
+ * @returns {number}
+ */
+function skippedDaysBefore(date, branch) {
+    const today = new Date(date);
+    today.setHours(0, 0, 0, 0);
+    const previous = previousWorkingDay(today, branch);
+    previous.setHours(0, 0, 0, 0);
+    return Math.max(0, Math.round((today - previous) / (1000 * 60 * 60 * 24)) - 1);
+}
+
+const getLoadedAt = () => loadedAt;
+
+module.exports = {
+    toDateKey,
+    refresh,
+    isHoliday,
+    isWorkingDay,
+    nextWorkingDay,
+    previousWorkingDay,
+    skippedDaysBefore,
+    getLoadedAt
+};
@@ -0,0 +1,181 @@
+/**
+ * Parsers for bulk holiday imports.
+ *
+ * CSV: one holiday per line as `date,name[,branch[,type]]`, with an optional header row.
+ *      Dates may be YYYY-MM-DD, DD-MM-YYYY or DD/MM/YYYY.
+ * ICS: every VEVENT becomes a holiday named after its SUMMARY. All-day events spanning
+ *      several days (DTEND is exclusive) produce one holiday per day.
+ *
+ * Both return { holidays: [{ date, name, branch, type }], errors: [{ line, message }] }.
+ */
+
+const MAX_EVENT_DAYS = 31;
+
+const pad = value => String(value).padStart(2, '0');
+
+// Returns YYYY-MM-DD, or null if the value is not a real calendar date
+function normalizeDate(value) {
+    const text = String(value || '').trim();
+    let year, month, day;
+
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/) || text.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (match) {
+        [, year, month, day] = match;
+    } else {
+        match = text.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/);
+        if (!match) {
+            return null;
+        }
+        [, day, month, year] = match;
+    }
+
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+        return null;
+    }
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Split a CSV line, honouring double-quoted fields
+function splitCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current.trim());
+    return fields;
+}
+
+function parseCsv(content) {
+    const holidays = [];
+    const errors = [];
+
+    String(content).split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) {
+            return;
+        }
+        const [date, name, branch, type] = splitCsvLine(line);
+
+        // Skip a header row
+        if (index === 0 && date && date.toLowerCase() === 'date') {
+            return;
+        }
+
+        const normalized = normalizeDate(date);
+        if (!normalized) {
+            errors.push({ line: index + 1, message: `Invalid date "${date}"` });
+            return;
+        }
+        if (!name) {
+            errors.push({ line: index + 1, message: 'Holiday name is missing' });
+            return;
+        }
+
+        holidays.push({
+            date: normalized,
+            name,
+            branch: branch || null,
+            type: type ? type.toLowerCase() : undefined
+        });
+    });
+
+    return { holidays, errors };
+}
+
+// Undo ICS line folding and text escaping
+const unfoldIcs = content => String(content).replace(/\r?\n[ \t]/g, '');
+const unescapeIcsText = value => value
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+
+function parseIcs(content) {
+    const holidays = [];
+    const errors = [];
+    const lines = unfoldIcs(content).split(/\r?\n/);
+
+    let event = null;
+    let eventLine = 0;
+    lines.forEach((line, index) => {
+        if (line === 'BEGIN:VEVENT') {
+            event = {};
+            eventLine = index + 1;
+            return;
+        }
+        if (line === 'END:VEVENT') {
+            const start = normalizeDate((event.DTSTART || '').slice(0, 8));
+            if (!start) {
+                errors.push({ line: eventLine, message: 'Event has no valid DTSTART' });
+            } else if (!event.SUMMARY) {
+                errors.push({ line: eventLine, message: 'Event has no SUMMARY' });
+            } else {
+                const end = normalizeDate((event.DTEND || '').slice(0, 8));
+                const day = new Date(`${start}T00:00:00Z`);
+                const lastDay = end ? new Date(`${end}T00:00:00Z`) : null;
+                let count = 0;
+                do {
+                    holidays.push({
+                        date: day.toISOString().slice(0, 10),
+                        name: unescapeIcsText(event.SUMMARY),
+                        branch: null
+                    });
+                    day.setUTCDate(day.getUTCDate() + 1);
+                    count++;
+                } while (lastDay && day < lastDay && count < MAX_EVENT_DAYS);
+            }
+            event = null;
+            return;
+        }
+        if (event) {
+            // NAME;PARAMS:VALUE — keep the first value seen for each property
+            const separator = line.indexOf(':');
+            if (separator > 0) {
+                const property = line.slice(0, separator).split(';')[0].toUpperCase();
+                if (event[property] === undefined) {
+                    event[property] = line.slice(separator + 1);
+                }
+            }
+        }
+    });
+
+    return { holidays, errors };
+}
+
+/**
+ * Parse an import file, detecting ICS content when no format is given
+ * @param {string} content
+ * @param {string} [format] - 'csv' or 'ics'
+ */
+function parseHolidayFile(content, format) {
+    const resolvedFormat = format || (/BEGIN:VCALENDAR/i.test(content) ? 'ics' : 'csv');
+    const result = resolvedFormat === 'ics' ? parseIcs(content) : parseCsv(content);
+    return { ...result, format: resolvedFormat };
+}
+
+module.exports = {
+    normalizeDate,
+    splitCsvLine,
+    parseCsv,
+    parseIcs,
+    parseHolidayFile
+};
@@ -0,0 +1,71 @@
+const multer = require('multer');
+const sharp = require('sharp');
+
+// Configure multer for memory storage (we'll store in MongoDB)
+const storage = multer.memoryStorage();
+const imageUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB limit
+        files: 5 // Maximum 5 files per request
+    },
+    fileFilter: (req, file, cb) => {
+        // Check if file is an image
+        if (file.mimetype.startsWith('image/')) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only image files are allowed'), false);
+        }
+    }
+});
+
+// Helper function to process and compress images
+const processImage = async (buffer, quality = 85) => {
+    try {
+        // Get image metadata
+        const metadata = await sharp(buffer).metadata();
+        
+        // Process main image (resize if too large, compress)
+        let processedImage = sharp(buffer);
+        
+        // Resize if width > 1920px
+        if (metadata.width > 1920) {
+            processedImage = processedImage.resize(1920, null, {
+                withoutEnlargement: true,
+                fit: 'inside'
+            });
+        }
+        
+        // Convert to JPEG and compress
+        const processedBuffer = await processedImage
+            .jpeg({ quality, progressive: true })
+            .toBuffer();
+        
+        // Create thumbnail (300px max width)
+        const thumbnailBuffer = await sharp(buffer)
+            .resize(300, null, {
+                withoutEnlargement: true,
+                fit: 'inside'
+            })
+            .jpeg({ quality: 80, progressive: true })
+            .toBuffer();
+        
+        // Get final metadata
+        const finalMetadata = await sharp(processedBuffer).metadata();
+        
+        return {
+            processedBuffer,
+            thumbnailBuffer,
+            width: finalMetadata.width,
+            height: finalMetadata.height,
+            size: processedBuffer.length
+        };
+    } catch (error) {
+        throw new Error(`Image processing failed: ${error.message}`);
+    }
+};
+
+module.exports = {
+    imageUpload,
+    processImage
+};
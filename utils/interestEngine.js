@@ -0,0 +1,362 @@
+/**
+ * Interest Engine
+ * Single place where loan interest is computed. Every route and model method goes
+ * through calculateInterest so the same loan always gets the same answer.
+ *
+ * Supported conventions:
+ * - mode:      'simple' (interest on principal only) or 'monthly_compound'
+ *              (accrued interest is added to the balance every 30 days)
+ * - dayCount:  '30_360' (30-day months, 360-day year) or 'actual_365'
+ * - monthRounding: charge whole 30-day months, rounding part months up.
+ *              With 30/360 this gives the familiar P × R × months / 12.
+ *
+ * Penal interest on overdue installments is separate from the loan's interest and is
+ * computed per installment by calculatePenalAccrual.
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const INTEREST_MODES = ['simple', 'monthly_compound'];
+const DAY_COUNTS = ['30_360', 'actual_365'];
+// none: no penal interest; rate: annual % on the overdue amount; flat: one-off fee per installment
+const PENAL_METHODS = ['none', 'rate', 'flat'];
+
+const DEFAULT_OPTIONS = {
+    mode: 'simple',
+    dayCount: '30_360',
+    monthRounding: true
+};
+
+const roundTo2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Count days between two dates under a day-count convention
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {string} dayCount - '30_360' or 'actual_365'
+ * @returns {number} Whole days (never negative)
+ */
+function countDays(startDate, endDate, dayCount = DEFAULT_OPTIONS.dayCount) {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (end <= start) {
+        return 0;
+    }
+
+    if (dayCount === '30_360') {
+        const d1 = Math.min(start.getDate(), 30);
+        const d2 = Math.min(end.getDate(), 30);
+        return 360 * (end.getFullYear() - start.getFullYear()) +
+            30 * (end.getMonth() - start.getMonth()) +
+            (d2 - d1);
+    }
+
+    return Math.ceil((end - start) / MS_PER_DAY);
+}
+
+/**
+ * Pick the rebate percentage for a repayment made after `days` days.
+ * When several rules match, the tightest window wins.
+ * @param {Array<{maxDays: number, percentOfInterest: number}>} rebateRules
+ * @param {number} days
+ * @returns {number} Percentage of interest to give back
+ */
+function getRebatePercent(rebateRules = [], days) {
+    const rules = rebateRules
+        .filter(rule => days <= rule.maxDays)
+        .sort((a, b) => a.maxDays - b.maxDays);
+    return rules.length > 0 ? rules[0].percentOfInterest : 0;
+}
+
+/**
+ * Engine options taken from a scheme, or from the scheme terms pinned on a loan
+ * @param {Object} terms - Scheme or loan.schemeTerms
+ * @returns {Object} Options to spread into calculateInterest
+ */
+function optionsFromTerms(terms = {}) {
+    return {
+        mode: terms.interestMode || DEFAULT_OPTIONS.mode,
+        dayCount: terms.dayCount || DEFAULT_OPTIONS.dayCount,
+        monthRounding: typeof terms.monthRounding === 'boolean' ? terms.monthRounding : DEFAULT_OPTIONS.monthRounding,
+        minimumDays: terms.minimumDays || 0,
+        minimumInterest: terms.minimumInterest || 0,
+        rebateRules: terms.rebateRules || []
+    };
+}
+
+/**
+ * Rate (annual %) in force on a date
+ * @param {Array<{from: Date, rate: number}>} rateSchedule - Sorted by `from`
+ * @param {Date} date
+ */
+function rateOn(rateSchedule, date) {
+    let rate = rateSchedule[0].rate;
+    for (const step of rateSchedule) {
+        if (new Date(step.from) <= date) {
+            rate = step.rate;
+        }
+    }
+    return rate;
+}
+
+/**
+ * Principal outstanding on a date
+ * @param {Array<{from: Date, principal: number}>} principalSchedule - Sorted by `from`
+ * @param {Date} date
+ */
+function principalOn(principalSchedule, date) {
+    let principal = principalSchedule[0].principal;
+    for (const step of principalSchedule) {
+        if (new Date(step.from) <= date) {
+            principal = step.principal;
+        }
+    }
+    return principal;
+}
+
+/**
+ * Calculate interest for a loan
+ * @param {Object} params
+ * @param {number} params.principal - Principal amount disbursed
+ * @param {Date} params.startDate - Disbursement date
+ * @param {Date} [params.endDate] - Repayment/closure date
+ * @param {number} [params.termMonths] - Charge for a full term of this many months (used for scheduled
+ *        totals); floors and month rounding are skipped. endDate defaults to start + termMonths.
+ * @param {number} [params.annualRate] - Annual rate (%) when the rate never changes
+ * @param {Array<{from: Date, rate: number}>} [params.rateSchedule] - Rates (%) and the dates they apply from
+ * @param {Array<{from: Date, principal: number}>} [params.principalSchedule] - Principal outstanding and the
+ *        dates it applies from, when part of the principal has been prepaid
+ * @param {string} [params.mode] - 'simple' or 'monthly_compound'
+ * @param {string} [params.dayCount] - '30_360' or 'actual_365'
+ * @param {boolean} [params.monthRounding] - Round chargeable days up to whole months
+ * @param {number} [params.minimumDays] - Charge at least this many days
+ * @param {number} [params.minimumInterest] - Charge at least this much interest
+ * @param {Array} [params.rebateRules] - [{ maxDays, percentOfInterest }]
+ * @param {boolean} [params.applyRebate] - Whether rebate rules apply (early repayment only)
+ * @param {boolean} [params.includeBreakdown] - Also return the day-by-day `breakdown`
+ * @returns {Object} Totals plus `periods`, one per stretch of days with the same rate and balance
+ */
+function calculateInterest({
+    principal,
+    startDate,
+    endDate,
+    termMonths,
+    annualRate,
+    rateSchedule,
+    principalSchedule,
+    mode = DEFAULT_OPTIONS.mode,
+    dayCount = DEFAULT_OPTIONS.dayCount,
+    monthRounding = DEFAULT_OPTIONS.monthRounding,
+    minimumDays = 0,
+    minimumInterest = 0,
+    rebateRules = [],
+    applyRebate = false,
+    includeBreakdown = false
+}) {
+    if (!INTEREST_MODES.includes(mode)) {
+        throw new Error(`Unknown interest mode: ${mode}`);
+    }
+    if (!DAY_COUNTS.includes(dayCount)) {
+        throw new Error(`Unknown day count convention: ${dayCount}`);
+    }
+
+    const start = new Date(startDate);
+    let end;
+    if (endDate) {
+        end = new Date(endDate);
+    } else if (termMonths) {
+        end = new Date(start);
+        end.setMonth(end.getMonth() + Number(termMonths));
+    } else {
+        throw new Error('Either endDate or termMonths is required');
+    }
+
+    const schedule = rateSchedule && rateSchedule.length > 0
+        ? [...rateSchedule].sort((a, b) => new Date(a.from) - new Date(b.from))
+        : [{ from: start, rate: Number(annualRate) }];
+    const principals = principalSchedule && principalSchedule.length > 0
+        ? [...principalSchedule].sort((a, b) => new Date(a.from) - new Date(b.from))
+        : [{ from: start, principal: Number(principal) }];
+
+    // Days actually elapsed, then the days interest is charged for
+    const days = countDays(start, end, dayCount);
+    let chargeableDays;
+    let minDaysApplied = false;
+    if (termMonths) {
+        // A full term is whole months by definition
+        chargeableDays = dayCount === '30_360' ? Number(termMonths) * 30 : days;
+    } else {
+        minDaysApplied = days < minimumDays;
+        chargeableDays = minDaysApplied ? minimumDays : days;
+        if (monthRounding) {
+            chargeableDays = Math.ceil(chargeableDays / 30) * 30;
+        }
+    }
+    const months = Math.ceil(chargeableDays / 30);
+
+    // The rate and balance only change on a schedule date or (compound mode) every 30 days,
+    // so interest is accrued one stretch of identical days at a time
+    const yearDays = dayCount === '30_360' ? 360 : 365;
+    const dateOfDay = day => new Date(start.getTime() + (day - 1) * MS_PER_DAY);
+    // First day whose date is on or after `date`
+    const dayOf = date => Math.max(1, Math.ceil((new Date(date) - start) / MS_PER_DAY) + 1);
+
+    const changeDays = new Set([1]);
+    [...schedule, ...principals].forEach(step => changeDays.add(dayOf(step.from)));
+    if (mode === 'monthly_compound') {
+        for (let day = 31; day <= chargeableDays; day += 30) {
+            changeDays.add(day);
+        }
+    }
+    const startDays = [...changeDays]
+        .filter(day => day <= chargeableDays)
+        .sort((a, b) => a - b);
+
+    const periods = [];
+    const breakdown = [];
+    let capitalised = 0; // interest added to the balance in compound mode
+    let accrued = 0; // accrued since last capitalisation
+    let grossInterest = 0;
+
+    startDays.forEach((fromDay, index) => {
+        const toDay = index < startDays.length - 1 ? startDays[index + 1] - 1 : chargeableDays;
+        const from = dateOfDay(fromDay);
+        const rate = rateOn(schedule, from);
+        const balance = principalOn(principals, from) + capitalised;
+        const dayInterest = balance * (rate / 100) / yearDays;
+        const periodDays = toDay - fromDay + 1;
+
+        if (includeBreakdown) {
+            for (let day = fromDay; day <= toDay; day++) {
+                breakdown.push({
+                    day,
+                    date: dateOfDay(day),
+                    rate,
+                    balance: roundTo2(balance),
+                    interest: roundTo2(dayInterest),
+                    cumulativeInterest: roundTo2(grossInterest + dayInterest * (day - fromDay + 1))
+                });
+            }
+        }
+
+        accrued += dayInterest * periodDays;
+        grossInterest += dayInterest * periodDays;
+        periods.push({
+            fromDay,
+            toDay,
+            from,
+            to: dateOfDay(toDay),
+            days: periodDays,
+            rate,
+            balance: roundTo2(balance),
+            interest: roundTo2(dayInterest * periodDays),
+            cumulativeInterest: roundTo2(grossInterest)
+        });
+
+        if (mode === 'monthly_compound' && toDay % 30 === 0) {
+            capitalised += accrued;
+            accrued = 0;
+        }
+    });
+
+    let totalInterest = Math.round(grossInterest);
+    const minInterestApplied = !termMonths && totalInterest < minimumInterest;
+    if (minInterestApplied) {
+        totalInterest = minimumInterest;
+    }
+
+    // Rebate never takes the interest below the minimum
+    let rebate = 0;
+    let rebatePercent = 0;
+    if (applyRebate) {
+        rebatePercent = getRebatePercent(rebateRules, days);
+        rebate = Math.round(totalInterest * rebatePercent / 100);
+        rebate = Math.min(rebate, Math.max(0, totalInterest - minimumInterest));
+        totalInterest -= rebate;
+    }
+
+    const totalAmount = Math.round(Number(principal) + totalInterest);
+    const monthlyPayment = months > 0 ? Math.round(totalAmount / months) : totalAmount;
+    const monthlyInterest = months > 0 ? Math.round(totalInterest / months) : totalInterest;
+
+    return {
+        principal: Number(principal),
+        // Principal still owed at the end date after any prepayments
+        outstandingPrincipal: principalOn(principals, end),
+        totalInterest,
+        totalAmount,
+        grossInterest: roundTo2(grossInterest),
+        rebate,
+        rebatePercent,
+        days,
+        effectiveDays: chargeableDays,
+        months,
+        monthlyPayment,
+        monthlyInterest,
+        monthlyPrincipal: monthlyPayment - monthlyInterest,
+        minDaysApplied,
+        minInterestApplied,
+        mode,
+        dayCount,
+        monthRounding,
+        startDate: start,
+        endDate: end,
+        periods,
+        ...(includeBreakdown ? { breakdown } : {})
+    };
+}
+
+/**
+ * Penal interest accrued on one overdue installment over a period.
+ * Nothing is charged until the grace days after the due date have passed; after that
+ * the rate method charges from the due date itself.
+ * @param {Object} params
+ * @param {number} params.overdueAmount - Unpaid part of the installment
+ * @param {Date} params.dueDate - Installment due date
+ * @param {Date} [params.from] - End of the previous accrual (none yet when omitted)
+ * @param {Date} params.to - Accrue up to this date
+ * @param {number} [params.alreadyAccrued] - Penal interest already charged on the installment
+ * @param {Object} params.penal - { method, rate, flatFee, graceDays, cap } (cap 0 = no cap)
+ * @returns {number} Additional penal interest
+ */
+function calculatePenalAccrual({ overdueAmount, dueDate, from, to, alreadyAccrued = 0, penal = {} }) {
+    if (!penal.method || penal.method === 'none' || !(overdueAmount > 0)) {
+        return 0;
+    }
+    if (!PENAL_METHODS.includes(penal.method)) {
+        throw new Error(`Unknown penal interest method: ${penal.method}`);
+    }
+
+    const due = new Date(dueDate);
+    const end = new Date(to);
+    const graceEnd = new Date(due.getTime() + (penal.graceDays || 0) * MS_PER_DAY);
+    if (end <= graceEnd) {
+        return 0;
+    }
+
+    let accrual;
+    if (penal.method === 'flat') {
+        accrual = from ? 0 : (penal.flatFee || 0);
+    } else {
+        const start = from && new Date(from) > due ? new Date(from) : due;
+        const days = countDays(start, end, 'actual_365');
+        accrual = overdueAmount * ((penal.rate || 0) / 100) * days / 365;
+    }
+
+    if (penal.cap > 0) {
+        accrual = Math.min(accrual, Math.max(0, penal.cap - alreadyAccrued));
+    }
+    return roundTo2(accrual);
+}
+
+module.exports = {
+    INTEREST_MODES,
+    DAY_COUNTS,
+    PENAL_METHODS,
+    DEFAULT_OPTIONS,
+    countDays,
+    getRebatePercent,
+    optionsFromTerms,
+    calculateInterest,
+    calculatePenalAccrual
+};